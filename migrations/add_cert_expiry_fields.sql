@@ -0,0 +1,5 @@
+-- 电工认证增加证书到期提醒与过期暂停接单记录
+ALTER TABLE electrician_certifications
+  ADD COLUMN expiry_reminded_days TINYINT NULL COMMENT '已发送的到期提醒（距到期天数：30/7/1），重新认证后清空' AFTER reject_reason,
+  ADD COLUMN suspended_at DATETIME NULL COMMENT '证书过期自动暂停接单的时间，重新认证后清空' AFTER expiry_reminded_days,
+  ADD INDEX idx_status_cert_end_date (status, cert_end_date);
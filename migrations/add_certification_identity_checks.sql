@@ -0,0 +1,18 @@
+-- 电工认证增加身份证号、电工证编号索引（重复使用检测），新增从业年龄范围配置
+-- active_* 为生成列：仅未驳回的认证取规范化后的号码，驳回记录为 NULL；
+-- 其上的唯一索引在数据库层保证同一号码只有一份未驳回认证（并发提交时后写入者失败）
+-- 执行前如有历史重复数据需先处理，可用以下语句排查：
+--   SELECT id_card, COUNT(*) FROM electrician_certifications WHERE status <> 'rejected' GROUP BY id_card HAVING COUNT(*) > 1;
+ALTER TABLE electrician_certifications
+  ADD INDEX idx_id_card (id_card),
+  ADD INDEX idx_electrician_cert_no (electrician_cert_no),
+  ADD COLUMN active_id_card VARCHAR(18)
+    GENERATED ALWAYS AS (IF(status <> 'rejected', UPPER(id_card), NULL)) STORED,
+  ADD COLUMN active_cert_no VARCHAR(50)
+    GENERATED ALWAYS AS (IF(status <> 'rejected', UPPER(REPLACE(electrician_cert_no, ' ', '')), NULL)) STORED,
+  ADD UNIQUE KEY uk_active_id_card (active_id_card),
+  ADD UNIQUE KEY uk_active_cert_no (active_cert_no);
+
+INSERT IGNORE INTO system_configs (config_key, config_value, description) VALUES
+('cert_min_age', '18', '电工认证申请人最小年龄（周岁，按身份证出生日期计算）'),
+('cert_max_age', '60', '电工认证申请人最大年龄（周岁，按身份证出生日期计算）');
@@ -0,0 +1,43 @@
+-- 为服务类型新增平台佣金配置
+ALTER TABLE `service_types`
+ADD COLUMN `commission_type` ENUM('percent', 'fixed') NOT NULL DEFAULT 'percent' COMMENT '平台佣金类型：percent 按比例、fixed 固定金额' AFTER `dispatch_max_attempts`,
+ADD COLUMN `commission_value` DECIMAL(10,2) NOT NULL DEFAULT 0 COMMENT '平台佣金：按比例时为百分比，固定金额时为每单金额（元）' AFTER `commission_type`;
+
+-- 电工佣金特殊费率
+CREATE TABLE IF NOT EXISTS electrician_commissions (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '费率ID',
+  electrician_id INT NOT NULL COMMENT '电工ID',
+  service_type_id INT NULL COMMENT '服务类型ID，为空表示所有服务类型',
+  commission_type ENUM('percent', 'fixed') NOT NULL DEFAULT 'percent' COMMENT '佣金类型：percent 按比例、fixed 固定金额',
+  commission_value DECIMAL(10,2) NOT NULL DEFAULT 0 COMMENT '佣金：按比例时为百分比，固定金额时为每单金额（元）',
+  remark VARCHAR(255) NULL COMMENT '备注',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_electrician_service_type (electrician_id, service_type_id),
+  FOREIGN KEY (electrician_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (service_type_id) REFERENCES service_types(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='电工佣金特殊费率表';
+
+-- 工单记录结算金额、平台佣金与电工实得
+ALTER TABLE `orders`
+ADD COLUMN `settle_gross_amount` DECIMAL(10,2) NULL COMMENT '结算总额（预付款 + 维修款）' AFTER `dispatch_status`,
+ADD COLUMN `commission_amount` DECIMAL(10,2) NULL COMMENT '平台佣金' AFTER `settle_gross_amount`,
+ADD COLUMN `settle_net_amount` DECIMAL(10,2) NULL COMMENT '电工实得金额' AFTER `commission_amount`,
+ADD COLUMN `settled_at` DATETIME NULL COMMENT '结算时间' AFTER `settle_net_amount`,
+ADD INDEX `idx_orders_settled_at` (`settled_at`);
+
+-- 钱包流水新增佣金扣除类型
+ALTER TABLE `wallet_transactions`
+MODIFY COLUMN `type` ENUM('opening', 'settlement', 'commission', 'settlement_reversal', 'withdraw_lock', 'withdraw_success', 'withdraw_unlock', 'adjustment') NOT NULL COMMENT '流水类型：期初余额、订单结算入账、平台佣金、结算冲正、提现冻结、提现成功、提现解冻、人工调整';
+
+-- 佣金上线前已结算的工单按全额结算补记
+UPDATE orders o
+SET
+  o.settle_gross_amount = (
+    SELECT COALESCE(SUM(p.amount), 0) FROM payments p
+    WHERE p.order_id = o.id AND p.status = 'success' AND p.type IN ('prepay', 'repair')
+  ),
+  o.commission_amount = 0,
+  o.settle_net_amount = o.settle_gross_amount,
+  o.settled_at = COALESCE(o.completed_at, o.updated_at)
+WHERE o.status = 'completed_settled' AND o.settle_gross_amount IS NULL;
@@ -0,0 +1,49 @@
+-- 工单预约时间段、电工工作时间与不可预约时段、改约申请
+
+ALTER TABLE `orders`
+ADD COLUMN `appointment_start` DATETIME NULL COMMENT '预约上门时间段开始' AFTER `longitude`,
+ADD COLUMN `appointment_end` DATETIME NULL COMMENT '预约上门时间段结束' AFTER `appointment_start`,
+ADD INDEX `idx_orders_electrician_appointment` (`electrician_id`, `appointment_start`);
+
+CREATE TABLE IF NOT EXISTS electrician_working_hours (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '时段ID',
+  electrician_id INT NOT NULL COMMENT '电工ID',
+  weekday TINYINT NOT NULL COMMENT '星期：0 周日 ~ 6 周六',
+  start_time TIME NOT NULL COMMENT '开始时间（北京时间）',
+  end_time TIME NOT NULL COMMENT '结束时间（北京时间）',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_electrician_weekday (electrician_id, weekday),
+  FOREIGN KEY (electrician_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='电工工作时间表';
+
+CREATE TABLE IF NOT EXISTS electrician_blocked_periods (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '时段ID',
+  electrician_id INT NOT NULL COMMENT '电工ID',
+  start_at DATETIME NOT NULL COMMENT '开始时间',
+  end_at DATETIME NOT NULL COMMENT '结束时间',
+  reason VARCHAR(255) NULL COMMENT '原因',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_electrician_start (electrician_id, start_at),
+  FOREIGN KEY (electrician_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='电工不可预约时段表';
+
+CREATE TABLE IF NOT EXISTS order_reschedules (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '改约ID',
+  order_id INT NOT NULL COMMENT '工单ID',
+  proposer_type ENUM('user', 'electrician') NOT NULL COMMENT '发起方：用户、电工',
+  proposer_id INT NOT NULL COMMENT '发起人ID',
+  original_start DATETIME NULL COMMENT '原预约开始时间',
+  original_end DATETIME NULL COMMENT '原预约结束时间',
+  proposed_start DATETIME NOT NULL COMMENT '新预约开始时间',
+  proposed_end DATETIME NOT NULL COMMENT '新预约结束时间',
+  status ENUM('pending', 'accepted', 'rejected', 'cancelled') NOT NULL DEFAULT 'pending' COMMENT '状态：待对方确认、已同意、已拒绝、已撤销',
+  reason VARCHAR(255) NULL COMMENT '改约原因',
+  reject_reason VARCHAR(255) NULL COMMENT '拒绝原因',
+  responded_at DATETIME NULL COMMENT '对方处理时间',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_order_status (order_id, status),
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='工单改约申请表';
@@ -0,0 +1,35 @@
+-- 创建标准物料/工时目录表，报价明细记录所选目录项及当时的参考单价
+CREATE TABLE IF NOT EXISTS catalog_items (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '目录项ID',
+  item_type ENUM('labor', 'material', 'call_out_fee') NOT NULL COMMENT '项目类型：人工费、材料费、上门费',
+  name VARCHAR(100) NOT NULL COMMENT '项目名称',
+  spec VARCHAR(100) NULL COMMENT '规格型号（如 2P 32A、2.5平方）',
+  unit VARCHAR(20) NOT NULL COMMENT '单位（如 个、米、小时）',
+  reference_price DECIMAL(10,2) NOT NULL COMMENT '参考单价',
+  service_type_id INT NULL COMMENT '服务类型ID，为空表示通用项目',
+  description VARCHAR(255) NULL COMMENT '说明',
+  sort_order INT NOT NULL DEFAULT 0 COMMENT '排序',
+  is_active BOOLEAN NOT NULL DEFAULT TRUE COMMENT '是否启用',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_service_type_id (service_type_id),
+  INDEX idx_item_type (item_type),
+  FOREIGN KEY (service_type_id) REFERENCES service_types(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='标准物料/工时目录表';
+
+ALTER TABLE order_quote_items
+ADD COLUMN `catalog_item_id` INT NULL COMMENT '目录项ID（从目录选用时）' AFTER `quote_id`,
+ADD COLUMN `reference_price` DECIMAL(10,2) NULL COMMENT '报价时的目录参考单价' AFTER `unit_price`,
+ADD CONSTRAINT fk_quote_items_catalog FOREIGN KEY (catalog_item_id) REFERENCES catalog_items(id) ON DELETE SET NULL;
+
+-- 初始化常用项目
+INSERT INTO catalog_items (item_type, name, spec, unit, reference_price, sort_order) VALUES
+('call_out_fee', '上门费', NULL, '次', 30.00, 1),
+('labor', '电工人工', NULL, '小时', 80.00, 10),
+('material', '空气开关', '1P 16A', '个', 25.00, 20),
+('material', '空气开关', '2P 32A', '个', 45.00, 21),
+('material', '漏电保护开关', '2P 32A', '个', 85.00, 22),
+('material', '五孔插座', '10A', '个', 15.00, 30),
+('material', '单开单控开关', NULL, '个', 12.00, 31),
+('material', 'BV铜芯电线', '2.5平方', '米', 3.50, 40),
+('material', 'BV铜芯电线', '4平方', '米', 5.50, 41);
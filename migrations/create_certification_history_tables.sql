@@ -0,0 +1,34 @@
+-- 创建电工认证提交版本与审核记录表，新增复审开关配置
+CREATE TABLE IF NOT EXISTS certification_submissions (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '提交记录ID',
+  certification_id INT NOT NULL COMMENT '认证ID',
+  user_id INT NOT NULL COMMENT '用户ID',
+  version INT NOT NULL COMMENT '版本号，同一认证从1递增',
+  snapshot JSON NOT NULL COMMENT '提交资料快照：姓名、身份证、证书编号及有效期、工作类型、证件图片',
+  status ENUM('pending', 'first_approved', 'approved', 'rejected') NOT NULL DEFAULT 'pending' COMMENT '状态：待审核、初审通过待复审、已通过、已驳回',
+  decided_at DATETIME NULL COMMENT '最终审核结论时间',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_certification_version (certification_id, version),
+  INDEX idx_status (status),
+  FOREIGN KEY (certification_id) REFERENCES electrician_certifications(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='电工认证提交记录表';
+
+CREATE TABLE IF NOT EXISTS certification_reviews (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '审核记录ID',
+  submission_id INT NOT NULL COMMENT '提交记录ID',
+  certification_id INT NOT NULL COMMENT '认证ID',
+  admin_id INT NOT NULL COMMENT '审核管理员ID（admins 表）',
+  step ENUM('first', 'second') NOT NULL COMMENT '审核环节：初审、复审',
+  decision ENUM('approved', 'rejected') NOT NULL COMMENT '审核结论：通过、驳回',
+  reason TEXT NULL COMMENT '审核意见/驳回原因',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_submission_id (submission_id),
+  INDEX idx_certification_id (certification_id),
+  INDEX idx_admin_id (admin_id),
+  FOREIGN KEY (submission_id) REFERENCES certification_submissions(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='电工认证审核记录表';
+
+INSERT IGNORE INTO system_configs (config_key, config_value, description) VALUES
+('cert_second_review_enabled', '0', '电工认证是否需要第二位管理员复审：1 需要 / 0 不需要');
@@ -0,0 +1,18 @@
+-- 创建电工服务区域表
+-- 电工登记常驻位置与服务半径（或可服务的地区编码），用于附近电工匹配
+CREATE TABLE IF NOT EXISTS electrician_service_areas (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '服务区域ID',
+  electrician_id INT NOT NULL COMMENT '电工ID，关联users表',
+  latitude DECIMAL(10, 7) NULL COMMENT '常驻位置纬度',
+  longitude DECIMAL(10, 7) NULL COMMENT '常驻位置经度',
+  address VARCHAR(255) NULL COMMENT '常驻地址',
+  service_radius INT NOT NULL DEFAULT 5000 COMMENT '服务半径（米）',
+  region_codes JSON NULL COMMENT '可服务的地区编码列表，关联regions表code',
+  status ENUM('active', 'paused') NOT NULL DEFAULT 'active' COMMENT '状态：接单中、暂停',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_electrician_id (electrician_id),
+  INDEX idx_lat_lng (latitude, longitude),
+  INDEX idx_status (status),
+  CONSTRAINT fk_service_areas_electrician FOREIGN KEY (electrician_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='电工服务区域表';
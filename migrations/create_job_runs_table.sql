@@ -0,0 +1,18 @@
+-- 创建定时任务执行记录表
+CREATE TABLE IF NOT EXISTS job_runs (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '执行记录ID',
+  job_name VARCHAR(64) NOT NULL COMMENT '任务名称',
+  trigger_type ENUM('schedule', 'manual') NOT NULL DEFAULT 'schedule' COMMENT '触发方式：定时、手动',
+  triggered_by INT NULL COMMENT '手动触发的管理员ID',
+  status ENUM('running', 'success', 'failed') NOT NULL DEFAULT 'running' COMMENT '执行状态：执行中、成功、失败',
+  instance VARCHAR(128) NULL COMMENT '执行实例（主机名:进程号）',
+  started_at DATETIME NOT NULL COMMENT '开始时间',
+  finished_at DATETIME NULL COMMENT '结束时间',
+  duration_ms INT NULL COMMENT '耗时（毫秒）',
+  result JSON NULL COMMENT '执行结果',
+  error TEXT NULL COMMENT '错误信息',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_job_name_started (job_name, started_at),
+  INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='定时任务执行记录表';
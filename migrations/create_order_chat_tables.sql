@@ -0,0 +1,24 @@
+-- 创建工单会话消息表与已读位置表
+CREATE TABLE IF NOT EXISTS order_chat_messages (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '消息ID',
+  order_id INT NOT NULL COMMENT '工单ID',
+  sender_role ENUM('user', 'electrician', 'admin') NOT NULL COMMENT '发送方：用户、电工、管理员',
+  sender_id INT NOT NULL COMMENT '发送人ID（管理员为 admins 表ID）',
+  content_type ENUM('text', 'image') NOT NULL DEFAULT 'text' COMMENT '内容类型：文字、图片',
+  content TEXT NOT NULL COMMENT '文字内容或图片地址',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_order_id (order_id, id),
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='工单会话消息表';
+
+CREATE TABLE IF NOT EXISTS order_chat_reads (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT 'ID',
+  order_id INT NOT NULL COMMENT '工单ID',
+  user_id INT NOT NULL COMMENT '用户ID',
+  last_read_message_id INT NOT NULL DEFAULT 0 COMMENT '已读到的最后一条消息ID',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_order_user (order_id, user_id),
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='工单会话已读位置表';
@@ -0,0 +1,32 @@
+-- 系统派单：服务类型派单配置、工单派单状态与派单记录表
+
+-- 服务类型新增接单模式与派单参数
+ALTER TABLE `service_types`
+ADD COLUMN `dispatch_mode` ENUM('grab', 'dispatch') NOT NULL DEFAULT 'grab' COMMENT '接单模式：grab 抢单、dispatch 系统派单' AFTER `work_type`,
+ADD COLUMN `dispatch_timeout` INT NOT NULL DEFAULT 120 COMMENT '派单等待电工响应的时间（秒）' AFTER `dispatch_mode`,
+ADD COLUMN `dispatch_max_attempts` INT NOT NULL DEFAULT 5 COMMENT '最多派单电工数，超过后转入抢单池' AFTER `dispatch_timeout`;
+
+-- 工单新增派单状态，为空表示抢单模式
+ALTER TABLE `orders`
+ADD COLUMN `dispatch_status` ENUM('dispatching', 'assigned', 'fallback') NULL COMMENT '派单状态：派单中、已派出、转入抢单池' AFTER `needs_confirmation`;
+
+-- 派单记录表
+CREATE TABLE IF NOT EXISTS order_dispatches (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '派单记录ID',
+  order_id INT NOT NULL COMMENT '工单ID',
+  electrician_id INT NOT NULL COMMENT '被派单电工ID',
+  attempt INT NOT NULL DEFAULT 1 COMMENT '第几次派单',
+  status ENUM('offered', 'accepted', 'declined', 'timeout', 'cancelled') NOT NULL DEFAULT 'offered' COMMENT '派单状态：待响应、已接受、已拒绝、超时、已撤销',
+  score DECIMAL(6, 4) NULL COMMENT '匹配得分',
+  distance INT NULL COMMENT '派单时电工与工单的距离（米）',
+  expires_at DATETIME NOT NULL COMMENT '响应截止时间',
+  responded_at DATETIME NULL COMMENT '响应时间',
+  decline_reason VARCHAR(255) NULL COMMENT '拒绝原因',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_order_id (order_id),
+  INDEX idx_electrician_status (electrician_id, status),
+  INDEX idx_status_expires (status, expires_at),
+  CONSTRAINT fk_dispatches_order FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  CONSTRAINT fk_dispatches_electrician FOREIGN KEY (electrician_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='派单记录表';
@@ -0,0 +1,40 @@
+-- 创建工单纠纷表与纠纷处理记录表，工单增加纠纷处理中标记
+CREATE TABLE IF NOT EXISTS order_disputes (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '纠纷ID',
+  order_id INT NOT NULL COMMENT '工单ID',
+  initiator_type ENUM('user', 'electrician') NOT NULL COMMENT '发起方：用户、电工',
+  initiator_id INT NOT NULL COMMENT '发起人ID',
+  order_status VARCHAR(50) NOT NULL COMMENT '发起时的工单状态',
+  reason VARCHAR(500) NOT NULL COMMENT '纠纷原因',
+  evidence_images JSON NULL COMMENT '发起时提交的证据图片',
+  status ENUM('open', 'resolved', 'withdrawn') NOT NULL DEFAULT 'open' COMMENT '状态：处理中、已裁决、已撤回',
+  ruling ENUM('full_settle', 'partial_settle', 'refund') NULL COMMENT '裁决结果：全额结算、部分结算（其余退款）、全额退款',
+  settle_amount DECIMAL(10, 2) NULL COMMENT '裁决结算给电工的金额（扣佣前）',
+  refund_amount DECIMAL(10, 2) NULL COMMENT '裁决退还用户的金额',
+  ruling_note VARCHAR(500) NULL COMMENT '裁决说明',
+  resolved_by INT NULL COMMENT '裁决管理员ID（admins 表）',
+  resolved_at DATETIME NULL COMMENT '裁决/撤回时间',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_order_id (order_id),
+  INDEX idx_status_created (status, created_at),
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (initiator_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='工单纠纷表';
+
+CREATE TABLE IF NOT EXISTS order_dispute_events (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '记录ID',
+  dispute_id INT NOT NULL COMMENT '纠纷ID',
+  actor_type ENUM('user', 'electrician', 'admin', 'system') NOT NULL COMMENT '操作方：用户、电工、管理员、系统',
+  actor_id INT NULL COMMENT '操作人ID（管理员为 admins 表ID）',
+  action ENUM('open', 'evidence', 'note', 'withdraw', 'rule', 'refund') NOT NULL COMMENT '操作：发起、补充证据、管理员备注、撤回、裁决、裁决退款',
+  content TEXT NULL COMMENT '说明',
+  images JSON NULL COMMENT '证据图片',
+  is_internal BOOLEAN NOT NULL DEFAULT FALSE COMMENT '是否仅管理员可见',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_dispute_id (dispute_id, id),
+  FOREIGN KEY (dispute_id) REFERENCES order_disputes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='工单纠纷处理记录表';
+
+ALTER TABLE orders
+  ADD COLUMN in_dispute BOOLEAN NOT NULL DEFAULT FALSE COMMENT '是否有处理中的纠纷（处理期间暂停自动确认等状态流转）' AFTER needs_confirmation;
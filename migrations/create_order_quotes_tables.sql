@@ -0,0 +1,46 @@
+-- 创建维修报价表与报价明细表（报价按版本保存，用户确认后按确认总额支付维修费）
+CREATE TABLE IF NOT EXISTS order_quotes (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '报价ID',
+  order_id INT NOT NULL COMMENT '工单ID',
+  electrician_id INT NOT NULL COMMENT '报价电工ID',
+  version INT NOT NULL COMMENT '报价版本号（同一工单从1递增）',
+  total_amount DECIMAL(10,2) NOT NULL COMMENT '报价总额（各明细金额之和）',
+  status ENUM('pending', 'approved', 'rejected', 'superseded') NOT NULL DEFAULT 'pending' COMMENT '报价状态：待确认、已确认、已拒绝、已被新版本替代',
+  remark VARCHAR(500) NULL COMMENT '电工报价说明',
+  reject_reason VARCHAR(500) NULL COMMENT '用户拒绝原因',
+  responded_at DATETIME NULL COMMENT '用户确认/拒绝时间',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_order_version (order_id, version),
+  INDEX idx_status (status),
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (electrician_id) REFERENCES users(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='维修报价表';
+
+CREATE TABLE IF NOT EXISTS order_quote_items (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '明细ID',
+  quote_id INT NOT NULL COMMENT '报价ID',
+  item_type ENUM('labor', 'material', 'call_out_fee') NOT NULL COMMENT '明细类型：人工费、材料费、上门费',
+  name VARCHAR(100) NOT NULL COMMENT '项目名称',
+  unit VARCHAR(20) NULL COMMENT '单位（如 个、米、小时）',
+  quantity DECIMAL(10,2) NOT NULL COMMENT '数量',
+  unit_price DECIMAL(10,2) NOT NULL COMMENT '单价',
+  amount DECIMAL(10,2) NOT NULL COMMENT '金额（数量 × 单价）',
+  sort_order INT NOT NULL DEFAULT 0 COMMENT '排序',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_quote_id (quote_id),
+  FOREIGN KEY (quote_id) REFERENCES order_quotes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='维修报价明细表';
+
+-- 已填写维修金额的工单迁移为已确认的单项报价
+INSERT INTO order_quotes (order_id, electrician_id, version, total_amount, status, remark, responded_at, created_at)
+SELECT o.id, o.electrician_id, 1, o.final_amount, 'approved', '历史维修金额迁移', o.updated_at, o.updated_at
+FROM orders o
+WHERE o.final_amount IS NOT NULL AND o.final_amount > 0 AND o.electrician_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM order_quotes q WHERE q.order_id = o.id);
+
+INSERT INTO order_quote_items (quote_id, item_type, name, quantity, unit_price, amount, sort_order)
+SELECT q.id, 'labor', '维修费用', 1, q.total_amount, q.total_amount, 0
+FROM order_quotes q
+WHERE NOT EXISTS (SELECT 1 FROM order_quote_items i WHERE i.quote_id = q.id);
@@ -0,0 +1,13 @@
+-- 创建私有文件访问记录表（管理员查看认证证件审计）
+CREATE TABLE IF NOT EXISTS private_file_access_logs (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '记录ID',
+  admin_id INT NOT NULL COMMENT '查看的管理员ID（admins 表）',
+  file_key VARCHAR(255) NOT NULL COMMENT '文件标识，如 /private/certifications/xxx.jpg',
+  owner_id INT NULL COMMENT '文件所属用户ID',
+  ip VARCHAR(64) NULL COMMENT '访问IP',
+  user_agent VARCHAR(255) NULL COMMENT '访问客户端',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_admin_created (admin_id, created_at),
+  INDEX idx_owner_created (owner_id, created_at),
+  INDEX idx_file_key (file_key)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='私有文件访问记录表';
@@ -0,0 +1,43 @@
+-- 创建退款记录表（一笔支付可多次部分退款）
+CREATE TABLE IF NOT EXISTS refunds (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '退款ID',
+  refund_no VARCHAR(64) NOT NULL COMMENT '商户退款单号（out_refund_no）',
+  payment_id INT NOT NULL COMMENT '支付ID',
+  order_id INT NOT NULL COMMENT '工单ID',
+  user_id INT NOT NULL COMMENT '退款用户ID',
+  amount DECIMAL(10,2) NOT NULL COMMENT '退款金额',
+  status ENUM('pending', 'processing', 'success', 'closed', 'abnormal', 'rejected') NOT NULL DEFAULT 'pending' COMMENT '退款状态：待审核、退款中、退款成功、退款关闭、退款异常、已拒绝',
+  reason VARCHAR(255) NULL COMMENT '退款原因',
+  initiator_type ENUM('user', 'admin') NOT NULL DEFAULT 'user' COMMENT '发起方：用户申请、管理员直接退款',
+  admin_notes TEXT NULL COMMENT '管理员备注',
+  wechat_refund_id VARCHAR(64) NULL COMMENT '微信退款单号',
+  processed_at DATETIME NULL COMMENT '审核时间',
+  completed_at DATETIME NULL COMMENT '退款完成时间',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_refund_no (refund_no),
+  INDEX idx_payment_id (payment_id),
+  INDEX idx_order_id (order_id),
+  INDEX idx_status (status),
+  FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='退款记录表';
+
+-- 迁移已有的整单退款记录
+INSERT INTO refunds (refund_no, payment_id, order_id, user_id, amount, status, reason, admin_notes, wechat_refund_id, processed_at, completed_at, created_at)
+SELECT
+  CONCAT('RF', p.out_trade_no),
+  p.id,
+  p.order_id,
+  p.user_id,
+  p.amount,
+  CASE p.refund_status WHEN 'processing' THEN 'pending' ELSE p.refund_status END,
+  p.refund_reason,
+  p.admin_notes,
+  p.refund_id,
+  CASE WHEN p.refund_status IN ('success', 'rejected') THEN p.updated_at END,
+  p.refund_completed_at,
+  COALESCE(p.refund_requested_at, p.updated_at)
+FROM payments p
+WHERE p.refund_status IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM refunds r WHERE r.payment_id = p.id);
@@ -0,0 +1,26 @@
+-- 评价增加电工回复与隐藏字段，创建评价举报表
+ALTER TABLE reviews
+  ADD COLUMN reply VARCHAR(500) NULL COMMENT '电工公开回复（每条评价仅可回复一次）' AFTER images,
+  ADD COLUMN replied_at DATETIME NULL COMMENT '电工回复时间' AFTER reply,
+  ADD COLUMN is_hidden BOOLEAN NOT NULL DEFAULT FALSE COMMENT '是否被管理员隐藏（隐藏后不公开展示，不计入评分与结算规则）' AFTER replied_at,
+  ADD COLUMN hidden_reason VARCHAR(255) NULL COMMENT '隐藏原因' AFTER is_hidden,
+  ADD COLUMN hidden_at DATETIME NULL COMMENT '隐藏时间' AFTER hidden_reason,
+  ADD INDEX idx_electrician_hidden (electrician_id, is_hidden);
+
+CREATE TABLE IF NOT EXISTS review_reports (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '举报ID',
+  review_id INT NOT NULL COMMENT '评价ID',
+  electrician_id INT NOT NULL COMMENT '举报电工ID',
+  reason_type ENUM('abusive', 'unrelated') NOT NULL COMMENT '举报类型：辱骂/人身攻击、与服务无关',
+  description VARCHAR(500) NULL COMMENT '举报说明',
+  status ENUM('pending', 'upheld', 'dismissed') NOT NULL DEFAULT 'pending' COMMENT '状态：待审核、已隐藏评价、已驳回',
+  admin_id INT NULL COMMENT '审核管理员ID（admins 表）',
+  admin_note VARCHAR(255) NULL COMMENT '审核备注',
+  handled_at DATETIME NULL COMMENT '审核时间',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_review_id (review_id),
+  INDEX idx_status_created (status, created_at),
+  FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+  FOREIGN KEY (electrician_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='评价举报表';
@@ -0,0 +1,26 @@
+-- 创建测试账号表（固定验证码登录、测试支付），工单增加测试标记；原内置测试手机号迁移为测试账号
+CREATE TABLE IF NOT EXISTS sandbox_accounts (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '测试账号ID',
+  phone VARCHAR(20) NOT NULL COMMENT '手机号',
+  login_code_hash VARCHAR(100) NULL COMMENT '固定登录验证码哈希（bcrypt），为空时不可登录',
+  remark VARCHAR(255) NULL COMMENT '备注（用途、使用人）',
+  status ENUM('active', 'disabled') NOT NULL DEFAULT 'active' COMMENT '状态：启用、停用',
+  created_by INT NULL COMMENT '设置的管理员ID（admins 表）',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_phone (phone)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='测试账号表';
+
+ALTER TABLE orders
+  ADD COLUMN is_sandbox TINYINT(1) NOT NULL DEFAULT 0 COMMENT '是否测试账号创建的工单（不计入统计）' AFTER settled_at,
+  ADD INDEX idx_is_sandbox (is_sandbox);
+
+-- 原登录接口内置的测试手机号：以停用状态登记，需管理员在后台设置固定验证码并启用
+INSERT IGNORE INTO sandbox_accounts (phone, login_code_hash, remark, status) VALUES
+('13800138040', NULL, '原内置测试账号', 'disabled'),
+('13800138041', NULL, '原内置测试账号', 'disabled');
+
+UPDATE orders o
+  JOIN users u ON u.id = o.user_id
+  SET o.is_sandbox = 1
+  WHERE u.phone IN ('13800138040', '13800138041');
@@ -0,0 +1,21 @@
+-- 创建上传文件登记表（内容去重、无引用文件清理），新增清理宽限期配置
+CREATE TABLE IF NOT EXISTS uploaded_files (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '文件ID',
+  storage_key VARCHAR(255) NOT NULL COMMENT '存储键，如 uploads/avatars/xxx.jpg',
+  content_hash CHAR(64) NOT NULL COMMENT '文件内容 SHA-256',
+  size INT NOT NULL COMMENT '文件大小（字节）',
+  mime_type VARCHAR(100) NOT NULL COMMENT '按文件头识别的类型',
+  owner_id INT NULL COMMENT '上传用户ID',
+  purpose ENUM('avatar', 'certification', 'problem', 'repair', 'general', 'other') NOT NULL COMMENT '用途：头像、认证证件、故障照片、维修照片、通用上传、其他',
+  status ENUM('active', 'deleted') NOT NULL DEFAULT 'active' COMMENT '状态：正常、已清理',
+  checked_at DATETIME NULL COMMENT '最近一次引用检查时间',
+  deleted_at DATETIME NULL COMMENT '清理时间',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_storage_key (storage_key),
+  INDEX idx_owner_purpose_hash (owner_id, purpose, content_hash),
+  INDEX idx_status_checked (status, checked_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='上传文件登记表';
+
+INSERT IGNORE INTO system_configs (config_key, config_value, description) VALUES
+('upload_orphan_grace_hours', '72', '上传文件无引用超过该时长(小时)后由定时任务清理');
@@ -0,0 +1,59 @@
+-- 创建电工钱包流水表（流水只增不改，余额由流水汇总得出）
+CREATE TABLE IF NOT EXISTS wallet_transactions (
+  id INT PRIMARY KEY AUTO_INCREMENT COMMENT '流水ID',
+  electrician_id INT NOT NULL COMMENT '电工ID',
+  type ENUM('opening', 'settlement', 'settlement_reversal', 'withdraw_lock', 'withdraw_success', 'withdraw_unlock', 'adjustment') NOT NULL COMMENT '流水类型：期初余额、订单结算入账、结算冲正、提现冻结、提现成功、提现解冻、人工调整',
+  amount DECIMAL(10,2) NOT NULL DEFAULT 0 COMMENT '可用余额变动',
+  locked_amount DECIMAL(10,2) NOT NULL DEFAULT 0 COMMENT '冻结金额变动',
+  balance_after DECIMAL(10,2) NOT NULL COMMENT '记账后可用余额',
+  locked_after DECIMAL(10,2) NOT NULL COMMENT '记账后冻结金额',
+  order_id INT NULL COMMENT '关联工单ID',
+  withdrawal_id INT NULL COMMENT '关联提现ID',
+  operator_id INT NULL COMMENT '人工调整的管理员ID',
+  remark VARCHAR(255) NULL COMMENT '备注',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_electrician_created (electrician_id, created_at),
+  INDEX idx_order_id (order_id),
+  INDEX idx_withdrawal_id (withdrawal_id),
+  FOREIGN KEY (electrician_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='电工钱包流水表';
+
+-- 按原有算法（已结算工单收款 - 成功提现 - 处理中提现）为已有电工写入期初余额
+-- 处理中与待处理的提现计入冻结金额，后续完成或失败时按提现流水扣除或解冻
+INSERT INTO wallet_transactions (electrician_id, type, amount, locked_amount, balance_after, locked_after, remark)
+SELECT
+  b.electrician_id,
+  'opening',
+  b.income - b.withdrawn - b.locked,
+  b.locked,
+  b.income - b.withdrawn - b.locked,
+  b.locked,
+  '钱包流水上线前的期初余额'
+FROM (
+  SELECT
+    e.electrician_id,
+    COALESCE((
+      SELECT SUM(p.amount) FROM payments p
+      JOIN orders o ON o.id = p.order_id
+      WHERE o.electrician_id = e.electrician_id
+        AND o.status = 'completed_settled'
+        AND p.status = 'success'
+        AND p.type IN ('prepay', 'repair')
+    ), 0) AS income,
+    COALESCE((
+      SELECT SUM(w.amount) FROM Withdrawals w
+      WHERE w.electrician_id = e.electrician_id AND w.status = 'success'
+    ), 0) AS withdrawn,
+    COALESCE((
+      SELECT SUM(w.amount) FROM Withdrawals w
+      WHERE w.electrician_id = e.electrician_id AND w.status IN ('pending', 'processing')
+    ), 0) AS locked
+  FROM (
+    SELECT DISTINCT electrician_id FROM orders WHERE status = 'completed_settled' AND electrician_id IS NOT NULL
+    UNION
+    SELECT DISTINCT electrician_id FROM Withdrawals
+  ) e
+) b
+WHERE NOT EXISTS (
+  SELECT 1 FROM wallet_transactions wt WHERE wt.electrician_id = b.electrician_id AND wt.type = 'opening'
+);
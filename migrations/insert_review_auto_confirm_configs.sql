@@ -0,0 +1,4 @@
+-- 新增评价超时自动确认配置
+INSERT IGNORE INTO system_configs (config_key, config_value, description) VALUES
+('review_auto_confirm_hours', '168', '工单完成后用户未评价自动确认时长(小时)'),
+('review_auto_confirm_outcome', 'unsettle', '待二次评价超时的默认结果：unsettle 不结算（默认）/ settle 结算');
@@ -0,0 +1,3 @@
+-- 支付退款状态新增退款关闭、退款异常（以微信退款结果通知的最终状态为准）
+ALTER TABLE `payments`
+MODIFY COLUMN `refund_status` ENUM('processing', 'success', 'rejected', 'closed', 'abnormal') NULL COMMENT '退款状态：退款中、退款成功、已拒绝、退款关闭、退款异常';
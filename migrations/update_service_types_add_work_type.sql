@@ -0,0 +1,7 @@
+-- 为服务类型新增所需工作类型，用于接单大厅按电工认证的工作类型筛选工单
+ALTER TABLE `service_types`
+ADD COLUMN `work_type` ENUM('maintenance', 'installation') NOT NULL DEFAULT 'maintenance' COMMENT '所需工作类型：维修、安装' AFTER `prepay_note`;
+
+-- 工单经纬度索引，用于接单大厅按距离筛选
+ALTER TABLE `orders`
+ADD INDEX `idx_orders_lat_lng` (`latitude`, `longitude`);
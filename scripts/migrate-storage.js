@@ -0,0 +1,78 @@
+/**
+ * 在存储驱动之间迁移上传文件（如本地磁盘 -> 对象存储）
+ * 用法：node scripts/migrate-storage.js --from local --to s3 [--namespace uploads|private] [--delete-source] [--dry-run]
+ * - 默认迁移 uploads（公开）与 private（私有）两个命名空间
+ * - 目标已存在的文件跳过；数据库保存的地址与驱动无关，迁移后无需修改数据库
+ * - 迁移完成后将 STORAGE_DRIVER 切换为目标驱动并重启服务
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const StorageService = require('../src/services/storageService');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const name = arg.slice(2);
+    const next = argv[i + 1];
+    if (next && !next.startsWith('--')) {
+      args[name] = next;
+      i++;
+    } else {
+      args[name] = true;
+    }
+  }
+  return args;
+};
+
+(async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.from || !args.to || args.from === args.to) {
+    console.error('用法: node scripts/migrate-storage.js --from local --to s3 [--namespace uploads|private] [--delete-source] [--dry-run]');
+    process.exit(1);
+  }
+
+  try {
+    const source = StorageService.getDriver(args.from);
+    const target = StorageService.getDriver(args.to);
+    const namespaces = args.namespace ? [args.namespace] : StorageService.NAMESPACES;
+    const stats = { copied: 0, skipped: 0, failed: 0 };
+
+    for (const namespace of namespaces) {
+      const keys = await source.list(namespace);
+      console.log(`📂 ${namespace}: ${keys.length} 个文件`);
+
+      for (const key of keys) {
+        try {
+          if (await target.exists(key)) {
+            stats.skipped++;
+            continue;
+          }
+          if (args['dry-run']) {
+            console.log(`  将迁移 ${key}`);
+            stats.copied++;
+            continue;
+          }
+          const body = await source.get(key);
+          await target.put(key, body, StorageService.guessContentType(key));
+          if (args['delete-source']) {
+            await source.delete(key);
+          }
+          stats.copied++;
+        } catch (err) {
+          stats.failed++;
+          console.error(`  ❌ ${key}: ${err.message || err}`);
+        }
+      }
+    }
+
+    console.log(`✅ 迁移完成：迁移 ${stats.copied}，跳过 ${stats.skipped}，失败 ${stats.failed}${args['dry-run'] ? '（试运行）' : ''}`);
+    if (stats.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error('❌ 迁移失败:', err.message || err);
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,64 @@
+/**
+ * 将历史认证证件从公开目录 uploads/certifications 迁移到私有目录，
+ * 并把 electrician_certifications、certification_submissions 中的图片地址改为私有文件标识
+ * 用法：node scripts/move-certification-files.js
+ */
+const mysql = require('mysql2/promise');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const PUBLIC_DIR = path.join(process.env.UPLOAD_DIR || path.join(__dirname, '../uploads'), 'certifications');
+const PRIVATE_DIR = path.join(process.env.PRIVATE_UPLOAD_DIR || path.join(__dirname, '../private_uploads'), 'certifications');
+const OLD_PREFIX = '/uploads/certifications/';
+const NEW_PREFIX = '/private/certifications/';
+
+const dbConfig = {
+  host: process.env.DB_HOST || 'localhost',
+  port: process.env.DB_PORT || 3306,
+  user: process.env.DB_USER || 'root',
+  password: process.env.DB_PASSWORD || '',
+  database: process.env.DB_NAME,
+  charset: 'utf8mb4',
+  timezone: '+08:00',
+};
+
+(async () => {
+  let conn;
+  try {
+    fs.mkdirSync(PRIVATE_DIR, { recursive: true });
+    const files = fs.existsSync(PUBLIC_DIR) ? fs.readdirSync(PUBLIC_DIR) : [];
+    let moved = 0;
+    for (const file of files) {
+      const from = path.join(PUBLIC_DIR, file);
+      if (!fs.statSync(from).isFile()) continue;
+      fs.renameSync(from, path.join(PRIVATE_DIR, file));
+      moved++;
+    }
+    console.log(`📦 已迁移文件: ${moved} 个`);
+
+    conn = await mysql.createConnection(dbConfig);
+    console.log('✅ 已连接数据库');
+
+    for (const field of ['id_card_front', 'id_card_back', 'certificate_img']) {
+      const [result] = await conn.query(
+        `UPDATE electrician_certifications SET ${field} = REPLACE(${field}, ?, ?) WHERE ${field} LIKE ?`,
+        [OLD_PREFIX, NEW_PREFIX, `${OLD_PREFIX}%`]
+      );
+      console.log(`✅ electrician_certifications.${field}: ${result.affectedRows} 条`);
+    }
+
+    const [result] = await conn.query(
+      `UPDATE certification_submissions
+       SET snapshot = CAST(REPLACE(CAST(snapshot AS CHAR), ?, ?) AS JSON)
+       WHERE CAST(snapshot AS CHAR) LIKE ?`,
+      [OLD_PREFIX, NEW_PREFIX, `%${OLD_PREFIX}%`]
+    );
+    console.log(`✅ certification_submissions.snapshot: ${result.affectedRows} 条`);
+  } catch (err) {
+    console.error('❌ 迁移失败:', err.message || err);
+    process.exitCode = 1;
+  } finally {
+    if (conn) await conn.end();
+  }
+})();
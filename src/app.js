@@ -2,7 +2,6 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const path = require('path');
 require('dotenv').config();
 
 // 导入中间件
@@ -19,10 +18,13 @@ const addressRoutes = require('./routes/addresses');
 const messageRoutes = require('./routes/messages');
 const adminRoutes = require('./routes/admin');
 const uploadRoutes = require('./routes/upload');
+const fileRoutes = require('./routes/files');
 const systemRoutes = require('./routes/system');
 const userRoutes = require('./routes/users');
 const electricianRoutes = require('./routes/electricians');
-const { initPaymentTimeoutJob } = require('./services/paymentTimeoutJob');
+const { registerJobs } = require('./services/jobs');
+const JobRunner = require('./services/jobRunner');
+const StorageService = require('./services/storageService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -36,8 +38,9 @@ app.use(morgan('combined')); // 日志
 app.use(express.json({ limit: '10mb' })); // JSON解析
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); // URL编码解析
 
-// 静态文件服务
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// 公开文件服务（由存储驱动解析；认证证件为私有文件，禁止通过 /uploads 访问历史路径）
+app.use('/uploads/certifications', (req, res) => res.status(404).end());
+app.use('/uploads', StorageService.publicFileHandler());
 
 // 响应格式化中间件
 app.use(responseFormatter);
@@ -56,6 +59,7 @@ app.use('/api/addresses', addressRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/files', fileRoutes);
 app.use('/api/system', systemRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/electricians', electricianRoutes);
@@ -79,6 +83,9 @@ app.use('*', (req, res) => {
 // 错误处理中间件
 app.use(errorHandler);
 
+// 注册定时任务
+registerJobs();
+
 // 启动服务器
 app.listen(PORT, () => {
   console.log(`🚀 服务器启动成功，端口: ${PORT}`);
@@ -88,8 +95,10 @@ app.listen(PORT, () => {
     '[Startup] Withdrawal status debug tag: /api/electricians/withdrawals/:outBatchNo/status @',
     new Date().toISOString()
   );
-  // 启动预付款超时关闭任务（临时停用以避免启动报错）
-  // initPaymentTimeoutJob();
+  // 启动定时任务调度（多实例部署时由 Redis 锁保证每个任务只在一个实例执行，JOBS_ENABLED=false 可关闭调度，仍可手动触发）
+  if (process.env.JOBS_ENABLED !== 'false') {
+    JobRunner.start();
+  }
   // 枚举值变更由你手动执行数据库更新，不在应用启动中处理
 });
 
@@ -14,6 +14,53 @@ const ElectricianCertification = require('../models/ElectricianCertification');
 const Order = require('../models/Order');
 const ServiceType = require('../models/ServiceType');
 const SystemMessage = require('../models/SystemMessage');
+const SystemConfig = require('../models/SystemConfig');
+const ElectricianCommission = require('../models/ElectricianCommission');
+const CatalogItem = require('../models/CatalogItem');
+const OrderStateMachine = require('../services/orderStateMachine');
+const JobRunner = require('../services/jobRunner');
+const WalletService = require('../services/walletService');
+const OrderChatService = require('../services/orderChatService');
+const DisputeService = require('../services/disputeService');
+const ReviewService = require('../services/reviewService');
+const CertificationService = require('../services/certificationService');
+const CertificationReviewService = require('../services/certificationReviewService');
+const CertificationCheckService = require('../services/certificationCheckService');
+const PrivateFileService = require('../services/privateFileService');
+const SandboxService = require('../services/sandboxService');
+
+// 校验佣金配置，返回错误信息
+function validateCommission(commissionType, commissionValue) {
+  if (!['percent', 'fixed'].includes(commissionType)) {
+    return '佣金类型无效';
+  }
+  const value = Number(commissionValue);
+  if (commissionValue === undefined || commissionValue === null || !Number.isFinite(value) || value < 0) {
+    return '佣金数值无效';
+  }
+  if (commissionType === 'percent' && value > 100) {
+    return '佣金比例不能超过100%';
+  }
+  return null;
+}
+
+// 校验物料/工时目录项，返回错误信息
+function validateCatalogItem({ item_type, name, unit, reference_price }) {
+  if (!['labor', 'material', 'call_out_fee'].includes(item_type)) {
+    return '项目类型无效';
+  }
+  if (!name || !String(name).trim()) {
+    return '项目名称不能为空';
+  }
+  if (!unit || !String(unit).trim()) {
+    return '单位不能为空';
+  }
+  const price = Number(reference_price);
+  if (reference_price === undefined || reference_price === null || !Number.isFinite(price) || price < 0) {
+    return '参考单价无效';
+  }
+  return null;
+}
 
 class AdminController {
   // 管理员登录
@@ -299,9 +346,15 @@ class AdminController {
         return res.error('电工认证记录不存在', 404);
       }
 
+      // 最新提交版本：status 为 first_approved 时表示初审已通过、等待复审
+      const latestSubmission = await CertificationReviewService.getLatestSubmission(certification.id);
+      // 身份证核验结果及与其他账号重复的身份证号/电工证编号
+      const verification = await CertificationCheckService.getVerificationReport(certification);
+
       // 格式化结果，映射字段名称
       const plainCert = certification.get({ plain: true });
       const userInfo = plainCert.User || {};
+      const viewer = { role: 'admin', id: req.user.id };
       
       const result = {
         id: plainCert.id,
@@ -322,9 +375,12 @@ class AdminController {
         nickname: userInfo.nickname,
         avatar: userInfo.avatar,
         user_created_at: userInfo.created_at,
-        id_card_front: plainCert.id_card_front,
-        id_card_back: plainCert.id_card_back,
-        license_photo: plainCert.certificate_img
+        // 证件图片为私有文件，返回绑定当前管理员的限时地址，查看时记录访问
+        id_card_front: await PrivateFileService.getAccessUrl(plainCert.id_card_front, viewer),
+        id_card_back: await PrivateFileService.getAccessUrl(plainCert.id_card_back, viewer),
+        license_photo: await PrivateFileService.getAccessUrl(plainCert.certificate_img, viewer),
+        latest_submission: latestSubmission,
+        verification
       };
 
       res.success(result);
@@ -334,46 +390,161 @@ class AdminController {
     }
   }
 
-  // 审核电工认证
+  // 审核电工认证（开启复审时，初审通过后需另一位管理员复审）
   static async reviewElectrician(req, res) {
     try {
       const { id } = req.params;
       const { status, reason = '' } = req.body;
 
-      // 直接通过认证记录ID查询
-      const certification = await ElectricianCertification.findByPk(id);
-      
-      if (!certification) {
-        return res.error('认证申请不存在', 404);
-      }
-      
-      certification.status = status;
-      if (status === 'rejected') {
-        certification.reject_reason = reason;
-      } else if (status === 'approved') {
-        certification.approved_at = new Date();
-        certification.reject_reason = null;
-        
-        // 同步更新用户表状态
-        const user = await User.findByPk(certification.user_id);
-        if (user) {
-          await user.update({ 
-            can_be_electrician: true,
-            current_role: 'electrician'
-          });
-          console.log(`用户 ${user.id} 电工认证通过，已更新用户表角色为电工`);
-        }
+      if (!['approved', 'rejected'].includes(status)) {
+        return res.error('审核结论无效', 400);
       }
-      
-      await certification.save();
 
-      res.success(null, '审核完成');
+      const result = await CertificationReviewService.review(id, req.user.id, {
+        decision: status,
+        reason: String(reason).trim()
+      });
+
+      res.success({
+        step: result.step,
+        finished: result.finished,
+        submission_status: result.submission.status
+      }, result.finished ? '审核完成' : '初审通过，等待复审');
     } catch (error) {
       console.error('审核电工错误:', error);
+      if (error.isOperational) {
+        return res.error(error.message, error.statusCode);
+      }
       res.error('审核失败');
     }
   }
 
+  // 获取电工认证的提交版本与审核记录
+  static async getCertificationHistory(req, res) {
+    try {
+      const submissions = await CertificationReviewService.getHistory(req.params.id);
+      const viewer = { role: 'admin', id: req.user.id };
+      const history = await Promise.all(submissions.map(async (submission) => {
+        const plain = submission.get({ plain: true });
+        return { ...plain, snapshot: await PrivateFileService.signCertificationImages(plain.snapshot, viewer) };
+      }));
+      res.success(history);
+    } catch (error) {
+      console.error('获取认证审核记录错误:', error);
+      if (error.isOperational) {
+        return res.error(error.message, error.statusCode);
+      }
+      res.error('获取认证审核记录失败');
+    }
+  }
+
+  // 获取管理员查看认证证件等私有文件的记录
+  static async getFileAccessLogs(req, res) {
+    try {
+      const { page = 1, limit = 20, admin_id, owner_id } = req.query;
+
+      const { count, rows } = await PrivateFileService.listAccessLogs({
+        adminId: admin_id ? parseInt(admin_id) : undefined,
+        ownerId: owner_id ? parseInt(owner_id) : undefined,
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit) || 20, 100)
+      });
+
+      res.paginate(rows, count, page, limit);
+    } catch (error) {
+      console.error('获取文件访问记录错误:', error);
+      res.error('获取文件访问记录失败');
+    }
+  }
+
+  // 获取电工证即将到期 / 已过期的电工（按到期日期升序）
+  static async getExpiringCertifications(req, res) {
+    try {
+      const { page = 1, limit = 20, status = '', days = 30 } = req.query;
+
+      if (status && !['expiring', 'expired'].includes(status)) {
+        return res.error('到期状态无效', 400);
+      }
+      const dayRange = parseInt(days);
+      if (!(dayRange >= 1 && dayRange <= 365)) {
+        return res.error('天数范围应为1-365', 400);
+      }
+
+      const { count, rows } = await CertificationService.listExpiring({
+        status: status || undefined,
+        days: dayRange,
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit) || 20, 100)
+      });
+
+      res.paginate(rows, count, page, limit);
+    } catch (error) {
+      console.error('获取到期电工证列表错误:', error);
+      res.error('获取到期电工证列表失败');
+    }
+  }
+
+  // 获取电工钱包余额与流水
+  static async getElectricianWallet(req, res) {
+    try {
+      const { electricianId } = req.params;
+      const { page = 1, limit = 20, type } = req.query;
+
+      const electrician = await User.findByPk(electricianId, { attributes: ['id'] });
+      if (!electrician) {
+        return res.error('电工不存在', 404);
+      }
+
+      const balance = await WalletService.getBalance(electrician.id);
+      const { count, rows } = await WalletService.getTransactions(electrician.id, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        type
+      });
+
+      res.success({
+        balance,
+        list: rows,
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+    } catch (error) {
+      console.error('获取电工钱包错误:', error);
+      res.error('获取电工钱包失败');
+    }
+  }
+
+  // 人工调整电工钱包余额
+  static async adjustElectricianWallet(req, res) {
+    try {
+      const { electricianId } = req.params;
+      const { amount, reason } = req.body;
+
+      if (!Number.isFinite(Number(amount))) {
+        return res.error('调整金额无效', 400);
+      }
+
+      const electrician = await User.findByPk(electricianId, { attributes: ['id'] });
+      if (!electrician) {
+        return res.error('电工不存在', 404);
+      }
+
+      const transaction = await WalletService.adjust(electrician.id, Number(amount), {
+        reason: reason && `管理员(${req.user.username})调整：${reason}`,
+        operatorId: req.user.id
+      });
+
+      res.success(transaction, '余额调整成功');
+    } catch (error) {
+      console.error('调整电工钱包错误:', error);
+      if (error.isOperational) {
+        return res.error(error.message, error.statusCode);
+      }
+      res.error('调整失败');
+    }
+  }
+
   // 获取工单列表
   static async getOrders(req, res) {
     try {
@@ -405,7 +576,7 @@ class AdminController {
       const { count, rows: orders } = await Order.findAndCountAll({
         where,
         attributes: ['id', 'order_no', 'user_id', 'electrician_id', 'service_type_id', 'status', 
-                    'final_amount', 'title', 'service_address', 'created_at', 'updated_at'],
+                    'final_amount', 'in_dispute', 'title', 'service_address', 'created_at', 'updated_at'],
         include: [
           {
             model: User,
@@ -514,6 +685,196 @@ class AdminController {
     }
   }
 
+  // 查看工单会话（纠纷处理）
+  static async getOrderChat(req, res) {
+    try {
+      const { id } = req.params;
+      const { before_id, limit = 30 } = req.query;
+
+      const order = await Order.findByPk(id);
+      if (!order) {
+        return res.error('工单不存在', 404);
+      }
+
+      const thread = await OrderChatService.getThread(order, { role: 'admin', id: req.user.id }, {
+        beforeId: before_id ? parseInt(before_id) : undefined,
+        limit: Math.min(parseInt(limit) || 30, 100)
+      });
+
+      res.success(thread);
+    } catch (error) {
+      console.error('获取工单会话错误:', error);
+      res.error('获取工单会话失败');
+    }
+  }
+
+  // 以平台身份在工单会话中发言（纠纷处理）
+  static async sendOrderChat(req, res) {
+    try {
+      const { id } = req.params;
+      const { content_type = 'text', content } = req.body;
+
+      if (!['text', 'image'].includes(content_type)) {
+        return res.error('消息类型无效', 400);
+      }
+      if (!content || !String(content).trim()) {
+        return res.error('消息内容不能为空', 400);
+      }
+
+      const order = await Order.findByPk(id);
+      if (!order) {
+        return res.error('工单不存在', 404);
+      }
+
+      const message = await OrderChatService.send(order, { role: 'admin', id: req.user.id }, {
+        contentType: content_type,
+        content: String(content).trim()
+      });
+
+      res.success(message, '发送成功');
+    } catch (error) {
+      console.error('发送工单会话消息错误:', error);
+      if (error.isOperational) {
+        return res.error(error.message, error.statusCode);
+      }
+      res.error('发送失败');
+    }
+  }
+
+  // 获取评价举报审核队列（status=pending 时按提交时间先后排列）
+  static async getReviewReports(req, res) {
+    try {
+      const { page = 1, limit = 20, status = '' } = req.query;
+
+      if (status && !['pending', 'upheld', 'dismissed'].includes(status)) {
+        return res.error('举报状态无效', 400);
+      }
+
+      const { count, rows } = await ReviewService.listReports({
+        status: status || undefined,
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit) || 20, 100)
+      });
+
+      res.paginate(rows, count, page, limit);
+    } catch (error) {
+      console.error('获取评价举报列表错误:', error);
+      res.error('获取评价举报列表失败');
+    }
+  }
+
+  // 审核评价举报：hide 隐藏评价（不计入评分与结算规则）/ dismiss 驳回
+  static async handleReviewReport(req, res) {
+    try {
+      const { action, note = '' } = req.body;
+
+      if (!['hide', 'dismiss'].includes(action)) {
+        return res.error('审核操作无效', 400);
+      }
+
+      const result = await ReviewService.handleReport(req.params.id, req.user.id, {
+        action,
+        note: String(note).trim()
+      });
+
+      res.success(result, action === 'hide' ? '评价已隐藏' : '举报已驳回');
+    } catch (error) {
+      console.error('审核评价举报错误:', error);
+      if (error.isOperational) {
+        return res.error(error.message, error.statusCode);
+      }
+      res.error('审核失败');
+    }
+  }
+
+  // 获取纠纷队列（status=open 时按发起时间先后排列）
+  static async getDisputes(req, res) {
+    try {
+      const { page = 1, limit = 20, status = '', order_no = '' } = req.query;
+
+      if (status && !['open', 'resolved', 'withdrawn'].includes(status)) {
+        return res.error('纠纷状态无效', 400);
+      }
+
+      const { count, rows } = await DisputeService.getQueue({
+        status: status || undefined,
+        orderNo: order_no.trim() || undefined,
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit) || 20, 100)
+      });
+
+      res.paginate(rows, count, page, limit);
+    } catch (error) {
+      console.error('获取纠纷列表错误:', error);
+      res.error('获取纠纷列表失败');
+    }
+  }
+
+  // 获取纠纷详情（含内部备注、各笔支付可退金额）
+  static async getDisputeDetail(req, res) {
+    try {
+      const dispute = await DisputeService.getDetail(req.params.id);
+      res.success(dispute);
+    } catch (error) {
+      console.error('获取纠纷详情错误:', error);
+      if (error.isOperational) {
+        return res.error(error.message, error.statusCode);
+      }
+      res.error('获取纠纷详情失败');
+    }
+  }
+
+  // 添加纠纷内部备注
+  static async addDisputeNote(req, res) {
+    try {
+      const { content } = req.body;
+
+      if (!content || !String(content).trim()) {
+        return res.error('备注内容不能为空', 400);
+      }
+
+      const event = await DisputeService.addNote(req.params.id, req.user.id, String(content).trim());
+      res.success(event, '备注已添加');
+    } catch (error) {
+      console.error('添加纠纷备注错误:', error);
+      if (error.isOperational) {
+        return res.error(error.message, error.statusCode);
+      }
+      res.error('添加备注失败');
+    }
+  }
+
+  // 裁决纠纷：全额结算、部分结算（其余退款）或全额退款
+  static async resolveDispute(req, res) {
+    try {
+      const { ruling, settle_amount, note = '' } = req.body;
+
+      if (!DisputeService.RULINGS.includes(ruling)) {
+        return res.error('裁决结果无效', 400);
+      }
+      if (ruling === 'partial_settle' && !(Number(settle_amount) > 0)) {
+        return res.error('部分结算需填写结算金额', 400);
+      }
+
+      const { dispute, refunds } = await DisputeService.resolve(req.params.id, req.user.id, {
+        ruling,
+        settleAmount: settle_amount,
+        note: String(note).trim()
+      });
+
+      const failed = refunds.filter(r => r.status === 'failed');
+      res.success({ dispute, refunds }, failed.length > 0
+        ? `裁决已生效，${failed.length}笔退款执行失败，请在退款管理中重试`
+        : '裁决已生效');
+    } catch (error) {
+      console.error('裁决纠纷错误:', error);
+      if (error.isOperational) {
+        return res.error(error.message, error.statusCode);
+      }
+      res.error('裁决失败');
+    }
+  }
+
   // 更新工单状态
   static async updateOrderStatus(req, res) {
     try {
@@ -525,17 +886,414 @@ class AdminController {
         return res.error('工单不存在', 404);
       }
       
-      order.status = status;
-      order.admin_note = reason;
-      await order.save();
+      // 仅允许状态机中管理员可执行的流转
+      await OrderStateMachine.transitionTo(order, status, {
+        operatorType: 'admin',
+        operatorId: req.user.id,
+        remark: `管理员(${req.user.username})调整工单状态${reason ? `：${reason}` : ''}`,
+        data: { reason }
+      });
 
       res.success(null, '工单状态更新成功');
     } catch (error) {
       console.error('更新工单状态错误:', error);
+      if (error.isOperational) {
+        return res.error(error.message, error.statusCode);
+      }
+      res.error('更新失败');
+    }
+  }
+
+  // 更新服务类型接单模式（抢单/派单）及派单参数
+  static async updateServiceTypeDispatch(req, res) {
+    try {
+      const { id } = req.params;
+      const { dispatch_mode, dispatch_timeout, dispatch_max_attempts } = req.body;
+
+      const serviceType = await ServiceType.findByPk(id);
+      if (!serviceType) {
+        return res.error('服务类型不存在', 404);
+      }
+
+      if (dispatch_mode !== undefined && !['grab', 'dispatch'].includes(dispatch_mode)) {
+        return res.error('接单模式无效', 400);
+      }
+      if (dispatch_timeout !== undefined && !(Number.isInteger(dispatch_timeout) && dispatch_timeout >= 30 && dispatch_timeout <= 3600)) {
+        return res.error('派单响应时间需为30~3600秒', 400);
+      }
+      if (dispatch_max_attempts !== undefined && !(Number.isInteger(dispatch_max_attempts) && dispatch_max_attempts >= 1 && dispatch_max_attempts <= 20)) {
+        return res.error('最多派单电工数需为1~20', 400);
+      }
+
+      await serviceType.update({
+        ...(dispatch_mode !== undefined && { dispatch_mode }),
+        ...(dispatch_timeout !== undefined && { dispatch_timeout }),
+        ...(dispatch_max_attempts !== undefined && { dispatch_max_attempts })
+      });
+
+      res.success(serviceType, '接单模式更新成功');
+    } catch (error) {
+      console.error('更新服务类型接单模式错误:', error);
+      res.error('更新失败');
+    }
+  }
+
+  // 更新服务类型平台佣金
+  static async updateServiceTypeCommission(req, res) {
+    try {
+      const { id } = req.params;
+      const { commission_type, commission_value } = req.body;
+
+      const serviceType = await ServiceType.findByPk(id);
+      if (!serviceType) {
+        return res.error('服务类型不存在', 404);
+      }
+
+      const error = validateCommission(commission_type, commission_value);
+      if (error) {
+        return res.error(error, 400);
+      }
+
+      await serviceType.update({ commission_type, commission_value });
+
+      res.success(serviceType, '佣金配置更新成功');
+    } catch (error) {
+      console.error('更新服务类型佣金错误:', error);
+      res.error('更新失败');
+    }
+  }
+
+  // 获取电工佣金特殊费率列表
+  static async getElectricianCommissions(req, res) {
+    try {
+      const { electrician_id } = req.query;
+
+      const where = {};
+      if (electrician_id) {
+        where.electrician_id = electrician_id;
+      }
+
+      const commissions = await ElectricianCommission.findAll({
+        where,
+        include: [
+          { model: User, as: 'electrician', attributes: ['id', 'nickname', 'phone'] },
+          { model: ServiceType, as: 'serviceType', attributes: ['id', 'name'] }
+        ],
+        order: [['electrician_id', 'ASC'], ['service_type_id', 'ASC']]
+      });
+
+      res.success(commissions);
+    } catch (error) {
+      console.error('获取电工佣金费率错误:', error);
+      res.error('获取电工佣金费率失败');
+    }
+  }
+
+  // 设置电工佣金特殊费率（同一电工同一服务类型只保留一条）
+  static async setElectricianCommission(req, res) {
+    try {
+      const { electrician_id, service_type_id = null, commission_type, commission_value, remark } = req.body;
+
+      const electrician = await User.findByPk(electrician_id, { attributes: ['id'] });
+      if (!electrician) {
+        return res.error('电工不存在', 404);
+      }
+      if (service_type_id !== null && !(await ServiceType.findByPk(service_type_id))) {
+        return res.error('服务类型不存在', 404);
+      }
+
+      const error = validateCommission(commission_type, commission_value);
+      if (error) {
+        return res.error(error, 400);
+      }
+
+      const [commission] = await ElectricianCommission.findOrCreate({
+        where: { electrician_id, service_type_id },
+        defaults: { commission_type, commission_value, remark }
+      });
+      await commission.update({ commission_type, commission_value, remark });
+
+      res.success(commission, '电工佣金费率设置成功');
+    } catch (error) {
+      console.error('设置电工佣金费率错误:', error);
+      res.error('设置失败');
+    }
+  }
+
+  // 删除电工佣金特殊费率（恢复使用服务类型默认费率）
+  static async deleteElectricianCommission(req, res) {
+    try {
+      const { id } = req.params;
+
+      const commission = await ElectricianCommission.findByPk(id);
+      if (!commission) {
+        return res.error('费率不存在', 404);
+      }
+
+      await commission.destroy();
+
+      res.success(null, '删除成功');
+    } catch (error) {
+      console.error('删除电工佣金费率错误:', error);
+      res.error('删除失败');
+    }
+  }
+
+  // 获取物料/工时目录
+  static async getCatalogItems(req, res) {
+    try {
+      const { service_type_id, item_type, keyword, is_active } = req.query;
+
+      const where = {};
+      if (service_type_id) {
+        where.service_type_id = service_type_id;
+      }
+      if (item_type) {
+        where.item_type = item_type;
+      }
+      if (keyword) {
+        where.name = { [Op.like]: `%${keyword}%` };
+      }
+      if (is_active !== undefined && is_active !== '') {
+        where.is_active = is_active === 'true' || is_active === '1';
+      }
+
+      const items = await CatalogItem.findAll({
+        where,
+        include: [{ model: ServiceType, as: 'serviceType', attributes: ['id', 'name'] }],
+        order: [['sort_order', 'ASC'], ['id', 'ASC']]
+      });
+
+      res.success(items);
+    } catch (error) {
+      console.error('获取物料目录错误:', error);
+      res.error('获取物料目录失败');
+    }
+  }
+
+  // 新增物料/工时目录项
+  static async createCatalogItem(req, res) {
+    try {
+      const { item_type, name, spec, unit, reference_price, service_type_id = null, description, sort_order = 0, is_active = true } = req.body;
+
+      const error = validateCatalogItem(req.body);
+      if (error) {
+        return res.error(error, 400);
+      }
+      if (service_type_id !== null && !(await ServiceType.findByPk(service_type_id))) {
+        return res.error('服务类型不存在', 404);
+      }
+
+      const item = await CatalogItem.create({
+        item_type, name, spec, unit, reference_price, service_type_id, description, sort_order, is_active
+      });
+
+      res.success(item, '目录项创建成功');
+    } catch (error) {
+      console.error('创建物料目录项错误:', error);
+      res.error('创建失败');
+    }
+  }
+
+  // 更新物料/工时目录项（已提交的报价保留当时的参考单价，不受影响）
+  static async updateCatalogItem(req, res) {
+    try {
+      const { id } = req.params;
+
+      const item = await CatalogItem.findByPk(id);
+      if (!item) {
+        return res.error('目录项不存在', 404);
+      }
+
+      const fields = ['item_type', 'name', 'spec', 'unit', 'reference_price', 'service_type_id', 'description', 'sort_order', 'is_active'];
+      const changes = {};
+      fields.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      });
+
+      const error = validateCatalogItem({ ...item.get({ plain: true }), ...changes });
+      if (error) {
+        return res.error(error, 400);
+      }
+      if (changes.service_type_id && !(await ServiceType.findByPk(changes.service_type_id))) {
+        return res.error('服务类型不存在', 404);
+      }
+
+      await item.update(changes);
+
+      res.success(item, '目录项更新成功');
+    } catch (error) {
+      console.error('更新物料目录项错误:', error);
       res.error('更新失败');
     }
   }
 
+  // 删除物料/工时目录项（已引用的报价明细保留名称与参考单价）
+  static async deleteCatalogItem(req, res) {
+    try {
+      const { id } = req.params;
+
+      const item = await CatalogItem.findByPk(id);
+      if (!item) {
+        return res.error('目录项不存在', 404);
+      }
+
+      await item.destroy();
+
+      res.success(null, '删除成功');
+    } catch (error) {
+      console.error('删除物料目录项错误:', error);
+      res.error('删除失败');
+    }
+  }
+
+  // 获取测试账号列表
+  static async getSandboxAccounts(req, res) {
+    try {
+      const { page = 1, limit = 20, status, keyword } = req.query;
+
+      const { count, rows } = await SandboxService.list({
+        status,
+        keyword,
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit) || 20, 100)
+      });
+
+      res.paginate(rows, count, page, limit);
+    } catch (error) {
+      console.error('获取测试账号列表错误:', error);
+      res.error('获取测试账号列表失败');
+    }
+  }
+
+  // 指定测试账号（固定验证码登录，非生产环境可测试支付，工单不计入统计）
+  static async createSandboxAccount(req, res) {
+    try {
+      const account = await SandboxService.create(req.user.id, req.body);
+      res.success(account, '测试账号已添加');
+    } catch (error) {
+      console.error('添加测试账号错误:', error);
+      if (error.isOperational) {
+        return res.error(error.message, error.statusCode);
+      }
+      res.error('添加测试账号失败');
+    }
+  }
+
+  // 更新测试账号（固定验证码、备注、启用/停用）
+  static async updateSandboxAccount(req, res) {
+    try {
+      const account = await SandboxService.update(req.params.id, req.body);
+      res.success(account, '测试账号已更新');
+    } catch (error) {
+      console.error('更新测试账号错误:', error);
+      if (error.isOperational) {
+        return res.error(error.message, error.statusCode);
+      }
+      res.error('更新测试账号失败');
+    }
+  }
+
+  // 取消测试账号（已创建的工单保留测试标记）
+  static async deleteSandboxAccount(req, res) {
+    try {
+      await SandboxService.remove(req.params.id);
+      res.success(null, '测试账号已取消');
+    } catch (error) {
+      console.error('取消测试账号错误:', error);
+      if (error.isOperational) {
+        return res.error(error.message, error.statusCode);
+      }
+      res.error('取消测试账号失败');
+    }
+  }
+
+  // 获取系统配置列表
+  static async getConfigs(req, res) {
+    try {
+      const configs = await SystemConfig.findAll({
+        attributes: ['config_key', 'config_value', 'description', 'updated_at'],
+        order: [['config_key', 'ASC']]
+      });
+      res.success(configs);
+    } catch (error) {
+      console.error('获取系统配置错误:', error);
+      res.error('获取系统配置失败');
+    }
+  }
+
+  // 更新系统配置
+  static async updateConfig(req, res) {
+    try {
+      const { key } = req.params;
+      const { value, description } = req.body;
+
+      // 认证年龄上下限需保持最小年龄不大于最大年龄
+      if (key === 'cert_min_age' || key === 'cert_max_age') {
+        const minAge = key === 'cert_min_age' ? value : await SystemConfig.getNumber('cert_min_age', value);
+        const maxAge = key === 'cert_max_age' ? value : await SystemConfig.getNumber('cert_max_age', value);
+        if (minAge > maxAge) {
+          return res.error('认证最小年龄不能大于最大年龄', 400);
+        }
+      }
+
+      const config = await SystemConfig.setValue(key, value, description);
+      res.success(config, '配置更新成功');
+    } catch (error) {
+      console.error('更新系统配置错误:', error);
+      res.error('更新失败');
+    }
+  }
+
+  // 获取定时任务列表（含下次执行时间与最近一次执行记录）
+  static async getJobs(req, res) {
+    try {
+      const jobs = await JobRunner.listJobs();
+      res.success(jobs);
+    } catch (error) {
+      console.error('获取定时任务列表错误:', error);
+      res.error('获取定时任务列表失败');
+    }
+  }
+
+  // 获取定时任务执行历史
+  static async getJobRuns(req, res) {
+    try {
+      const { name } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+
+      const { count, rows } = await JobRunner.getJobRuns(name, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      res.paginate(rows, count, page, limit);
+    } catch (error) {
+      console.error('获取定时任务执行历史错误:', error);
+      if (error.isOperational) {
+        return res.error(error.message, error.statusCode);
+      }
+      res.error('获取定时任务执行历史失败');
+    }
+  }
+
+  // 手动触发定时任务
+  static async runJob(req, res) {
+    try {
+      const { name } = req.params;
+      const run = await JobRunner.runJob(name, { triggeredBy: req.user.id });
+      res.success(run, run.status === 'success' ? '任务执行成功' : '任务执行失败');
+    } catch (error) {
+      console.error('手动触发定时任务错误:', error);
+      if (error.isOperational) {
+        return res.error(error.message, error.statusCode);
+      }
+      res.error('触发任务失败');
+    }
+  }
+
   // 获取统计数据
   static async getStatistics(req, res) {
     try {
@@ -554,13 +1312,15 @@ class AdminController {
         electricians: electricians
       };
 
-      // 工单统计
-      const totalOrders = await Order.count();
+      // 工单统计（不含测试账号创建的工单）
+      const totalOrders = await Order.count({
+        where: { is_sandbox: false }
+      });
       const pendingOrders = await Order.count({
-        where: { status: 'pending' }
+        where: { status: 'pending', is_sandbox: false }
       });
       const completedOrders = await Order.count({
-        where: { status: 'completed' }
+        where: { status: 'completed', is_sandbox: false }
       });
 
       // 获取今天的日期（YYYY-MM-DD 格式）
@@ -572,6 +1332,7 @@ class AdminController {
 
       const todayOrders = await Order.count({
         where: {
+          is_sandbox: false,
           created_at: {
             [Op.gte]: today,
             [Op.lt]: tomorrow
@@ -588,12 +1349,13 @@ class AdminController {
 
       // 收入统计
       const totalRevenue = await Order.sum('final_amount', {
-        where: { status: 'completed' }
+        where: { status: 'completed', is_sandbox: false }
       }) || 0;
 
       const todayRevenue = await Order.sum('final_amount', {
         where: {
           status: 'completed',
+          is_sandbox: false,
           created_at: {
             [Op.gte]: today,
             [Op.lt]: tomorrow
@@ -613,6 +1375,7 @@ class AdminController {
       const weekRevenue = await Order.sum('final_amount', {
         where: {
           status: 'completed',
+          is_sandbox: false,
           created_at: {
             [Op.gte]: firstDayOfWeek,
             [Op.lt]: lastDayOfWeek
@@ -620,10 +1383,29 @@ class AdminController {
         }
       }) || 0;
 
+      // 平台佣金收入（按结算时间统计已结算工单）
+      const settledWhere = (range) => ({
+        status: 'completed_settled',
+        is_sandbox: false,
+        ...(range && { settled_at: { [Op.gte]: range[0], [Op.lt]: range[1] } })
+      });
+      const platformRevenue = await Order.sum('commission_amount', { where: settledWhere() }) || 0;
+      const todayPlatformRevenue = await Order.sum('commission_amount', {
+        where: settledWhere([today, tomorrow])
+      }) || 0;
+      const weekPlatformRevenue = await Order.sum('commission_amount', {
+        where: settledWhere([firstDayOfWeek, lastDayOfWeek])
+      }) || 0;
+      const settledGross = await Order.sum('settle_gross_amount', { where: settledWhere() }) || 0;
+
       const revenueStats = {
         total_revenue: totalRevenue,
         today_revenue: todayRevenue,
-        week_revenue: weekRevenue
+        week_revenue: weekRevenue,
+        settled_gross: Number(Number(settledGross).toFixed(2)),
+        platform_revenue: Number(Number(platformRevenue).toFixed(2)),
+        today_platform_revenue: Number(Number(todayPlatformRevenue).toFixed(2)),
+        week_platform_revenue: Number(Number(weekPlatformRevenue).toFixed(2))
       };
 
       res.success({
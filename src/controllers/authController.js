@@ -7,6 +7,7 @@
 const { User, ElectricianCertification, Order } = require('../models');
 const AppError = require('../utils/AppError');
 const SmsService = require('../utils/smsService');
+const SandboxService = require('../services/sandboxService');
 const { redisOperations } = require('../config/redis');
 const axios = require('axios');
 
@@ -70,7 +71,12 @@ class AuthController {
         throw new AppError('验证码类型不正确', 400);
       }
 
-      const result = await SmsService.sendVerificationCode(phone, type);
+      // 测试账号使用固定验证码，不发送短信
+      if (await SandboxService.findActiveByPhone(phone)) {
+        return res.success({ message: '测试账号请使用固定验证码登录' });
+      }
+
+      const result = await SmsService.sendVerificationCode(phone, type, { ip: req.ip });
 
       if (result.success) {
         const response = {
@@ -107,15 +113,19 @@ class AuthController {
         throw new AppError('手机号格式不正确', 400);
       }
 
-      // 验证验证码
-      const testAccounts = ['13800138040', '13800138041'];
-      if (!testAccounts.includes(phone)) {
-        const codeResult = await SmsService.verifyCode(phone, code, 'login');
+      // 验证验证码（测试账号校验后台设置的固定验证码）
+      const sandboxAccount = await SandboxService.findActiveByPhone(phone);
+      if (sandboxAccount) {
+        const codeResult = await SandboxService.verifyLoginCode(sandboxAccount, code);
         if (!codeResult.success) {
           throw new AppError(codeResult.message, 400);
         }
+        console.log(`测试账号 ${phone} 登录，使用固定验证码`);
       } else {
-        console.log(`测试账号 ${phone} 登录，跳过验证码校验`);
+        const codeResult = await SmsService.verifyCode(phone, code, 'login');
+        if (!codeResult.success) {
+          throw new AppError(codeResult.message, 400);
+        }
       }
 
       // 预检：如果提供了 openid，且该 openid 已绑定到其他手机号，则阻止登录/注册
@@ -3,10 +3,16 @@
  * 包含所有电工相关功能
  */
 
-const { Order, Payment, Review, User, ElectricianCertification, Withdrawal, sequelize } = require('../models');
+const { Order, Payment, Review, User, ElectricianCertification, Withdrawal, ElectricianServiceArea, sequelize } = require('../models');
 const AppError = require('../utils/AppError');
 const WechatPayV3Service = require('../utils/WechatPayV3Service');
-const { Op } = require('sequelize');
+const WalletService = require('../services/walletService');
+const ElectricianCalendarService = require('../services/electricianCalendarService');
+const ReviewService = require('../services/reviewService');
+const CertificationReviewService = require('../services/certificationReviewService');
+const CertificationCheckService = require('../services/certificationCheckService');
+const PrivateFileService = require('../services/privateFileService');
+const { Op, QueryTypes } = require('sequelize');
 const crypto = require('crypto');
 
 /**
@@ -27,46 +33,68 @@ exports.submitCertification = async (req, res, next) => {
       cert_end_date
     } = req.body;
 
-    let certification = await ElectricianCertification.findOne({
-      where: { user_id: userId }
-    });
+    // 证件图片须为本人通过证件上传接口上传的私有文件
+    await PrivateFileService.assertOwnFiles(userId, [id_card_front, id_card_back, certificate_img]);
 
-    if (certification) {
-      if (certification.status === 'pending') {
-        throw new AppError('您的认证申请正在审核中，请勿重复提交', 400);
-      }
-      if (certification.status === 'approved') {
-        throw new AppError('您已通过电工认证，无需重复申请', 400);
-      }
-      // 被拒绝的可以重新提交
-      await certification.update({
-        work_types,
-        real_name,
-        id_card,
-        id_card_front,
-        id_card_back,
-        certificate_img,
-        electrician_cert_no,
-        cert_start_date,
-        cert_end_date,
-        status: 'pending',
-        reject_reason: null
+    const certification = await sequelize.transaction(async (t) => {
+      let certification = await ElectricianCertification.findOne({
+        where: { user_id: userId },
+        transaction: t,
+        lock: t.LOCK.UPDATE
       });
-    } else {
-      certification = await ElectricianCertification.create({
-        user_id: userId,
-        work_types,
-        real_name,
-        id_card,
-        id_card_front,
-        id_card_back,
-        certificate_img,
-        electrician_cert_no,
-        cert_start_date,
-        cert_end_date,
-        status: 'pending'
+
+      if (certification) {
+        if (certification.status === 'pending') {
+          throw new AppError('您的认证申请正在审核中，请勿重复提交', 400);
+        }
+        if (certification.status === 'approved') {
+          throw new AppError('您已通过电工认证，无需重复申请', 400);
+        }
+      }
+
+      // 校验身份证号、年龄，以及身份证号/电工证编号未被其他账号使用
+      const verified = await CertificationCheckService.verifyForSubmission({
+        userId,
+        idCard: id_card,
+        certNo: electrician_cert_no,
+        transaction: t
       });
-    }
+
+      if (certification) {
+        // 被拒绝的可以重新提交
+        await CertificationCheckService.saveWithUniqueCheck(() => certification.update({
+          work_types,
+          real_name,
+          id_card: verified.idCard,
+          id_card_front,
+          id_card_back,
+          certificate_img,
+          electrician_cert_no: verified.certNo,
+          cert_start_date,
+          cert_end_date,
+          status: 'pending',
+          reject_reason: null
+        }, { transaction: t }));
+      } else {
+        certification = await CertificationCheckService.saveWithUniqueCheck(() => ElectricianCertification.create({
+          user_id: userId,
+          work_types,
+          real_name,
+          id_card: verified.idCard,
+          id_card_front,
+          id_card_back,
+          certificate_img,
+          electrician_cert_no: verified.certNo,
+          cert_start_date,
+          cert_end_date,
+          status: 'pending'
+        }, { transaction: t }));
+      }
+
+      // 每次提交保存一个版本，审核历史不被覆盖
+      await CertificationReviewService.recordSubmission(certification, t);
+      return certification;
+    });
 
     res.status(201).json({
       success: true,
@@ -88,9 +116,12 @@ exports.getCertificationStatus = async (req, res, next) => {
       where: { user_id: userId }
     });
 
+    // 证件图片返回本人限时查看地址
     res.status(200).json({
       success: true,
-      data: certification || { status: 'none' }
+      data: certification
+        ? await PrivateFileService.signCertificationImages(certification.get({ plain: true }), { role: 'user', id: userId })
+        : { status: 'none' }
     });
   } catch (error) {
     next(error);
@@ -113,32 +144,128 @@ exports.reapplyCertification = async (req, res, next) => {
       cert_start_date,
       cert_end_date
     } = req.body;
+    await PrivateFileService.assertOwnFiles(userId, [id_card_front, id_card_back, certificate_img]);
+    const certification = await sequelize.transaction(async (t) => {
+      const certification = await ElectricianCertification.findOne({
+        where: { user_id: userId },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (!certification) {
+        throw new AppError('未找到认证记录，请先提交认证申请', 404);
+      }
+      if (certification.status === 'pending') {
+        throw new AppError('您的认证申请正在审核中，请勿重复提交', 400);
+      }
+      const verified = await CertificationCheckService.verifyForSubmission({
+        userId,
+        idCard: id_card,
+        certNo: electrician_cert_no,
+        transaction: t
+      });
+      await CertificationCheckService.saveWithUniqueCheck(() => certification.update({
+        work_types,
+        real_name,
+        id_card: verified.idCard,
+        id_card_front,
+        id_card_back,
+        certificate_img,
+        electrician_cert_no: verified.certNo,
+        cert_start_date,
+        cert_end_date,
+        status: 'pending',
+        reject_reason: null,
+        // 更新证书后重新开始到期提醒，审核通过即恢复接单资格
+        expiry_reminded_days: null,
+        suspended_at: null
+      }, { transaction: t }));
+
+      // 新增提交版本，之前的提交与审核记录保留
+      await CertificationReviewService.recordSubmission(certification, t);
+      return certification;
+    });
+    res.status(200).json({
+      success: true,
+      message: '重新认证申请已提交，请等待审核',
+      data: certification
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * 获取电工服务区域
+ */
+exports.getServiceArea = async (req, res, next) => {
+  try {
+    const serviceArea = await ElectricianServiceArea.findOne({
+      where: { electrician_id: req.user.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: serviceArea
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * 设置电工服务区域（常驻位置 + 服务半径，或可服务地区编码）
+ */
+exports.updateServiceArea = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { latitude, longitude, address, service_radius, region_codes, status } = req.body;
+
     const certification = await ElectricianCertification.findOne({
       where: { user_id: userId }
     });
-    if (!certification) {
-      throw new AppError('未找到认证记录，请先提交认证申请', 404);
+    if (!certification || certification.status !== 'approved') {
+      throw new AppError('请先通过电工认证后再设置服务区域', 403);
     }
-    if (certification.status === 'pending') {
-      throw new AppError('您的认证申请正在审核中，请勿重复提交', 400);
+
+    // 地区编码须存在于 regions 表，否则无法与工单地区匹配
+    if (region_codes && region_codes.length > 0) {
+      const codes = [...new Set(region_codes)];
+      const rows = await sequelize.query(
+        'SELECT code FROM regions WHERE code IN (:codes)',
+        { replacements: { codes }, type: QueryTypes.SELECT }
+      );
+      const known = new Set(rows.map(row => String(row.code)));
+      const unknown = codes.filter(code => !known.has(code));
+      if (unknown.length > 0) {
+        throw new AppError(`地区编码不存在：${unknown.join('、')}`, 400);
+      }
     }
-    await certification.update({
-      work_types,
-      real_name,
-      id_card,
-      id_card_front,
-      id_card_back,
-      certificate_img,
-      electrician_cert_no,
-      cert_start_date,
-      cert_end_date,
-      status: 'pending',
-      reject_reason: null
+
+    const data = {
+      latitude: latitude ?? null,
+      longitude: longitude ?? null,
+      address: address || null,
+      region_codes: region_codes && region_codes.length > 0 ? region_codes : null
+    };
+    if (service_radius !== undefined) data.service_radius = service_radius;
+    if (status) data.status = status;
+
+    let serviceArea = await ElectricianServiceArea.findOne({
+      where: { electrician_id: userId }
     });
+    if (serviceArea) {
+      await serviceArea.update(data);
+    } else {
+      serviceArea = await ElectricianServiceArea.create({
+        electrician_id: userId,
+        ...data
+      });
+    }
+
     res.status(200).json({
       success: true,
-      message: '重新认证申请已提交，请等待审核',
-      data: certification
+      message: '服务区域已更新',
+      data: serviceArea
     });
   } catch (error) {
     next(error);
@@ -146,65 +273,141 @@ exports.reapplyCertification = async (req, res, next) => {
 };
 
 /**
- * ⭐ 修复：计算电工收入余额（公共函数）
- * 分别计算：总收入、已提现、锁定中（处理中）、可用余额
+ * 获取电工日程（工作时段、不可预约时段、已预约工单），默认查询未来14天
  */
-async function calculateBalance(electricianId, transaction = null) {
-  // 1. ✅ 修改：计算总收入（已结算的订单）
-  const eligibleOrders = await Order.findAll({
-    where: {
-      electrician_id: electricianId,
-      status: 'completed_settled'  // ✅ 直接查已结算状态
-    },
-    attributes: ['id'],
-    transaction
-  });
+exports.getSchedule = async (req, res, next) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 14 * 24 * 60 * 60 * 1000);
 
-  const orderIds = eligibleOrders.map(order => order.id);
+    const calendar = await ElectricianCalendarService.getCalendar(req.user.id, { from, to });
 
-  let totalIncome = 0;
-  if (orderIds.length > 0) {
-    const incomeResult = await Payment.sum('amount', {
-      where: {
-        order_id: { [Op.in]: orderIds },
-        status: 'success',
-        type: { [Op.in]: ['prepay', 'repair'] }
-      },
-      transaction
+    res.status(200).json({
+      success: true,
+      data: calendar
     });
-    totalIncome = incomeResult || 0;
+  } catch (error) {
+    next(error);
   }
+};
 
-  // 2. 计算成功的提现
-  const successWithdrawn = await Withdrawal.sum('amount', {
-    where: {
-      electrician_id: electricianId,
-      status: 'success'
-    },
-    transaction
-  });
-  const withdrawnAmount = successWithdrawn || 0;
-
-  // 3. 计算处理中的提现（锁定金额）
-  const processingWithdrawn = await Withdrawal.sum('amount', {
-    where: {
-      electrician_id: electricianId,
-      status: 'processing'
-    },
-    transaction
-  });
-  const lockedAmount = processingWithdrawn || 0;
-
-  // 4. 可用余额 = 总收入 - 已提现 - 锁定中
-  const availableBalance = Number((totalIncome - withdrawnAmount - lockedAmount).toFixed(2));
-
-  return {
-    totalIncome: Number(totalIncome.toFixed(2)),
-    withdrawnAmount: Number(withdrawnAmount.toFixed(2)),
-    lockedAmount: Number(lockedAmount.toFixed(2)),
-    availableBalance
-  };
-}
+/**
+ * 设置每周工作时段（覆盖原有设置）
+ */
+exports.updateWorkingHours = async (req, res, next) => {
+  try {
+    const workingHours = await ElectricianCalendarService.setWorkingHours(req.user.id, req.body.working_hours);
+
+    res.status(200).json({
+      success: true,
+      message: '工作时间已更新',
+      data: workingHours
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * 添加不可预约时段
+ */
+exports.addBlockedPeriod = async (req, res, next) => {
+  try {
+    const period = await ElectricianCalendarService.addBlockedPeriod(req.user.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: '不可预约时段已添加',
+      data: period
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * 删除不可预约时段
+ */
+exports.removeBlockedPeriod = async (req, res, next) => {
+  try {
+    await ElectricianCalendarService.removeBlockedPeriod(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: '不可预约时段已删除'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * 获取收到的评价（含已隐藏评价及举报状态）
+ */
+exports.getReviews = async (req, res, next) => {
+  try {
+    const { page = 1, pageSize = 20 } = req.query;
+
+    const { rows: reviews, count: total } = await ReviewService.listForElectrician(req.user.id, {
+      page: parseInt(page),
+      pageSize: parseInt(pageSize)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        list: reviews,
+        pagination: {
+          page: parseInt(page),
+          pageSize: parseInt(pageSize),
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * 公开回复评价（每条评价仅可回复一次）
+ */
+exports.replyReview = async (req, res, next) => {
+  try {
+    const review = await ReviewService.reply(req.params.id, req.user.id, req.body.content);
+
+    res.status(200).json({
+      success: true,
+      message: '回复成功',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * 举报评价（辱骂、与服务无关），提交管理员审核
+ */
+exports.reportReview = async (req, res, next) => {
+  try {
+    const { reason_type, description } = req.body;
+
+    const report = await ReviewService.report(req.params.id, req.user.id, {
+      reasonType: reason_type,
+      description
+    });
+
+    res.status(200).json({
+      success: true,
+      message: '举报已提交，等待平台审核',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
 /**
  * 获取电工收入详情
@@ -213,11 +416,15 @@ exports.getIncome = async (req, res, next) => {
   try {
     const electricianId = req.user.id;
     
-    const balance = await calculateBalance(electricianId);
+    const balance = await WalletService.getBalance(electricianId);
+    const settlement = await WalletService.getSettlementSummary(electricianId);
 
     res.status(200).json({
       success: true,
       data: {
+        gross_income: settlement.grossIncome,
+        commission_amount: settlement.commissionAmount,
+        net_income: settlement.netIncome,
         total_income: balance.totalIncome,
         withdrawn_amount: balance.withdrawnAmount,
         locked_amount: balance.lockedAmount, // ⭐ 新增：处理中的金额
@@ -229,6 +436,37 @@ exports.getIncome = async (req, res, next) => {
   }
 };
 
+/**
+ * 获取电工钱包流水
+ */
+exports.getWalletTransactions = async (req, res, next) => {
+  try {
+    const electricianId = req.user.id;
+    const { page = 1, pageSize = 20, type } = req.query;
+
+    const { rows: transactions, count: total } = await WalletService.getTransactions(electricianId, {
+      page: parseInt(page),
+      limit: parseInt(pageSize),
+      type
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        list: transactions,
+        pagination: {
+          page: parseInt(page),
+          pageSize: parseInt(pageSize),
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * 生成唯一的商户订单号
  */
@@ -286,7 +524,7 @@ exports.withdraw = async (req, res, next) => {
     }
 
     // 4. 计算可提现余额
-    const balance = await calculateBalance(electricianId, t);
+    const balance = await WalletService.getBalance(electricianId, t);
 
     const withdrawAmount = amount ? Number(amount) : balance.availableBalance;
 
@@ -322,6 +560,9 @@ exports.withdraw = async (req, res, next) => {
       available_balance_snapshot: balance.availableBalance
     }, { transaction: t });
 
+    // 冻结提现金额，转账成功后扣除，失败或取消时解冻
+    await WalletService.lockForWithdrawal(withdrawal, t);
+
     // 7. 提交事务
     await t.commit();
     console.log(`[提现] 订单已创建: ${withdrawal.id}`);
@@ -386,22 +627,16 @@ exports.withdraw = async (req, res, next) => {
       
       // 处理频率限制
       if (apiError.status === 429 || apiError.code === 'FREQUENCY_LIMIT_EXCEED') {
-        await Withdrawal.update({
-          status: 'failed',
+        await WalletService.finalizeWithdrawal(withdrawal, 'failed', {
           fail_reason: '请求过于频繁，请稍后再试'
-        }, {
-          where: { id: withdrawal.id }
         });
         
         throw new AppError('提现请求过于频繁，请5分钟后再试', 429);
       }
 
       // 其他错误
-      await Withdrawal.update({
-        status: 'failed',
+      await WalletService.finalizeWithdrawal(withdrawal, 'failed', {
         fail_reason: apiError.message || '微信转账接口调用失败'
-      }, {
-        where: { id: withdrawal.id }
       });
 
       throw new AppError(`提现申请失败：${apiError.message}`, 500);
@@ -567,9 +802,8 @@ exports.queryWithdrawalStatus = async (req, res, next) => {
 
       // 5. 更新数据库
       if (Object.keys(updateData).length > 0) {
-        await Withdrawal.update(updateData, {
-          where: { id: withdrawal.id }
-        });
+        const { status, ...fields } = updateData;
+        await WalletService.finalizeWithdrawal(withdrawal, status, fields);
         console.log(`[查询状态] 订单状态已更新:`, updateData);
       }
 
@@ -654,10 +888,10 @@ exports.withdrawalCallback = async (req, res, next) => {
           updateData.fail_reason = '用户取消';
         }
 
-        if (Object.keys(updateData).length > 0) {
-          await Withdrawal.update(updateData, {
-            where: { out_batch_no: out_bill_no }
-          });
+        const withdrawal = await Withdrawal.findOne({ where: { out_batch_no: out_bill_no } });
+        if (withdrawal && Object.keys(updateData).length > 0) {
+          const { status, ...fields } = updateData;
+          await WalletService.finalizeWithdrawal(withdrawal, status, fields);
           console.log(`[提现回调] 状态已更新:`, updateData);
         }
       } catch (queryError) {
@@ -757,7 +991,8 @@ exports.getWithdrawalStatus = async (req, res, next) => {
 
       // 5. 更新数据库
       if (Object.keys(updateData).length > 0) {
-        await withdrawal.update(updateData);
+        const { status, ...fields } = updateData;
+        await WalletService.finalizeWithdrawal(withdrawal, status, fields);
         console.log(`[查询状态] 数据库已更新`);
       }
 
@@ -866,8 +1101,7 @@ exports.cancelWithdrawal = async (req, res, next) => {
     // 业务上：用户一旦取消，直接将本地状态标记为 cancelled
     // 如数据库枚举未包含该值，尝试自动修复枚举并重试
     try {
-      await withdrawal.update({
-        status: 'cancelled',
+      await WalletService.finalizeWithdrawal(withdrawal, 'cancelled', {
         fail_reason: '用户取消',
         completed_at: new Date()
       });
@@ -885,8 +1119,7 @@ exports.cancelWithdrawal = async (req, res, next) => {
             "ALTER TABLE `Withdrawals` MODIFY COLUMN `status` ENUM('pending','processing','success','failed','cancelled') NOT NULL DEFAULT 'pending';"
           );
           console.log('[撤销提现] 枚举更新成功，重试状态更新');
-          await withdrawal.update({
-            status: 'cancelled',
+          await WalletService.finalizeWithdrawal(withdrawal, 'cancelled', {
             fail_reason: '用户取消',
             completed_at: new Date()
           });
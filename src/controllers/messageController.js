@@ -8,6 +8,7 @@ const {
 } = require('../models');
 const { Op } = Sequelize;
 const AppError = require('../utils/AppError');
+const OrderChatService = require('../services/orderChatService');
 
 class MessageController {
   static buildSystemMessagePayload(messageObj, isRead) {
@@ -312,10 +313,14 @@ class MessageController {
         }
       });
 
+      // 工单会话中他人发送的未读消息
+      const chatUnreadCount = await OrderChatService.getUnreadCount(userId);
+
       res.success({
         orderUnreadCount,
         systemUnreadCount,
-        totalUnreadCount: orderUnreadCount + systemUnreadCount
+        chatUnreadCount,
+        totalUnreadCount: orderUnreadCount + systemUnreadCount + chatUnreadCount
       });
     } catch (error) {
       next(error);
@@ -3,10 +3,20 @@
  * 处理工单的创建、查询、状态更新等操作
  */
 
-const { Order, User, ServiceType, OrderStatusLog, Message, Payment, Review, sequelize } = require('../models');
+const { Order, User, ServiceType, OrderStatusLog, Message, Payment, Review, ElectricianServiceArea, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const AppError = require('../utils/AppError');
 const WechatPayV3Service = require('../utils/WechatPayV3Service');
+const OrderStateMachine = require('../services/orderStateMachine');
+const DispatchService = require('../services/dispatchService');
+const QuoteService = require('../services/quoteService');
+const AppointmentService = require('../services/appointmentService');
+const ElectricianCalendarService = require('../services/electricianCalendarService');
+const OrderChatService = require('../services/orderChatService');
+const CertificationService = require('../services/certificationService');
+const DisputeService = require('../services/disputeService');
+const SandboxService = require('../services/sandboxService');
+const { getBoundingBox, distanceSql } = require('../utils/geo');
 
 /**
  * 生成唯一订单号
@@ -19,6 +29,56 @@ const generateOrderNo = () => {
   return `WO${timestamp}${random}`;
 };
 
+// 接单大厅默认查询距离（米），电工未提供距离且未设置服务区域时使用
+const DEFAULT_HALL_DISTANCE = 5000;
+
+// 仅提供期望时间时，预约时间段的默认时长（小时）
+const DEFAULT_APPOINTMENT_HOURS = 2;
+
+/**
+ * 构建接单大厅查询条件
+ * 以电工当前位置（未提供时使用登记的服务区域位置）为中心，按距离筛选待接单工单，
+ * 并只保留服务类型与电工认证工作类型匹配的工单
+ * @param {number} electricianId - 电工ID
+ * @param {Object} params - 查询参数
+ * @param {number} [params.latitude] - 当前纬度
+ * @param {number} [params.longitude] - 当前经度
+ * @param {number} [params.distance] - 查询距离（米）
+ * @returns {Promise<Object>} 查询条件
+ */
+const buildOrderHallQuery = async (electricianId, { latitude, longitude, distance }) => {
+  // 认证通过且电工证未过期才能进入接单大厅
+  const certification = await CertificationService.assertCanTakeOrders(electricianId);
+
+  const serviceArea = await ElectricianServiceArea.findOne({
+    where: { electrician_id: electricianId }
+  });
+
+  let center;
+  if (latitude !== undefined && latitude !== null && longitude !== undefined && longitude !== null) {
+    center = { latitude: Number(latitude), longitude: Number(longitude) };
+  } else if (serviceArea && serviceArea.latitude !== null && serviceArea.longitude !== null) {
+    center = { latitude: Number(serviceArea.latitude), longitude: Number(serviceArea.longitude) };
+  } else {
+    throw new AppError('请提供当前位置或先设置服务区域', 400);
+  }
+
+  const radius = Number(distance) || (serviceArea ? serviceArea.service_radius : DEFAULT_HALL_DISTANCE);
+  const box = getBoundingBox(center.latitude, center.longitude, radius);
+  const distanceExpr = distanceSql('`Order`.`latitude`', '`Order`.`longitude`', center);
+  const workTypes = certification.work_types.split(',').map(t => t.trim()).filter(Boolean);
+
+  return {
+    distance: sequelize.literal(distanceExpr),
+    conditions: [
+      { latitude: { [Op.between]: [box.minLat, box.maxLat] } },
+      { longitude: { [Op.between]: [box.minLng, box.maxLng] } },
+      sequelize.where(sequelize.literal(distanceExpr), Op.lte, radius)
+    ],
+    serviceTypeWhere: { work_type: { [Op.in]: workTypes } }
+  };
+};
+
 class OrderController {
   /**
    * 创建工单
@@ -49,6 +109,8 @@ class OrderController {
           service_address,
           latitude,
           longitude,
+          appointment_start,
+          appointment_end,
           expected_time,
           budget_min,
           budget_max
@@ -59,7 +121,17 @@ class OrderController {
           return res.error('服务类型不存在', 400);
         }
 
+        // 预约上门时间段；旧版只传期望时间时按默认时长生成时间段
+        let appointment = null;
+        if (appointment_start) {
+          appointment = ElectricianCalendarService.buildWindow(appointment_start, appointment_end);
+        } else if (expected_time) {
+          appointment = ElectricianCalendarService.buildWindow(expected_time, new Date(new Date(expected_time).getTime() + DEFAULT_APPOINTMENT_HOURS * 60 * 60 * 1000));
+        }
+
         const order_no = generateOrderNo();
+        // 测试账号创建的工单不计入统计
+        const isSandbox = await SandboxService.isSandboxUser(req.user.id);
         const order = await sequelize.transaction(async (t) => {
           const created = await Order.create({
             order_no,
@@ -73,8 +145,11 @@ class OrderController {
             service_address: service_address,
             latitude,
             longitude,
+            appointment_start: appointment ? appointment.start : null,
+            appointment_end: appointment ? appointment.end : null,
             estimated_amount: budget_max || budget_min || 0,
-            status: 'pending_payment'
+            status: 'pending_payment',
+            is_sandbox: isSandbox
           }, { transaction: t });
 
           await OrderStatusLog.create({
@@ -82,7 +157,9 @@ class OrderController {
             to_status: 'pending_payment',
             operator_id: req.user.id,
             operator_type: 'user',
-            remark: '工单创建成功，待支付预付款'
+            remark: appointment
+              ? `工单创建成功，预约时间 ${ElectricianCalendarService.formatWindow(appointment.start, appointment.end)}，待支付预付款`
+              : '工单创建成功，待支付预付款'
           }, { transaction: t });
 
           await Message.create({
@@ -136,8 +213,9 @@ class OrderController {
         search,
         latitude,
         longitude,
-        distance = 1000,
-        my_orders = false
+        distance,
+        my_orders = false,
+        mode
       } = req.query;
 
       // 安全审计日志
@@ -149,6 +227,7 @@ class OrderController {
 
       // 构建查询条件
       const where = {};
+      let hall = null;
       const pageNumber = parseInt(page);
       const pageSize = parseInt(limit);
 
@@ -166,7 +245,14 @@ class OrderController {
           // 电工默认只能看到待接单的工单
           where.status = 'pending';
           where.electrician_id = null;
+          // 派单中的工单不进入抢单池
+          where.dispatch_status = { [Op.or]: [{ [Op.is]: null }, { [Op.ne]: 'dispatching' }] };
           console.log(`电工 ${userId} 查询可接的待处理订单`);
+
+          // 接单大厅：按距离和认证工作类型筛选，按距离排序
+          if (mode === 'hall') {
+            hall = await buildOrderHallQuery(userId, { latitude, longitude, distance });
+          }
         }
       } else if (userRole === 'admin') {
         // 管理员可以查看所有订单
@@ -197,26 +283,16 @@ class OrderController {
         ];
       }
 
-      // 按地理位置筛选（暂时禁用，避免查询错误）
-      // TODO: 后续实现完整的地理位置筛选功能
-      let geoFilter = {};
-      // 暂时注释掉地理位置筛选逻辑
-      /*
-      if (latitude && longitude && distance) {
-        // 这里可以根据实际需求实现地理位置筛选
-        // 简化处理，实际应使用地理空间查询
-      }
-      */
-
       // 执行分页查询
       const { count, rows } = await Order.findAndCountAll({
-        where: { ...where, ...geoFilter },
+        where: hall ? { ...where, [Op.and]: hall.conditions } : where,
+        ...(hall ? { attributes: { include: [[hall.distance, 'distance']] } } : {}),
         include: [
           { model: User, as: 'user', attributes: ['id', 'nickname', 'avatar'] },
           { model: User, as: 'electrician', attributes: ['id', 'nickname', 'avatar'] },
-          { model: ServiceType, as: 'serviceType' }
+          { model: ServiceType, as: 'serviceType', ...(hall ? { where: hall.serviceTypeWhere } : {}) }
         ],
-        order: [['created_at', 'DESC']],
+        order: hall ? [[hall.distance, 'ASC']] : [['created_at', 'DESC']],
         limit: pageSize,
         offset: (pageNumber - 1) * pageSize
       });
@@ -284,6 +360,11 @@ class OrderController {
         // 派生字段：是否已有评价
         plainOrder.has_review = hasReviewSet.has(plainOrder.id);
 
+        // 接单大厅：工单与电工位置的距离（米）
+        if (hall) {
+          plainOrder.distance = Math.round(Number(plainOrder.distance));
+        }
+
         // 展示层状态映射（不改变数据库枚举）
         const st = plainOrder.status;
         let displayCode = 'unknown';
@@ -310,6 +391,11 @@ class OrderController {
           displayCode = 'waiting_accept';
           displayText = '待接单';
         }
+        // 电工已提交报价，等待用户确认
+        else if (plainOrder.needs_confirmation && ['accepted', 'pending_repair_payment', 'in_progress'].includes(st)) {
+          displayCode = 'quote_pending';
+          displayText = '待确认报价';
+        }
         // 已接单（accepted），如已填写金额/维修内容但未支付维修费，则仍显示“待支付维修费”
         else if (st === 'accepted') {
           const needRepairPay = ((plainOrder.final_amount && Number(plainOrder.final_amount) > 0) || !!plainOrder.repair_content) && !plainOrder.has_paid_repair;
@@ -470,6 +556,12 @@ class OrderController {
       orderData.has_paid_prepay = !!orderData.prepaid_at || !!prepayPayment;
       orderData.prepay_paid_at = orderData.prepaid_at || (prepayPayment ? prepayPayment.paid_at : null);
 
+      // 维修报价各版本及明细（按版本倒序）
+      orderData.quotes = await QuoteService.list(order.id);
+
+      // 改约记录（按时间倒序）
+      orderData.reschedules = await AppointmentService.list(order.id);
+
       res.success({ order: orderData });
     } catch (error) {
       next(error);
@@ -488,7 +580,6 @@ class OrderController {
     try {
       const { id } = req.params;
       const electricianId = req.user.id;
-      const now = new Date();
 
       // 验证电工角色
       if (req.user.current_role !== 'electrician') {
@@ -507,49 +598,79 @@ class OrderController {
         throw new AppError('工单不存在', 404);
       }
 
-      // 验证工单状态
-      if (order.status !== 'pending') {
-        throw new AppError(`工单当前状态为 ${order.status}，无法接单`, 400);
-      }
+      // 状态流转：pending -> accepted（状态校验、日志与通知由状态机统一处理）
+      await OrderStateMachine.transition(order, 'take', {
+        operatorType: 'electrician',
+        operatorId: electricianId
+      });
 
-      // 使用事务更新工单状态
-      await sequelize.transaction(async (t) => {
-        // 准备更新数据
-        const updateData = {
-          electrician_id: electricianId,
-          status: 'accepted',
-          accepted_at: now
-        };
+      res.success({
+        message: '接单成功，请核实服务地址'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取电工待响应的派单
+   * @route GET /api/orders/dispatch-offers
+   * @access 电工角色
+   */
+  static async getDispatchOffers(req, res, next) {
+    try {
+      const offers = await DispatchService.getActiveOffers(req.user.id);
+      res.success({ list: offers });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-        // 更新工单
-        await order.update(updateData, { transaction: t });
+  /**
+   * 电工接受派单
+   * @route POST /api/orders/:id/dispatch/accept
+   * @access 电工角色
+   */
+  static async acceptDispatch(req, res, next) {
+    try {
+      const { id } = req.params;
 
-        // 创建状态日志
-        await OrderStatusLog.create({
-          order_id: order.id,
-          to_status: 'accepted',
-          operator_id: electricianId,
-          operator_type: 'electrician',
-          remark: '电工接单',
-          created_at: now
-        }, { transaction: t });
-
-        // 创建消息通知用户
-        await Message.create({
-          user_id: order.user_id,
-          title: '工单已被接单',
-          content: `您的工单 ${order.order_no} 已被电工接单，请及时确认`,
-          type: 'order',
-          reference_id: order.id,
-          is_read: false,
-          created_at: now
-        }, { transaction: t });
+      const order = await Order.findByPk(id);
+      if (!order) {
+        throw new AppError('工单不存在', 404);
+      }
+
+      await DispatchService.acceptOffer(order, req.user.id);
+
+      res.success({
+        message: '已接受派单，请核实服务地址',
+        order_id: order.id
       });
+    } catch (error) {
+      next(error);
+    }
+  }
 
+  /**
+   * 电工拒绝派单
+   * @route POST /api/orders/:id/dispatch/decline
+   * @access 电工角色
+   */
+  static async declineDispatch(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
 
+      const order = await Order.findByPk(id);
+      if (!order) {
+        throw new AppError('工单不存在', 404);
+      }
+
+      await DispatchService.declineOffer(order, req.user.id, reason);
 
       res.success({
-        message: '接单成功，请核实服务地址'
+        message: '已拒绝派单',
+        order_id: order.id
       });
     } catch (error) {
       next(error);
@@ -585,52 +706,22 @@ class OrderController {
         return res.success({ message: '订单已在维修中', order_id: order.id, status: order.status });
       }
 
-      // 状态前置条件校验
-      if (order.status !== 'pending_repair_payment') {
-        throw new AppError('当前状态不可开始维修', 400);
-      }
-
-      // 校验维修费支付成功（派生判断）
-      const repairPayment = await Payment.findOne({
-        where: { order_id: order.id, type: 'repair', status: 'success' },
-        order: [['paid_at', 'DESC']]
-      });
-      if (!repairPayment) {
-        throw new AppError('维修费未支付，无法开始维修', 400);
-      }
-
-      // 条件更新防并发：仅当仍为 pending_repair_payment 时切换为 in_progress
-      const [affected] = await Order.update(
-        { status: 'in_progress' },
-        { where: { id: order.id, status: 'pending_repair_payment' } }
-      );
-      if (affected === 0) {
+      // 状态流转：pending_repair_payment -> in_progress（状态机校验维修费已支付并防并发）
+      try {
+        await OrderStateMachine.transition(order, 'start', {
+          operatorType: 'electrician',
+          operatorId: electricianId
+        });
+      } catch (error) {
+        if (error.statusCode !== 409) throw error;
         // 重新读取状态用于幂等处理
         const latest = await Order.findByPk(order.id);
         if (latest && latest.status === 'in_progress') {
           return res.success({ message: '订单已在维修中', order_id: latest.id, status: latest.status });
         }
-        throw new AppError('状态已变更，开始维修失败，请重试', 409);
+        throw error;
       }
 
-      // 记录状态日志与通知消息
-      await OrderStatusLog.create({
-        order_id: order.id,
-        from_status: 'pending_repair_payment',
-        to_status: 'in_progress',
-        operator_id: electricianId,
-        operator_type: 'electrician',
-        remark: '电工开始维修'
-      });
-      await Message.create({
-        user_id: order.user_id,
-        title: '订单开始维修',
-        content: `您的工单 ${order.order_no} 已开始维修。`,
-        type: 'order',
-        related_id: order.id,
-        to_status: 'unread'
-      });
-
       res.success({ message: '已开始维修', order_id: order.id, status: 'in_progress' });
     } catch (error) {
       next(error);
@@ -659,7 +750,6 @@ class OrderController {
         repair_images = req.body.completion_images;
       }
       const electricianId = req.user.id;
-      const now = new Date();
 
       // 验证电工角色
       if (req.user.current_role !== 'electrician') {
@@ -677,56 +767,26 @@ class OrderController {
         throw new AppError('无权操作此工单', 403);
       }
 
-      // 验证工单状态：仅允许进行中状态完成服务
-      if (order.status !== 'in_progress') {
-        throw new AppError(`工单当前状态为 ${order.status}，无法完成服务`, 400);
-      }
-
-      // 使用事务更新工单状态
-      await sequelize.transaction(async (t) => {
-        // 更新工单
-        const updateData = {
-          status: 'pending_review',
-          completed_at: now
-        };
-
-        // 只有当提供了维修内容时才更新
-        if (repair_content !== null) {
-          updateData.repair_content = repair_content;
-        }
+      // 维修内容与图片随状态一起写入
+      const changes = {};
 
-        // 只有当提供了维修图片时才更新
-        if (repair_images.length > 0) {
-          updateData.repair_images = JSON.stringify(repair_images);
-        }
+      // 只有当提供了维修内容时才更新
+      if (repair_content !== null) {
+        changes.repair_content = repair_content;
+      }
 
-        await order.update(updateData, { transaction: t });
+      // 只有当提供了维修图片时才更新
+      if (repair_images.length > 0) {
+        changes.repair_images = JSON.stringify(repair_images);
+      }
 
-        // 创建状态日志：进入待评价
-        await OrderStatusLog.create({
-          order_id: order.id,
-          from_status: order.status,
-          to_status: 'pending_review',
-          operator_id: electricianId,
-          operator_type: 'electrician',
-          remark: '电工完成服务，待用户评价',
-          created_at: now
-        }, { transaction: t });
-
-        // 创建消息通知用户
-        await Message.create({
-          user_id: order.user_id,
-          title: '工单待评价',
-          content: `您的工单 ${order.order_no} 电工已完成服务，请前往评价。`,
-          type: 'order',
-          reference_id: order.id,
-          is_read: false,
-          created_at: now
-        }, { transaction: t });
+      // 状态流转：in_progress -> pending_review
+      await OrderStateMachine.transition(order, 'complete', {
+        operatorType: 'electrician',
+        operatorId: electricianId,
+        changes
       });
 
-
-
       res.success({
         message: '服务已完成，订单进入待评价'
       });
@@ -748,7 +808,7 @@ class OrderController {
   static async reviewOrder(req, res, next) {
     try {
       const { id } = req.params;
-      const { rating, comment } = req.body;
+      const { rating, comment, images } = req.body;
       const userId = req.user?.id;
       const now = new Date();
 
@@ -767,76 +827,46 @@ class OrderController {
         return res.error('无权操作此工单', 403);
       }
 
-      // 状态校验：只允许 pending_review 和 pending_second_review 状态评价
-      if (order.status !== 'pending_review' && order.status !== 'pending_second_review') {
-        return res.error('当前状态不允许评价', 400);
-      }
-
       // 判断是首次评价还是二次评价
       const isFirstReview = order.status === 'pending_review';
       const isSecondReview = order.status === 'pending_second_review';
       const isFiveStarRating = Number(rating) === 5;
 
+      // 五星评价（首次或二次都一样）直接结算；首次非五星允许二次评价；二次非五星完成不结算
+      let action;
+      if (isFiveStarRating && order.electrician_id) {
+        action = 'review_settle';
+      } else if (isFirstReview) {
+        action = 'review_retry';
+      } else {
+        action = 'review_unsettle';
+      }
+
       // 开始事务
       const transaction = await sequelize.transaction();
 
       try {
-        let nextStatus = 'completed_unsettle';
-        let statusRemark = '';
-        let messageTitle = '';
-        let messageContent = '';
-
-        // === 五星评价逻辑（首次或二次都一样）===
-        if (isFiveStarRating && order.electrician_id) {
-          // 五星评价直接标记为已结算
-          // 不需要调用任何"结算函数"，状态本身就代表已结算
-          nextStatus = 'completed_settled';
-          statusRemark = isFirstReview
-            ? '用户首次五星好评，订单已结算'
-            : '用户二次五星好评，订单已结算';
-          messageTitle = '订单已结算';
-          messageContent = `工单 ${order.order_no} 用户${isFirstReview ? '首次' : '二次'}五星好评，订单费用已结算，可前往钱包提现。`;
-        }
-        // === 非五星评价逻辑 ===
-        else {
-          if (isFirstReview) {
-            // 首次非五星：进入 pending_second_review 状态，允许二次评价
-            nextStatus = 'pending_second_review';
-            statusRemark = `用户首次评价为${rating}星，订单进入待二次评价状态`;
-            messageTitle = '订单待处理';
-            messageContent = `工单 ${order.order_no} 用户已完成首次评价（${rating}星），订单待处理，用户可再次评价。`;
-          } else if (isSecondReview) {
-            // 二次非五星：订单完成不结算
-            nextStatus = 'completed_unsettle';
-            statusRemark = `用户二次评价为${rating}星，订单已完成但不结算`;
-            messageTitle = '订单已完成';
-            messageContent = `工单 ${order.order_no} 用户已完成二次评价（${rating}星），订单已关闭，不进行结算。`;
-          }
-        }
-
-        // 更新订单状态
-        const updateData = {
-          status: nextStatus,
-          reviewed_at: now
-        };
-
-        // 只有订单真正完成时才设置 completed_at
-        if (nextStatus !== 'pending_second_review') {
-          updateData.completed_at = now;
-        }
-
-        await order.update(updateData, { transaction });
+        // 状态流转（状态机校验只允许 pending_review / pending_second_review 评价）
+        await OrderStateMachine.transition(order, action, {
+          operatorType: 'user',
+          operatorId: userId,
+          data: { rating },
+          transaction
+        });
+        const nextStatus = order.status;
 
         // 更新或创建评价记录
         const existingReview = await Review.findOne({
-          where: { order_id: order.id }
+          where: { order_id: order.id },
+          transaction
         });
 
         if (existingReview) {
-          // 更新已有评价（二次评价场景）
+          // 更新已有评价（二次评价场景），未传图片时保留首次评价的图片
           await existingReview.update({
             rating,
             content: comment || null,
+            ...(images && { images }),
             updated_at: now
           }, { transaction });
         } else {
@@ -846,30 +876,8 @@ class OrderController {
             user_id: userId,
             electrician_id: order.electrician_id,
             rating,
-            content: comment || null
-          }, { transaction });
-        }
-
-        // 记录状态日志
-        await OrderStatusLog.create({
-          order_id: order.id,
-          from_status: order.status,
-          to_status: nextStatus,
-          operator_id: userId,
-          operator_type: 'user',
-          remark: statusRemark
-        }, { transaction });
-
-        // 通知电工
-        if (order.electrician_id) {
-          await Message.create({
-            user_id: order.electrician_id,
-            title: messageTitle,
-            content: messageContent,
-            type: 'order',
-            reference_id: order.id,
-            is_read: false,
-            created_at: now
+            content: comment || null,
+            images: images || []
           }, { transaction });
         }
 
@@ -915,7 +923,6 @@ class OrderController {
       const { id } = req.params;
       const { cancel_reason } = req.body;
       const userId = req.user.id;
-      const now = new Date();
 
       // 验证用户角色
       if (req.user.current_role !== 'user') {
@@ -933,44 +940,11 @@ class OrderController {
         throw new AppError('无权操作此工单', 403);
       }
 
-      // 验证工单状态
-      const validStatuses = ['pending_payment'];
-      if (!validStatuses.includes(order.status)) {
-        throw new AppError(`工单当前状态为 ${order.status}，无法取消`, 400);
-      }
-
-      // 使用事务更新工单状态
-      await sequelize.transaction(async (t) => {
-        const prevStatus = order.status;
-        // 更新工单
-        await order.update({
-          status: 'cancelled',
-          cancelled_at: now,
-          cancel_reason
-        }, { transaction: t });
-
-        // 创建状态日志
-        await OrderStatusLog.create({
-          order_id: order.id,
-          from_status: prevStatus,
-          to_status: 'cancelled',
-          operator_id: userId,
-          operator_type: 'user',
-          remark: `用户取消工单，原因: ${cancel_reason}`,
-          created_at: now
-        }, { transaction: t });
-
-        // 如果已有电工接单，则通知电工
-        if (order.electrician_id) {
-          await Message.create({
-            user_id: order.electrician_id,
-            title: '工单已取消',
-            content: `工单 ${order.order_no} 已被用户取消，原因: ${cancel_reason}`,
-            type: 'order',
-
-            created_at: now
-          }, { transaction: t });
-        }
+      // 状态流转：pending_payment -> cancelled
+      await OrderStateMachine.transition(order, 'cancel_unpaid', {
+        operatorType: 'user',
+        operatorId: userId,
+        data: { reason: cancel_reason }
       });
 
       res.success({
@@ -1014,44 +988,16 @@ class OrderController {
           return res.error('无权操作此工单', 403);
         }
 
-        // 验证工单状态
-        if (order.status !== 'accepted') {
-          return res.error('只有已接单状态的工单可以确认', 400);
-        }
-
-        // 开始事务
-        const transaction = await sequelize.transaction();
-
-        try {
-          // 更新工单状态为进行中
-          await order.update({
-            status: 'in_progress',
-            confirmed_at: new Date()
-          }, { transaction });
-
-          // 记录状态变更日志
-          await OrderStatusLog.create({
-            order_id: order.id,
-            from_status: 'accepted',
-            to_status: 'in_progress',
-            operator_id: req.user.id,
-            operator_type: 'user',
-            operator_role: 'user',
-            remark: '用户确认工单，开始服务'
-          }, { transaction });
-
-          // 提交事务
-          await transaction.commit();
+        // 状态流转：accepted -> in_progress
+        await OrderStateMachine.transition(order, 'confirm', {
+          operatorType: 'user',
+          operatorId: req.user.id
+        });
 
-          return res.success({
-            message: '工单确认成功',
-            order_id: order.id
-          });
-        } catch (error) {
-          // 回滚事务
-          await transaction.rollback();
-          throw error;
-        }
+        return res.success({
+          message: '工单确认成功',
+          order_id: order.id
+        });
       } catch (error) {
         next(error);
       }
@@ -1059,7 +1005,7 @@ class OrderController {
   }
 
   /**
-   * 电工修改订单内容和金额
+   * 电工提交维修报价（按明细），等待用户确认
    * @route PUT /api/orders/:id/update
    * @access 电工角色
    * @param {Object} req - 请求对象
@@ -1069,7 +1015,7 @@ class OrderController {
   static async updateOrderByElectrician(req, res, next) {
     try {
       const { id } = req.params;
-      const { title, description, amount, remark, repair_content, repair_images } = req.body;
+      const { title, description, amount, items, remark, repair_content, repair_images } = req.body;
 
       // 确保用户已登录且为电工角色
       if (!req.user) {
@@ -1090,68 +1036,40 @@ class OrderController {
         return res.error('您不是该工单的负责电工', 403);
       }
 
-      // 验证工单状态：允许已接单、待支付维修费、维修中
-      const allowedStatuses = ['accepted', 'pending_repair_payment', 'in_progress'];
-      if (!allowedStatuses.includes(order.status)) {
-        return res.error('只有已接单或待支付维修费状态的工单可以修改', 400);
-      }
+      // 随报价更新的工单信息
+      const orderChanges = {};
+      if (title) orderChanges.title = title;
+      if (description) orderChanges.description = description;
 
-      // 开始事务
-      const transaction = await sequelize.transaction();
-
-      try {
-        // 更新工单信息
-        const updateData = {};
-        if (title) updateData.title = title;
-        if (description) updateData.description = description;
-        if (amount !== undefined) updateData.final_amount = amount;
-
-        // 写入维修内容与图片（如提供）
-        if (repair_content) updateData.repair_content = repair_content;
-        if (Array.isArray(repair_images) && repair_images.length > 0) {
-          updateData.repair_images = JSON.stringify(repair_images);
-        }
-
-        // 设置为待支付维修费状态
-        updateData.status = 'pending_repair_payment';
-        // 不再需要用户确认，直接进入待支付
-        updateData.needs_confirmation = false;
-
-        // 记录原状态用于日志
-        const prevStatus = order.status;
+      // 写入维修内容与图片（如提供）
+      if (repair_content) orderChanges.repair_content = repair_content;
+      if (Array.isArray(repair_images) && repair_images.length > 0) {
+        orderChanges.repair_images = JSON.stringify(repair_images);
+      }
 
-        await order.update(updateData, { transaction });
+      // 兼容旧版只传总金额：作为单项人工费报价
+      const quoteItems = Array.isArray(items) && items.length > 0
+        ? items
+        : [{ item_type: 'labor', name: '维修费用', quantity: 1, unit_price: amount }];
 
-        // 记录状态变更日志
-        await OrderStatusLog.create({
-          order_id: order.id,
-          from_status: prevStatus,
-          to_status: 'pending_repair_payment',
-          operator_id: req.user.id,
-          operator_type: 'electrician',
-          operator_role: 'electrician',
-          remark: remark || '电工更新了维修内容与金额，进入待支付维修费'
-        }, { transaction });
-
-        // 提交事务
-        await transaction.commit();
+      const quote = await QuoteService.submit(order, req.user.id, {
+        items: quoteItems,
+        remark,
+        orderChanges
+      });
 
-        return res.success({
-          message: '维修金额已确认，等待用户支付',
-          order_id: order.id
-        });
-      } catch (error) {
-        // 回滚事务
-        await transaction.rollback();
-        throw error;
-      }
+      return res.success({
+        message: '报价已提交，等待用户确认',
+        order_id: order.id,
+        quote
+      });
     } catch (error) {
       next(error);
     }
   }
 
   /**
-   * 用户确认订单内容和金额
+   * 用户确认或拒绝电工提交的报价
    * @route POST /api/orders/:id/confirm-update
    * @access 用户角色
    * @param {Object} req - 请求对象
@@ -1161,6 +1079,7 @@ class OrderController {
   static async confirmOrderUpdate(req, res, next) {
     try {
       const { id } = req.params;
+      const { approved = true, quote_id, reason } = req.body || {};
 
       // 确保用户已登录且为用户角色
       if (!req.user) {
@@ -1181,49 +1100,277 @@ class OrderController {
         return res.error('无权操作此工单', 403);
       }
 
-      // 验证工单状态
-      if (order.status !== 'in_progress' && order.status !== 'accepted') {
-        return res.error('只有已接单或进行中状态的工单可以确认修改', 400);
+      const quote = await QuoteService.respond(order, req.user.id, {
+        approved,
+        quoteId: quote_id,
+        reason
+      });
+
+      return res.success({
+        message: approved ? '报价已确认，请支付维修费' : '已拒绝报价，等待电工重新报价',
+        order_id: order.id,
+        quote_id: quote.id,
+        status: order.status
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 申请改约（电工接单前用户直接修改预约时间）
+   * @route POST /api/orders/:id/reschedule
+   * @access 用户、电工角色
+   * @param {Object} req - 请求对象
+   * @param {Object} res - 响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  static async rescheduleOrder(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { appointment_start, appointment_end, reason } = req.body;
+
+      const order = await Order.findByPk(id);
+      if (!order) {
+        throw new AppError('工单不存在', 404);
+      }
+
+      const { applied, reschedule } = await AppointmentService.propose(order, {
+        operatorType: req.user.current_role,
+        operatorId: req.user.id,
+        start: appointment_start,
+        end: appointment_end,
+        reason
+      });
+
+      res.success({
+        message: applied ? '预约时间已修改' : '改约申请已提交，等待对方确认',
+        order_id: order.id,
+        applied,
+        reschedule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 同意或拒绝对方的改约申请
+   * @route POST /api/orders/:id/reschedule/respond
+   * @access 用户、电工角色
+   * @param {Object} req - 请求对象
+   * @param {Object} res - 响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  static async respondReschedule(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { accepted, reschedule_id, reason } = req.body;
+
+      const order = await Order.findByPk(id);
+      if (!order) {
+        throw new AppError('工单不存在', 404);
+      }
+
+      const reschedule = await AppointmentService.respond(order, {
+        operatorType: req.user.current_role,
+        operatorId: req.user.id,
+        accepted,
+        rescheduleId: reschedule_id,
+        reason
+      });
+
+      res.success({
+        message: accepted ? '已同意改约' : '已拒绝改约',
+        order_id: order.id,
+        reschedule,
+        appointment_start: order.appointment_start,
+        appointment_end: order.appointment_end
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取工单会话消息（查看时更新已读位置）
+   * @route GET /api/orders/:id/chat
+   * @access 用户、电工角色（工单当事人）
+   * @param {Object} req - 请求对象
+   * @param {Object} res - 响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  static async getOrderChat(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { before_id, limit } = req.query;
+
+      const order = await Order.findByPk(id);
+      if (!order) {
+        throw new AppError('工单不存在', 404);
       }
 
-      // 验证是否需要确认
-      if (!order.needs_confirmation) {
-        return res.error('当前订单没有待确认的修改', 400);
+      const thread = await OrderChatService.getThread(order, {
+        role: req.user.current_role,
+        id: req.user.id
+      }, {
+        beforeId: before_id,
+        limit
+      });
+
+      res.success(thread);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 发送工单会话消息
+   * @route POST /api/orders/:id/chat
+   * @access 用户、电工角色（工单当事人）
+   * @param {Object} req - 请求对象
+   * @param {Object} res - 响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  static async sendOrderChat(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { content_type, content } = req.body;
+
+      const order = await Order.findByPk(id);
+      if (!order) {
+        throw new AppError('工单不存在', 404);
       }
 
-      // 开始事务
-      const transaction = await sequelize.transaction();
+      const message = await OrderChatService.send(order, {
+        role: req.user.current_role,
+        id: req.user.id
+      }, {
+        contentType: content_type,
+        content
+      });
 
-      try {
-        // 更新工单状态
-        await order.update({
-          needs_confirmation: false,
-          confirmed_at: new Date()
-        }, { transaction });
-
-        // 记录状态变更日志
-        await OrderStatusLog.create({
-          order_id: order.id,
-          from_status: 'in_progress',
-          to_status: 'in_progress',
-          operator_id: req.user.id,
-          operator_type: 'user',
-          operator_role: 'user',
-          remark: '用户确认了订单修改'
-        }, { transaction });
-
-        // 提交事务
-        await transaction.commit();
+      res.success(message, '发送成功');
+    } catch (error) {
+      next(error);
+    }
+  }
 
-        return res.success({
-          message: '订单修改确认成功',
-          order_id: order.id
-        });
-      } catch (error) {
-        // 回滚事务
-        await transaction.rollback();
-        throw error;
+  /**
+   * 发起工单纠纷
+   * @route POST /api/orders/:id/disputes
+   * @access 用户、电工角色（工单当事人）
+   * @param {Object} req - 请求对象
+   * @param {Object} res - 响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  static async openDispute(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { reason, evidence_images } = req.body;
+
+      const order = await Order.findByPk(id);
+      if (!order) {
+        throw new AppError('工单不存在', 404);
       }
+
+      const dispute = await DisputeService.open(order, {
+        operatorType: req.user.current_role,
+        operatorId: req.user.id,
+        reason,
+        evidenceImages: evidence_images
+      });
+
+      res.success(dispute, '纠纷已提交，等待平台处理');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取工单纠纷记录
+   * @route GET /api/orders/:id/disputes
+   * @access 用户、电工角色（工单当事人）
+   * @param {Object} req - 请求对象
+   * @param {Object} res - 响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  static async getOrderDisputes(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const order = await Order.findByPk(id);
+      if (!order) {
+        throw new AppError('工单不存在', 404);
+      }
+
+      const disputes = await DisputeService.listForOrder(order, {
+        role: req.user.current_role,
+        id: req.user.id
+      });
+
+      res.success(disputes);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 补充纠纷说明与证据
+   * @route POST /api/orders/:id/disputes/:disputeId/evidence
+   * @access 用户、电工角色（工单当事人）
+   * @param {Object} req - 请求对象
+   * @param {Object} res - 响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  static async addDisputeEvidence(req, res, next) {
+    try {
+      const { id, disputeId } = req.params;
+      const { content, images } = req.body;
+
+      const order = await Order.findByPk(id);
+      if (!order) {
+        throw new AppError('工单不存在', 404);
+      }
+
+      const event = await DisputeService.addEvidence(order, disputeId, {
+        operatorType: req.user.current_role,
+        operatorId: req.user.id,
+        content,
+        images
+      });
+
+      res.success(event, '补充成功');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 撤回纠纷
+   * @route POST /api/orders/:id/disputes/:disputeId/withdraw
+   * @access 用户、电工角色（纠纷发起方）
+   * @param {Object} req - 请求对象
+   * @param {Object} res - 响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  static async withdrawDispute(req, res, next) {
+    try {
+      const { id, disputeId } = req.params;
+      const { reason } = req.body;
+
+      const order = await Order.findByPk(id);
+      if (!order) {
+        throw new AppError('工单不存在', 404);
+      }
+
+      const dispute = await DisputeService.withdraw(order, disputeId, {
+        operatorType: req.user.current_role,
+        operatorId: req.user.id,
+        reason
+      });
+
+      res.success(dispute, '纠纷已撤回');
     } catch (error) {
       next(error);
     }
@@ -1267,84 +1414,23 @@ class OrderController {
         return res.error('无权操作此工单', 403);
       }
 
-      // 验证工单状态
-      // 用户可以取消待接单、已接单和进行中的订单，电工可以取消已接单和进行中的订单
-      if (req.user.current_role === 'user') {
-        if (order.status !== 'pending' && order.status !== 'accepted' && order.status !== 'in_progress') {
-          return res.error('只有待接单、已接单或进行中状态的工单可以发起取消', 400);
-        }
-      } else if (order.status !== 'accepted' && order.status !== 'in_progress') {
-        return res.error('只有已接单或进行中状态的工单可以发起取消', 400);
-      }
-
       // 检查是否已经有取消请求
       if (order.status === 'cancel_pending') {
         return res.error('该工单已有取消请求，等待对方确认', 400);
       }
 
-      // 开始事务
-      const transaction = await sequelize.transaction();
-
-      try {
-        // 如果是用户取消待接单状态的订单，直接取消
-        if (req.user.current_role === 'user' && order.status === 'pending') {
-          // 直接更新为已取消状态
-          await order.update({
-            status: 'cancelled',
-            cancel_reason: reason,
-            cancelled_at: new Date()
-          }, { transaction });
-
-          // 记录状态变更日志
-          await OrderStatusLog.create({
-            order_id: order.id,
-            from_status: order.status,
-            to_status: 'cancelled',
-            operator_id: req.user.id,
-            operator_type: req.user.current_role,
-            remark: `${req.user.current_role === 'user' ? '用户' : '电工'}取消了待接单状态的订单：${reason}`
-          }, { transaction });
-
-          // 提交事务
-          await transaction.commit();
-
-          return res.success({
-            message: '订单已取消',
-            order_id: order.id
-          });
-        } else {
-          // 已接单或进行中状态需要发起取消请求
-          await order.update({
-            status: 'cancel_pending',
-            cancel_initiator_id: req.user.id,
-            cancel_reason: reason,
-            cancel_initiated_at: new Date(),
-            cancel_confirm_status: 'pending'
-          }, { transaction });
-
-          // 记录状态变更日志
-          await OrderStatusLog.create({
-            order_id: order.id,
-            from_status: order.status,
-            to_status: order.status,
-            operator_id: req.user.id,
-            operator_type: req.user.current_role,
-            remark: `${req.user.current_role === 'user' ? '用户' : '电工'}发起取消订单请求：${reason}`
-          }, { transaction });
-
-          // 提交事务
-          await transaction.commit();
+      // 用户取消待接单状态的订单直接取消，其余（已接单、进行中）需要发起取消请求等待对方确认
+      const directCancel = req.user.current_role === 'user' && order.status === 'pending';
+      await OrderStateMachine.transition(order, directCancel ? 'cancel_waiting' : 'request_cancel', {
+        operatorType: req.user.current_role,
+        operatorId: req.user.id,
+        data: { reason }
+      });
 
-          return res.success({
-            message: '取消订单请求已发起，等待对方确认',
-            order_id: order.id
-          });
-        }
-      } catch (error) {
-        // 回滚事务
-        await transaction.rollback();
-        throw error;
-      }
+      return res.success({
+        message: directCancel ? '订单已取消' : '取消订单请求已发起，等待对方确认',
+        order_id: order.id
+      });
     } catch (error) {
       next(error);
     }
@@ -1388,53 +1474,17 @@ class OrderController {
         return res.error('无权操作此工单', 403);
       }
 
-      // 验证工单状态
-      if (order.status !== 'cancel_pending') {
-        return res.error('只有处于待确认取消状态的工单可以确认取消', 400);
-      }
-
-      // 验证确认方不是发起方
-      if (order.cancel_initiator_id === req.user.id) {
-        return res.error('您是取消请求的发起方，无需再次确认', 400);
-      }
-
-      // 开始事务
-      const transaction = await sequelize.transaction();
-
-      try {
-        // 更新工单状态为已取消
-        await order.update({
-          status: 'cancelled',
-          cancel_confirm_status: 'confirmed',
-          cancel_confirmed_at: new Date(),
-          cancel_confirmer_id: req.user.id,
-          cancel_reason: cancel_reason || order.cancel_reason, // 使用传入的取消原因或保留原有原因
-          cancelled_at: new Date() // 设置取消时间
-        }, { transaction });
-
-        // 记录状态变更日志
-        await OrderStatusLog.create({
-          order_id: order.id,
-          from_status: 'in_progress',
-          to_status: 'cancelled',
-          operator_id: req.user.id,
-          operator_type: req.user.current_role,
-          operator_role: req.user.current_role,
-          remark: `${req.user.current_role === 'user' ? '用户' : '电工'}确认取消订单：${cancel_reason}`
-        }, { transaction });
-
-        // 提交事务
-        await transaction.commit();
+      // 状态流转：cancel_pending -> cancelled（状态机校验确认方不是发起方）
+      await OrderStateMachine.transition(order, 'confirm_cancel', {
+        operatorType: req.user.current_role,
+        operatorId: req.user.id,
+        data: { reason: cancel_reason }
+      });
 
-        return res.success({
-          message: '订单已成功取消',
-          order_id: order.id
-        });
-      } catch (error) {
-        // 回滚事务
-        await transaction.rollback();
-        throw error;
-      }
+      return res.success({
+        message: '订单已成功取消',
+        order_id: order.id
+      });
     } catch (error) {
       next(error);
     }
@@ -6,47 +6,30 @@
 const Payment = require('../models/Payment');
 const Order = require('../models/Order');
 const ServiceType = require('../models/ServiceType');
-const OrderStatusLog = require('../models/OrderStatusLog');
-const Message = require('../models/Message');
 const WechatPayV3Service = require('../utils/WechatPayV3Service');
-
-// 维修费支付成功状态转移函数
-async function transitionRepairPaymentSuccess(order, operatorId, remark = '维修费支付成功，订单进入维修中') {
-  const now = new Date();
-
-  await Order.update({
-    status: 'in_progress',
-    repair_paid_at: now
-  }, { where: { id: order.id } });
-
-  await OrderStatusLog.create({
-    order_id: order.id,
-    from_status: order.status,
-    to_status: 'in_progress',
-    operator_id: operatorId || order.user_id,
-    operator_type: operatorId ? 'user' : 'system',
-    remark
-  });
-
-  await Message.create({
-    user_id: order.user_id,
-    title: '维修费支付成功',
-    content: `您的工单 ${order.order_no} 维修费已支付成功，电工即将上门维修。`,
-    type: 'order',
-    related_id: order.id,
-    to_status: 'unread'
+const OrderStateMachine = require('../services/orderStateMachine');
+const DispatchService = require('../services/dispatchService');
+const RefundService = require('../services/refundService');
+const QuoteService = require('../services/quoteService');
+const SandboxService = require('../services/sandboxService');
+const { Refund } = require('../models');
+
+// 支付成功后推进订单状态：预付款 pending_payment -> pending，维修费 pending_repair_payment -> in_progress
+async function transitionOrderOnPaymentSuccess(order, paymentType, operatorId) {
+  await OrderStateMachine.transition(order, paymentType === 'prepay' ? 'pay_prepay' : 'pay_repair', {
+    operatorType: operatorId ? 'user' : 'system',
+    operatorId
   });
 
-  if (order.electrician_id) {
-    await Message.create({
-      user_id: order.electrician_id,
-      title: '用户已支付维修费',
-      content: `工单 ${order.order_no} 用户已支付维修费，请尽快安排维修。`,
-      type: 'order',
-      related_id: order.id,
-      to_status: 'unread'
-    });
+  // 派单模式的服务类型：预付款到账后由系统派单，派单失败不影响支付结果（工单留在抢单池）
+  if (paymentType === 'prepay') {
+    try {
+      await DispatchService.startDispatch(order);
+    } catch (error) {
+      console.error('工单派单失败，保留在抢单池:', order.id, error.message);
+    }
   }
+  return order;
 }
 
 class PaymentController {
@@ -75,6 +58,11 @@ class PaymentController {
         return res.error('无权限支付此工单', 403);
       }
 
+      // 测试支付仅限测试账号在非生产环境使用
+      if (payment_method === 'test' && !(await SandboxService.canUseTestPayment(userId))) {
+        return res.error('测试支付仅限测试账号在非生产环境使用', 403);
+      }
+
       // 分类型校验与金额确定
       let amount = 0;
       let description = '';
@@ -94,10 +82,15 @@ class PaymentController {
         if (order.status !== 'pending_repair_payment') {
           return res.error('当前工单不处于待支付维修费状态', 400);
         }
-        if (!order.final_amount || Number(order.final_amount) <= 0) {
+        if (order.needs_confirmation) {
+          return res.error('电工已更新报价，请先确认报价', 400);
+        }
+        // 按最新确认的报价总额支付（历史工单无报价时沿用最终金额）
+        const quote = await QuoteService.getApproved(order.id);
+        amount = Number(quote ? quote.total_amount : order.final_amount);
+        if (!amount || amount <= 0) {
           return res.error('工单最终金额异常', 400);
         }
-        amount = Number(order.final_amount);
         description = `工单支付-${order.title}`;
       } else {
         return res.error('无效的支付类型', 400);
@@ -112,6 +105,15 @@ class PaymentController {
         }
       });
 
+      // 报价变更后金额不一致的待支付记录作废，重新下单
+      if (payment && Number(payment.amount) !== amount) {
+        if (payment.payment_method === 'wechat' && payment.prepay_id) {
+          await new WechatPayV3Service().closeOrder(payment.out_trade_no);
+        }
+        await payment.update({ status: 'expired' });
+        payment = null;
+      }
+
       // 生成商户订单号（如果复用原有订单，则用原来的out_trade_no）
       let out_trade_no;
       if (payment) {
@@ -182,7 +184,6 @@ class PaymentController {
         });
 
       } else if (payment_method === 'test') {
-        // 测试支付逻辑保持不变
         // 支付记录数据
         const paymentData = {
           order_id,
@@ -261,6 +262,11 @@ class PaymentController {
         return res.error('非测试支付，无法手动确认', 400);
       }
 
+      // 测试支付确认仅限测试账号在非生产环境使用
+      if (!(await SandboxService.canUseTestPayment(userId))) {
+        return res.error('测试支付仅限测试账号在非生产环境使用', 403);
+      }
+
       // 验证支付状态
       if (payment.status !== 'pending') {
         return res.error('支付状态异常', 400);
@@ -285,31 +291,7 @@ class PaymentController {
       // 根据支付类型更新订单状态
       const order = await Order.findByPk(payment.order_id);
       if (order) {
-        if (payment.type === 'prepay') {
-          await Order.update({
-            status: 'pending',
-            prepaid_at: new Date()
-          }, { where: { id: payment.order_id } });
-
-          // 状态日志与消息
-          await OrderStatusLog.create({
-            order_id: payment.order_id,
-            to_status: 'pending',
-            operator_id: userId,
-            operator_type: 'user',
-            remark: '预付款支付成功，进入待接单'
-          });
-          await Message.create({
-            user_id: order.user_id,
-            title: '预付款支付成功',
-            content: `您的工单 ${order.order_no} 预付款已支付成功，现已进入待接单。`,
-            type: 'order',
-            related_id: order.id,
-            to_status: 'unread'
-          });
-        } else {
-          await transitionRepairPaymentSuccess(order, userId);
-        }
+        await transitionOrderOnPaymentSuccess(order, payment.type, userId);
       }
 
       res.success({
@@ -405,34 +387,12 @@ class PaymentController {
           current_status: order.status,
           payment_type: payment.type
         });
-        if (payment.type === 'prepay') {
-          console.log('💰 处理预付款支付成功逻辑...');
-          await Order.update({
-            status: 'pending',
-            prepaid_at: new Date()
-          }, { where: { id: payment.order_id } });
-
-          await OrderStatusLog.create({
-            order_id: payment.order_id,
-            to_status: 'pending',
-            operator_id: order.user_id,
-            operator_type: 'user',
-            remark: '预付款支付成功，进入待接单'
-          });
-
-          await Message.create({
-            user_id: order.user_id,
-            title: '预付款支付成功',
-            content: `您的工单 ${order.order_no} 预付款已支付成功，现已进入待接单。`,
-            type: 'order',
-            related_id: order.id,
-            to_status: 'unread'
-          });
-          console.log('✅ 订单状态已更新为 pending (待接单)');
-        } else {
-          console.log('🔧 处理维修费支付成功逻辑...');
-          await transitionRepairPaymentSuccess(order, order.user_id);
-          console.log('✅ 订单状态已更新为 in_progress (维修中)');
+        try {
+          await transitionOrderOnPaymentSuccess(order, payment.type, order.user_id);
+          console.log('✅ 订单状态已更新为', order.status);
+        } catch (transitionError) {
+          // 支付已入账，订单状态不满足流转条件（如已超时关闭）时不影响回调应答，由人工处理
+          console.error('⚠️ 订单状态流转失败:', transitionError.message);
         }
       } else {
         console.error('❌ 订单不存在, order_id:', payment.order_id);
@@ -451,6 +411,38 @@ class PaymentController {
     }
   }
 
+  /**
+   * 微信退款结果通知
+   * 退款为异步处理，以通知中的最终状态（SUCCESS/CLOSED/ABNORMAL）更新退款记录与支付退款状态
+   */
+  static async wechatRefundNotify(req, res, next) {
+    const wxPayService = new WechatPayV3Service();
+    try {
+      const notifyResult = await wxPayService.handleRefundNotify(req.headers, req.body);
+      if (!notifyResult.success) {
+        console.error('微信退款通知验证失败:', notifyResult.error);
+        return res.json(wxPayService.generateFailResponse(notifyResult.error));
+      }
+
+      const refund = await Refund.findOne({ where: { refund_no: notifyResult.out_refund_no } });
+      if (!refund) {
+        console.error('❌ 退款记录不存在:', notifyResult.out_refund_no);
+        return res.json(wxPayService.generateFailResponse('退款记录不存在'));
+      }
+
+      const updated = await RefundService.applyResult(refund, notifyResult.refund_status, {
+        wechatRefundId: notifyResult.refund_id,
+        successTime: notifyResult.success_time
+      });
+      console.log(`退款通知处理完成: ${refund.refund_no} -> ${notifyResult.refund_status}${updated ? '' : '（重复通知，已忽略）'}`);
+
+      res.json(wxPayService.generateSuccessResponse());
+    } catch (error) {
+      console.error('微信退款通知处理失败:', error);
+      res.json(wxPayService.generateFailResponse('处理失败'));
+    }
+  }
+
   /**
    * 查询支付状态 - V3版本
    */
@@ -485,46 +477,7 @@ class PaymentController {
             // 更新订单状态
             const order = await Order.findByPk(payment.order_id);
             if (order) {
-              if (payment.type === 'prepay') {
-                await Order.update({
-                  status: 'pending',
-                  prepaid_at: new Date()
-                }, { where: { id: payment.order_id } });
-
-                await OrderStatusLog.create({
-                  order_id: payment.order_id,
-                  to_status: 'pending',
-                  operator_id: order.user_id,
-                  operator_type: 'user',
-                  remark: '预付款支付成功，进入待接单'
-                });
-
-                await Message.create({
-                  user_id: order.user_id,
-                  title: '预付款支付成功',
-                  content: `您的工单 ${order.order_no} 预付款已支付成功，现已进入待接单。`,
-                  type: 'order',
-                  related_id: order.id,
-                  to_status: 'unread'
-                });
-              } else {
-                await OrderStatusLog.create({
-                  order_id: payment.order_id,
-                  to_status: 'pending_repair_payment',
-                  operator_id: order.user_id,
-                  operator_type: 'user',
-                  remark: '维修费支付成功'
-                });
-
-                await Message.create({
-                  user_id: order.user_id,
-                  title: '维修费支付成功',
-                  content: `您的工单 ${order.order_no} 维修费已支付成功，请等待电工开始维修。`,
-                  type: 'order',
-                  related_id: order.id,
-                  to_status: 'unread'
-                });
-              }
+              await transitionOrderOnPaymentSuccess(order, payment.type, order.user_id);
             }
 
             // 重新查询更新后的支付记录
@@ -610,12 +563,12 @@ class PaymentController {
   }
 
   /**
-   * 申请退款
+   * 申请退款（支持部分退款，不传金额则申请退回剩余全部可退金额）
    */
   static async requestRefund(req, res, next) {
     try {
       const { payment_no } = req.params;
-      const { reason = '用户申请退款' } = req.body;
+      const { amount, reason = '用户申请退款' } = req.body;
       const userId = req.user.id;
 
       const payment = await Payment.findByPaymentNo(payment_no);
@@ -628,27 +581,53 @@ class PaymentController {
         return res.error('无权限操作此支付', 403);
       }
 
-      // 验证支付状态
-      if (payment.status !== 'success') {
-        return res.error('只有已支付成功的订单才能申请退款', 400);
+      // 同一支付同时只允许一笔待审核的退款申请
+      const pendingRefund = await Refund.findOne({
+        where: { payment_id: payment.id, status: 'pending' }
+      });
+      if (pendingRefund) {
+        return res.error('已有退款申请待处理，请勿重复操作', 400);
       }
 
-      // 检查是否已申请退款
-      if (payment.refund_status === 'processing' || payment.refund_status === 'success') {
-        return res.error('已申请退款，请勿重复操作', 400);
-      }
+      const refund = await RefundService.createRefund(payment, { amount, reason, initiatorType: 'user' });
 
-      // 更新退款状态
-      await Payment.updateStatus(payment.id, payment.status, {
-        refund_status: 'processing',
-        refund_reason: reason,
-        refund_requested_at: new Date()
+      res.success({
+        message: '退款申请已提交，请等待处理',
+        refund
       });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取支付的退款记录
+   */
+  static async getRefunds(req, res, next) {
+    try {
+      const { payment_no } = req.params;
 
-      // 这里可以添加自动退款逻辑或者通知管理员处理
+      const payment = await Payment.findByPaymentNo(payment_no);
+      if (!payment) {
+        return res.error('支付记录不存在', 404);
+      }
+      if (payment.user_id !== req.user.id) {
+        return res.error('无权限查看此支付', 403);
+      }
+
+      const refunds = await Refund.findAll({
+        where: { payment_id: payment.id },
+        attributes: { exclude: ['admin_notes'] },
+        order: [['id', 'DESC']]
+      });
+      const refundableAmount = payment.status === 'success'
+        ? await RefundService.getRefundableAmount(payment)
+        : 0;
 
       res.success({
-        message: '退款申请已提交，请等待处理'
+        payment_amount: Number(payment.amount),
+        refundable_amount: refundableAmount,
+        refunds
       });
     } catch (error) {
       next(error);
@@ -657,64 +636,49 @@ class PaymentController {
 
   /**
    * 处理退款 - V3版本
+   * - approve + refund_no：同意指定的退款申请（不传 refund_no 时取最早的待审核申请）
+   * - approve + amount 且无待审核申请：管理员直接按金额对该支付发起退款
+   * - reject：拒绝退款申请
    */
   static async processRefund(req, res, next) {
     try {
       const { payment_no } = req.params;
-      const { action, admin_notes = '' } = req.body; // action: 'approve' | 'reject'
+      const { action, refund_no, amount, admin_notes = '' } = req.body; // action: 'approve' | 'reject'
 
       const payment = await Payment.findByPaymentNo(payment_no);
       if (!payment) {
         return res.error('支付记录不存在', 404);
       }
 
-      if (payment.refund_status !== 'processing') {
-        return res.error('退款状态异常', 400);
-      }
+      let refund = await Refund.findOne({
+        where: {
+          payment_id: payment.id,
+          status: 'pending',
+          ...(refund_no && { refund_no })
+        },
+        order: [['id', 'ASC']]
+      });
 
-      if (action === 'approve') {
-        // 执行退款 - V3接口
-        if (payment.payment_method === 'wechat') {
-          const wxPayService = new WechatPayV3Service();
-          const refundResult = await wxPayService.createRefund({
-            out_trade_no: payment.out_trade_no,
-            out_refund_no: `RF${payment.out_trade_no}`,
-            amount: {
-              refund: payment.amount,
-              total: payment.amount
-            },
-            reason: admin_notes || '用户申请退款'
-          });
-
-          if (refundResult.success) {
-            await Payment.updateStatus(payment.id, payment.status, {
-              refund_status: 'success',
-              refund_id: refundResult.refund_id,
-              refund_completed_at: new Date(),
-              admin_notes
-            });
-          } else {
-            throw new Error('退款执行失败: ' + (refundResult.error || '未知错误'));
-          }
-        } else {
-          // 测试支付直接标记为退款成功
-          await Payment.updateStatus(payment.id, payment.status, {
-            refund_status: 'success',
-            refund_id: `test_refund_${Date.now()}`,
-            refund_completed_at: new Date(),
-            admin_notes
-          });
+      if (!refund) {
+        if (refund_no || action !== 'approve' || amount === undefined) {
+          return res.error('没有待处理的退款申请', 400);
         }
+        refund = await RefundService.createRefund(payment, {
+          amount,
+          reason: admin_notes || '平台退款',
+          initiatorType: 'admin'
+        });
+      }
 
-        res.success({ message: '退款处理成功' });
-      } else if (action === 'reject') {
-        await Payment.updateStatus(payment.id, payment.status, {
-          refund_status: 'rejected',
-          admin_notes
+      if (action === 'approve') {
+        const result = await RefundService.execute(refund, { adminNotes: admin_notes });
+        res.success({
+          message: result.status === 'success' ? '退款处理成功' : '退款已提交，等待微信处理',
+          refund: result
         });
-        res.success({ message: '退款申请已拒绝' });
       } else {
-        res.error('无效的操作类型', 400);
+        const result = await RefundService.reject(refund, { adminNotes: admin_notes });
+        res.success({ message: '退款申请已拒绝', refund: result });
       }
     } catch (error) {
       next(error);
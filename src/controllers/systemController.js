@@ -3,7 +3,11 @@
  * 处理服务类型、系统配置等功能
  */
 
+const { Op } = require('sequelize');
 const ServiceType = require('../models/ServiceType');
+const CatalogItem = require('../models/CatalogItem');
+const ElectricianServiceArea = require('../models/ElectricianServiceArea');
+const ElectricianProfileService = require('../services/electricianProfileService');
 const db = require('../../config/database');
 
 class SystemController {
@@ -55,6 +59,38 @@ class SystemController {
     }
   }
 
+  /**
+   * 获取物料/工时目录及参考价（按服务类型筛选时包含通用项目）
+   */
+  static async getCatalogItems(req, res, next) {
+    try {
+      const { service_type_id, item_type, keyword } = req.query;
+
+      const where = { is_active: true };
+      if (service_type_id) {
+        where.service_type_id = { [Op.or]: [service_type_id, null] };
+      }
+      if (item_type) {
+        where.item_type = item_type;
+      }
+      if (keyword) {
+        where.name = { [Op.like]: `%${keyword}%` };
+      }
+
+      const items = await CatalogItem.findAll({
+        where,
+        attributes: ['id', 'item_type', 'name', 'spec', 'unit', 'reference_price', 'service_type_id', 'description'],
+        order: [['sort_order', 'ASC'], ['id', 'ASC']]
+      });
+
+      res.success({
+        catalog_items: items
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * 获取系统配置
    */
@@ -110,13 +146,13 @@ class SystemController {
       // 获取服务类型
       const serviceTypes = await ServiceType.getAll();
       
-      // 获取统计信息
+      // 获取统计信息（不含测试账号创建的工单）
       const [statsRows] = await db.query(
         `SELECT 
           (SELECT COUNT(*) FROM users WHERE status = 'active') as total_users,
           (SELECT COUNT(*) FROM users WHERE current_role = 'electrician' AND status = 'active') as total_electricians,
-          (SELECT COUNT(*) FROM orders) as total_orders,
-          (SELECT COUNT(*) FROM orders WHERE status = 'completed') as completed_orders
+          (SELECT COUNT(*) FROM orders WHERE is_sandbox = 0) as total_orders,
+          (SELECT COUNT(*) FROM orders WHERE status = 'completed' AND is_sandbox = 0) as completed_orders
         `
       );
       
@@ -147,7 +183,8 @@ class SystemController {
       }
 
       const file = req.file;
-      const fileUrl = `/uploads/${file.filename}`;
+      // 保存到数据库的地址，由存储服务解析访问
+      const fileUrl = file.url;
       
       // 这里可以添加文件信息到数据库的逻辑
       
@@ -167,47 +204,78 @@ class SystemController {
 
   /**
    * 获取附近的电工（基于地理位置）
+   * 返回常驻位置在查询距离内且服务半径覆盖该点的电工，以及服务地区包含该点所在地区的电工
    */
   static async getNearbyElectricians(req, res, next) {
     try {
-      const { latitude, longitude, distance = 1000 } = req.query;
-      
-      if (!latitude || !longitude) {
+      const { latitude, longitude, distance = 1000, region_code, limit = 20 } = req.query;
+
+      if (latitude === undefined || longitude === undefined) {
         return res.error('请提供位置坐标', 400);
       }
-      
-      // 查询附近的电工（这里简化处理，实际应该基于电工的位置信息）
-      const [rows] = await db.query(
-        `SELECT 
-          u.id, u.nickname, u.avatar, u.phone,
-          ec.certificate_number, ec.experience_years,
-          (
-            SELECT AVG(rating) FROM reviews r 
-            JOIN orders wo ON r.order_id = wo.id 
-            WHERE wo.electrician_id = u.id
-          ) as avg_rating,
-          (
-            SELECT COUNT(*) FROM orders wo 
-            WHERE wo.electrician_id = u.id AND wo.status = 'completed'
-          ) as completed_orders
-         FROM users u
-         JOIN electrician_certifications ec ON u.id = ec.user_id
-         WHERE u.current_role = 'electrician' 
-         AND u.status = 'active'
-         AND ec.status = 'approved'
-         ORDER BY completed_orders DESC, avg_rating DESC
-         LIMIT 20`,
-        []
-      );
-      
+
+      const rows = await ElectricianServiceArea.findNearby({
+        latitude: Number(latitude),
+        longitude: Number(longitude),
+        distance: Number(distance),
+        regionCode: region_code,
+        limit: Number(limit)
+      });
+
+      const electricians = rows.map(row => ({
+        id: row.id,
+        nickname: row.nickname,
+        avatar: row.avatar,
+        real_name: row.real_name,
+        work_types: row.work_types,
+        address: row.address,
+        service_radius: row.service_radius,
+        avg_rating: row.avg_rating !== null ? Number(Number(row.avg_rating).toFixed(1)) : null,
+        completed_orders: Number(row.completed_orders) || 0,
+        // 距离（米），仅按服务地区匹配且未登记位置的电工为 null
+        distance: row.distance !== null ? Math.round(row.distance) : null
+      }));
+
       res.success({
-        electricians: rows
+        electricians
       });
     } catch (error) {
       next(error);
     }
   }
 
+  /**
+   * 获取电工公开主页（认证工作类型、从业年限、完成工单数、评分分布）
+   */
+  static async getElectricianProfile(req, res, next) {
+    try {
+      const profile = await ElectricianProfileService.getProfile(req.params.id);
+      res.success(profile);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 分页获取电工收到的评价（含评价图片）
+   */
+  static async getElectricianReviews(req, res, next) {
+    try {
+      const { rating, with_images, page = 1, limit = 10 } = req.query;
+
+      const { count, rows } = await ElectricianProfileService.listReviews(req.params.id, {
+        rating,
+        withImages: with_images,
+        page,
+        limit
+      });
+
+      res.paginate(rows, count, page, limit);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * 搜索功能
    */
@@ -284,7 +352,7 @@ class SystemController {
   }
 
   /**
-   * 获取平台统计数据
+   * 获取平台统计数据（不含测试账号创建的工单）
    */
   static async getPlatformStats(req, res, next) {
     try {
@@ -293,11 +361,11 @@ class SystemController {
           (SELECT COUNT(*) FROM users WHERE status = 'active') as total_users,
           (SELECT COUNT(*) FROM users WHERE current_role = 'user' AND status = 'active') as total_customers,
           (SELECT COUNT(*) FROM users WHERE current_role = 'electrician' AND status = 'active') as total_electricians,
-          (SELECT COUNT(*) FROM orders) as total_orders,
-          (SELECT COUNT(*) FROM orders WHERE status = 'pending') as pending_orders,
-          (SELECT COUNT(*) FROM orders WHERE status = 'completed') as completed_orders,
-          (SELECT COALESCE(SUM(final_amount), 0) FROM orders WHERE status = 'completed') as total_revenue,
-          (SELECT COUNT(*) FROM payments WHERE status = 'paid') as total_payments
+          (SELECT COUNT(*) FROM orders WHERE is_sandbox = 0) as total_orders,
+          (SELECT COUNT(*) FROM orders WHERE status = 'pending' AND is_sandbox = 0) as pending_orders,
+          (SELECT COUNT(*) FROM orders WHERE status = 'completed' AND is_sandbox = 0) as completed_orders,
+          (SELECT COALESCE(SUM(final_amount), 0) FROM orders WHERE status = 'completed' AND is_sandbox = 0) as total_revenue,
+          (SELECT COUNT(*) FROM payments p JOIN orders o ON o.id = p.order_id WHERE p.status = 'paid' AND o.is_sandbox = 0) as total_payments
         `
       );
       
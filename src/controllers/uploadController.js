@@ -4,28 +4,18 @@
  */
 
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const crypto = require('crypto');
+const PrivateFileService = require('../services/privateFileService');
+const StorageService = require('../services/storageService');
+const UploadService = require('../services/uploadService');
 
 class UploadController {
-  // 配置multer存储
+  // 配置multer存储（校验文件头、去重后写入当前存储驱动）
   static getStorage() {
-    return multer.diskStorage({
-      destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '../../uploads/avatars');
-        // 确保目录存在
-        if (!fs.existsSync(uploadDir)) {
-          fs.mkdirSync(uploadDir, { recursive: true });
-        }
-        cb(null, uploadDir);
-      },
-      filename: (req, file, cb) => {
-        // 生成唯一文件名
-        const uniqueSuffix = crypto.randomBytes(16).toString('hex');
-        const ext = path.extname(file.originalname);
-        cb(null, `avatar_${uniqueSuffix}${ext}`);
-      }
+    return UploadService.multerStorage({
+      dir: 'uploads/avatars',
+      purpose: 'avatar',
+      // 生成唯一文件名，扩展名以识别出的文件类型为准
+      filename: (req, file, type) => UploadService.randomFilename('avatar', type.ext)
     });
   }
 
@@ -52,23 +42,13 @@ class UploadController {
     });
   }
 
-  // 配置multer存储 - 证件
+  // 配置multer存储 - 证件（私有命名空间，不经 /uploads 公开访问）
   static getCertificationStorage() {
-    return multer.diskStorage({
-      destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '../../uploads/certifications');
-        // 确保目录存在
-        if (!fs.existsSync(uploadDir)) {
-          fs.mkdirSync(uploadDir, { recursive: true });
-        }
-        cb(null, uploadDir);
-      },
-      filename: (req, file, cb) => {
-        // 生成唯一文件名
-        const uniqueSuffix = crypto.randomBytes(16).toString('hex');
-        const ext = path.extname(file.originalname);
-        cb(null, `cert_${uniqueSuffix}${ext}`);
-      }
+    return UploadService.multerStorage({
+      dir: 'private/certifications',
+      purpose: 'certification',
+      // 文件名包含上传用户ID，用于提交认证及查看时校验归属
+      filename: (req, file, type) => PrivateFileService.buildCertificationFilename(req.user.id, type.ext)
     });
   }
 
@@ -91,8 +71,8 @@ class UploadController {
         return res.error('请选择要上传的图片', 400);
       }
 
-      // 构建文件URL
-      const fileUrl = `/uploads/avatars/${req.file.filename}`;
+      // 保存到数据库的地址，由存储服务解析访问
+      const fileUrl = req.file.url;
 
       res.success({
         url: fileUrl,
@@ -113,11 +93,12 @@ class UploadController {
         return res.error('请选择要上传的图片', 400);
       }
 
-      // 构建文件URL
-      const fileUrl = `/uploads/certifications/${req.file.filename}`;
+      // url 为私有文件标识，提交认证时使用；preview_url 为本人限时预览地址
+      const fileKey = req.file.url;
 
       res.success({
-        url: fileUrl,
+        url: fileKey,
+        preview_url: await PrivateFileService.getAccessUrl(fileKey, { role: 'user', id: req.user.id }),
         filename: req.file.filename,
         originalName: req.file.originalname,
         size: req.file.size
@@ -128,6 +109,35 @@ class UploadController {
     }
   }
 
+  // 通过限时签名地址查看私有文件（管理员查看写入访问记录）
+  static async getPrivateFile(req, res) {
+    try {
+      const key = PrivateFileService.buildKey(req.params.category, req.params.filename);
+      const { viewer } = PrivateFileService.verify(key, req.query);
+
+      const storageKey = PrivateFileService.toStorageKey(key);
+      if (!(await StorageService.exists(storageKey))) {
+        return res.error('文件不存在', 404);
+      }
+
+      if (viewer.role === 'admin') {
+        await PrivateFileService.logAdminView(key, viewer.id, {
+          ip: req.ip,
+          userAgent: req.get('user-agent')
+        });
+      }
+
+      res.set('Cache-Control', 'private, no-store');
+      await StorageService.send(res, storageKey);
+    } catch (error) {
+      console.error('获取私有文件错误:', error);
+      if (error.isOperational) {
+        return res.error(error.message, error.statusCode);
+      }
+      res.error('获取文件失败');
+    }
+  }
+
   // 上传通用文件
   static async uploadFile(req, res) {
     try {
@@ -135,8 +145,7 @@ class UploadController {
         return res.error('请选择要上传的文件', 400);
       }
 
-      // 构建文件URL
-      const fileUrl = `/uploads/${req.file.filename}`;
+      const fileUrl = req.file.url;
 
       res.success({
         url: fileUrl,
@@ -1,33 +1,34 @@
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const AppError = require('../utils/AppError');
+const PrivateFileService = require('../services/privateFileService');
+const UploadService = require('../services/uploadService');
 
-const uploadDir = process.env.UPLOAD_DIR || './uploads';
+const subDirs = {
+  'avatar': 'avatars',
+  'problem_images': 'problems',
+  'repair_images': 'repairs'
+};
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const subDirs = {
-      'avatar': 'avatars',
-      'cert_images': 'certifications',
-      'problem_images': 'problems',
-      'repair_images': 'repairs'
-    };
-    
-    const subDir = subDirs[file.fieldname] || 'others';
-    const fullPath = path.join(uploadDir, subDir);
-    
-    if (!fs.existsSync(fullPath)) {
-      fs.mkdirSync(fullPath, { recursive: true });
-    }
+// 上传字段对应的文件用途（登记到上传文件表）
+const purposes = {
+  'avatar': 'avatar',
+  'cert_images': 'certification',
+  'problem_images': 'problem',
+  'repair_images': 'repair'
+};
 
-    cb(null, fullPath);
-  },
-  
-  filename: (req, file, cb) => {
-    const unique = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, `${file.fieldname}-${unique}${ext}`);
+// 校验文件头后写入当前存储驱动；认证证件写入私有命名空间，其余图片公开
+const storage = UploadService.multerStorage({
+  dir: (req, file) => (file.fieldname === 'cert_images'
+    ? 'private/certifications'
+    : `uploads/${subDirs[file.fieldname] || 'others'}`),
+  purpose: (req, file) => purposes[file.fieldname] || 'other',
+  allowedTypes: ['image/jpeg', 'image/png'],
+  filename: (req, file, type) => {
+    if (file.fieldname === 'cert_images') {
+      return PrivateFileService.buildCertificationFilename(req.user.id, type.ext);
+    }
+    return UploadService.randomFilename(file.fieldname, type.ext);
   }
 });
 
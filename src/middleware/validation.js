@@ -84,6 +84,25 @@ const validate = function(schema, source = 'body') {
   };
 };
 
+// 系统配置项的取值规则，后台只能修改此处登记的配置
+const configValueRules = {
+  nearby_distance: Joi.number().integer().min(100).max(50000),
+  message_poll_interval: Joi.number().integer().min(5).max(3600),
+  max_image_size: Joi.number().integer().min(1024).max(50 * 1024 * 1024),
+  max_image_count: Joi.number().integer().min(1).max(20),
+  supported_image_types: Joi.string().pattern(/^[a-z0-9]+(,[a-z0-9]+)*$/).max(100),
+  test_sms_code: Joi.string().pattern(/^\d{6}$/),
+  platform_name: Joi.string().trim().min(1).max(100),
+  contact_phone: Joi.string().trim().pattern(/^[\d-]{5,20}$/),
+  privacy_policy_url: Joi.string().uri({ scheme: ['http', 'https'] }),
+  review_auto_confirm_hours: Joi.number().integer().min(1).max(720),
+  review_auto_confirm_outcome: Joi.string().valid('settle', 'unsettle'),
+  cert_second_review_enabled: Joi.number().integer().valid(0, 1),
+  cert_min_age: Joi.number().integer().min(16).max(100),
+  cert_max_age: Joi.number().integer().min(16).max(100),
+  upload_orphan_grace_hours: Joi.number().integer().min(1).max(720)
+};
+
 // 常用验证模式
 const schemas = {
   // 发送验证码
@@ -256,10 +275,18 @@ const schemas = {
       payment_no: Joi.string().required()
     }),
     body: Joi.object({
+      amount: Joi.number().positive().precision(2).optional(),
       reason: Joi.string().max(200).optional().allow('')
     })
   },
 
+  // 获取退款记录
+  getRefunds: {
+    params: Joi.object({
+      payment_no: Joi.string().required()
+    })
+  },
+
   // 处理退款
   processRefund: {
     params: Joi.object({
@@ -267,6 +294,8 @@ const schemas = {
     }),
     body: Joi.object({
       action: Joi.string().valid('approve', 'reject').required(),
+      refund_no: Joi.string().max(64).optional(),
+      amount: Joi.number().positive().precision(2).optional(),
       admin_notes: Joi.string().max(500).optional().allow('')
     })
   },
@@ -278,6 +307,28 @@ const schemas = {
     })
   },
 
+  // 获取物料/工时目录
+  getCatalogItems: {
+    query: Joi.object({
+      service_type_id: Joi.number().integer().positive().optional(),
+      item_type: Joi.string().valid('labor', 'material', 'call_out_fee').optional(),
+      keyword: Joi.string().max(50).optional()
+    })
+  },
+
+  // 更新系统配置：params 校验配置键，body 按配置键取对应的值规则
+  updateConfig: {
+    params: Joi.object({
+      key: Joi.string().valid(...Object.keys(configValueRules)).required().messages({
+        'any.only': '未知的配置项'
+      })
+    })
+  },
+  configValues: Object.fromEntries(Object.entries(configValueRules).map(([key, rule]) => [key, Joi.object({
+    value: rule.required().messages({ 'any.required': '配置值不能为空' }),
+    description: Joi.string().max(255).optional().allow('')
+  })])),
+
   // 获取系统配置
   getSystemConfig: {
     query: Joi.object({
@@ -290,7 +341,29 @@ const schemas = {
     query: Joi.object({
       latitude: Joi.number().min(-90).max(90).required(),
       longitude: Joi.number().min(-180).max(180).required(),
-      distance: Joi.number().positive().max(50000).optional()
+      distance: Joi.number().positive().max(50000).optional(),
+      region_code: Joi.string().pattern(/^\d{6}$/).optional(),
+      limit: Joi.number().integer().min(1).max(50).optional()
+    })
+  },
+
+  // 获取电工公开主页
+  getElectricianProfile: {
+    params: Joi.object({
+      id: Joi.number().integer().positive().required()
+    })
+  },
+
+  // 获取电工评价列表
+  getElectricianReviews: {
+    params: Joi.object({
+      id: Joi.number().integer().positive().required()
+    }),
+    query: Joi.object({
+      rating: Joi.number().integer().min(1).max(5).optional(),
+      with_images: Joi.boolean().optional(),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(50).default(10)
     })
   },
 
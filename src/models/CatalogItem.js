@@ -0,0 +1,80 @@
+/**
+ * 标准物料/工时目录模型
+ * 平台维护的常用材料、人工、上门费及参考价，电工报价时可直接选用；service_type_id 为空表示通用项目
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const CatalogItem = sequelize.define('CatalogItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '目录项ID'
+  },
+
+  item_type: {
+    type: DataTypes.ENUM('labor', 'material', 'call_out_fee'),
+    allowNull: false,
+    comment: '项目类型：人工费、材料费、上门费'
+  },
+
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: '项目名称'
+  },
+
+  spec: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: '规格型号（如 2P 32A、2.5平方）'
+  },
+
+  unit: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: '单位（如 个、米、小时）'
+  },
+
+  reference_price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: '参考单价'
+  },
+
+  service_type_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '服务类型ID，为空表示通用项目'
+  },
+
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '说明'
+  },
+
+  sort_order: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '排序'
+  },
+
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: '是否启用'
+  }
+}, {
+  tableName: 'catalog_items',
+  timestamps: true,
+  indexes: [
+    { fields: ['service_type_id'] },
+    { fields: ['item_type'] }
+  ]
+});
+
+module.exports = CatalogItem;
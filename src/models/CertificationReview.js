@@ -0,0 +1,62 @@
+/**
+ * 电工认证审核记录模型
+ * 记录每一步审核的管理员、环节、结论与原因，只新增不修改
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const CertificationReview = sequelize.define('CertificationReview', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '审核记录ID'
+  },
+
+  submission_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '提交记录ID'
+  },
+
+  certification_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '认证ID'
+  },
+
+  admin_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '审核管理员ID（admins 表）'
+  },
+
+  step: {
+    type: DataTypes.ENUM('first', 'second'),
+    allowNull: false,
+    comment: '审核环节：初审、复审'
+  },
+
+  decision: {
+    type: DataTypes.ENUM('approved', 'rejected'),
+    allowNull: false,
+    comment: '审核结论：通过、驳回'
+  },
+
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '审核意见/驳回原因'
+  }
+}, {
+  tableName: 'certification_reviews',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['submission_id'] },
+    { fields: ['certification_id'] },
+    { fields: ['admin_id'] }
+  ]
+});
+
+module.exports = CertificationReview;
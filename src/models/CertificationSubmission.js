@@ -0,0 +1,61 @@
+/**
+ * 电工认证提交记录模型
+ * 每次提交/重新提交认证都新增一个版本，保存提交资料快照，审核结论不覆盖历史
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const CertificationSubmission = sequelize.define('CertificationSubmission', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '提交记录ID'
+  },
+
+  certification_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '认证ID'
+  },
+
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '用户ID'
+  },
+
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '版本号，同一认证从1递增'
+  },
+
+  snapshot: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: '提交资料快照：姓名、身份证、证书编号及有效期、工作类型、证件图片'
+  },
+
+  status: {
+    type: DataTypes.ENUM('pending', 'first_approved', 'approved', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: '状态：待审核、初审通过待复审、已通过、已驳回'
+  },
+
+  decided_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '最终审核结论时间'
+  }
+}, {
+  tableName: 'certification_submissions',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['certification_id', 'version'] },
+    { fields: ['status'] }
+  ]
+});
+
+module.exports = CertificationSubmission;
@@ -0,0 +1,47 @@
+/**
+ * 电工不可预约时段模型
+ * 电工临时请假、外出等不接受预约的时间段
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const ElectricianBlockedPeriod = sequelize.define('ElectricianBlockedPeriod', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '时段ID'
+  },
+
+  electrician_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '电工ID'
+  },
+
+  start_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '开始时间'
+  },
+
+  end_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '结束时间'
+  },
+
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '原因'
+  }
+}, {
+  tableName: 'electrician_blocked_periods',
+  timestamps: true,
+  indexes: [
+    { fields: ['electrician_id', 'start_at'] }
+  ]
+});
+
+module.exports = ElectricianBlockedPeriod;
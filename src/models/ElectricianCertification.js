@@ -94,6 +94,18 @@ const ElectricianCertification = sequelize.define('ElectricianCertification', {
     type: DataTypes.TEXT,
     allowNull: true,
     comment: '驳回原因'
+  },
+
+  expiry_reminded_days: {
+    type: DataTypes.TINYINT,
+    allowNull: true,
+    comment: '已发送的到期提醒（距到期天数：30/7/1），重新认证后清空'
+  },
+
+  suspended_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '证书过期自动暂停接单的时间，重新认证后清空'
   }
   
 }, {
@@ -101,7 +113,10 @@ const ElectricianCertification = sequelize.define('ElectricianCertification', {
   timestamps: true,
   indexes: [
     { fields: ['user_id'] },
-    { fields: ['status'] }
+    { fields: ['status'] },
+    { fields: ['status', 'cert_end_date'] },
+    { fields: ['id_card'] },
+    { fields: ['electrician_cert_no'] }
   ]
 });
 
@@ -0,0 +1,55 @@
+/**
+ * 电工佣金特殊费率模型
+ * 为个别电工设置不同于服务类型默认值的平台佣金；service_type_id 为空时对该电工所有服务类型生效
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const ElectricianCommission = sequelize.define('ElectricianCommission', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '费率ID'
+  },
+
+  electrician_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '电工ID'
+  },
+
+  service_type_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '服务类型ID，为空表示所有服务类型'
+  },
+
+  commission_type: {
+    type: DataTypes.ENUM('percent', 'fixed'),
+    allowNull: false,
+    defaultValue: 'percent',
+    comment: '佣金类型：percent 按比例、fixed 固定金额'
+  },
+
+  commission_value: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: '佣金：按比例时为百分比，固定金额时为每单金额（元）'
+  },
+
+  remark: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '备注'
+  }
+}, {
+  tableName: 'electrician_commissions',
+  timestamps: true,
+  indexes: [
+    { fields: ['electrician_id', 'service_type_id'], unique: true }
+  ]
+});
+
+module.exports = ElectricianCommission;
@@ -0,0 +1,190 @@
+/**
+ * 电工服务区域模型
+ * 存储电工的常驻位置、服务半径和可服务的行政区划
+ */
+const { DataTypes, QueryTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+const { getBoundingBox, distanceSql, getRegionCodeChain } = require('../utils/geo');
+
+const ElectricianServiceArea = sequelize.define('ElectricianServiceArea', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '服务区域ID'
+  },
+
+  electrician_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    comment: '电工ID，关联users表'
+  },
+
+  latitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true,
+    comment: '常驻位置纬度'
+  },
+
+  longitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true,
+    comment: '常驻位置经度'
+  },
+
+  address: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '常驻地址'
+  },
+
+  service_radius: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5000,
+    comment: '服务半径（米）'
+  },
+
+  region_codes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '可服务的地区编码列表，关联regions表code'
+  },
+
+  status: {
+    type: DataTypes.ENUM('active', 'paused'),
+    allowNull: false,
+    defaultValue: 'active',
+    comment: '状态：接单中、暂停'
+  }
+}, {
+  tableName: 'electrician_service_areas',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['electrician_id'] },
+    { fields: ['latitude', 'longitude'] },
+    { fields: ['status'] }
+  ]
+});
+
+/**
+ * 查询可服务某位置的电工
+ * 满足以下任一条件即视为可服务：
+ * 1. 电工常驻位置距离该点不超过查询距离，且不超过电工自身的服务半径
+ * 2. 电工登记的服务地区包含该点所在的地区（或其上级城市/省份）
+ * @param {Object} params
+ * @param {number} params.latitude - 纬度
+ * @param {number} params.longitude - 经度
+ * @param {number} params.distance - 查询距离（米）
+ * @param {string} [params.regionCode] - 该点所在地区编码
+ * @param {number} [params.limit=20] - 返回数量
+ * @returns {Promise<Array>} 电工列表（按距离升序，仅地区匹配的排在最后）
+ */
+ElectricianServiceArea.findNearby = async function({ latitude, longitude, distance, regionCode, limit = 20 }) {
+  const box = getBoundingBox(latitude, longitude, distance);
+  const regionCodes = getRegionCodeChain(regionCode);
+  const regionMatchSql = regionCodes.length > 0
+    ? `(${regionCodes.map((_, i) => `JSON_CONTAINS(sa.region_codes, JSON_QUOTE(:region${i}))`).join(' OR ')})`
+    : '0';
+
+  const replacements = {
+    lat: latitude,
+    lng: longitude,
+    distance,
+    limit,
+    ...box
+  };
+  regionCodes.forEach((code, i) => {
+    replacements[`region${i}`] = code;
+  });
+
+  return sequelize.query(
+    `SELECT
+      u.id, u.nickname, u.avatar,
+      ec.real_name, ec.work_types,
+      sa.address, sa.service_radius,
+      (SELECT AVG(r.rating) FROM reviews r WHERE r.electrician_id = u.id AND r.is_hidden = 0) AS avg_rating,
+      (
+        SELECT COUNT(*) FROM orders o
+        WHERE o.electrician_id = u.id AND o.status IN ('completed_settled', 'completed_unsettle') AND o.is_sandbox = 0
+      ) AS completed_orders,
+      CASE WHEN sa.latitude IS NULL OR sa.longitude IS NULL THEN NULL
+        ELSE ${distanceSql('sa.latitude', 'sa.longitude')} END AS distance,
+      ${regionMatchSql} AS region_match
+     FROM electrician_service_areas sa
+     JOIN users u ON u.id = sa.electrician_id
+     JOIN electrician_certifications ec ON ec.user_id = u.id
+     WHERE sa.status = 'active'
+       AND u.current_role = 'electrician'
+       AND u.status = 'active'
+       AND ec.status = 'approved'
+       AND ec.cert_end_date >= CURDATE()
+       AND (
+         (sa.latitude BETWEEN :minLat AND :maxLat AND sa.longitude BETWEEN :minLng AND :maxLng)
+         OR ${regionMatchSql}
+       )
+     HAVING (distance IS NOT NULL AND distance <= :distance AND distance <= service_radius)
+       OR region_match = 1
+     ORDER BY distance IS NULL, distance ASC
+     LIMIT :limit`,
+    { replacements, type: QueryTypes.SELECT }
+  );
+};
+
+/**
+ * 查询可派单的候选电工
+ * 条件：认证通过且工作类型匹配、服务区域接单中、工单位置在电工服务半径内
+ * @param {Object} params
+ * @param {number} params.latitude - 工单纬度
+ * @param {number} params.longitude - 工单经度
+ * @param {string} params.workType - 服务类型所需工作类型
+ * @param {number[]} [params.excludeIds] - 需排除的电工ID（已派过的）
+ * @param {number} [params.limit=20] - 返回数量
+ * @returns {Promise<Array>} 候选电工（含距离、平均评分、进行中工单数）
+ */
+ElectricianServiceArea.findDispatchCandidates = async function({ latitude, longitude, workType, excludeIds = [], limit = 20 }) {
+  // 服务半径上限 50 公里，先用外接矩形预筛选
+  const box = getBoundingBox(latitude, longitude, 50000);
+  const replacements = {
+    lat: latitude,
+    lng: longitude,
+    workType,
+    limit,
+    ...box
+  };
+  let excludeSql = '';
+  if (excludeIds.length > 0) {
+    excludeSql = 'AND u.id NOT IN (:excludeIds)';
+    replacements.excludeIds = excludeIds;
+  }
+
+  return sequelize.query(
+    `SELECT
+      u.id, u.nickname,
+      sa.service_radius,
+      (SELECT AVG(r.rating) FROM reviews r WHERE r.electrician_id = u.id AND r.is_hidden = 0) AS avg_rating,
+      (
+        SELECT COUNT(*) FROM orders o
+        WHERE o.electrician_id = u.id AND o.status IN ('accepted', 'pending_repair_payment', 'in_progress')
+      ) AS active_orders,
+      ${distanceSql('sa.latitude', 'sa.longitude')} AS distance
+     FROM electrician_service_areas sa
+     JOIN users u ON u.id = sa.electrician_id
+     JOIN electrician_certifications ec ON ec.user_id = u.id
+     WHERE sa.status = 'active'
+       AND u.status = 'active'
+       AND ec.status = 'approved'
+       AND ec.cert_end_date >= CURDATE()
+       AND FIND_IN_SET(:workType, ec.work_types) > 0
+       AND sa.latitude BETWEEN :minLat AND :maxLat
+       AND sa.longitude BETWEEN :minLng AND :maxLng
+       ${excludeSql}
+     HAVING distance <= service_radius
+     ORDER BY distance ASC
+     LIMIT :limit`,
+    { replacements, type: QueryTypes.SELECT }
+  );
+};
+
+module.exports = ElectricianServiceArea;
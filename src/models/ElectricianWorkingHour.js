@@ -0,0 +1,47 @@
+/**
+ * 电工工作时间模型
+ * 按星期设置的每周固定工作时段，同一天可设置多个时段；未设置任何时段的电工视为全天可预约
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const ElectricianWorkingHour = sequelize.define('ElectricianWorkingHour', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '时段ID'
+  },
+
+  electrician_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '电工ID'
+  },
+
+  weekday: {
+    type: DataTypes.TINYINT,
+    allowNull: false,
+    comment: '星期：0 周日 ~ 6 周六'
+  },
+
+  start_time: {
+    type: DataTypes.TIME,
+    allowNull: false,
+    comment: '开始时间（北京时间）'
+  },
+
+  end_time: {
+    type: DataTypes.TIME,
+    allowNull: false,
+    comment: '结束时间（北京时间）'
+  }
+}, {
+  tableName: 'electrician_working_hours',
+  timestamps: true,
+  indexes: [
+    { fields: ['electrician_id', 'weekday'] }
+  ]
+});
+
+module.exports = ElectricianWorkingHour;
@@ -0,0 +1,86 @@
+/**
+ * 定时任务执行记录模型
+ * 记录每次任务执行的触发方式、耗时、结果与错误
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const JobRun = sequelize.define('JobRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '执行记录ID'
+  },
+
+  job_name: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: '任务名称'
+  },
+
+  trigger_type: {
+    type: DataTypes.ENUM('schedule', 'manual'),
+    allowNull: false,
+    defaultValue: 'schedule',
+    comment: '触发方式：定时、手动'
+  },
+
+  triggered_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '手动触发的管理员ID'
+  },
+
+  status: {
+    type: DataTypes.ENUM('running', 'success', 'failed'),
+    allowNull: false,
+    defaultValue: 'running',
+    comment: '执行状态：执行中、成功、失败'
+  },
+
+  instance: {
+    type: DataTypes.STRING(128),
+    allowNull: true,
+    comment: '执行实例（主机名:进程号）'
+  },
+
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '开始时间'
+  },
+
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '结束时间'
+  },
+
+  duration_ms: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '耗时（毫秒）'
+  },
+
+  result: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '执行结果'
+  },
+
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '错误信息'
+  }
+}, {
+  tableName: 'job_runs',
+  timestamps: true,
+  indexes: [
+    { fields: ['job_name', 'started_at'] },
+    { fields: ['status'] }
+  ]
+});
+
+module.exports = JobRun;
@@ -82,6 +82,18 @@ const Order = sequelize.define('Order', {
     allowNull: true,
     comment: '经度'
   },
+
+  appointment_start: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '预约上门时间段开始'
+  },
+
+  appointment_end: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '预约上门时间段结束'
+  },
   
   latitude: {
     type: DataTypes.DECIMAL(10, 7),
@@ -210,6 +222,50 @@ const Order = sequelize.define('Order', {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
     comment: '是否需要用户确认修改'
+  },
+
+  in_dispute: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: '是否有处理中的纠纷（处理期间暂停自动确认等状态流转）'
+  },
+
+  dispatch_status: {
+    type: DataTypes.ENUM('dispatching', 'assigned', 'fallback'),
+    allowNull: true,
+    comment: '派单状态：派单中、已派出、转入抢单池；为空表示抢单模式'
+  },
+
+  settle_gross_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: '结算总额（预付款 + 维修款）'
+  },
+
+  commission_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: '平台佣金'
+  },
+
+  settle_net_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: '电工实得金额（结算总额 - 平台佣金）'
+  },
+
+  settled_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '结算时间'
+  },
+
+  is_sandbox: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: '是否测试账号创建的工单（不计入统计）'
   }
   
 }, {
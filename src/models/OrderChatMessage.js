@@ -0,0 +1,55 @@
+/**
+ * 工单会话消息模型
+ * 用户与接单电工围绕工单的文字、图片消息；管理员处理纠纷时也可在会话中发言
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const OrderChatMessage = sequelize.define('OrderChatMessage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '消息ID'
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '工单ID'
+  },
+
+  sender_role: {
+    type: DataTypes.ENUM('user', 'electrician', 'admin'),
+    allowNull: false,
+    comment: '发送方：用户、电工、管理员'
+  },
+
+  sender_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '发送人ID（管理员为 admins 表ID）'
+  },
+
+  content_type: {
+    type: DataTypes.ENUM('text', 'image'),
+    allowNull: false,
+    defaultValue: 'text',
+    comment: '内容类型：文字、图片'
+  },
+
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: '文字内容或图片地址'
+  }
+}, {
+  tableName: 'order_chat_messages',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['order_id', 'id'] }
+  ]
+});
+
+module.exports = OrderChatMessage;
@@ -0,0 +1,42 @@
+/**
+ * 工单会话已读位置模型
+ * 记录每位参与者在工单会话中已读到的最后一条消息，未读数 = 之后由他人发送的消息数
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const OrderChatRead = sequelize.define('OrderChatRead', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: 'ID'
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '工单ID'
+  },
+
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '用户ID'
+  },
+
+  last_read_message_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '已读到的最后一条消息ID'
+  }
+}, {
+  tableName: 'order_chat_reads',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['order_id', 'user_id'] }
+  ]
+});
+
+module.exports = OrderChatRead;
@@ -0,0 +1,81 @@
+/**
+ * 派单记录模型
+ * 记录系统将工单派给某位电工的每一次尝试及其结果
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const OrderDispatch = sequelize.define('OrderDispatch', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '派单记录ID'
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '工单ID'
+  },
+
+  electrician_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '被派单电工ID'
+  },
+
+  attempt: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: '第几次派单'
+  },
+
+  status: {
+    type: DataTypes.ENUM('offered', 'accepted', 'declined', 'timeout', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'offered',
+    comment: '派单状态：待响应、已接受、已拒绝、超时、已撤销'
+  },
+
+  score: {
+    type: DataTypes.DECIMAL(6, 4),
+    allowNull: true,
+    comment: '匹配得分'
+  },
+
+  distance: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '派单时电工与工单的距离（米）'
+  },
+
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '响应截止时间'
+  },
+
+  responded_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '响应时间'
+  },
+
+  decline_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '拒绝原因'
+  }
+}, {
+  tableName: 'order_dispatches',
+  timestamps: true,
+  indexes: [
+    { fields: ['order_id'] },
+    { fields: ['electrician_id', 'status'] },
+    { fields: ['status', 'expires_at'] }
+  ]
+});
+
+module.exports = OrderDispatch;
@@ -0,0 +1,103 @@
+/**
+ * 工单纠纷模型
+ * 用户或电工对工单结果有异议时发起，由管理员裁决全额结算、部分结算或退款
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const OrderDispute = sequelize.define('OrderDispute', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '纠纷ID'
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '工单ID'
+  },
+
+  initiator_type: {
+    type: DataTypes.ENUM('user', 'electrician'),
+    allowNull: false,
+    comment: '发起方：用户、电工'
+  },
+
+  initiator_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '发起人ID'
+  },
+
+  order_status: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: '发起时的工单状态'
+  },
+
+  reason: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    comment: '纠纷原因'
+  },
+
+  evidence_images: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '发起时提交的证据图片'
+  },
+
+  status: {
+    type: DataTypes.ENUM('open', 'resolved', 'withdrawn'),
+    allowNull: false,
+    defaultValue: 'open',
+    comment: '状态：处理中、已裁决、已撤回'
+  },
+
+  ruling: {
+    type: DataTypes.ENUM('full_settle', 'partial_settle', 'refund'),
+    allowNull: true,
+    comment: '裁决结果：全额结算、部分结算（其余退款）、全额退款'
+  },
+
+  settle_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: '裁决结算给电工的金额（扣佣前）'
+  },
+
+  refund_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: '裁决退还用户的金额'
+  },
+
+  ruling_note: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: '裁决说明'
+  },
+
+  resolved_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '裁决管理员ID（admins 表）'
+  },
+
+  resolved_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '裁决/撤回时间'
+  }
+}, {
+  tableName: 'order_disputes',
+  timestamps: true,
+  indexes: [
+    { fields: ['order_id'] },
+    { fields: ['status', 'created_at'] }
+  ]
+});
+
+module.exports = OrderDispute;
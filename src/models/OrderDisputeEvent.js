@@ -0,0 +1,67 @@
+/**
+ * 工单纠纷处理记录模型
+ * 记录纠纷的每一步：发起、补充证据、管理员备注、撤回、裁决及裁决退款结果
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const OrderDisputeEvent = sequelize.define('OrderDisputeEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '记录ID'
+  },
+
+  dispute_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '纠纷ID'
+  },
+
+  actor_type: {
+    type: DataTypes.ENUM('user', 'electrician', 'admin', 'system'),
+    allowNull: false,
+    comment: '操作方：用户、电工、管理员、系统'
+  },
+
+  actor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '操作人ID（管理员为 admins 表ID）'
+  },
+
+  action: {
+    type: DataTypes.ENUM('open', 'evidence', 'note', 'withdraw', 'rule', 'refund'),
+    allowNull: false,
+    comment: '操作：发起、补充证据、管理员备注、撤回、裁决、裁决退款'
+  },
+
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '说明'
+  },
+
+  images: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '证据图片'
+  },
+
+  is_internal: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: '是否仅管理员可见'
+  }
+}, {
+  tableName: 'order_dispute_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['dispute_id', 'id'] }
+  ]
+});
+
+module.exports = OrderDisputeEvent;
@@ -0,0 +1,73 @@
+/**
+ * 维修报价模型
+ * 电工每次提交报价生成一个新版本，由用户确认或拒绝；维修费按最新确认的报价总额支付
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const OrderQuote = sequelize.define('OrderQuote', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '报价ID'
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '工单ID'
+  },
+
+  electrician_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '报价电工ID'
+  },
+
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '报价版本号（同一工单从1递增）'
+  },
+
+  total_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: '报价总额（各明细金额之和）'
+  },
+
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected', 'superseded'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: '报价状态：待确认、已确认、已拒绝、已被新版本替代'
+  },
+
+  remark: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: '电工报价说明'
+  },
+
+  reject_reason: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: '用户拒绝原因'
+  },
+
+  responded_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '用户确认/拒绝时间'
+  }
+}, {
+  tableName: 'order_quotes',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['order_id', 'version'] },
+    { fields: ['status'] }
+  ]
+});
+
+module.exports = OrderQuote;
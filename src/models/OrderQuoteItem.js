@@ -0,0 +1,84 @@
+/**
+ * 维修报价明细模型
+ * 报价的每一项：人工费、材料费、上门费，数量 × 单价 = 金额
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const OrderQuoteItem = sequelize.define('OrderQuoteItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '明细ID'
+  },
+
+  quote_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '报价ID'
+  },
+
+  catalog_item_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '目录项ID（从目录选用时）'
+  },
+
+  item_type: {
+    type: DataTypes.ENUM('labor', 'material', 'call_out_fee'),
+    allowNull: false,
+    comment: '明细类型：人工费、材料费、上门费'
+  },
+
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: '项目名称'
+  },
+
+  unit: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: '单位（如 个、米、小时）'
+  },
+
+  quantity: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: '数量'
+  },
+
+  unit_price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: '单价'
+  },
+
+  reference_price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: '报价时的目录参考单价'
+  },
+
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: '金额（数量 × 单价）'
+  },
+
+  sort_order: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '排序'
+  }
+}, {
+  tableName: 'order_quote_items',
+  timestamps: true,
+  indexes: [
+    { fields: ['quote_id'] }
+  ]
+});
+
+module.exports = OrderQuoteItem;
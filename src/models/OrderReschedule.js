@@ -0,0 +1,90 @@
+/**
+ * 工单改约申请模型
+ * 用户或电工提出新的预约时间，需由对方同意后生效
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const OrderReschedule = sequelize.define('OrderReschedule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '改约ID'
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '工单ID'
+  },
+
+  proposer_type: {
+    type: DataTypes.ENUM('user', 'electrician'),
+    allowNull: false,
+    comment: '发起方：用户、电工'
+  },
+
+  proposer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '发起人ID'
+  },
+
+  original_start: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '原预约开始时间'
+  },
+
+  original_end: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '原预约结束时间'
+  },
+
+  proposed_start: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '新预约开始时间'
+  },
+
+  proposed_end: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '新预约结束时间'
+  },
+
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'rejected', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: '状态：待对方确认、已同意、已拒绝、已撤销'
+  },
+
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '改约原因'
+  },
+
+  reject_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '拒绝原因'
+  },
+
+  responded_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '对方处理时间'
+  }
+}, {
+  tableName: 'order_reschedules',
+  timestamps: true,
+  indexes: [
+    { fields: ['order_id', 'status'] }
+  ]
+});
+
+module.exports = OrderReschedule;
@@ -86,9 +86,9 @@ const Payment = sequelize.define('Payment', {
 
   // 退款相关字段
   refund_status: {
-    type: DataTypes.ENUM('processing', 'success', 'rejected'),
+    type: DataTypes.ENUM('processing', 'success', 'rejected', 'closed', 'abnormal'),
     allowNull: true,
-    comment: '退款状态'
+    comment: '退款状态：退款中、退款成功、已拒绝、退款关闭、退款异常（以微信退款结果通知为准）'
   },
   refund_reason: {
     type: DataTypes.STRING(255),
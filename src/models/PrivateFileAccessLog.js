@@ -0,0 +1,56 @@
+/**
+ * 私有文件访问记录模型
+ * 记录管理员每一次查看认证证件等私有文件，用于合规审计
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const PrivateFileAccessLog = sequelize.define('PrivateFileAccessLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '记录ID'
+  },
+
+  admin_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '查看的管理员ID（admins 表）'
+  },
+
+  file_key: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: '文件标识，如 /private/certifications/xxx.jpg'
+  },
+
+  owner_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '文件所属用户ID'
+  },
+
+  ip: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: '访问IP'
+  },
+
+  user_agent: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '访问客户端'
+  }
+}, {
+  tableName: 'private_file_access_logs',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['admin_id', 'created_at'] },
+    { fields: ['owner_id', 'created_at'] },
+    { fields: ['file_key'] }
+  ]
+});
+
+module.exports = PrivateFileAccessLog;
@@ -0,0 +1,100 @@
+/**
+ * 退款记录模型
+ * 一笔支付可以分多次部分退款，每次退款独立的退款单号、金额与状态
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const Refund = sequelize.define('Refund', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '退款ID'
+  },
+
+  refund_no: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: '商户退款单号（out_refund_no）'
+  },
+
+  payment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '支付ID'
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '工单ID'
+  },
+
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '退款用户ID'
+  },
+
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: '退款金额'
+  },
+
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'success', 'closed', 'abnormal', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: '退款状态：待审核、退款中、退款成功、退款关闭、退款异常、已拒绝'
+  },
+
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '退款原因'
+  },
+
+  initiator_type: {
+    type: DataTypes.ENUM('user', 'admin'),
+    allowNull: false,
+    defaultValue: 'user',
+    comment: '发起方：用户申请、管理员直接退款'
+  },
+
+  admin_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '管理员备注'
+  },
+
+  wechat_refund_id: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: '微信退款单号'
+  },
+
+  processed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '审核时间'
+  },
+
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '退款完成时间'
+  }
+}, {
+  tableName: 'refunds',
+  timestamps: true,
+  indexes: [
+    { fields: ['payment_id'] },
+    { fields: ['order_id'] },
+    { fields: ['status'] }
+  ]
+});
+
+module.exports = Refund;
@@ -51,6 +51,37 @@ const Review = sequelize.define('Review', {
     type: DataTypes.JSON,
     allowNull: true,
     comment: '评价图片URLs'
+  },
+
+  reply: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: '电工公开回复（每条评价仅可回复一次）'
+  },
+
+  replied_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '电工回复时间'
+  },
+
+  is_hidden: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: '是否被管理员隐藏（隐藏后不公开展示，不计入评分与结算规则）'
+  },
+
+  hidden_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '隐藏原因'
+  },
+
+  hidden_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '隐藏时间'
   }
   
 }, {
@@ -60,7 +91,8 @@ const Review = sequelize.define('Review', {
     { fields: ['order_id'] },
     { fields: ['user_id'] },
     { fields: ['electrician_id'] },
-    { fields: ['rating'] }
+    { fields: ['rating'] },
+    { fields: ['electrician_id', 'is_hidden'] }
   ]
 });
 
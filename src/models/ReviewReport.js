@@ -0,0 +1,73 @@
+/**
+ * 评价举报模型
+ * 电工举报辱骂、与服务无关的评价，由管理员审核后决定是否隐藏
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const ReviewReport = sequelize.define('ReviewReport', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '举报ID'
+  },
+
+  review_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '评价ID'
+  },
+
+  electrician_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '举报电工ID'
+  },
+
+  reason_type: {
+    type: DataTypes.ENUM('abusive', 'unrelated'),
+    allowNull: false,
+    comment: '举报类型：辱骂/人身攻击、与服务无关'
+  },
+
+  description: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: '举报说明'
+  },
+
+  status: {
+    type: DataTypes.ENUM('pending', 'upheld', 'dismissed'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: '状态：待审核、已隐藏评价、已驳回'
+  },
+
+  admin_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '审核管理员ID（admins 表）'
+  },
+
+  admin_note: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '审核备注'
+  },
+
+  handled_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '审核时间'
+  }
+}, {
+  tableName: 'review_reports',
+  timestamps: true,
+  indexes: [
+    { fields: ['review_id'] },
+    { fields: ['status', 'created_at'] }
+  ]
+});
+
+module.exports = ReviewReport;
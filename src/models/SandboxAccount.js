@@ -0,0 +1,52 @@
+/**
+ * 测试账号模型
+ * 管理员指定的测试手机号：使用固定验证码登录（仅保存哈希），非生产环境可使用测试支付，创建的工单不计入统计
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const SandboxAccount = sequelize.define('SandboxAccount', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '测试账号ID'
+  },
+
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+    comment: '手机号'
+  },
+
+  login_code_hash: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: '固定登录验证码哈希（bcrypt），为空时不可登录'
+  },
+
+  remark: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '备注（用途、使用人）'
+  },
+
+  status: {
+    type: DataTypes.ENUM('active', 'disabled'),
+    allowNull: false,
+    defaultValue: 'active',
+    comment: '状态：启用、停用'
+  },
+
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '设置的管理员ID（admins 表）'
+  }
+}, {
+  tableName: 'sandbox_accounts',
+  timestamps: true
+});
+
+module.exports = SandboxAccount;
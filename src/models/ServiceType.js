@@ -54,6 +54,48 @@ const ServiceType = sequelize.define('ServiceType', {
     allowNull: true,
     comment: '预付款备注说明'
   }
+  ,
+  work_type: {
+    type: DataTypes.ENUM('maintenance', 'installation'),
+    allowNull: false,
+    defaultValue: 'maintenance',
+    comment: '所需工作类型：维修、安装（对应电工认证的 work_types）'
+  }
+  ,
+  dispatch_mode: {
+    type: DataTypes.ENUM('grab', 'dispatch'),
+    allowNull: false,
+    defaultValue: 'grab',
+    comment: '接单模式：grab 抢单、dispatch 系统派单'
+  }
+  ,
+  dispatch_timeout: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 120,
+    comment: '派单等待电工响应的时间（秒）'
+  }
+  ,
+  dispatch_max_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5,
+    comment: '最多派单电工数，超过后转入抢单池'
+  }
+  ,
+  commission_type: {
+    type: DataTypes.ENUM('percent', 'fixed'),
+    allowNull: false,
+    defaultValue: 'percent',
+    comment: '平台佣金类型：percent 按比例、fixed 固定金额'
+  }
+  ,
+  commission_value: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: '平台佣金：按比例时为百分比（如 10 表示 10%），固定金额时为每单金额（元）'
+  }
   
 }, {
   tableName: 'service_types',
@@ -0,0 +1,84 @@
+/**
+ * 系统配置模型
+ * 对应 system_configs 表，按配置键存取平台级参数
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const SystemConfig = sequelize.define('SystemConfig', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '配置ID'
+  },
+
+  config_key: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    comment: '配置键'
+  },
+
+  config_value: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '配置值'
+  },
+
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '配置描述'
+  }
+}, {
+  tableName: 'system_configs',
+  timestamps: true
+});
+
+/**
+ * 获取配置值
+ * @param {string} key - 配置键
+ * @param {string} [defaultValue=null] - 配置不存在或为空时的默认值
+ * @returns {Promise<string|null>}
+ */
+SystemConfig.getValue = async function(key, defaultValue = null) {
+  const config = await SystemConfig.findOne({ where: { config_key: key } });
+  if (!config || config.config_value === null || config.config_value === '') {
+    return defaultValue;
+  }
+  return config.config_value;
+};
+
+/**
+ * 获取数值型配置，配置值不是有效数字时返回默认值
+ * @param {string} key - 配置键
+ * @param {number} defaultValue - 默认值
+ * @returns {Promise<number>}
+ */
+SystemConfig.getNumber = async function(key, defaultValue) {
+  const raw = await SystemConfig.getValue(key);
+  const value = Number(raw);
+  return raw !== null && Number.isFinite(value) ? value : defaultValue;
+};
+
+/**
+ * 设置配置值（不存在时新建）
+ * @param {string} key - 配置键
+ * @param {string} value - 配置值
+ * @param {string} [description] - 配置描述
+ * @returns {Promise<Object>} 配置记录
+ */
+SystemConfig.setValue = async function(key, value, description) {
+  const [config] = await SystemConfig.findOrCreate({
+    where: { config_key: key },
+    defaults: { config_value: String(value), description: description || null }
+  });
+  await config.update({
+    config_value: String(value),
+    ...(description !== undefined && { description })
+  });
+  return config;
+};
+
+module.exports = SystemConfig;
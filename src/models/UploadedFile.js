@@ -0,0 +1,80 @@
+/**
+ * 上传文件登记模型
+ * 记录每个上传文件的存储位置、内容哈希、上传人与用途，用于去重和清理无引用文件
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const UploadedFile = sequelize.define('UploadedFile', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '文件ID'
+  },
+
+  storage_key: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true,
+    comment: '存储键，如 uploads/avatars/xxx.jpg'
+  },
+
+  content_hash: {
+    type: DataTypes.CHAR(64),
+    allowNull: false,
+    comment: '文件内容 SHA-256'
+  },
+
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '文件大小（字节）'
+  },
+
+  mime_type: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: '按文件头识别的类型'
+  },
+
+  owner_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '上传用户ID'
+  },
+
+  purpose: {
+    type: DataTypes.ENUM('avatar', 'certification', 'problem', 'repair', 'general', 'other'),
+    allowNull: false,
+    comment: '用途：头像、认证证件、故障照片、维修照片、通用上传、其他'
+  },
+
+  status: {
+    type: DataTypes.ENUM('active', 'deleted'),
+    allowNull: false,
+    defaultValue: 'active',
+    comment: '状态：正常、已清理'
+  },
+
+  checked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '最近一次引用检查时间'
+  },
+
+  deleted_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '清理时间'
+  }
+}, {
+  tableName: 'uploaded_files',
+  timestamps: true,
+  indexes: [
+    { fields: ['owner_id', 'purpose', 'content_hash'] },
+    { fields: ['status', 'checked_at'] }
+  ]
+});
+
+module.exports = UploadedFile;
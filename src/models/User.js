@@ -228,7 +228,7 @@ User.getUserStats = async function(userId, role) {
 };
 
 /**
- * 获取电工评分
+ * 获取电工评分（不含管理员隐藏的评价）
  * @param {number} userId - 用户ID
  * @returns {Promise<number>} - 返回评分
  */
@@ -236,7 +236,7 @@ User.getElectricianRating = async function(userId) {
   const { Review } = sequelize.models;
   
   const reviews = await Review.findAll({
-    where: { electrician_id: userId },
+    where: { electrician_id: userId, is_hidden: false },
     attributes: ['rating']
   });
   
@@ -0,0 +1,115 @@
+/**
+ * 电工钱包流水模型
+ * 每一笔余额变动记录一条流水，流水只增不改：
+ * - amount：可用余额变动（正数入账、负数出账）
+ * - locked_amount：冻结金额变动（提现申请时冻结，成功后扣除或失败后解冻）
+ * 电工余额由流水汇总得出，balance_after / locked_after 为记账后的余额快照
+ */
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const WalletTransaction = sequelize.define('WalletTransaction', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '流水ID'
+  },
+
+  electrician_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '电工ID'
+  },
+
+  type: {
+    type: DataTypes.ENUM(
+      'opening',
+      'settlement',
+      'commission',
+      'settlement_reversal',
+      'withdraw_lock',
+      'withdraw_success',
+      'withdraw_unlock',
+      'adjustment'
+    ),
+    allowNull: false,
+    comment: '流水类型：期初余额、订单结算入账、平台佣金、结算冲正、提现冻结、提现成功、提现解冻、人工调整'
+  },
+
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: '可用余额变动'
+  },
+
+  locked_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: '冻结金额变动'
+  },
+
+  balance_after: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: '记账后可用余额'
+  },
+
+  locked_after: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: '记账后冻结金额'
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '关联工单ID'
+  },
+
+  withdrawal_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '关联提现ID'
+  },
+
+  operator_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '人工调整的管理员ID'
+  },
+
+  remark: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '备注'
+  }
+}, {
+  tableName: 'wallet_transactions',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['electrician_id', 'created_at'] },
+    { fields: ['order_id'] },
+    { fields: ['withdrawal_id'] }
+  ],
+  hooks: {
+    // 流水不可修改、不可删除，更正只能通过新增冲正或调整流水
+    beforeUpdate: () => {
+      throw new Error('钱包流水不可修改');
+    },
+    beforeBulkUpdate: () => {
+      throw new Error('钱包流水不可修改');
+    },
+    beforeDestroy: () => {
+      throw new Error('钱包流水不可删除');
+    },
+    beforeBulkDestroy: () => {
+      throw new Error('钱包流水不可删除');
+    }
+  }
+});
+
+module.exports = WalletTransaction;
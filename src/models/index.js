@@ -17,6 +17,29 @@ const SystemMessage = require('./SystemMessage');
 const OrderStatusLog = require('./OrderStatusLog');
 const Admin = require('./Admin');
 const Withdrawal = require('./Withdrawal');
+const ElectricianServiceArea = require('./ElectricianServiceArea');
+const OrderDispatch = require('./OrderDispatch');
+const JobRun = require('./JobRun');
+const SystemConfig = require('./SystemConfig');
+const WalletTransaction = require('./WalletTransaction');
+const ElectricianCommission = require('./ElectricianCommission');
+const Refund = require('./Refund');
+const OrderQuote = require('./OrderQuote');
+const OrderQuoteItem = require('./OrderQuoteItem');
+const CatalogItem = require('./CatalogItem');
+const ElectricianWorkingHour = require('./ElectricianWorkingHour');
+const ElectricianBlockedPeriod = require('./ElectricianBlockedPeriod');
+const OrderReschedule = require('./OrderReschedule');
+const OrderChatMessage = require('./OrderChatMessage');
+const OrderChatRead = require('./OrderChatRead');
+const OrderDispute = require('./OrderDispute');
+const OrderDisputeEvent = require('./OrderDisputeEvent');
+const ReviewReport = require('./ReviewReport');
+const CertificationSubmission = require('./CertificationSubmission');
+const CertificationReview = require('./CertificationReview');
+const PrivateFileAccessLog = require('./PrivateFileAccessLog');
+const SandboxAccount = require('./SandboxAccount');
+const UploadedFile = require('./UploadedFile');
 
 // 定义关联关系
 
@@ -147,6 +170,230 @@ Withdrawal.belongsTo(User, {
   as: 'electrician'
 });
 
+// 13. User - ElectricianServiceArea: 一对一（电工 -> 服务区域）
+User.hasOne(ElectricianServiceArea, {
+  foreignKey: 'electrician_id',
+  as: 'serviceArea'
+});
+ElectricianServiceArea.belongsTo(User, {
+  foreignKey: 'electrician_id',
+  as: 'electrician'
+});
+
+// 14. Order - OrderDispatch: 一对多（工单 -> 派单记录）
+Order.hasMany(OrderDispatch, {
+  foreignKey: 'order_id',
+  as: 'dispatches'
+});
+OrderDispatch.belongsTo(Order, {
+  foreignKey: 'order_id',
+  as: 'order'
+});
+OrderDispatch.belongsTo(User, {
+  foreignKey: 'electrician_id',
+  as: 'electrician'
+});
+
+// 15. User - WalletTransaction: 一对多（电工 -> 钱包流水）
+User.hasMany(WalletTransaction, {
+  foreignKey: 'electrician_id',
+  as: 'walletTransactions'
+});
+WalletTransaction.belongsTo(User, {
+  foreignKey: 'electrician_id',
+  as: 'electrician'
+});
+WalletTransaction.belongsTo(Order, {
+  foreignKey: 'order_id',
+  as: 'order'
+});
+WalletTransaction.belongsTo(Withdrawal, {
+  foreignKey: 'withdrawal_id',
+  as: 'withdrawal'
+});
+
+// 16. User - ElectricianCommission: 一对多（电工 -> 佣金特殊费率）
+User.hasMany(ElectricianCommission, {
+  foreignKey: 'electrician_id',
+  as: 'commissions'
+});
+ElectricianCommission.belongsTo(User, {
+  foreignKey: 'electrician_id',
+  as: 'electrician'
+});
+ElectricianCommission.belongsTo(ServiceType, {
+  foreignKey: 'service_type_id',
+  as: 'serviceType'
+});
+
+// 17. Payment - Refund: 一对多（支付 -> 退款记录）
+Payment.hasMany(Refund, {
+  foreignKey: 'payment_id',
+  as: 'refunds'
+});
+Refund.belongsTo(Payment, {
+  foreignKey: 'payment_id',
+  as: 'payment'
+});
+Refund.belongsTo(Order, {
+  foreignKey: 'order_id',
+  as: 'order'
+});
+
+// 18. Order - OrderQuote - OrderQuoteItem: 一对多（工单 -> 报价版本 -> 报价明细）
+Order.hasMany(OrderQuote, {
+  foreignKey: 'order_id',
+  as: 'quotes'
+});
+OrderQuote.belongsTo(Order, {
+  foreignKey: 'order_id',
+  as: 'order'
+});
+OrderQuote.belongsTo(User, {
+  foreignKey: 'electrician_id',
+  as: 'electrician'
+});
+OrderQuote.hasMany(OrderQuoteItem, {
+  foreignKey: 'quote_id',
+  as: 'items'
+});
+OrderQuoteItem.belongsTo(OrderQuote, {
+  foreignKey: 'quote_id',
+  as: 'quote'
+});
+
+// 19. ServiceType - CatalogItem: 一对多（服务类型 -> 标准物料/工时目录）
+ServiceType.hasMany(CatalogItem, {
+  foreignKey: 'service_type_id',
+  as: 'catalogItems'
+});
+CatalogItem.belongsTo(ServiceType, {
+  foreignKey: 'service_type_id',
+  as: 'serviceType'
+});
+OrderQuoteItem.belongsTo(CatalogItem, {
+  foreignKey: 'catalog_item_id',
+  as: 'catalogItem'
+});
+
+// 20. User - ElectricianWorkingHour / ElectricianBlockedPeriod: 一对多（电工 -> 工作时间、不可预约时段）
+User.hasMany(ElectricianWorkingHour, {
+  foreignKey: 'electrician_id',
+  as: 'workingHours'
+});
+User.hasMany(ElectricianBlockedPeriod, {
+  foreignKey: 'electrician_id',
+  as: 'blockedPeriods'
+});
+
+// 21. Order - OrderReschedule: 一对多（工单 -> 改约申请）
+Order.hasMany(OrderReschedule, {
+  foreignKey: 'order_id',
+  as: 'reschedules'
+});
+OrderReschedule.belongsTo(Order, {
+  foreignKey: 'order_id',
+  as: 'order'
+});
+
+// 22. Order - OrderChatMessage / OrderChatRead: 一对多（工单 -> 会话消息、参与者已读位置）
+Order.hasMany(OrderChatMessage, {
+  foreignKey: 'order_id',
+  as: 'chatMessages'
+});
+OrderChatMessage.belongsTo(Order, {
+  foreignKey: 'order_id',
+  as: 'order'
+});
+Order.hasMany(OrderChatRead, {
+  foreignKey: 'order_id',
+  as: 'chatReads'
+});
+
+// 23. Order - OrderDispute - OrderDisputeEvent: 一对多（工单 -> 纠纷 -> 处理记录）
+Order.hasMany(OrderDispute, {
+  foreignKey: 'order_id',
+  as: 'disputes'
+});
+OrderDispute.belongsTo(Order, {
+  foreignKey: 'order_id',
+  as: 'order'
+});
+OrderDispute.belongsTo(User, {
+  foreignKey: 'initiator_id',
+  as: 'initiator'
+});
+OrderDispute.hasMany(OrderDisputeEvent, {
+  foreignKey: 'dispute_id',
+  as: 'events'
+});
+OrderDisputeEvent.belongsTo(OrderDispute, {
+  foreignKey: 'dispute_id',
+  as: 'dispute'
+});
+
+// 24. User - Review: 一对多（电工 -> 收到的评价；评价 -> 评价用户）
+User.hasMany(Review, {
+  foreignKey: 'electrician_id',
+  as: 'receivedReviews'
+});
+Review.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// 25. Review - ReviewReport: 一对多（评价 -> 电工举报）
+Review.hasMany(ReviewReport, {
+  foreignKey: 'review_id',
+  as: 'reports'
+});
+ReviewReport.belongsTo(Review, {
+  foreignKey: 'review_id',
+  as: 'review'
+});
+ReviewReport.belongsTo(User, {
+  foreignKey: 'electrician_id',
+  as: 'electrician'
+});
+
+// 26. ElectricianCertification - CertificationSubmission - CertificationReview: 一对多（认证 -> 提交版本 -> 审核记录）
+ElectricianCertification.hasMany(CertificationSubmission, {
+  foreignKey: 'certification_id',
+  as: 'submissions'
+});
+CertificationSubmission.belongsTo(ElectricianCertification, {
+  foreignKey: 'certification_id',
+  as: 'certification'
+});
+CertificationSubmission.hasMany(CertificationReview, {
+  foreignKey: 'submission_id',
+  as: 'reviews'
+});
+CertificationReview.belongsTo(CertificationSubmission, {
+  foreignKey: 'submission_id',
+  as: 'submission'
+});
+CertificationReview.belongsTo(Admin, {
+  foreignKey: 'admin_id',
+  as: 'admin'
+});
+
+// 27. Admin - PrivateFileAccessLog: 一对多（管理员 -> 私有文件查看记录）
+PrivateFileAccessLog.belongsTo(Admin, {
+  foreignKey: 'admin_id',
+  as: 'admin'
+});
+PrivateFileAccessLog.belongsTo(User, {
+  foreignKey: 'owner_id',
+  as: 'owner'
+});
+
+// 28. Admin - SandboxAccount: 一对多（管理员 -> 设置的测试账号）
+SandboxAccount.belongsTo(Admin, {
+  foreignKey: 'created_by',
+  as: 'creator'
+});
+
 // 导出所有模型和sequelize实例
 module.exports = {
   sequelize,
@@ -163,5 +410,28 @@ module.exports = {
   Admin,
   UserMessageRead,
   Withdrawal,  // ✅ 添加这一行
+  ElectricianServiceArea,
+  OrderDispatch,
+  JobRun,
+  SystemConfig,
+  WalletTransaction,
+  ElectricianCommission,
+  Refund,
+  OrderQuote,
+  OrderQuoteItem,
+  CatalogItem,
+  ElectricianWorkingHour,
+  ElectricianBlockedPeriod,
+  OrderReschedule,
+  OrderChatMessage,
+  OrderChatRead,
+  OrderDispute,
+  OrderDisputeEvent,
+  ReviewReport,
+  CertificationSubmission,
+  CertificationReview,
+  PrivateFileAccessLog,
+  UploadedFile,
+  SandboxAccount,
   Sequelize: require('sequelize')
 };
\ No newline at end of file
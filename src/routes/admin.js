@@ -3,6 +3,8 @@ const router = express.Router();
 const adminController = require('../controllers/adminController');
 const { authenticateToken } = require('../middleware/auth');
 const adminAuthMiddleware = require('../middleware/adminAuthMiddleware');
+const validate = require('../middleware/validation');
+const { schemas } = validate;
 
 // 测试路由
 router.get('/', (req, res) => {
@@ -64,14 +66,68 @@ router.put('/users/:id/status', adminAuthMiddleware, adminController.toggleUserS
 
 // 电工管理
 router.get('/electricians', adminAuthMiddleware, adminController.getElectricians);
+router.get('/electricians/cert-expiry', adminAuthMiddleware, adminController.getExpiringCertifications);
 router.get('/electricians/:id', adminAuthMiddleware, adminController.getElectricianDetail);
 router.put('/electricians/:id/review', adminAuthMiddleware, adminController.reviewElectrician);
+router.get('/electricians/:id/certification-history', adminAuthMiddleware, adminController.getCertificationHistory);
+router.get('/file-access-logs', adminAuthMiddleware, adminController.getFileAccessLogs);
 router.put('/electricians/:id/status', adminAuthMiddleware, adminController.toggleUserStatus);
 
+// 电工钱包
+router.get('/wallets/:electricianId', adminAuthMiddleware, adminController.getElectricianWallet);
+router.post('/wallets/:electricianId/adjust', adminAuthMiddleware, adminController.adjustElectricianWallet);
+
 // 工单管理
 router.get('/orders', adminAuthMiddleware, adminController.getOrders);
 router.get('/orders/:id', adminAuthMiddleware, adminController.getOrderDetail);
 router.put('/orders/:id/status', adminAuthMiddleware, adminController.updateOrderStatus);
+router.get('/orders/:id/chat', adminAuthMiddleware, adminController.getOrderChat);
+router.post('/orders/:id/chat', adminAuthMiddleware, adminController.sendOrderChat);
+
+// 评价举报审核
+router.get('/review-reports', adminAuthMiddleware, adminController.getReviewReports);
+router.post('/review-reports/:id/handle', adminAuthMiddleware, adminController.handleReviewReport);
+
+// 工单纠纷
+router.get('/disputes', adminAuthMiddleware, adminController.getDisputes);
+router.get('/disputes/:id', adminAuthMiddleware, adminController.getDisputeDetail);
+router.post('/disputes/:id/notes', adminAuthMiddleware, adminController.addDisputeNote);
+router.post('/disputes/:id/resolve', adminAuthMiddleware, adminController.resolveDispute);
+
+// 服务类型接单模式
+router.put('/service-types/:id/dispatch', adminAuthMiddleware, adminController.updateServiceTypeDispatch);
+
+// 平台佣金
+router.put('/service-types/:id/commission', adminAuthMiddleware, adminController.updateServiceTypeCommission);
+router.get('/commissions', adminAuthMiddleware, adminController.getElectricianCommissions);
+router.post('/commissions', adminAuthMiddleware, adminController.setElectricianCommission);
+router.delete('/commissions/:id', adminAuthMiddleware, adminController.deleteElectricianCommission);
+
+// 物料/工时目录
+router.get('/catalog-items', adminAuthMiddleware, adminController.getCatalogItems);
+router.post('/catalog-items', adminAuthMiddleware, adminController.createCatalogItem);
+router.put('/catalog-items/:id', adminAuthMiddleware, adminController.updateCatalogItem);
+router.delete('/catalog-items/:id', adminAuthMiddleware, adminController.deleteCatalogItem);
+
+// 测试账号
+router.get('/sandbox-accounts', adminAuthMiddleware, adminController.getSandboxAccounts);
+router.post('/sandbox-accounts', adminAuthMiddleware, adminController.createSandboxAccount);
+router.put('/sandbox-accounts/:id', adminAuthMiddleware, adminController.updateSandboxAccount);
+router.delete('/sandbox-accounts/:id', adminAuthMiddleware, adminController.deleteSandboxAccount);
+
+// 系统配置
+router.get('/configs', adminAuthMiddleware, adminController.getConfigs);
+router.put('/configs/:key',
+  adminAuthMiddleware,
+  validate(schemas.updateConfig, 'params'),
+  (req, res, next) => validate(schemas.configValues[req.params.key])(req, res, next),
+  adminController.updateConfig
+);
+
+// 定时任务
+router.get('/jobs', adminAuthMiddleware, adminController.getJobs);
+router.get('/jobs/:name/runs', adminAuthMiddleware, adminController.getJobRuns);
+router.post('/jobs/:name/run', adminAuthMiddleware, adminController.runJob);
 
 // 数据统计
 router.get('/statistics', adminAuthMiddleware, adminController.getStatistics);
@@ -6,9 +6,19 @@
 const express = require('express');
 const router = express.Router();
 const ElectricianController = require('../controllers/electricianController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireRole } = require('../middleware/auth');
 const validate = require('../middleware/validation');
-const { electricianCertificationSchema } = require('../schemas/electricianSchemas');
+const {
+  electricianCertificationSchema,
+  serviceAreaSchema,
+  walletTransactionsSchema,
+  scheduleQuerySchema,
+  workingHoursSchema,
+  blockedPeriodSchema,
+  reviewsQuerySchema,
+  reviewReplySchema,
+  reviewReportSchema
+} = require('../schemas/electricianSchemas');
 const rateLimiter = require('../middleware/rateLimiter');
 
 /**
@@ -60,6 +70,122 @@ router.put(
   ElectricianController.reapplyCertification
 );
 
+/**
+ * @route GET /api/electricians/service-area
+ * @desc 获取电工服务区域
+ * @access Private (Electrician only)
+ */
+router.get(
+  '/service-area',
+  authenticateToken,
+  requireRole(['electrician']),
+  ElectricianController.getServiceArea
+);
+
+/**
+ * @route PUT /api/electricians/service-area
+ * @desc 设置电工常驻位置、服务半径或服务地区
+ * @access Private (Electrician only)
+ */
+router.put(
+  '/service-area',
+  authenticateToken,
+  requireRole(['electrician']),
+  validate(serviceAreaSchema),
+  ElectricianController.updateServiceArea
+);
+
+/**
+ * @route GET /api/electricians/schedule
+ * @desc 获取电工日程（工作时段、不可预约时段、已预约工单）
+ * @access Private (Electrician only)
+ */
+router.get(
+  '/schedule',
+  authenticateToken,
+  requireRole(['electrician']),
+  validate(scheduleQuerySchema, 'query'),
+  ElectricianController.getSchedule
+);
+
+/**
+ * @route PUT /api/electricians/schedule/working-hours
+ * @desc 设置每周工作时段
+ * @access Private (Electrician only)
+ */
+router.put(
+  '/schedule/working-hours',
+  authenticateToken,
+  requireRole(['electrician']),
+  validate(workingHoursSchema),
+  ElectricianController.updateWorkingHours
+);
+
+/**
+ * @route POST /api/electricians/schedule/blocked-periods
+ * @desc 添加不可预约时段
+ * @access Private (Electrician only)
+ */
+router.post(
+  '/schedule/blocked-periods',
+  authenticateToken,
+  requireRole(['electrician']),
+  validate(blockedPeriodSchema),
+  ElectricianController.addBlockedPeriod
+);
+
+/**
+ * @route DELETE /api/electricians/schedule/blocked-periods/:id
+ * @desc 删除不可预约时段
+ * @access Private (Electrician only)
+ */
+router.delete(
+  '/schedule/blocked-periods/:id',
+  authenticateToken,
+  requireRole(['electrician']),
+  ElectricianController.removeBlockedPeriod
+);
+
+/**
+ * @route GET /api/electricians/reviews
+ * @desc 获取收到的评价（含已隐藏评价及举报状态）
+ * @access Private (Electrician only)
+ */
+router.get(
+  '/reviews',
+  authenticateToken,
+  requireRole(['electrician']),
+  validate(reviewsQuerySchema, 'query'),
+  ElectricianController.getReviews
+);
+
+/**
+ * @route POST /api/electricians/reviews/:id/reply
+ * @desc 公开回复评价（每条评价仅可回复一次）
+ * @access Private (Electrician only)
+ */
+router.post(
+  '/reviews/:id/reply',
+  authenticateToken,
+  requireRole(['electrician']),
+  validate(reviewReplySchema),
+  ElectricianController.replyReview
+);
+
+/**
+ * @route POST /api/electricians/reviews/:id/report
+ * @desc 举报评价（辱骂、与服务无关）
+ * @access Private (Electrician only)
+ */
+router.post(
+  '/reviews/:id/report',
+  authenticateToken,
+  requireRole(['electrician']),
+  rateLimiter({ max: 10, windowMs: 60000 }),
+  validate(reviewReportSchema),
+  ElectricianController.reportReview
+);
+
 /**
  * @route GET /api/electricians/income
  * @desc 获取电工收入详情
@@ -71,6 +197,18 @@ router.get(
   ElectricianController.getIncome
 );
 
+/**
+ * @route GET /api/electricians/wallet/transactions
+ * @desc 获取电工钱包流水
+ * @access Private (Electrician only)
+ */
+router.get(
+  '/wallet/transactions',
+  authenticateToken,
+  validate(walletTransactionsSchema, 'query'),
+  ElectricianController.getWalletTransactions
+);
+
 /**
  * @route POST /api/electricians/withdraw
  * @desc 电工申请提现
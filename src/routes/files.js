@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const UploadController = require('../controllers/uploadController');
+
+/**
+ * @swagger
+ * /api/files/private/{category}/{filename}:
+ *   get:
+ *     summary: 通过限时签名地址查看私有文件（认证证件）
+ *     description: 签名地址由认证详情等接口返回，绑定查看人，过期后需重新获取
+ *     tags: [Upload]
+ *     parameters:
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: viewer
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 文件内容
+ *       403:
+ *         description: 签名无效或已过期
+ *       404:
+ *         description: 文件不存在
+ */
+router.get('/private/:category/:filename', UploadController.getPrivateFile);
+
+module.exports = router;
@@ -27,7 +27,7 @@ router.post(
 
 /**
  * @path /api/orders
- * @desc 获取工单列表
+ * @desc 获取工单列表（电工传 mode=hall 进入接单大厅，按距离和认证工作类型筛选待接单工单）
  * @access 用户、电工
  */
 router.get(
@@ -38,6 +38,18 @@ router.get(
   OrderController.getOrderList
 );
 
+/**
+ * @path /api/orders/dispatch-offers
+ * @desc 获取电工待响应的派单
+ * @access 电工
+ */
+router.get(
+  '/dispatch-offers',
+  authenticateToken,
+  requireRole(['electrician']),
+  OrderController.getDispatchOffers
+);
+
 /**
  * @path /api/orders/:id
  * @desc 获取工单详情
@@ -77,6 +89,31 @@ router.post(
   OrderController.takeOrder
 );
 
+/**
+ * @path /api/orders/:id/dispatch/accept
+ * @desc 电工接受系统派单
+ * @access 电工
+ */
+router.post(
+  '/:id/dispatch/accept',
+  authenticateToken,
+  requireRole(['electrician']),
+  OrderController.acceptDispatch
+);
+
+/**
+ * @path /api/orders/:id/dispatch/decline
+ * @desc 电工拒绝系统派单
+ * @access 电工
+ */
+router.post(
+  '/:id/dispatch/decline',
+  authenticateToken,
+  requireRole(['electrician']),
+  validate(orderSchemas.declineDispatch),
+  OrderController.declineDispatch
+);
+
 /**
  * @path /api/orders/:id/complete
  * @desc 完成工单
@@ -120,7 +157,7 @@ router.put(
 
 /**
  * @path /api/orders/:id/update
- * @desc 电工修改订单内容和金额
+ * @desc 电工提交维修报价（明细：人工费、材料费、上门费），等待用户确认
  * @access 电工
  */
 router.put(
@@ -133,16 +170,123 @@ router.put(
 
 /**
  * @path /api/orders/:id/confirm-update
- * @desc 用户确认订单修改
+ * @desc 用户确认或拒绝报价，确认后进入待支付维修费
  * @access 用户
  */
 router.post(
   '/:id/confirm-update',
   authenticateToken,
   requireRole(['user']),
+  validate(orderSchemas.confirmOrderUpdate),
   OrderController.confirmOrderUpdate
 );
 
+/**
+ * @path /api/orders/:id/reschedule
+ * @desc 申请改约（电工接单前用户直接修改预约时间）
+ * @access 用户、电工
+ */
+router.post(
+  '/:id/reschedule',
+  authenticateToken,
+  requireRole(['user', 'electrician']),
+  validate(orderSchemas.rescheduleOrder),
+  OrderController.rescheduleOrder
+);
+
+/**
+ * @path /api/orders/:id/reschedule/respond
+ * @desc 同意或拒绝对方的改约申请
+ * @access 用户、电工
+ */
+router.post(
+  '/:id/reschedule/respond',
+  authenticateToken,
+  requireRole(['user', 'electrician']),
+  validate(orderSchemas.respondReschedule),
+  OrderController.respondReschedule
+);
+
+/**
+ * @path /api/orders/:id/chat
+ * @desc 获取工单会话消息
+ * @access 用户、电工（工单当事人）
+ */
+router.get(
+  '/:id/chat',
+  authenticateToken,
+  requireRole(['user', 'electrician']),
+  validate(orderSchemas.getOrderChat, 'query'),
+  OrderController.getOrderChat
+);
+
+/**
+ * @path /api/orders/:id/chat
+ * @desc 发送工单会话消息（文字、图片）
+ * @access 用户、电工（工单当事人）
+ */
+router.post(
+  '/:id/chat',
+  authenticateToken,
+  requireRole(['user', 'electrician']),
+  rateLimiter({ windowMs: 60000, max: 30 }),
+  validate(orderSchemas.sendOrderChat),
+  OrderController.sendOrderChat
+);
+
+/**
+ * @path /api/orders/:id/disputes
+ * @desc 获取工单纠纷记录
+ * @access 用户、电工（工单当事人）
+ */
+router.get(
+  '/:id/disputes',
+  authenticateToken,
+  requireRole(['user', 'electrician']),
+  OrderController.getOrderDisputes
+);
+
+/**
+ * @path /api/orders/:id/disputes
+ * @desc 发起工单纠纷（附证据图片），由平台裁决
+ * @access 用户、电工（工单当事人）
+ */
+router.post(
+  '/:id/disputes',
+  authenticateToken,
+  requireRole(['user', 'electrician']),
+  rateLimiter({ windowMs: 60000, max: 5 }),
+  validate(orderSchemas.openDispute),
+  OrderController.openDispute
+);
+
+/**
+ * @path /api/orders/:id/disputes/:disputeId/evidence
+ * @desc 补充纠纷说明与证据
+ * @access 用户、电工（工单当事人）
+ */
+router.post(
+  '/:id/disputes/:disputeId/evidence',
+  authenticateToken,
+  requireRole(['user', 'electrician']),
+  rateLimiter({ windowMs: 60000, max: 10 }),
+  validate(orderSchemas.addDisputeEvidence),
+  OrderController.addDisputeEvidence
+);
+
+/**
+ * @path /api/orders/:id/disputes/:disputeId/withdraw
+ * @desc 撤回纠纷
+ * @access 用户、电工（纠纷发起方）
+ */
+router.post(
+  '/:id/disputes/:disputeId/withdraw',
+  authenticateToken,
+  requireRole(['user', 'electrician']),
+  validate(orderSchemas.withdrawDispute),
+  OrderController.withdrawDispute
+);
+
 /**
  * @path /api/orders/:id/initiate-cancel
  * @desc 发起取消订单请求
@@ -9,6 +9,7 @@ const PaymentController = require('../controllers/paymentController');
 const validate = require('../middleware/validation');
 const schemas = validate.schemas;
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const adminAuthMiddleware = require('../middleware/adminAuthMiddleware');
 const rateLimiter = require('../middleware/rateLimiter');
 
 // 创建支付订单 - 限流：每分钟最多5次
@@ -19,7 +20,7 @@ router.post('/',
   PaymentController.createPayment
 );
 
-// 测试支付确认
+// 测试支付确认（仅限测试账号，生产环境不可用）
 router.post('/test/confirm',
   authenticateToken,
   validate(schemas.confirmTestPayment),
@@ -31,6 +32,11 @@ router.post('/wechat/notify',
   PaymentController.wechatNotify
 );
 
+// 微信退款结果通知（无需认证）
+router.post('/wechat/refund-notify',
+  PaymentController.wechatRefundNotify
+);
+
 // 查询支付状态
 router.get('/:payment_no',
   authenticateToken,
@@ -58,10 +64,16 @@ router.post('/:payment_no/refund',
   PaymentController.requestRefund
 );
 
-// 处理退款（管理员用）
-router.put('/:payment_no/refund',
+// 获取退款记录
+router.get('/:payment_no/refunds',
   authenticateToken,
-  // requireRole('admin'), // 暂时注释，后续添加管理员认证
+  validate(schemas.getRefunds, 'params'),
+  PaymentController.getRefunds
+);
+
+// 处理退款（仅管理员，可直接按金额发起退款）
+router.put('/:payment_no/refund',
+  adminAuthMiddleware,
   validate(schemas.processRefund),
   PaymentController.processRefund
 );
@@ -8,20 +8,25 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const SystemController = require('../controllers/systemController');
+const UploadService = require('../services/uploadService');
 const validate = require('../middleware/validation');
 const schemas = validate.schemas;
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const rateLimiter = require('../middleware/rateLimiter');
 
-// 配置文件上传
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/');
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
+// 配置文件上传（校验文件头后写入当前存储驱动）
+const storage = UploadService.multerStorage({
+  dir: 'uploads',
+  purpose: 'general',
+  allowedTypes: [
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  ],
+  filename: (req, file, type) => UploadService.randomFilename(file.fieldname, type.ext)
 });
 
 const upload = multer({
@@ -60,6 +65,12 @@ router.get('/service-types/stats/summary',
   SystemController.getServiceTypeStats
 );
 
+// 获取物料/工时目录及参考价（公开接口）
+router.get('/catalog-items',
+  validate(schemas.getCatalogItems, 'query'),
+  SystemController.getCatalogItems
+);
+
 // 获取系统配置（公开接口）
 router.get('/config',
   validate(schemas.getSystemConfig),
@@ -86,6 +97,19 @@ router.get('/nearby-electricians',
   SystemController.getNearbyElectricians
 );
 
+// 获取电工公开主页（公开接口）
+router.get('/electricians/:id/profile',
+  validate(schemas.getElectricianProfile, 'params'),
+  SystemController.getElectricianProfile
+);
+
+// 获取电工评价列表（公开接口）
+router.get('/electricians/:id/reviews',
+  validate(schemas.getElectricianReviews, 'params'),
+  validate(schemas.getElectricianReviews, 'query'),
+  SystemController.getElectricianReviews
+);
+
 // 搜索功能
 router.get('/search',
   optionalAuth,
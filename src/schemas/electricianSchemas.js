@@ -1,23 +1,24 @@
 const Joi = require('joi');
+const IdCard = require('../utils/idCard');
 // 🔥 在文件顶部添加自定义验证函数
-const imagePathValidator = (value, helpers) => {
-  // 允许空值
+// 认证证件图片：证件上传接口返回的私有文件标识（/private/certifications/ 开头）
+const certImageValidator = (value, helpers) => {
   if (!value || value === '') {
     return value;
   }
-  
-  // 允许完整URL
-  if (value.startsWith('http://') || value.startsWith('https://')) {
+  if (/^\/private\/certifications\/[\w.-]+$/.test(value)) {
     return value;
   }
-  
-  // 允许相对路径（/uploads/ 开头）
-  if (value.startsWith('/uploads/')) {
-    return value;
+  return helpers.message('证件图片请通过证件上传接口上传');
+};
+
+// 身份证号校验：格式、出生日期与校验码（地区码、年龄及重复使用在提交时查库校验）
+const idCardValidator = (value, helpers) => {
+  const info = IdCard.parse(value);
+  if (!info.valid) {
+    return helpers.message(info.message);
   }
-  
-  // 不符合任何格式
-  return helpers.message('图片路径必须是完整URL或/uploads/开头的相对路径');
+  return info.idCard;
 };
 
 module.exports = {
@@ -34,20 +35,21 @@ module.exports = {
     real_name: Joi.string().min(2).max(50).required()
       .messages({ 'any.required': '真实姓名不能为空' }),
       
-    id_card: Joi.string()
-      .pattern(/^[1-9]\d{5}(18|19|20)\d{2}(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])\d{3}[\dXx]$/)
-      .required()
-      .messages({ 'string.pattern.base': '身份证号格式不正确' }),
+    id_card: Joi.string().trim().custom(idCardValidator).required()
+      .messages({ 'any.required': '身份证号不能为空' }),
 
     // 🔥 修改：使用自定义验证器
-    id_card_front: Joi.string().custom(imagePathValidator).allow(null, ''),
-    id_card_back: Joi.string().custom(imagePathValidator).allow(null, ''),
+    id_card_front: Joi.string().custom(certImageValidator).allow(null, ''),
+    id_card_back: Joi.string().custom(certImageValidator).allow(null, ''),
       
-    electrician_cert_no: Joi.string().required()
-      .messages({ 'any.required': '电工证编号不能为空' }),
+    electrician_cert_no: Joi.string().trim().pattern(/^[A-Za-z0-9-]{6,30}$/).required()
+      .messages({
+        'string.pattern.base': '电工证编号格式不正确，应为6-30位字母、数字或短横线',
+        'any.required': '电工证编号不能为空'
+      }),
 
     // 🔥 修改：使用自定义验证器
-    certificate_img: Joi.string().custom(imagePathValidator).allow(null, ''),
+    certificate_img: Joi.string().custom(certImageValidator).allow(null, ''),
       
     cert_start_date: Joi.date().required()
       .messages({ 'any.required': '证书开始日期不能为空' }),
@@ -57,6 +59,90 @@ module.exports = {
         'any.required': '证书结束日期不能为空',
         'date.greater': '结束日期必须大于开始日期' 
       })
+  }),
+
+  // 服务区域：常驻位置与地区编码至少提供一种
+  serviceAreaSchema: Joi.object({
+    latitude: Joi.number().min(-90).max(90),
+    longitude: Joi.number().min(-180).max(180),
+    address: Joi.string().max(255).allow(null, ''),
+    service_radius: Joi.number().integer().min(500).max(50000)
+      .messages({ 'number.min': '服务半径不能小于500米', 'number.max': '服务半径不能超过50公里' }),
+    region_codes: Joi.array().items(
+      Joi.string().pattern(/^\d{6}$/).messages({ 'string.pattern.base': '地区编码格式不正确' })
+    ).max(50),
+    status: Joi.string().valid('active', 'paused')
+  })
+    .and('latitude', 'longitude')
+    .or('latitude', 'region_codes')
+    .messages({
+      'object.and': '经度和纬度必须同时提供',
+      'object.missing': '请设置常驻位置或服务地区'
+    }),
+
+  // 电工日程查询
+  scheduleQuerySchema: Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().greater(Joi.ref('from'))
+      .messages({ 'date.greater': '结束时间必须晚于开始时间' })
+  }),
+
+  // 每周工作时段（覆盖设置，传空数组表示不限制）
+  workingHoursSchema: Joi.object({
+    working_hours: Joi.array().items(Joi.object({
+      weekday: Joi.number().integer().min(0).max(6).required()
+        .messages({ 'any.required': '星期不能为空', 'number.min': '星期必须在0到6之间', 'number.max': '星期必须在0到6之间' }),
+      start_time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required()
+        .messages({ 'any.required': '开始时间不能为空', 'string.pattern.base': '开始时间格式必须为HH:mm' }),
+      end_time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/).required()
+        .messages({ 'any.required': '结束时间不能为空', 'string.pattern.base': '结束时间格式必须为HH:mm' })
+    })).max(50).required()
+      .messages({ 'any.required': '工作时段不能为空', 'array.max': '工作时段最多50个' })
+  }),
+
+  // 不可预约时段
+  blockedPeriodSchema: Joi.object({
+    start_at: Joi.date().iso().required()
+      .messages({ 'any.required': '开始时间不能为空' }),
+    end_at: Joi.date().iso().greater(Joi.ref('start_at')).required()
+      .messages({ 'any.required': '结束时间不能为空', 'date.greater': '结束时间必须晚于开始时间' }),
+    reason: Joi.string().max(255).allow('', null)
+  }),
+
+  // 收到的评价查询
+  reviewsQuerySchema: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    pageSize: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  // 回复评价
+  reviewReplySchema: Joi.object({
+    content: Joi.string().trim().min(1).max(500).required()
+      .messages({ 'any.required': '回复内容不能为空', 'string.empty': '回复内容不能为空', 'string.max': '回复内容不能超过500个字符' })
+  }),
+
+  // 举报评价
+  reviewReportSchema: Joi.object({
+    reason_type: Joi.string().valid('abusive', 'unrelated').required()
+      .messages({ 'any.required': '请选择举报类型', 'any.only': '举报类型必须是 abusive 或 unrelated' }),
+    description: Joi.string().max(500).allow('', null)
+      .messages({ 'string.max': '举报说明不能超过500个字符' })
+  }),
+
+  // 钱包流水查询
+  walletTransactionsSchema: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    pageSize: Joi.number().integer().min(1).max(100).default(20),
+    type: Joi.string().valid(
+      'opening',
+      'settlement',
+      'commission',
+      'settlement_reversal',
+      'withdraw_lock',
+      'withdraw_success',
+      'withdraw_unlock',
+      'adjustment'
+    )
   })
 };
 
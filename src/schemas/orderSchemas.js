@@ -57,6 +57,19 @@ const createOrder = Joi.object({
       'number.min': '经度必须在-180到180之间',
       'number.max': '经度必须在-180到180之间'
     }),
+  appointment_start: Joi.date().iso().greater('now')
+    .messages({
+      'date.base': '预约开始时间格式不正确',
+      'date.format': '预约开始时间必须是ISO格式',
+      'date.greater': '预约开始时间必须晚于当前时间'
+    }),
+  appointment_end: Joi.date().iso().greater(Joi.ref('appointment_start'))
+    .messages({
+      'date.base': '预约结束时间格式不正确',
+      'date.format': '预约结束时间必须是ISO格式',
+      'date.greater': '预约结束时间必须晚于开始时间'
+    }),
+  // 兼容旧版：仅传期望时间时按默认时长生成预约时间段
   expected_time: Joi.date().iso().allow(null)
     .messages({
       'date.base': '预期服务时间格式不正确',
@@ -72,15 +85,19 @@ const createOrder = Joi.object({
       'number.base': '最高预算必须是数字',
       'number.min': '最高预算不能小于0'
     })
-}).custom((value, helpers) => {
-  // 自定义验证：如果同时提供了最低和最高预算，确保最低不大于最高
-  if (value.budget_min && value.budget_max && value.budget_min > value.budget_max) {
-    return helpers.error('custom.budgetRange', {
-      message: '最低预算不能大于最高预算'
-    });
-  }
-  return value;
-});
+}).and('appointment_start', 'appointment_end')
+  .messages({
+    'object.and': '预约开始时间和结束时间必须同时提供'
+  })
+  .custom((value, helpers) => {
+    // 自定义验证：如果同时提供了最低和最高预算，确保最低不大于最高
+    if (value.budget_min && value.budget_max && value.budget_min > value.budget_max) {
+      return helpers.error('custom.budgetRange', {
+        message: '最低预算不能大于最高预算'
+      });
+    }
+    return value;
+  });
 
 // 获取工单列表的验证Schema
 const getOrdersList = Joi.object({
@@ -121,16 +138,24 @@ const getOrdersList = Joi.object({
       'number.min': '经度必须在-180到180之间',
       'number.max': '经度必须在-180到180之间'
     }),
-  distance: Joi.number().positive().default(1000).allow(null)
+  distance: Joi.number().positive().max(50000).allow(null)
     .messages({
       'number.base': '距离必须是数字',
-      'number.positive': '距离必须是正数'
+      'number.positive': '距离必须是正数',
+      'number.max': '距离不能超过50公里'
     }),
   my_orders: Joi.boolean().default(false)
     .messages({
       'boolean.base': 'my_orders必须是布尔值'
+    }),
+  mode: Joi.string().valid('hall').allow(null, '')
+    .messages({
+      'any.only': '列表模式无效'
     })
-});
+}).and('latitude', 'longitude')
+  .messages({
+    'object.and': '经度和纬度必须同时提供'
+  });
 
 // 获取工单详情的验证Schema
 const getOrderDetail = Joi.object({
@@ -181,6 +206,59 @@ const confirmOrder = Joi.object({
     })
 }).optional();
 
+// 用户确认/拒绝报价的验证Schema（不传 approved 时视为确认）
+const confirmOrderUpdate = Joi.object({
+  approved: Joi.boolean().default(true)
+    .messages({
+      'boolean.base': '确认结果必须是布尔值'
+    }),
+  quote_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': '报价ID必须是数字'
+    }),
+  reason: Joi.string().max(500).allow('', null)
+    .messages({
+      'string.max': '拒绝原因不能超过500个字符'
+    })
+}).optional();
+
+// 报价明细项（从目录选用时类型、名称、单价可省略，取目录值）
+const quoteItem = Joi.object({
+  catalog_item_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': '目录项ID必须是数字'
+    }),
+  item_type: Joi.string().valid('labor', 'material', 'call_out_fee')
+    .when('catalog_item_id', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
+    .messages({
+      'any.required': '明细类型是必填项',
+      'any.only': '明细类型必须是 labor、material 或 call_out_fee'
+    }),
+  name: Joi.string().max(100)
+    .when('catalog_item_id', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
+    .messages({
+      'any.required': '项目名称是必填项',
+      'string.max': '项目名称不能超过100个字符'
+    }),
+  unit: Joi.string().max(20).allow('', null)
+    .messages({
+      'string.max': '单位不能超过20个字符'
+    }),
+  quantity: Joi.number().positive().precision(2).required()
+    .messages({
+      'any.required': '数量是必填项',
+      'number.base': '数量必须是数字',
+      'number.positive': '数量必须大于0'
+    }),
+  unit_price: Joi.number().min(0).precision(2)
+    .when('catalog_item_id', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
+    .messages({
+      'any.required': '单价是必填项',
+      'number.base': '单价必须是数字',
+      'number.min': '单价不能小于0'
+    })
+});
+
 // 电工修改订单内容和金额的验证Schema
 const updateOrderByElectrician = Joi.object({
   title: Joi.string().min(2).max(100).optional()
@@ -201,17 +279,25 @@ const updateOrderByElectrician = Joi.object({
     .messages({
       'array.max': '维修图片最多上传9张'
     }),
-  amount: Joi.number().min(0).required()
+  items: Joi.array().items(quoteItem).min(1).max(50)
+    .messages({
+      'array.min': '报价明细至少需要1项',
+      'array.max': '报价明细最多50项'
+    }),
+  // 兼容旧版：仅传总金额时作为单项人工费报价
+  amount: Joi.number().greater(0).precision(2)
     .messages({
-      'any.required': '订单金额是必填项',
       'number.base': '订单金额必须是数字',
-      'number.min': '订单金额不能小于0'
+      'number.greater': '订单金额必须大于0'
     }),
   remark: Joi.string().max(500).optional()
     .messages({
       'string.max': '备注不能超过500个字符'
     })
-});
+}).or('items', 'amount')
+  .messages({
+    'object.missing': '请填写报价明细'
+  });
 
 // 订单取消发起的验证Schema
 const initiateCancelOrder = Joi.object({
@@ -239,6 +325,14 @@ const startOrder = Joi.object({
     })
 }).optional();
 
+// 图片列表（评价图片、纠纷证据）：完整URL或/uploads/开头的相对路径，最多9张
+const imageUrls = Joi.array().items(Joi.string().pattern(/^(https?:\/\/|\/uploads\/)/).max(500)).max(9)
+  .messages({
+    'array.base': '图片必须是数组格式',
+    'array.max': '最多上传9张图片',
+    'string.pattern.base': '图片地址必须是完整URL或/uploads/开头的相对路径'
+  });
+
 // 用户评价订单的验证Schema
 const reviewOrder = Joi.object({
   rating: Joi.number().integer().min(1).max(5).required()
@@ -251,9 +345,121 @@ const reviewOrder = Joi.object({
   comment: Joi.string().max(1000).allow('', null)
     .messages({
       'string.max': '评价内容不能超过1000个字符'
-    })
+    }),
+  images: imageUrls.optional()
 }).optional();
 
+// 申请改约的验证Schema
+const rescheduleOrder = Joi.object({
+  appointment_start: Joi.date().iso().greater('now').required()
+    .messages({
+      'any.required': '预约开始时间是必填项',
+      'date.base': '预约开始时间格式不正确',
+      'date.greater': '预约开始时间必须晚于当前时间'
+    }),
+  appointment_end: Joi.date().iso().greater(Joi.ref('appointment_start')).required()
+    .messages({
+      'any.required': '预约结束时间是必填项',
+      'date.base': '预约结束时间格式不正确',
+      'date.greater': '预约结束时间必须晚于开始时间'
+    }),
+  reason: Joi.string().max(255).allow('', null)
+    .messages({
+      'string.max': '改约原因不能超过255个字符'
+    })
+});
+
+// 处理改约申请的验证Schema
+const respondReschedule = Joi.object({
+  accepted: Joi.boolean().required()
+    .messages({
+      'any.required': '请选择同意或拒绝',
+      'boolean.base': '处理结果必须是布尔值'
+    }),
+  reschedule_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': '改约ID必须是数字'
+    }),
+  reason: Joi.string().max(255).allow('', null)
+    .messages({
+      'string.max': '拒绝原因不能超过255个字符'
+    })
+});
+
+// 获取工单会话的验证Schema
+const getOrderChat = Joi.object({
+  before_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': '消息ID必须是数字'
+    }),
+  limit: Joi.number().integer().min(1).max(100).default(30)
+    .messages({
+      'number.base': '每页数量必须是数字',
+      'number.max': '每页数量不能超过100'
+    })
+});
+
+// 发送工单会话消息的验证Schema（图片消息内容为图片地址）
+const sendOrderChat = Joi.object({
+  content_type: Joi.string().valid('text', 'image').default('text')
+    .messages({
+      'any.only': '消息类型必须是 text 或 image'
+    }),
+  content: Joi.alternatives().conditional('content_type', {
+    is: 'image',
+    then: Joi.string().pattern(/^(https?:\/\/|\/uploads\/)/).max(500),
+    otherwise: Joi.string().trim().min(1).max(1000)
+  }).required()
+    .messages({
+      'any.required': '消息内容不能为空',
+      'string.empty': '消息内容不能为空',
+      'string.max': '消息内容过长',
+      'string.pattern.base': '图片地址必须是完整URL或/uploads/开头的相对路径'
+    })
+});
+
+// 发起纠纷的验证Schema
+const openDispute = Joi.object({
+  reason: Joi.string().trim().min(5).max(500).required()
+    .messages({
+      'any.required': '纠纷原因是必填项',
+      'string.empty': '纠纷原因不能为空',
+      'string.min': '纠纷原因至少需要5个字符',
+      'string.max': '纠纷原因不能超过500个字符'
+    }),
+  evidence_images: imageUrls.default([])
+});
+
+// 补充纠纷证据的验证Schema
+const addDisputeEvidence = Joi.object({
+  content: Joi.string().trim().max(1000).allow('', null)
+    .messages({
+      'string.max': '补充说明不能超过1000个字符'
+    }),
+  images: imageUrls.default([])
+}).custom((value, helpers) => {
+  if (!value.content && value.images.length === 0) {
+    return helpers.message('请填写补充说明或上传证据图片');
+  }
+  return value;
+});
+
+// 撤回纠纷的验证Schema
+const withdrawDispute = Joi.object({
+  reason: Joi.string().max(255).allow('', null)
+    .messages({
+      'string.max': '撤回原因不能超过255个字符'
+    })
+});
+
+// 电工拒绝派单的验证Schema
+const declineDispatch = Joi.object({
+  reason: Joi.string().max(255).allow('', null)
+    .messages({
+      'string.max': '拒绝原因不能超过255个字符'
+    })
+});
+
 module.exports = {
   createOrder,
   getOrdersList,
@@ -261,9 +467,18 @@ module.exports = {
   completeOrder,
   cancelOrder,
   confirmOrder,
+  confirmOrderUpdate,
   updateOrderByElectrician,
   initiateCancelOrder,
   confirmCancelOrder,
   startOrder,
-  reviewOrder
+  reviewOrder,
+  rescheduleOrder,
+  respondReschedule,
+  getOrderChat,
+  sendOrderChat,
+  openDispute,
+  addDisputeEvidence,
+  withdrawDispute,
+  declineDispatch
 };
@@ -0,0 +1,230 @@
+/**
+ * 工单预约服务
+ * - 电工接单前，用户可直接修改预约时间
+ * - 电工接单后，任意一方提出改约，需由对方同意后生效；同意时校验电工在新时间段可预约
+ * - 工单离开服务状态（完成、取消等）时，待处理的改约申请自动撤销（见 orderStateMachine.transition）
+ * - 所有预约时间变更均写入工单状态日志
+ */
+const { sequelize, Order, OrderReschedule, Message } = require('../models');
+const OrderStateMachine = require('./orderStateMachine');
+const ElectricianCalendarService = require('./electricianCalendarService');
+const AppError = require('../utils/AppError');
+
+const { BUSY_STATUSES, buildWindow, formatWindow } = ElectricianCalendarService;
+
+// 电工接单前可由用户直接修改预约时间的状态
+const DIRECT_CHANGE_STATUSES = ['pending_payment', 'pending'];
+
+const PARTY_TEXT = {
+  user: '用户',
+  electrician: '电工'
+};
+
+/**
+ * 锁定工单行并校验操作人为工单当事人
+ */
+const lockOrder = async (orderId, operatorType, operatorId, transaction) => {
+  const order = await Order.findByPk(orderId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!order) {
+    throw new AppError('工单不存在', 404);
+  }
+  const ownerId = operatorType === 'user' ? order.user_id : order.electrician_id;
+  if (!PARTY_TEXT[operatorType] || ownerId !== operatorId) {
+    throw new AppError('无权操作此工单', 403);
+  }
+  return order;
+};
+
+/**
+ * 发送订单消息
+ */
+const notify = (userId, order, title, content, transaction) => Message.create({
+  user_id: userId,
+  type: 'order',
+  title,
+  content,
+  related_id: order.id,
+  is_read: false
+}, { transaction });
+
+/**
+ * 提出改约（电工接单前用户直接修改）
+ * @param {Object} order - 工单
+ * @param {Object} data
+ * @param {string} data.operatorType - 发起方 user/electrician
+ * @param {number} data.operatorId - 发起人ID
+ * @param {Date|string} data.start - 新预约开始时间
+ * @param {Date|string} data.end - 新预约结束时间
+ * @param {string} [data.reason] - 改约原因
+ * @returns {Promise<{applied: boolean, reschedule: Object|null}>} applied 为 true 表示已直接生效
+ */
+const propose = async (order, { operatorType, operatorId, start, end, reason }) => {
+  const window = buildWindow(start, end);
+
+  return sequelize.transaction(async (t) => {
+    const locked = await lockOrder(order.id, operatorType, operatorId, t);
+    const from = formatWindow(locked.appointment_start, locked.appointment_end);
+    const to = formatWindow(window.start, window.end);
+
+    if (DIRECT_CHANGE_STATUSES.includes(locked.status) && !locked.electrician_id) {
+      if (operatorType !== 'user') {
+        throw new AppError('工单尚未接单，无法改约', 400);
+      }
+      await locked.update({ appointment_start: window.start, appointment_end: window.end }, { transaction: t });
+      await OrderStateMachine.logEvent(locked, {
+        operatorType,
+        operatorId,
+        remark: `用户修改预约时间：${from} → ${to}${reason ? `（${reason}）` : ''}`,
+        transaction: t
+      });
+      order.set(locked.get());
+      return { applied: true, reschedule: null };
+    }
+
+    if (!BUSY_STATUSES.includes(locked.status)) {
+      throw new AppError(`工单当前状态为 ${locked.status}，无法改约`, 400);
+    }
+
+    const pending = await OrderReschedule.findOne({
+      where: { order_id: locked.id, status: 'pending' },
+      transaction: t
+    });
+    if (pending) {
+      if (pending.proposer_type !== operatorType) {
+        throw new AppError('对方已提出改约申请，请先处理', 409);
+      }
+      await pending.update({ status: 'cancelled' }, { transaction: t });
+    }
+
+    // 电工发起时先确认自己在新时间段有空
+    if (operatorType === 'electrician') {
+      await ElectricianCalendarService.lockElectrician(locked.electrician_id, t);
+      await ElectricianCalendarService.assertAvailable(locked.electrician_id, window.start, window.end, {
+        excludeOrderId: locked.id,
+        transaction: t
+      });
+    }
+
+    const reschedule = await OrderReschedule.create({
+      order_id: locked.id,
+      proposer_type: operatorType,
+      proposer_id: operatorId,
+      original_start: locked.appointment_start,
+      original_end: locked.appointment_end,
+      proposed_start: window.start,
+      proposed_end: window.end,
+      status: 'pending',
+      reason
+    }, { transaction: t });
+
+    await OrderStateMachine.logEvent(locked, {
+      operatorType,
+      operatorId,
+      remark: `${PARTY_TEXT[operatorType]}申请改约：${from} → ${to}${reason ? `（${reason}）` : ''}，等待对方确认`,
+      transaction: t
+    });
+
+    const counterpartId = operatorType === 'user' ? locked.electrician_id : locked.user_id;
+    await notify(counterpartId, locked, '改约申请',
+      `工单 ${locked.order_no} ${PARTY_TEXT[operatorType]}申请将预约时间改为 ${to}，请及时确认。`, t);
+
+    return { applied: false, reschedule };
+  });
+};
+
+/**
+ * 同意或拒绝对方的改约申请
+ * @param {Object} order - 工单
+ * @param {Object} data
+ * @param {string} data.operatorType - 处理方 user/electrician
+ * @param {number} data.operatorId - 处理人ID
+ * @param {boolean} data.accepted - 是否同意
+ * @param {number} [data.rescheduleId] - 改约ID，传入时校验是否为当前待处理申请
+ * @param {string} [data.reason] - 拒绝原因
+ * @returns {Promise<Object>} 改约申请
+ */
+const respond = async (order, { operatorType, operatorId, accepted, rescheduleId, reason }) => {
+  return sequelize.transaction(async (t) => {
+    const locked = await lockOrder(order.id, operatorType, operatorId, t);
+
+    const reschedule = await OrderReschedule.findOne({
+      where: { order_id: locked.id, status: 'pending' },
+      transaction: t
+    });
+    // 锁定后复核状态，工单已完成或取消时不能再同意改约
+    if (accepted && !BUSY_STATUSES.includes(locked.status)) {
+      throw new AppError(`工单当前状态为 ${locked.status}，无法改约`, 400);
+    }
+    if (!reschedule) {
+      throw new AppError('当前工单没有待处理的改约申请', 400);
+    }
+    if (rescheduleId && Number(rescheduleId) !== reschedule.id) {
+      throw new AppError('改约申请已更新，请刷新后重试', 409);
+    }
+    if (reschedule.proposer_type === operatorType) {
+      throw new AppError('不能处理自己发起的改约申请', 400);
+    }
+
+    const to = formatWindow(reschedule.proposed_start, reschedule.proposed_end);
+
+    if (accepted) {
+      if (new Date(reschedule.proposed_start) <= new Date()) {
+        throw new AppError('改约时间已过，请重新发起改约', 400);
+      }
+      await ElectricianCalendarService.lockElectrician(locked.electrician_id, t);
+      await ElectricianCalendarService.assertAvailable(locked.electrician_id, reschedule.proposed_start, reschedule.proposed_end, {
+        excludeOrderId: locked.id,
+        transaction: t
+      });
+
+      await locked.update({
+        appointment_start: reschedule.proposed_start,
+        appointment_end: reschedule.proposed_end
+      }, { transaction: t });
+      await reschedule.update({ status: 'accepted', responded_at: new Date() }, { transaction: t });
+
+      await OrderStateMachine.logEvent(locked, {
+        operatorType,
+        operatorId,
+        remark: `${PARTY_TEXT[operatorType]}同意改约，预约时间变更为 ${to}`,
+        transaction: t
+      });
+      await notify(reschedule.proposer_id, locked, '改约已同意',
+        `工单 ${locked.order_no} 对方已同意改约，新的预约时间为 ${to}。`, t);
+    } else {
+      await reschedule.update({
+        status: 'rejected',
+        reject_reason: reason || null,
+        responded_at: new Date()
+      }, { transaction: t });
+
+      await OrderStateMachine.logEvent(locked, {
+        operatorType,
+        operatorId,
+        remark: `${PARTY_TEXT[operatorType]}拒绝改约至 ${to}${reason ? `：${reason}` : ''}`,
+        transaction: t
+      });
+      await notify(reschedule.proposer_id, locked, '改约被拒绝',
+        `工单 ${locked.order_no} 对方拒绝了改约至 ${to} 的申请${reason ? `，原因：${reason}` : ''}。`, t);
+    }
+
+    order.set(locked.get());
+    return reschedule;
+  });
+};
+
+/**
+ * 获取工单改约记录，按时间倒序
+ * @param {number} orderId - 工单ID
+ * @returns {Promise<Array>}
+ */
+const list = (orderId) => OrderReschedule.findAll({
+  where: { order_id: orderId },
+  order: [['created_at', 'DESC']]
+});
+
+module.exports = {
+  propose,
+  respond,
+  list
+};
@@ -0,0 +1,179 @@
+/**
+ * 电工认证身份核验服务
+ * - 身份证号：校验码、出生日期、地区码（regions 表，区县 -> 城市 -> 省份逐级匹配，至少省份存在）
+ * - 按身份证号计算年龄，须在 system_configs 配置的从业年龄范围内
+ * - 同一身份证号或电工证编号不能被两个账号使用：与其他账号未驳回的认证重复时拒绝提交；
+ *   管理员审核时展示所有重复记录（含已驳回）
+ */
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize, ElectricianCertification, User, SystemConfig } = require('../models');
+const IdCard = require('../utils/idCard');
+const { getRegionCodeChain } = require('../utils/geo');
+const AppError = require('../utils/AppError');
+
+const DEFAULT_MIN_AGE = 18;
+const DEFAULT_MAX_AGE = 60;
+
+const DUPLICATE_ID_CARD_MESSAGE = '该身份证号已被其他账号用于电工认证，如有疑问请联系客服';
+const DUPLICATE_CERT_NO_MESSAGE = '该电工证编号已被其他账号用于电工认证，如有疑问请联系客服';
+
+/**
+ * 规范化电工证编号：去空格，字母转大写
+ * @param {string} certNo - 电工证编号
+ * @returns {string}
+ */
+const normalizeCertNo = (certNo) => String(certNo || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * 按身份证地区码查找地区，返回匹配到的最细一级（区县 -> 城市 -> 省份）
+ * @param {string} regionCode - 6 位地区码
+ * @param {Object} [transaction] - 事务
+ * @returns {Promise<{code: string, name: string, level: number}|null>}
+ */
+const findRegion = async (regionCode, transaction) => {
+  const codes = getRegionCodeChain(regionCode);
+  if (codes.length === 0) {
+    return null;
+  }
+  const rows = await sequelize.query(
+    'SELECT code, name, level FROM regions WHERE code IN (:codes) ORDER BY level DESC LIMIT 1',
+    { replacements: { codes }, type: QueryTypes.SELECT, transaction }
+  );
+  return rows[0] || null;
+};
+
+/**
+ * 查找其他账号使用相同身份证号或电工证编号的认证
+ * @param {Object} params
+ * @param {string} params.idCard - 身份证号
+ * @param {string} params.certNo - 电工证编号
+ * @param {number} params.excludeUserId - 排除的用户（本人）
+ * @param {Object} [params.transaction] - 事务
+ * @returns {Promise<Array>} 重复记录，matched_fields 为重复的字段
+ */
+const findDuplicates = async ({ idCard, certNo, excludeUserId, transaction }) => {
+  const normalizedIdCard = IdCard.normalize(idCard);
+  const normalizedCertNo = normalizeCertNo(certNo);
+
+  const rows = await ElectricianCertification.findAll({
+    where: {
+      user_id: { [Op.ne]: excludeUserId },
+      [Op.or]: [
+        { id_card: normalizedIdCard },
+        { electrician_cert_no: normalizedCertNo }
+      ]
+    },
+    attributes: ['id', 'user_id', 'real_name', 'id_card', 'electrician_cert_no', 'status', 'created_at'],
+    include: [{ model: User, as: 'user', attributes: ['id', 'phone', 'nickname', 'status'] }],
+    order: [['id', 'ASC']],
+    transaction
+  });
+
+  return rows.map((row) => {
+    const plain = row.get({ plain: true });
+    const matchedFields = [];
+    if (IdCard.normalize(plain.id_card) === normalizedIdCard) {
+      matchedFields.push('id_card');
+    }
+    if (normalizeCertNo(plain.electrician_cert_no) === normalizedCertNo) {
+      matchedFields.push('electrician_cert_no');
+    }
+    return { ...plain, id_card: IdCard.mask(plain.id_card), matched_fields: matchedFields };
+  });
+};
+
+/**
+ * 提交认证前核验身份证号与电工证编号，不通过时抛出异常
+ * @param {Object} params
+ * @param {number} params.userId - 提交用户ID
+ * @param {string} params.idCard - 身份证号
+ * @param {string} params.certNo - 电工证编号
+ * @param {Object} [params.transaction] - 事务
+ * @returns {Promise<{idCard: string, certNo: string}>} 规范化后的身份证号与电工证编号
+ */
+const verifyForSubmission = async ({ userId, idCard, certNo, transaction }) => {
+  const info = IdCard.parse(idCard);
+  if (!info.valid) {
+    throw new AppError(info.message, 400);
+  }
+
+  const region = await findRegion(info.regionCode, transaction);
+  if (!region) {
+    throw new AppError('身份证号地区码无效，请核对后重新输入', 400);
+  }
+
+  const minAge = await SystemConfig.getNumber('cert_min_age', DEFAULT_MIN_AGE);
+  const maxAge = await SystemConfig.getNumber('cert_max_age', DEFAULT_MAX_AGE);
+  if (info.age < minAge || info.age > maxAge) {
+    throw new AppError(`申请人年龄须在${minAge}至${maxAge}周岁之间`, 400);
+  }
+
+  const normalizedCertNo = normalizeCertNo(certNo);
+  const duplicates = await findDuplicates({ idCard: info.idCard, certNo: normalizedCertNo, excludeUserId: userId, transaction });
+  const active = duplicates.filter(item => item.status !== 'rejected');
+  if (active.some(item => item.matched_fields.includes('id_card'))) {
+    throw new AppError(DUPLICATE_ID_CARD_MESSAGE, 409);
+  }
+  if (active.some(item => item.matched_fields.includes('electrician_cert_no'))) {
+    throw new AppError(DUPLICATE_CERT_NO_MESSAGE, 409);
+  }
+
+  return { idCard: info.idCard, certNo: normalizedCertNo };
+};
+
+/**
+ * 保存认证记录，数据库唯一索引（uk_active_id_card / uk_active_cert_no）冲突时转为业务错误。
+ * 并发提交时两边都可能通过 verifyForSubmission 的查询，由唯一索引兜底
+ * @param {Function} save - 写入认证记录的函数
+ * @returns {Promise<*>} save 的返回值
+ */
+const saveWithUniqueCheck = async (save) => {
+  try {
+    return await save();
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      const message = (error.parent && error.parent.message) || '';
+      if (message.includes('uk_active_id_card')) {
+        throw new AppError(DUPLICATE_ID_CARD_MESSAGE, 409);
+      }
+      if (message.includes('uk_active_cert_no')) {
+        throw new AppError(DUPLICATE_CERT_NO_MESSAGE, 409);
+      }
+    }
+    throw error;
+  }
+};
+
+/**
+ * 管理员审核页的核验信息：身份证解析结果、所属地区、年龄及重复记录
+ * @param {Object} certification - 认证记录
+ * @returns {Promise<Object>}
+ */
+const getVerificationReport = async (certification) => {
+  const info = IdCard.parse(certification.id_card);
+  const region = info.valid ? await findRegion(info.regionCode) : null;
+  const duplicates = await findDuplicates({
+    idCard: certification.id_card,
+    certNo: certification.electrician_cert_no,
+    excludeUserId: certification.user_id
+  });
+
+  return {
+    id_card_valid: info.valid,
+    id_card_message: info.valid ? null : info.message,
+    birth_date: info.birthDate || null,
+    age: info.valid ? info.age : null,
+    gender: info.gender || null,
+    region,
+    duplicates
+  };
+};
+
+module.exports = {
+  normalizeCertNo,
+  findRegion,
+  findDuplicates,
+  verifyForSubmission,
+  saveWithUniqueCheck,
+  getVerificationReport
+};
@@ -0,0 +1,213 @@
+/**
+ * 电工认证审核留痕服务
+ * - 每次提交/重新提交认证都保存一个版本（资料快照），历史版本不被覆盖
+ * - 每一步审核都记录审核管理员、环节、结论、原因与时间
+ * - 开启复审（system_configs.cert_second_review_enabled = 1）后，初审通过还需另一位管理员复审通过，电工才能接单；
+ *   任一环节驳回即结束本次提交
+ */
+const { sequelize, ElectricianCertification, CertificationSubmission, CertificationReview, Admin, User, Message, SystemConfig } = require('../models');
+const AppError = require('../utils/AppError');
+
+// 快照保存的认证资料字段
+const SNAPSHOT_FIELDS = [
+  'work_types',
+  'real_name',
+  'id_card',
+  'id_card_front',
+  'id_card_back',
+  'certificate_img',
+  'electrician_cert_no',
+  'cert_start_date',
+  'cert_end_date'
+];
+
+const DECISIONS = ['approved', 'rejected'];
+
+/**
+ * 是否开启复审
+ * @returns {Promise<boolean>}
+ */
+const isSecondReviewEnabled = async () => {
+  const value = await SystemConfig.getValue('cert_second_review_enabled', '0');
+  return value === '1' || value === 'true';
+};
+
+/**
+ * 为认证当前资料新增一个提交版本
+ * @param {Object} certification - 认证记录（已更新为本次提交的资料）
+ * @param {Object} transaction - 事务
+ * @returns {Promise<Object>} 提交记录
+ */
+const recordSubmission = async (certification, transaction) => {
+  const lastVersion = await CertificationSubmission.max('version', {
+    where: { certification_id: certification.id },
+    transaction
+  });
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach((field) => {
+    snapshot[field] = certification.get(field) === undefined ? null : certification.get(field);
+  });
+
+  return CertificationSubmission.create({
+    certification_id: certification.id,
+    user_id: certification.user_id,
+    version: (lastVersion || 0) + 1,
+    snapshot,
+    status: 'pending'
+  }, { transaction });
+};
+
+/**
+ * 获取认证当前待审核的提交版本；历史数据没有版本记录时按当前资料补建
+ */
+const findPendingSubmission = async (certification, transaction) => {
+  const submission = await CertificationSubmission.findOne({
+    where: { certification_id: certification.id },
+    order: [['version', 'DESC']],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (submission && ['pending', 'first_approved'].includes(submission.status)) {
+    return submission;
+  }
+  return recordSubmission(certification, transaction);
+};
+
+/**
+ * 审核电工认证（初审或复审）
+ * @param {number} certificationId - 认证ID
+ * @param {number} adminId - 审核管理员ID
+ * @param {Object} data
+ * @param {string} data.decision - approved 通过 / rejected 驳回
+ * @param {string} [data.reason] - 审核意见，驳回时必填
+ * @returns {Promise<{certification: Object, submission: Object, step: string, finished: boolean}>}
+ *   finished 为 false 表示初审通过、等待复审
+ */
+const review = async (certificationId, adminId, { decision, reason }) => {
+  if (!DECISIONS.includes(decision)) {
+    throw new AppError('审核结论无效', 400);
+  }
+  if (decision === 'rejected' && !reason) {
+    throw new AppError('请填写驳回原因', 400);
+  }
+  const secondReviewEnabled = await isSecondReviewEnabled();
+
+  return sequelize.transaction(async (t) => {
+    const certification = await ElectricianCertification.findByPk(certificationId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!certification) {
+      throw new AppError('认证申请不存在', 404);
+    }
+    if (certification.status !== 'pending') {
+      throw new AppError('该认证申请已审核', 400);
+    }
+
+    const submission = await findPendingSubmission(certification, t);
+    const step = submission.status === 'first_approved' ? 'second' : 'first';
+
+    if (step === 'second') {
+      const firstReview = await CertificationReview.findOne({
+        where: { submission_id: submission.id, step: 'first' },
+        transaction: t
+      });
+      if (firstReview && firstReview.admin_id === adminId) {
+        throw new AppError('复审需由初审以外的管理员进行', 403);
+      }
+    }
+
+    await CertificationReview.create({
+      submission_id: submission.id,
+      certification_id: certification.id,
+      admin_id: adminId,
+      step,
+      decision,
+      reason: reason || null
+    }, { transaction: t });
+
+    // 初审通过且开启复审：认证保持待审核，等待复审
+    if (decision === 'approved' && step === 'first' && secondReviewEnabled) {
+      await submission.update({ status: 'first_approved' }, { transaction: t });
+      return { certification, submission, step, finished: false };
+    }
+
+    await submission.update({ status: decision, decided_at: new Date() }, { transaction: t });
+
+    if (decision === 'rejected') {
+      await certification.update({ status: 'rejected', reject_reason: reason }, { transaction: t });
+      await Message.create({
+        user_id: certification.user_id,
+        type: 'system',
+        title: '电工认证未通过',
+        content: `您的电工认证申请未通过审核，原因：${reason}。请修改资料后重新提交。`,
+        is_read: false
+      }, { transaction: t });
+    } else {
+      await certification.update({ status: 'approved', reject_reason: null }, { transaction: t });
+      // 同步更新用户表角色
+      await User.update({
+        can_be_electrician: true,
+        current_role: 'electrician'
+      }, { where: { id: certification.user_id }, transaction: t });
+      await Message.create({
+        user_id: certification.user_id,
+        type: 'system',
+        title: '电工认证已通过',
+        content: '恭喜，您的电工认证已审核通过，现在可以接单了。',
+        is_read: false
+      }, { transaction: t });
+    }
+
+    return { certification, submission, step, finished: true };
+  });
+};
+
+/**
+ * 获取认证最新的提交版本（含审核记录），用于展示当前审核环节
+ * @param {number} certificationId - 认证ID
+ * @returns {Promise<Object|null>}
+ */
+const getLatestSubmission = (certificationId) => CertificationSubmission.findOne({
+  where: { certification_id: certificationId },
+  attributes: ['id', 'version', 'status', 'decided_at', 'created_at'],
+  include: [{
+    model: CertificationReview,
+    as: 'reviews',
+    attributes: ['id', 'admin_id', 'step', 'decision', 'reason', 'created_at']
+  }],
+  order: [
+    ['version', 'DESC'],
+    [{ model: CertificationReview, as: 'reviews' }, 'id', 'ASC']
+  ]
+});
+
+/**
+ * 获取认证的全部提交版本及审核记录（版本倒序）
+ * @param {number} certificationId - 认证ID
+ * @returns {Promise<Array>}
+ */
+const getHistory = async (certificationId) => {
+  const certification = await ElectricianCertification.findByPk(certificationId, { attributes: ['id'] });
+  if (!certification) {
+    throw new AppError('认证申请不存在', 404);
+  }
+  return CertificationSubmission.findAll({
+    where: { certification_id: certification.id },
+    include: [{
+      model: CertificationReview,
+      as: 'reviews',
+      include: [{ model: Admin, as: 'admin', attributes: ['id', 'username', 'real_name'] }]
+    }],
+    order: [
+      ['version', 'DESC'],
+      [{ model: CertificationReview, as: 'reviews' }, 'id', 'ASC']
+    ]
+  });
+};
+
+module.exports = {
+  SNAPSHOT_FIELDS,
+  isSecondReviewEnabled,
+  recordSubmission,
+  review,
+  getLatestSubmission,
+  getHistory
+};
@@ -0,0 +1,166 @@
+/**
+ * 电工证有效期服务
+ * - 证书有效期至 cert_end_date 当天（北京时间），过期后不能抢单、接受派单或进入接单大厅，也不会被派单
+ * - 每日任务在到期前 30、7、1 天发送提醒，过期后记录暂停时间并通知电工
+ * - 电工重新提交认证（更新证书日期）审核通过后恢复接单资格
+ */
+const { Op } = require('sequelize');
+const { ElectricianCertification, User, Message } = require('../models');
+const AppError = require('../utils/AppError');
+
+// 到期提醒节点（距到期天数），从大到小
+const REMINDER_DAYS = [30, 7, 1];
+
+// 北京时间偏移（毫秒）
+const TZ_OFFSET = 8 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * 北京时间日期 'YYYY-MM-DD'
+ * @param {number} [offsetDays=0] - 相对今天的天数
+ * @returns {string}
+ */
+const dateString = (offsetDays = 0) => new Date(Date.now() + TZ_OFFSET + offsetDays * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * 距证书到期的天数（到期当天为 0，已过期为负数）
+ * @param {string} certEndDate - 证书结束日期 'YYYY-MM-DD'
+ * @returns {number}
+ */
+const daysUntilExpiry = (certEndDate) => Math.round((Date.parse(certEndDate) - Date.parse(dateString())) / DAY_MS);
+
+/**
+ * 证书是否已过期
+ * @param {Object} certification - 认证记录
+ * @returns {boolean}
+ */
+const isExpired = (certification) => certification.cert_end_date < dateString();
+
+/**
+ * 校验电工具备接单资格（认证通过且证书未过期），不满足时抛出 403
+ * @param {number} electricianId - 电工ID
+ * @param {Object} [transaction] - 事务
+ * @returns {Promise<Object>} 认证记录
+ */
+const assertCanTakeOrders = async (electricianId, transaction) => {
+  const certification = await ElectricianCertification.findOne({
+    where: { user_id: electricianId },
+    transaction
+  });
+  if (!certification || certification.status !== 'approved') {
+    throw new AppError('请先通过电工认证后再接单', 403);
+  }
+  if (isExpired(certification)) {
+    throw new AppError(`您的电工证已于 ${certification.cert_end_date} 到期，已暂停接单，请更新证书后重新认证`, 403);
+  }
+  return certification;
+};
+
+/**
+ * 发送证书相关消息
+ */
+const notify = (userId, title, content) => Message.create({
+  user_id: userId,
+  type: 'system',
+  title,
+  content,
+  is_read: false
+});
+
+/**
+ * 每日检查证书有效期：到期前 30、7、1 天提醒，过期后暂停接单
+ * 任务漏跑时按当前所处的提醒节点补发一次，不重复提醒
+ * @returns {Promise<{reminded: number, suspended: number}>} 提醒数、暂停数
+ */
+async function checkCertificationExpiry() {
+  const today = dateString();
+  const result = { reminded: 0, suspended: 0 };
+
+  const expiring = await ElectricianCertification.findAll({
+    where: {
+      status: 'approved',
+      cert_end_date: { [Op.between]: [today, dateString(REMINDER_DAYS[0])] }
+    }
+  });
+  for (const certification of expiring) {
+    const daysLeft = daysUntilExpiry(certification.cert_end_date);
+    // 当前所处的提醒节点：距到期天数不超过该节点的最小节点
+    const stage = REMINDER_DAYS.filter(days => daysLeft <= days).pop();
+    if (certification.expiry_reminded_days !== null && certification.expiry_reminded_days <= stage) {
+      continue;
+    }
+    await certification.update({ expiry_reminded_days: stage });
+    await notify(certification.user_id, '电工证即将到期',
+      `您的电工证将于 ${certification.cert_end_date} 到期（剩余${daysLeft}天），到期后将暂停接单，请及时更新证书并重新提交认证。`);
+    result.reminded++;
+  }
+
+  const expired = await ElectricianCertification.findAll({
+    where: {
+      status: 'approved',
+      cert_end_date: { [Op.lt]: today },
+      suspended_at: null
+    }
+  });
+  for (const certification of expired) {
+    await certification.update({ suspended_at: new Date() });
+    await notify(certification.user_id, '电工证已到期，暂停接单',
+      `您的电工证已于 ${certification.cert_end_date} 到期，平台已暂停您的接单资格。请更新证书后重新提交认证，审核通过后即可恢复接单。`);
+    result.suspended++;
+  }
+
+  return result;
+}
+
+/**
+ * 管理员查询即将到期或已过期的认证（按到期日期升序）
+ * @param {Object} [options]
+ * @param {string} [options.status] - expiring 即将到期 / expired 已过期，不传返回两者
+ * @param {number} [options.days=30] - 即将到期的天数范围
+ * @param {number} [options.page=1] - 页码
+ * @param {number} [options.limit=20] - 每页数量
+ * @returns {Promise<{count: number, rows: Array}>}
+ */
+const listExpiring = async ({ status, days = REMINDER_DAYS[0], page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const today = dateString();
+  let endDateWhere;
+  if (status === 'expired') {
+    endDateWhere = { [Op.lt]: today };
+  } else if (status === 'expiring') {
+    endDateWhere = { [Op.between]: [today, dateString(days)] };
+  } else {
+    endDateWhere = { [Op.lte]: dateString(days) };
+  }
+
+  const { count, rows } = await ElectricianCertification.findAndCountAll({
+    where: { status: 'approved', cert_end_date: endDateWhere },
+    attributes: ['id', 'user_id', 'real_name', 'electrician_cert_no', 'work_types', 'cert_start_date', 'cert_end_date', 'expiry_reminded_days', 'suspended_at'],
+    include: [{ model: User, as: 'user', attributes: ['id', 'phone', 'nickname', 'status'] }],
+    order: [['cert_end_date', 'ASC'], ['id', 'ASC']],
+    offset: (page - 1) * limit,
+    limit
+  });
+
+  return {
+    count,
+    rows: rows.map((certification) => {
+      const daysLeft = daysUntilExpiry(certification.cert_end_date);
+      return {
+        ...certification.get({ plain: true }),
+        days_until_expiry: daysLeft,
+        expired: daysLeft < 0
+      };
+    })
+  };
+};
+
+module.exports = {
+  REMINDER_DAYS,
+  isExpired,
+  daysUntilExpiry,
+  assertCanTakeOrders,
+  checkCertificationExpiry,
+  listExpiring
+};
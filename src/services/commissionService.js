@@ -0,0 +1,83 @@
+/**
+ * 平台佣金服务
+ * 佣金规则优先级：电工+服务类型特殊费率 > 电工通用特殊费率 > 服务类型默认费率
+ */
+const { Op } = require('sequelize');
+const { ServiceType, ElectricianCommission } = require('../models');
+
+const toAmount = (value) => Number(Number(value || 0).toFixed(2));
+
+/**
+ * 获取工单适用的佣金规则
+ * @param {number} electricianId - 电工ID
+ * @param {number} serviceTypeId - 服务类型ID
+ * @param {Object} [transaction] - 事务
+ * @returns {Promise<{commission_type: string, commission_value: number, source: string}>}
+ *   source：electrician_service_type / electrician / service_type / none
+ */
+const resolveRule = async (electricianId, serviceTypeId, transaction) => {
+  const overrides = await ElectricianCommission.findAll({
+    where: {
+      electrician_id: electricianId,
+      [Op.or]: [{ service_type_id: serviceTypeId }, { service_type_id: null }]
+    },
+    transaction
+  });
+
+  const override = overrides.find(o => o.service_type_id === serviceTypeId)
+    || overrides.find(o => o.service_type_id === null);
+  if (override) {
+    return {
+      commission_type: override.commission_type,
+      commission_value: Number(override.commission_value),
+      source: override.service_type_id === null ? 'electrician' : 'electrician_service_type'
+    };
+  }
+
+  const serviceType = await ServiceType.findByPk(serviceTypeId, {
+    attributes: ['commission_type', 'commission_value'],
+    transaction
+  });
+  if (serviceType) {
+    return {
+      commission_type: serviceType.commission_type,
+      commission_value: Number(serviceType.commission_value),
+      source: 'service_type'
+    };
+  }
+
+  return { commission_type: 'percent', commission_value: 0, source: 'none' };
+};
+
+/**
+ * 按规则计算佣金，佣金不超过结算总额
+ * @param {number} gross - 结算总额
+ * @param {Object} rule - 佣金规则
+ * @returns {{gross: number, commission: number, net: number}}
+ */
+const calculate = (gross, rule) => {
+  const total = toAmount(gross);
+  const raw = rule.commission_type === 'fixed'
+    ? rule.commission_value
+    : total * rule.commission_value / 100;
+  const commission = Math.min(toAmount(Math.max(raw, 0)), total);
+  return { gross: total, commission, net: toAmount(total - commission) };
+};
+
+/**
+ * 计算工单佣金
+ * @param {Object} order - 工单实例
+ * @param {number} gross - 结算总额
+ * @param {Object} [transaction] - 事务
+ * @returns {Promise<{gross: number, commission: number, net: number, rule: Object}>}
+ */
+const calculateForOrder = async (order, gross, transaction) => {
+  const rule = await resolveRule(order.electrician_id, order.service_type_id, transaction);
+  return { ...calculate(gross, rule), rule };
+};
+
+module.exports = {
+  resolveRule,
+  calculate,
+  calculateForOrder
+};
@@ -0,0 +1,283 @@
+/**
+ * 系统派单服务
+ * 服务类型为派单模式时，预付款支付成功后由系统按匹配度依次向电工派单：
+ * 电工在限定时间内接受或拒绝，拒绝/超时后派给下一位候选人，全部失败则转入抢单池
+ * 候选电工需在工单预约时间内可预约
+ * 每次派单、拒绝、超时都会写入工单状态日志
+ */
+const { Op } = require('sequelize');
+const { sequelize, Order, OrderDispatch, ServiceType, ElectricianServiceArea, Message } = require('../models');
+const OrderStateMachine = require('./orderStateMachine');
+const ElectricianCalendarService = require('./electricianCalendarService');
+const AppError = require('../utils/AppError');
+
+// 匹配得分权重：距离越近、评分越高、手上工单越少，得分越高
+const SCORE_WEIGHTS = {
+  distance: 0.5,
+  rating: 0.3,
+  workload: 0.2
+};
+
+// 无评价电工按 4 星计算，避免新电工永远排在最后
+const DEFAULT_RATING = 4;
+
+/**
+ * 计算候选电工匹配得分（0~1）
+ * @param {Object} candidate - 候选电工（distance、service_radius、avg_rating、active_orders）
+ * @returns {number} 得分
+ */
+const scoreCandidate = (candidate) => {
+  const distanceScore = Math.max(0, 1 - Number(candidate.distance) / Number(candidate.service_radius));
+  const rating = candidate.avg_rating !== null ? Number(candidate.avg_rating) : DEFAULT_RATING;
+  const ratingScore = rating / 5;
+  const workloadScore = 1 / (1 + Number(candidate.active_orders || 0));
+  return SCORE_WEIGHTS.distance * distanceScore
+    + SCORE_WEIGHTS.rating * ratingScore
+    + SCORE_WEIGHTS.workload * workloadScore;
+};
+
+/**
+ * 转入抢单池
+ */
+const fallbackToPool = async (order, remark, transaction) => {
+  await Order.update({ dispatch_status: 'fallback' }, { where: { id: order.id }, transaction });
+  order.set('dispatch_status', 'fallback');
+  await OrderStateMachine.logEvent(order, {
+    operatorType: 'system',
+    remark,
+    transaction
+  });
+};
+
+/**
+ * 派单给下一位候选电工，没有候选人或已达最大派单次数时转入抢单池
+ * @param {Object} order - 工单实例
+ * @param {Object} [transaction] - 事务
+ * @returns {Promise<Object|null>} 新的派单记录，转入抢单池时返回 null
+ */
+const offerNext = async (order, transaction) => {
+  const serviceType = await ServiceType.findByPk(order.service_type_id, { transaction });
+
+  const previous = await OrderDispatch.findAll({
+    where: { order_id: order.id },
+    attributes: ['electrician_id'],
+    transaction
+  });
+  const attempt = previous.length + 1;
+
+  if (attempt > serviceType.dispatch_max_attempts) {
+    await fallbackToPool(order, `已派单${previous.length}位电工均未接单，转入抢单池`, transaction);
+    return null;
+  }
+
+  let candidates = [];
+  if (order.latitude !== null && order.longitude !== null) {
+    candidates = await ElectricianServiceArea.findDispatchCandidates({
+      latitude: Number(order.latitude),
+      longitude: Number(order.longitude),
+      workType: serviceType.work_type,
+      excludeIds: previous.map(d => d.electrician_id)
+    });
+  }
+
+  // 排除预约时间不可用的电工
+  if (order.appointment_start && candidates.length > 0) {
+    const available = [];
+    for (const candidate of candidates) {
+      if (await ElectricianCalendarService.isAvailable(candidate.id, order.appointment_start, order.appointment_end, { transaction })) {
+        available.push(candidate);
+      }
+    }
+    candidates = available;
+  }
+
+  if (candidates.length === 0) {
+    await fallbackToPool(order, '附近无可派单电工，转入抢单池', transaction);
+    return null;
+  }
+
+  const best = candidates
+    .map(c => ({ ...c, score: scoreCandidate(c) }))
+    .sort((a, b) => b.score - a.score)[0];
+
+  const expiresAt = new Date(Date.now() + serviceType.dispatch_timeout * 1000);
+  const dispatch = await OrderDispatch.create({
+    order_id: order.id,
+    electrician_id: best.id,
+    attempt,
+    status: 'offered',
+    score: best.score.toFixed(4),
+    distance: Math.round(best.distance),
+    expires_at: expiresAt
+  }, { transaction });
+
+  await OrderStateMachine.logEvent(order, {
+    operatorType: 'system',
+    remark: `系统第${attempt}次派单给电工(ID:${best.id})，距离${Math.round(best.distance)}米，需在${serviceType.dispatch_timeout}秒内响应`,
+    transaction
+  });
+
+  await Message.create({
+    user_id: best.id,
+    type: 'order',
+    title: '您有新的派单',
+    content: `平台向您派发了工单 ${order.order_no}，请在${serviceType.dispatch_timeout}秒内接受或拒绝。`,
+    related_id: order.id,
+    is_read: false
+  }, { transaction });
+
+  return dispatch;
+};
+
+/**
+ * 预付款支付成功后开始派单（仅派单模式的服务类型）
+ * @param {Object} order - 工单实例（状态应为 pending）
+ * @returns {Promise<boolean>} 是否进入派单流程
+ */
+const startDispatch = async (order) => {
+  const serviceType = await ServiceType.findByPk(order.service_type_id);
+  if (!serviceType || serviceType.dispatch_mode !== 'dispatch' || order.status !== 'pending') {
+    return false;
+  }
+
+  await sequelize.transaction(async (t) => {
+    await Order.update({ dispatch_status: 'dispatching' }, { where: { id: order.id }, transaction: t });
+    order.set('dispatch_status', 'dispatching');
+    await offerNext(order, t);
+  });
+  return true;
+};
+
+/**
+ * 查找电工在某工单上的待响应派单（加行锁）
+ */
+const findActiveOffer = async (orderId, electricianId, transaction) => {
+  const dispatch = await OrderDispatch.findOne({
+    where: { order_id: orderId, electrician_id: electricianId, status: 'offered' },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!dispatch) {
+    throw new AppError('没有待响应的派单', 404);
+  }
+  if (dispatch.expires_at <= new Date()) {
+    throw new AppError('派单已超时', 400);
+  }
+  return dispatch;
+};
+
+/**
+ * 电工接受派单
+ * @param {Object} order - 工单实例
+ * @param {number} electricianId - 电工ID
+ * @returns {Promise<Object>} 派单记录
+ */
+const acceptOffer = async (order, electricianId) => {
+  return sequelize.transaction(async (t) => {
+    const dispatch = await findActiveOffer(order.id, electricianId, t);
+
+    await dispatch.update({ status: 'accepted', responded_at: new Date() }, { transaction: t });
+    await OrderStateMachine.transition(order, 'accept_dispatch', {
+      operatorType: 'electrician',
+      operatorId: electricianId,
+      transaction: t
+    });
+    return dispatch;
+  });
+};
+
+/**
+ * 电工拒绝派单，随后派给下一位候选人
+ * @param {Object} order - 工单实例
+ * @param {number} electricianId - 电工ID
+ * @param {string} [reason] - 拒绝原因
+ * @returns {Promise<Object>} 派单记录
+ */
+const declineOffer = async (order, electricianId, reason) => {
+  return sequelize.transaction(async (t) => {
+    const dispatch = await findActiveOffer(order.id, electricianId, t);
+
+    await dispatch.update({
+      status: 'declined',
+      responded_at: new Date(),
+      decline_reason: reason || null
+    }, { transaction: t });
+    await OrderStateMachine.logEvent(order, {
+      operatorType: 'electrician',
+      operatorId: electricianId,
+      remark: `电工拒绝派单${reason ? `：${reason}` : ''}`,
+      transaction: t
+    });
+
+    if (order.status === 'pending' && order.dispatch_status === 'dispatching') {
+      await offerNext(order, t);
+    }
+    return dispatch;
+  });
+};
+
+/**
+ * 处理超时未响应的派单：标记超时并派给下一位候选人
+ * 工单已不处于派单中（如用户已取消）时仅撤销派单
+ * @returns {Promise<number>} 处理的派单数
+ */
+const expireOffers = async () => {
+  const expired = await OrderDispatch.findAll({
+    where: { status: 'offered', expires_at: { [Op.lte]: new Date() } },
+    limit: 100
+  });
+
+  for (const item of expired) {
+    await sequelize.transaction(async (t) => {
+      const dispatch = await OrderDispatch.findByPk(item.id, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!dispatch || dispatch.status !== 'offered') return;
+
+      const order = await Order.findByPk(dispatch.order_id, { transaction: t });
+      if (!order || order.status !== 'pending' || order.dispatch_status !== 'dispatching') {
+        await dispatch.update({ status: 'cancelled' }, { transaction: t });
+        return;
+      }
+
+      await dispatch.update({ status: 'timeout' }, { transaction: t });
+      await OrderStateMachine.logEvent(order, {
+        operatorType: 'system',
+        remark: `电工(ID:${dispatch.electrician_id})超时未响应派单`,
+        transaction: t
+      });
+      await offerNext(order, t);
+    });
+  }
+
+  return expired.length;
+};
+
+/**
+ * 获取电工待响应的派单列表
+ * @param {number} electricianId - 电工ID
+ * @returns {Promise<Array>} 派单列表
+ */
+const getActiveOffers = async (electricianId) => {
+  return OrderDispatch.findAll({
+    where: {
+      electrician_id: electricianId,
+      status: 'offered',
+      expires_at: { [Op.gt]: new Date() }
+    },
+    include: [{
+      model: Order,
+      as: 'order',
+      attributes: ['id', 'order_no', 'title', 'description', 'service_address', 'latitude', 'longitude', 'estimated_amount', 'service_type_id', 'created_at']
+    }],
+    order: [['expires_at', 'ASC']]
+  });
+};
+
+module.exports = {
+  startDispatch,
+  offerNext,
+  acceptOffer,
+  declineOffer,
+  expireOffers,
+  getActiveOffers,
+  scoreCandidate
+};
@@ -0,0 +1,502 @@
+/**
+ * 工单纠纷服务
+ * - 用户或电工对服务中、待取消确认、待评价或完成未结算的工单有异议时可发起纠纷，附证据图片
+ * - 纠纷处理期间工单暂停其他状态流转（含评价超时自动确认），等待管理员裁决
+ * - 管理员可添加内部备注，裁决全额结算、部分结算（其余退款）或全额退款
+ * - 裁决按指定金额结算电工收入，退款部分对各笔支付发起退款；每一步都写入纠纷处理记录与工单状态日志
+ */
+const { Op } = require('sequelize');
+const { sequelize, Order, OrderDispute, OrderDisputeEvent, Payment, Refund, User, Message } = require('../models');
+const OrderStateMachine = require('./orderStateMachine');
+const RefundService = require('./refundService');
+const AppError = require('../utils/AppError');
+
+// 可发起纠纷的工单状态，与裁决流转的起始状态一致
+const DISPUTABLE_STATUSES = OrderStateMachine.TRANSITIONS.dispute_settle.from;
+
+const RULINGS = ['full_settle', 'partial_settle', 'refund'];
+
+const PARTY_TEXT = {
+  user: '用户',
+  electrician: '电工'
+};
+
+const RULING_TEXT = {
+  full_settle: '全额结算',
+  partial_settle: '部分结算',
+  refund: '全额退款'
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+
+const toAmount = (value) => Number(Number(value || 0).toFixed(2));
+
+/**
+ * 锁定工单行并校验操作人为工单当事人
+ */
+const lockOrder = async (orderId, operatorType, operatorId, transaction) => {
+  const order = await Order.findByPk(orderId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!order) {
+    throw new AppError('工单不存在', 404);
+  }
+  const ownerId = operatorType === 'user' ? order.user_id : order.electrician_id;
+  if (!PARTY_TEXT[operatorType] || ownerId !== operatorId) {
+    throw new AppError('无权操作此工单', 403);
+  }
+  return order;
+};
+
+/**
+ * 锁定处理中的纠纷
+ */
+const lockOpenDispute = async (disputeId, transaction, orderId) => {
+  const dispute = await OrderDispute.findByPk(disputeId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!dispute || (orderId && dispute.order_id !== orderId)) {
+    throw new AppError('纠纷不存在', 404);
+  }
+  if (dispute.status !== 'open') {
+    throw new AppError('纠纷已处理完毕', 400);
+  }
+  return dispute;
+};
+
+/**
+ * 发送订单消息
+ */
+const notify = (userId, order, title, content, transaction) => Message.create({
+  user_id: userId,
+  type: 'order',
+  title,
+  content,
+  related_id: order.id,
+  is_read: false
+}, { transaction });
+
+/**
+ * 获取工单可裁决分配的金额：各笔成功支付的剩余可退金额
+ * @param {number} orderId - 工单ID
+ * @param {Object} [transaction] - 事务
+ * @returns {Promise<{total: number, payments: Array<{payment: Object, refundable: number}>}>}
+ */
+const getDistributableAmount = async (orderId, transaction) => {
+  const payments = await Payment.findAll({
+    where: {
+      order_id: orderId,
+      status: 'success',
+      type: { [Op.in]: ['prepay', 'repair'] }
+    },
+    // 优先从维修费退款
+    order: [['type', 'DESC'], ['id', 'ASC']],
+    transaction,
+    // 事务内锁定支付记录，避免计算期间有新的退款申请
+    ...(transaction && { lock: transaction.LOCK.UPDATE })
+  });
+  const rows = [];
+  for (const payment of payments) {
+    const refundable = await RefundService.getRefundableAmount(payment, transaction);
+    if (refundable > 0) {
+      rows.push({ payment, refundable });
+    }
+  }
+  return {
+    total: toAmount(rows.reduce((sum, row) => sum + row.refundable, 0)),
+    payments: rows
+  };
+};
+
+/**
+ * 发起纠纷
+ * @param {Object} order - 工单
+ * @param {Object} data
+ * @param {string} data.operatorType - 发起方 user/electrician
+ * @param {number} data.operatorId - 发起人ID
+ * @param {string} data.reason - 纠纷原因
+ * @param {Array<string>} [data.evidenceImages] - 证据图片
+ * @returns {Promise<Object>} 纠纷
+ */
+const open = async (order, { operatorType, operatorId, reason, evidenceImages = [] }) => {
+  return sequelize.transaction(async (t) => {
+    const locked = await lockOrder(order.id, operatorType, operatorId, t);
+    if (!DISPUTABLE_STATUSES.includes(locked.status)) {
+      throw new AppError(`工单当前状态为 ${locked.status}，无法发起纠纷`, 400);
+    }
+    if (locked.in_dispute) {
+      throw new AppError('该工单已有处理中的纠纷', 409);
+    }
+
+    const dispute = await OrderDispute.create({
+      order_id: locked.id,
+      initiator_type: operatorType,
+      initiator_id: operatorId,
+      order_status: locked.status,
+      reason,
+      evidence_images: evidenceImages,
+      status: 'open'
+    }, { transaction: t });
+
+    await OrderDisputeEvent.create({
+      dispute_id: dispute.id,
+      actor_type: operatorType,
+      actor_id: operatorId,
+      action: 'open',
+      content: reason,
+      images: evidenceImages
+    }, { transaction: t });
+
+    // 待取消确认的工单由非发起方申诉，视为拒绝取消
+    const rejectCancel = locked.status === 'cancel_pending' && locked.cancel_initiator_id !== operatorId;
+    await locked.update({
+      in_dispute: true,
+      ...(rejectCancel && { cancel_confirm_status: 'rejected' })
+    }, { transaction: t });
+
+    await OrderStateMachine.logEvent(locked, {
+      operatorType,
+      operatorId,
+      remark: `${PARTY_TEXT[operatorType]}${rejectCancel ? '拒绝取消并' : ''}发起纠纷：${reason}`,
+      transaction: t
+    });
+
+    const counterpartId = operatorType === 'user' ? locked.electrician_id : locked.user_id;
+    await notify(counterpartId, locked, '工单纠纷',
+      `工单 ${locked.order_no} ${PARTY_TEXT[operatorType]}发起了纠纷申诉，平台将介入处理，您可在工单中补充说明与证据。`, t);
+    await notify(operatorId, locked, '纠纷已提交',
+      `您对工单 ${locked.order_no} 的纠纷申诉已提交，平台将尽快处理。`, t);
+
+    order.set(locked.get());
+    return dispute;
+  });
+};
+
+/**
+ * 当事人补充说明与证据
+ * @param {Object} order - 工单
+ * @param {number} disputeId - 纠纷ID
+ * @param {Object} data
+ * @param {string} data.operatorType - 操作方 user/electrician
+ * @param {number} data.operatorId - 操作人ID
+ * @param {string} [data.content] - 补充说明
+ * @param {Array<string>} [data.images] - 证据图片
+ * @returns {Promise<Object>} 处理记录
+ */
+const addEvidence = async (order, disputeId, { operatorType, operatorId, content, images = [] }) => {
+  return sequelize.transaction(async (t) => {
+    const locked = await lockOrder(order.id, operatorType, operatorId, t);
+    const dispute = await lockOpenDispute(disputeId, t, locked.id);
+
+    return OrderDisputeEvent.create({
+      dispute_id: dispute.id,
+      actor_type: operatorType,
+      actor_id: operatorId,
+      action: 'evidence',
+      content: content || null,
+      images
+    }, { transaction: t });
+  });
+};
+
+/**
+ * 发起方撤回纠纷，工单恢复正常流转
+ * @param {Object} order - 工单
+ * @param {number} disputeId - 纠纷ID
+ * @param {Object} data
+ * @param {string} data.operatorType - 操作方 user/electrician
+ * @param {number} data.operatorId - 操作人ID
+ * @param {string} [data.reason] - 撤回原因
+ * @returns {Promise<Object>} 纠纷
+ */
+const withdraw = async (order, disputeId, { operatorType, operatorId, reason }) => {
+  return sequelize.transaction(async (t) => {
+    const locked = await lockOrder(order.id, operatorType, operatorId, t);
+    const dispute = await lockOpenDispute(disputeId, t, locked.id);
+    if (dispute.initiator_id !== operatorId) {
+      throw new AppError('只有纠纷发起方可以撤回', 403);
+    }
+
+    await dispute.update({ status: 'withdrawn', resolved_at: new Date() }, { transaction: t });
+    await OrderDisputeEvent.create({
+      dispute_id: dispute.id,
+      actor_type: operatorType,
+      actor_id: operatorId,
+      action: 'withdraw',
+      content: reason || null
+    }, { transaction: t });
+    await locked.update({ in_dispute: false }, { transaction: t });
+
+    await OrderStateMachine.logEvent(locked, {
+      operatorType,
+      operatorId,
+      remark: `${PARTY_TEXT[operatorType]}撤回纠纷${reason ? `：${reason}` : ''}`,
+      transaction: t
+    });
+
+    const counterpartId = operatorType === 'user' ? locked.electrician_id : locked.user_id;
+    await notify(counterpartId, locked, '纠纷已撤回',
+      `工单 ${locked.order_no} ${PARTY_TEXT[operatorType]}已撤回纠纷申诉。`, t);
+
+    order.set(locked.get());
+    return dispute;
+  });
+};
+
+/**
+ * 管理员添加内部备注（当事人不可见）
+ * @param {number} disputeId - 纠纷ID
+ * @param {number} adminId - 管理员ID
+ * @param {string} content - 备注
+ * @returns {Promise<Object>} 处理记录
+ */
+const addNote = async (disputeId, adminId, content) => {
+  const dispute = await OrderDispute.findByPk(disputeId);
+  if (!dispute) {
+    throw new AppError('纠纷不存在', 404);
+  }
+  return OrderDisputeEvent.create({
+    dispute_id: dispute.id,
+    actor_type: 'admin',
+    actor_id: adminId,
+    action: 'note',
+    content,
+    is_internal: true
+  });
+};
+
+/**
+ * 按裁决退款金额依次对各笔支付发起并执行退款，单笔失败不影响其余支付，结果写入处理记录
+ * @returns {Promise<Array<Object>>} 各笔退款结果
+ */
+const issueRefunds = async (dispute, order, payments, amount, adminId) => {
+  const results = [];
+  let remaining = toAmount(amount);
+  for (const { payment, refundable } of payments) {
+    if (remaining <= 0) break;
+    const refundAmount = toAmount(Math.min(remaining, refundable));
+    remaining = toAmount(remaining - refundAmount);
+
+    let content;
+    try {
+      const refund = await RefundService.createRefund(payment, {
+        amount: refundAmount,
+        reason: `工单 ${order.order_no} 纠纷裁决退款`,
+        initiatorType: 'admin',
+        fromDispute: true
+      });
+      const executed = await RefundService.execute(refund, { adminNotes: `纠纷 #${dispute.id} 裁决退款` });
+      results.push({ payment_id: payment.id, refund_id: executed.id, amount: refundAmount, status: executed.status });
+      content = `支付 ${payment.out_trade_no} 退款 ¥${refundAmount}（退款单号 ${executed.refund_no}，状态 ${executed.status}）`;
+    } catch (error) {
+      console.error(`纠纷 #${dispute.id} 裁决退款失败:`, error);
+      results.push({ payment_id: payment.id, amount: refundAmount, status: 'failed', error: error.message });
+      content = `支付 ${payment.out_trade_no} 退款 ¥${refundAmount} 失败：${error.message}，请在退款管理中重试`;
+    }
+
+    await OrderDisputeEvent.create({
+      dispute_id: dispute.id,
+      actor_type: 'admin',
+      actor_id: adminId,
+      action: 'refund',
+      content
+    });
+  }
+  return results;
+};
+
+/**
+ * 管理员裁决纠纷
+ * - full_settle：剩余款项全部结算给电工
+ * - partial_settle：按 settleAmount 结算给电工，其余退还用户
+ * - refund：剩余款项全部退还用户，工单取消
+ * 裁决前先拒绝该工单待审核的退款申请，由裁决统一分配款项；退款在裁决生效后发起
+ * @param {number} disputeId - 纠纷ID
+ * @param {number} adminId - 管理员ID
+ * @param {Object} data
+ * @param {string} data.ruling - 裁决结果 full_settle/partial_settle/refund
+ * @param {number} [data.settleAmount] - 部分结算给电工的金额
+ * @param {string} [data.note] - 裁决说明
+ * @returns {Promise<{dispute: Object, refunds: Array<Object>}>} 纠纷与裁决退款结果
+ */
+const resolve = async (disputeId, adminId, { ruling, settleAmount, note }) => {
+  if (!RULINGS.includes(ruling)) {
+    throw new AppError('裁决结果无效', 400);
+  }
+  if (ruling === 'partial_settle' && !(toAmount(settleAmount) > 0)) {
+    throw new AppError('部分结算金额需大于0', 400);
+  }
+
+  const existing = await OrderDispute.findByPk(disputeId);
+  if (!existing) {
+    throw new AppError('纠纷不存在', 404);
+  }
+
+  // 锁定工单、纠纷与支付记录后再处理待审核退款并计算可分配金额，金额校验失败时整体回滚
+  const { dispute, order, payments, refundAmount } = await sequelize.transaction(async (t) => {
+    const locked = await Order.findByPk(existing.order_id, { transaction: t, lock: t.LOCK.UPDATE });
+    const lockedDispute = await lockOpenDispute(existing.id, t);
+
+    const pendingRefunds = await Refund.findAll({
+      where: { order_id: locked.id, status: 'pending' },
+      transaction: t
+    });
+    for (const refund of pendingRefunds) {
+      await RefundService.reject(refund, { adminNotes: `纠纷 #${lockedDispute.id} 裁决统一处理款项`, transaction: t });
+    }
+
+    const distributable = await getDistributableAmount(locked.id, t);
+    let settleTotal = distributable.total;
+    if (ruling === 'refund') {
+      settleTotal = 0;
+    } else if (ruling === 'partial_settle') {
+      settleTotal = toAmount(settleAmount);
+      if (!(settleTotal < distributable.total)) {
+        throw new AppError(`部分结算金额需大于0且小于可分配金额¥${distributable.total}`, 400);
+      }
+    }
+    const refundTotal = toAmount(distributable.total - settleTotal);
+
+    await OrderStateMachine.transition(locked, ruling === 'refund' ? 'dispute_refund' : 'dispute_settle', {
+      operatorType: 'admin',
+      operatorId: adminId,
+      data: { settleAmount: settleTotal, refundAmount: refundTotal, note },
+      changes: { in_dispute: false },
+      transaction: t
+    });
+
+    await lockedDispute.update({
+      status: 'resolved',
+      ruling,
+      settle_amount: settleTotal,
+      refund_amount: refundTotal,
+      ruling_note: note || null,
+      resolved_by: adminId,
+      resolved_at: new Date()
+    }, { transaction: t });
+
+    await OrderDisputeEvent.create({
+      dispute_id: lockedDispute.id,
+      actor_type: 'admin',
+      actor_id: adminId,
+      action: 'rule',
+      content: `裁决${RULING_TEXT[ruling]}：结算电工 ¥${settleTotal}，退还用户 ¥${refundTotal}${note ? `。${note}` : ''}`
+    }, { transaction: t });
+
+    return {
+      dispute: lockedDispute,
+      order: locked,
+      payments: distributable.payments,
+      refundAmount: refundTotal
+    };
+  });
+
+  const refunds = refundAmount > 0
+    ? await issueRefunds(dispute, order, payments, refundAmount, adminId)
+    : [];
+
+  return { dispute, refunds };
+};
+
+/**
+ * 获取工单的纠纷记录（当事人查看，不含管理员内部备注），按时间倒序
+ * @param {Object} order - 工单
+ * @param {{role: string, id: number}} viewer - 访问者
+ * @returns {Promise<Array>}
+ */
+const listForOrder = async (order, viewer) => {
+  const ownerId = viewer.role === 'user' ? order.user_id : order.electrician_id;
+  if (!PARTY_TEXT[viewer.role] || ownerId !== viewer.id) {
+    throw new AppError('无权查看此工单纠纷', 403);
+  }
+  return OrderDispute.findAll({
+    where: { order_id: order.id },
+    include: [{
+      model: OrderDisputeEvent,
+      as: 'events',
+      where: { is_internal: false },
+      required: false
+    }],
+    order: [
+      ['created_at', 'DESC'],
+      [{ model: OrderDisputeEvent, as: 'events' }, 'id', 'ASC']
+    ]
+  });
+};
+
+/**
+ * 管理员纠纷队列，处理中的纠纷按发起时间先后排列
+ * @param {Object} [options]
+ * @param {string} [options.status] - 纠纷状态
+ * @param {string} [options.orderNo] - 工单号
+ * @param {number} [options.page=1] - 页码
+ * @param {number} [options.limit=20] - 每页数量
+ * @returns {Promise<{count: number, rows: Array}>}
+ */
+const getQueue = ({ status, orderNo, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const where = {};
+  if (status) {
+    where.status = status;
+  }
+  return OrderDispute.findAndCountAll({
+    where,
+    include: [
+      {
+        model: Order,
+        as: 'order',
+        attributes: ['id', 'order_no', 'title', 'status', 'user_id', 'electrician_id', 'final_amount'],
+        ...(orderNo && { where: { order_no: { [Op.like]: `%${orderNo}%` } } })
+      },
+      { model: User, as: 'initiator', attributes: ['id', 'nickname', 'phone'] }
+    ],
+    order: status === 'open' ? [['created_at', 'ASC']] : [['created_at', 'DESC']],
+    offset: (page - 1) * limit,
+    limit
+  });
+};
+
+/**
+ * 管理员查看纠纷详情：处理记录（含内部备注）、工单当事人、可分配金额
+ * @param {number} disputeId - 纠纷ID
+ * @returns {Promise<Object>}
+ */
+const getDetail = async (disputeId) => {
+  const dispute = await OrderDispute.findByPk(disputeId, {
+    include: [
+      {
+        model: Order,
+        as: 'order',
+        include: [
+          { model: User, as: 'user', attributes: ['id', 'nickname', 'phone'] },
+          { model: User, as: 'electrician', attributes: ['id', 'nickname', 'phone'] }
+        ]
+      },
+      { model: OrderDisputeEvent, as: 'events' }
+    ],
+    order: [[{ model: OrderDisputeEvent, as: 'events' }, 'id', 'ASC']]
+  });
+  if (!dispute) {
+    throw new AppError('纠纷不存在', 404);
+  }
+
+  const { total, payments } = await getDistributableAmount(dispute.order_id);
+  const data = dispute.get({ plain: true });
+  data.distributable_amount = total;
+  data.payments = payments.map(({ payment, refundable }) => ({
+    id: payment.id,
+    type: payment.type,
+    out_trade_no: payment.out_trade_no,
+    amount: payment.amount,
+    refundable_amount: refundable
+  }));
+  return data;
+};
+
+module.exports = {
+  DISPUTABLE_STATUSES,
+  RULINGS,
+  open,
+  addEvidence,
+  withdraw,
+  addNote,
+  resolve,
+  listForOrder,
+  getQueue,
+  getDetail
+};
@@ -0,0 +1,312 @@
+/**
+ * 电工日程服务
+ * - 电工按星期设置工作时段，并可添加不可预约时段（请假、外出）
+ * - 预约时间段需与工作时段有重叠，且不能与不可预约时段、电工手上其他工单的预约时间冲突
+ * - 工作时段按北京时间计算；未设置工作时段的电工视为全天可预约
+ */
+const { Op } = require('sequelize');
+const { sequelize, User, Order, ElectricianWorkingHour, ElectricianBlockedPeriod } = require('../models');
+const AppError = require('../utils/AppError');
+
+// 占用电工时间的工单状态
+const BUSY_STATUSES = ['accepted', 'pending_repair_payment', 'in_progress'];
+
+// 预约时间段最长跨度（小时）
+const MAX_WINDOW_HOURS = 24;
+
+// 北京时间偏移（毫秒）
+const TZ_OFFSET = 8 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY_TEXT = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+
+/**
+ * 'HH:mm[:ss]' 转为当天的毫秒数
+ */
+const timeToMs = (time) => {
+  const [h, m, s = 0] = String(time).split(':').map(Number);
+  return ((h * 60 + m) * 60 + s) * 1000;
+};
+
+/**
+ * 格式化为北京时间 'YYYY-MM-DD HH:mm'
+ */
+const formatTime = (date) => new Date(new Date(date).getTime() + TZ_OFFSET).toISOString().slice(0, 16).replace('T', ' ');
+
+/**
+ * 格式化预约时间段
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {string}
+ */
+const formatWindow = (start, end) => {
+  if (!start || !end) {
+    return '未预约';
+  }
+  const s = formatTime(start);
+  const e = formatTime(end);
+  return s.slice(0, 10) === e.slice(0, 10) ? `${s}~${e.slice(11)}` : `${s}~${e}`;
+};
+
+/**
+ * 校验并生成预约时间段
+ * @param {Date|string} start - 开始时间
+ * @param {Date|string} end - 结束时间
+ * @returns {{start: Date, end: Date}}
+ */
+const buildWindow = (start, end) => {
+  const s = new Date(start);
+  const e = new Date(end);
+  if (Number.isNaN(s.getTime()) || Number.isNaN(e.getTime())) {
+    throw new AppError('预约时间格式不正确', 400);
+  }
+  if (e <= s) {
+    throw new AppError('预约结束时间必须晚于开始时间', 400);
+  }
+  if (s <= new Date()) {
+    throw new AppError('预约时间必须晚于当前时间', 400);
+  }
+  if (e - s > MAX_WINDOW_HOURS * 60 * 60 * 1000) {
+    throw new AppError(`预约时间段不能超过${MAX_WINDOW_HOURS}小时`, 400);
+  }
+  return { start: s, end: e };
+};
+
+/**
+ * 判断时间段是否与电工工作时段有重叠
+ */
+const overlapsWorkingHours = (workingHours, start, end) => {
+  if (workingHours.length === 0) {
+    return true;
+  }
+  // 逐天展开涉及的北京时间日期
+  const firstDay = Math.floor((start.getTime() + TZ_OFFSET) / DAY_MS);
+  const lastDay = Math.floor((end.getTime() - 1 + TZ_OFFSET) / DAY_MS);
+  for (let day = firstDay; day <= lastDay; day++) {
+    const dayStart = day * DAY_MS - TZ_OFFSET;
+    const weekday = new Date(day * DAY_MS).getUTCDay();
+    const hit = workingHours.some(wh => wh.weekday === weekday
+      && dayStart + timeToMs(wh.start_time) < end.getTime()
+      && dayStart + timeToMs(wh.end_time) > start.getTime());
+    if (hit) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * 查询电工在时间段内的冲突
+ * @param {number} electricianId - 电工ID
+ * @param {Date} start - 开始时间
+ * @param {Date} end - 结束时间
+ * @param {Object} [options]
+ * @param {number} [options.excludeOrderId] - 排除的工单（改约时排除本单）
+ * @param {Object} [options.transaction] - 事务
+ * @returns {Promise<{outsideWorkingHours: boolean, blockedPeriods: Array, orders: Array}>}
+ */
+const findConflicts = async (electricianId, start, end, { excludeOrderId, transaction } = {}) => {
+  const workingHours = await ElectricianWorkingHour.findAll({
+    where: { electrician_id: electricianId },
+    transaction
+  });
+
+  const blockedPeriods = await ElectricianBlockedPeriod.findAll({
+    where: {
+      electrician_id: electricianId,
+      start_at: { [Op.lt]: end },
+      end_at: { [Op.gt]: start }
+    },
+    transaction
+  });
+
+  const orderWhere = {
+    electrician_id: electricianId,
+    status: { [Op.in]: BUSY_STATUSES },
+    appointment_start: { [Op.lt]: end },
+    appointment_end: { [Op.gt]: start }
+  };
+  if (excludeOrderId) {
+    orderWhere.id = { [Op.ne]: excludeOrderId };
+  }
+  const orders = await Order.findAll({
+    where: orderWhere,
+    attributes: ['id', 'order_no', 'appointment_start', 'appointment_end'],
+    transaction
+  });
+
+  return {
+    outsideWorkingHours: !overlapsWorkingHours(workingHours, start, end),
+    blockedPeriods,
+    orders
+  };
+};
+
+/**
+ * 锁定电工用户行，串行化同一电工的接单/改约，避免并发请求都通过时间冲突校验
+ * 须在事务内、校验可预约之前调用
+ * @param {number} electricianId - 电工ID
+ * @param {Object} transaction - 事务
+ */
+const lockElectrician = async (electricianId, transaction) => {
+  await User.findByPk(electricianId, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+};
+
+/**
+ * 校验电工在时间段内可预约，不可预约时抛出 409
+ * @param {number} electricianId - 电工ID
+ * @param {Date} start - 开始时间，为空时不校验（历史工单未预约时间）
+ * @param {Date} end - 结束时间
+ * @param {Object} [options] - 同 findConflicts
+ */
+const assertAvailable = async (electricianId, start, end, options = {}) => {
+  if (!start || !end) {
+    return;
+  }
+  const window = formatWindow(start, end);
+  const conflicts = await findConflicts(electricianId, new Date(start), new Date(end), options);
+  if (conflicts.outsideWorkingHours) {
+    throw new AppError(`预约时间 ${window} 不在电工工作时间内`, 409);
+  }
+  if (conflicts.blockedPeriods.length > 0) {
+    throw new AppError(`预约时间 ${window} 电工不可预约`, 409);
+  }
+  if (conflicts.orders.length > 0) {
+    const clash = conflicts.orders[0];
+    throw new AppError(`预约时间 ${window} 与工单 ${clash.order_no}（${formatWindow(clash.appointment_start, clash.appointment_end)}）冲突`, 409);
+  }
+};
+
+/**
+ * 判断电工在时间段内是否可预约
+ * @returns {Promise<boolean>}
+ */
+const isAvailable = async (electricianId, start, end, options = {}) => {
+  try {
+    await assertAvailable(electricianId, start, end, options);
+    return true;
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * 获取电工日程：工作时段、不可预约时段、已预约工单
+ * @param {number} electricianId - 电工ID
+ * @param {Object} range
+ * @param {Date} range.from - 开始时间
+ * @param {Date} range.to - 结束时间
+ * @returns {Promise<Object>}
+ */
+const getCalendar = async (electricianId, { from, to }) => {
+  const workingHours = await ElectricianWorkingHour.findAll({
+    where: { electrician_id: electricianId },
+    order: [['weekday', 'ASC'], ['start_time', 'ASC']]
+  });
+
+  const blockedPeriods = await ElectricianBlockedPeriod.findAll({
+    where: {
+      electrician_id: electricianId,
+      start_at: { [Op.lt]: to },
+      end_at: { [Op.gt]: from }
+    },
+    order: [['start_at', 'ASC']]
+  });
+
+  const appointments = await Order.findAll({
+    where: {
+      electrician_id: electricianId,
+      status: { [Op.in]: BUSY_STATUSES },
+      appointment_start: { [Op.lt]: to },
+      appointment_end: { [Op.gt]: from }
+    },
+    attributes: ['id', 'order_no', 'title', 'status', 'service_address', 'appointment_start', 'appointment_end'],
+    order: [['appointment_start', 'ASC']]
+  });
+
+  return {
+    working_hours: workingHours,
+    blocked_periods: blockedPeriods,
+    appointments
+  };
+};
+
+/**
+ * 覆盖设置电工每周工作时段
+ * @param {number} electricianId - 电工ID
+ * @param {Array<{weekday: number, start_time: string, end_time: string}>} hours - 工作时段，传空数组表示不限制
+ * @returns {Promise<Array>}
+ */
+const setWorkingHours = async (electricianId, hours) => {
+  const sorted = [...hours].sort((a, b) => a.weekday - b.weekday || timeToMs(a.start_time) - timeToMs(b.start_time));
+  sorted.forEach((wh, index) => {
+    if (timeToMs(wh.end_time) <= timeToMs(wh.start_time)) {
+      throw new AppError(`${WEEKDAY_TEXT[wh.weekday]} ${wh.start_time}~${wh.end_time} 结束时间必须晚于开始时间`, 400);
+    }
+    const prev = sorted[index - 1];
+    if (prev && prev.weekday === wh.weekday && timeToMs(wh.start_time) < timeToMs(prev.end_time)) {
+      throw new AppError(`${WEEKDAY_TEXT[wh.weekday]} 的工作时段存在重叠`, 400);
+    }
+  });
+
+  return sequelize.transaction(async (t) => {
+    await ElectricianWorkingHour.destroy({ where: { electrician_id: electricianId }, transaction: t });
+    return ElectricianWorkingHour.bulkCreate(sorted.map(wh => ({
+      electrician_id: electricianId,
+      weekday: wh.weekday,
+      start_time: wh.start_time,
+      end_time: wh.end_time
+    })), { transaction: t });
+  });
+};
+
+/**
+ * 添加不可预约时段
+ * @param {number} electricianId - 电工ID
+ * @param {Object} data
+ * @param {Date} data.start_at - 开始时间
+ * @param {Date} data.end_at - 结束时间
+ * @param {string} [data.reason] - 原因
+ * @returns {Promise<Object>}
+ */
+const addBlockedPeriod = async (electricianId, { start_at, end_at, reason }) => {
+  if (new Date(end_at) <= new Date(start_at)) {
+    throw new AppError('结束时间必须晚于开始时间', 400);
+  }
+  return ElectricianBlockedPeriod.create({
+    electrician_id: electricianId,
+    start_at,
+    end_at,
+    reason
+  });
+};
+
+/**
+ * 删除不可预约时段
+ * @param {number} electricianId - 电工ID
+ * @param {number} id - 时段ID
+ */
+const removeBlockedPeriod = async (electricianId, id) => {
+  const period = await ElectricianBlockedPeriod.findOne({ where: { id, electrician_id: electricianId } });
+  if (!period) {
+    throw new AppError('不可预约时段不存在', 404);
+  }
+  await period.destroy();
+};
+
+module.exports = {
+  BUSY_STATUSES,
+  buildWindow,
+  formatWindow,
+  findConflicts,
+  lockElectrician,
+  assertAvailable,
+  isAvailable,
+  getCalendar,
+  setWorkingHours,
+  addBlockedPeriod,
+  removeBlockedPeriod
+};
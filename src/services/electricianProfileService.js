@@ -0,0 +1,166 @@
+/**
+ * 电工公开主页服务
+ * - 主页展示昵称、头像、认证工作类型、从业年限（按证书起始日期计算）、完成工单数与评分分布
+ * - 仅认证通过且账号正常的电工可公开查看，不返回实名、证件等隐私信息
+ * - 评价列表分页返回评价内容、图片与电工回复，评价用户昵称脱敏；管理员隐藏的评价不展示、不计入评分
+ */
+const { Op } = require('sequelize');
+const { sequelize, User, ElectricianCertification, Order, Review, ServiceType } = require('../models');
+const AppError = require('../utils/AppError');
+
+// 计入完成工单数的状态，与附近电工列表一致（测试账号的工单不计入）
+const COMPLETED_STATUSES = ['completed_settled', 'completed_unsettle'];
+
+const WORK_TYPE_TEXT = {
+  maintenance: '维修',
+  installation: '安装'
+};
+
+const DEFAULT_PAGE_SIZE = 10;
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+/**
+ * 评价用户昵称脱敏：保留首字
+ */
+const maskNickname = (nickname) => (nickname ? `${Array.from(nickname)[0]}***` : '匿名用户');
+
+/**
+ * 查找可公开展示的电工（认证通过、账号正常），不存在时抛出 404
+ */
+const findElectrician = async (electricianId) => {
+  const electrician = await User.findOne({
+    where: { id: electricianId, status: 'active' },
+    attributes: ['id', 'nickname', 'avatar'],
+    include: [{
+      model: ElectricianCertification,
+      as: 'certification',
+      where: { status: 'approved' },
+      attributes: ['work_types', 'cert_start_date']
+    }]
+  });
+  if (!electrician) {
+    throw new AppError('电工不存在', 404);
+  }
+  return electrician;
+};
+
+/**
+ * 统计电工评分分布
+ * @param {number} electricianId - 电工ID
+ * @returns {Promise<{average: number, count: number, distribution: Object}>} 平均分、评价数、各星级数量
+ */
+const getRatingSummary = async (electricianId) => {
+  const rows = await Review.findAll({
+    where: { electrician_id: electricianId, is_hidden: false },
+    attributes: ['rating', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['rating'],
+    raw: true
+  });
+
+  const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+  rows.forEach((row) => {
+    distribution[row.rating] = Number(row.count);
+  });
+  const count = Object.values(distribution).reduce((sum, n) => sum + n, 0);
+  const total = Object.entries(distribution).reduce((sum, [rating, n]) => sum + Number(rating) * n, 0);
+
+  return {
+    average: count > 0 ? Number((total / count).toFixed(1)) : 0,
+    count,
+    distribution
+  };
+};
+
+/**
+ * 获取电工公开主页
+ * @param {number} electricianId - 电工ID
+ * @returns {Promise<Object>}
+ */
+const getProfile = async (electricianId) => {
+  const electrician = await findElectrician(electricianId);
+  const { certification } = electrician;
+
+  const workTypes = certification.work_types.split(',').map(t => t.trim()).filter(Boolean);
+  const yearsOfExperience = certification.cert_start_date
+    ? Math.max(0, Math.floor((Date.now() - new Date(certification.cert_start_date).getTime()) / YEAR_MS))
+    : 0;
+
+  const completedOrders = await Order.count({
+    where: { electrician_id: electrician.id, status: { [Op.in]: COMPLETED_STATUSES }, is_sandbox: false }
+  });
+
+  return {
+    id: electrician.id,
+    nickname: electrician.nickname,
+    avatar: electrician.avatar,
+    work_types: workTypes.map(type => ({ type, name: WORK_TYPE_TEXT[type] || type })),
+    years_of_experience: yearsOfExperience,
+    completed_orders: completedOrders,
+    rating: await getRatingSummary(electrician.id)
+  };
+};
+
+/**
+ * 分页获取电工收到的评价，按时间倒序
+ * @param {number} electricianId - 电工ID
+ * @param {Object} [options]
+ * @param {number} [options.rating] - 按星级筛选
+ * @param {boolean} [options.withImages] - 仅看有图评价
+ * @param {number} [options.page=1] - 页码
+ * @param {number} [options.limit=10] - 每页数量
+ * @returns {Promise<{count: number, rows: Array}>}
+ */
+const listReviews = async (electricianId, { rating, withImages, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  await findElectrician(electricianId);
+
+  const where = { electrician_id: electricianId, is_hidden: false };
+  if (rating) {
+    where.rating = rating;
+  }
+  if (withImages) {
+    where[Op.and] = sequelize.literal('JSON_LENGTH(`Review`.`images`) > 0');
+  }
+
+  const { count, rows } = await Review.findAndCountAll({
+    where,
+    attributes: ['id', 'rating', 'content', 'images', 'reply', 'replied_at', 'created_at'],
+    include: [
+      { model: User, as: 'user', attributes: ['nickname', 'avatar'] },
+      {
+        model: Order,
+        as: 'order',
+        attributes: ['id'],
+        include: [{ model: ServiceType, as: 'serviceType', attributes: ['name'] }]
+      }
+    ],
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    offset: (page - 1) * limit,
+    limit,
+    distinct: true
+  });
+
+  return {
+    count,
+    rows: rows.map(review => ({
+      id: review.id,
+      rating: review.rating,
+      content: review.content,
+      images: review.images || [],
+      reply: review.reply,
+      replied_at: review.replied_at,
+      created_at: review.created_at,
+      service_type: review.order && review.order.serviceType ? review.order.serviceType.name : null,
+      reviewer: {
+        nickname: maskNickname(review.user && review.user.nickname),
+        avatar: review.user ? review.user.avatar : null
+      }
+    }))
+  };
+};
+
+module.exports = {
+  getProfile,
+  getRatingSummary,
+  listReviews
+};
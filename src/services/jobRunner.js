@@ -0,0 +1,279 @@
+/**
+ * 定时任务调度器
+ * - 按名称注册任务，使用 cron 表达式调度
+ * - 通过 Redis 锁保证多实例（PM2 集群）部署时每一轮定时执行只有一个实例执行（锁键包含计划执行时间）
+ * - 每次执行写入 job_runs 记录（耗时、结果、错误）
+ * - 支持管理员手动触发
+ */
+const os = require('os');
+const { client, redisOperations } = require('../config/redis');
+const { JobRun } = require('../models');
+const { parseCron, getNextRunTime } = require('../utils/cron');
+const AppError = require('../utils/AppError');
+
+const LOCK_PREFIX = 'job:lock:';
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// 默认锁超时：本轮占用锁的保留时间；任务异常退出未释放运行锁时，最长阻塞其他实例的时间
+const DEFAULT_LOCK_TTL = 5 * 60 * 1000;
+
+// setTimeout 最大延迟（约 24.8 天），超过时分段等待
+const MAX_TIMEOUT = 2147483647;
+
+// 仅持有者可释放锁，避免误删其他实例在锁过期后重新获取的锁
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+else
+  return 0
+end`;
+
+const jobs = new Map();
+
+/**
+ * 注册任务
+ * @param {Object} options
+ * @param {string} options.name - 任务名称（唯一）
+ * @param {string} options.schedule - cron 表达式（5 段或带秒的 6 段）
+ * @param {Function} options.handler - 任务函数，返回值写入执行记录 result
+ * @param {string} [options.description] - 任务说明
+ * @param {number} [options.lockTtl] - 锁超时（毫秒）
+ * @param {boolean} [options.enabled=true] - 是否启用定时调度（禁用后仍可手动触发）
+ */
+function registerJob({ name, schedule, handler, description = '', lockTtl = DEFAULT_LOCK_TTL, enabled = true }) {
+  if (jobs.has(name)) {
+    throw new Error(`定时任务已注册: ${name}`);
+  }
+  jobs.set(name, {
+    name,
+    schedule,
+    description,
+    handler,
+    lockTtl,
+    enabled,
+    parsed: parseCron(schedule),
+    timer: null,
+    nextRunAt: null
+  });
+}
+
+/**
+ * 获取锁
+ * @param {string} key - 锁键
+ * @param {string} token - 持有者标识
+ * @param {number} ttl - 超时（毫秒）
+ * @returns {Promise<boolean>} 是否获取成功
+ */
+async function acquireLock(key, token, ttl) {
+  const connected = await redisOperations.ensureConnection();
+  if (!connected) {
+    return false;
+  }
+  const result = await client.set(key, token, { NX: true, PX: ttl });
+  return result === 'OK';
+}
+
+/**
+ * 释放锁
+ */
+async function releaseLock(key, token) {
+  try {
+    await client.eval(RELEASE_LOCK_SCRIPT, {
+      keys: [key],
+      arguments: [token]
+    });
+  } catch (error) {
+    console.error(`释放定时任务锁失败 ${key}:`, error.message);
+  }
+}
+
+/**
+ * 获取本次执行需要的锁
+ * - 定时执行：以计划执行时间为键占用本轮（不释放，到期自动删除），各实例计时器先后触发时只有一个实例执行本轮
+ * - 同时占用任务运行锁（执行完释放），避免与手动触发或上一轮未结束的执行重叠
+ * @returns {Promise<boolean>} 是否获取成功
+ */
+async function acquireJobLocks(job, token, scheduledAt) {
+  try {
+    if (scheduledAt && !await acquireLock(`${LOCK_PREFIX}${job.name}:${scheduledAt.getTime()}`, token, job.lockTtl)) {
+      return false;
+    }
+    return await acquireLock(`${LOCK_PREFIX}${job.name}`, token, job.lockTtl);
+  } catch (error) {
+    console.error(`获取定时任务锁失败 ${job.name}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * 执行任务（获取锁 -> 写执行记录 -> 执行 -> 更新记录 -> 释放运行锁）
+ * @param {Object} job - 任务
+ * @param {Object} [options]
+ * @param {string} [options.triggerType='schedule'] - 触发方式 schedule/manual
+ * @param {number} [options.triggeredBy] - 触发的管理员ID
+ * @param {Date} [options.scheduledAt] - 计划执行时间（定时执行时传入）
+ * @returns {Promise<Object|null>} 执行记录，未获取到锁时返回 null
+ */
+async function executeJob(job, { triggerType = 'schedule', triggeredBy = null, scheduledAt = null } = {}) {
+  const token = `${INSTANCE_ID}:${Date.now()}`;
+
+  if (!await acquireJobLocks(job, token, scheduledAt)) {
+    return null;
+  }
+
+  try {
+    const startedAt = new Date();
+    const run = await JobRun.create({
+      job_name: job.name,
+      trigger_type: triggerType,
+      triggered_by: triggeredBy,
+      status: 'running',
+      instance: INSTANCE_ID,
+      started_at: startedAt
+    });
+
+    try {
+      const result = await job.handler();
+      const finishedAt = new Date();
+      await run.update({
+        status: 'success',
+        finished_at: finishedAt,
+        duration_ms: finishedAt - startedAt,
+        result: result === undefined ? null : result
+      });
+    } catch (error) {
+      const finishedAt = new Date();
+      console.error(`定时任务 ${job.name} 执行失败:`, error);
+      await run.update({
+        status: 'failed',
+        finished_at: finishedAt,
+        duration_ms: finishedAt - startedAt,
+        error: error.stack || error.message
+      });
+    }
+    return run;
+  } finally {
+    await releaseLock(`${LOCK_PREFIX}${job.name}`, token);
+  }
+}
+
+/**
+ * 安排任务的下一次执行
+ */
+function scheduleNext(job) {
+  const nextRunAt = getNextRunTime(job.parsed);
+  job.nextRunAt = nextRunAt;
+  if (!nextRunAt) {
+    console.warn(`定时任务 ${job.name} 无下一次执行时间，已停止调度`);
+    return;
+  }
+
+  const delay = nextRunAt.getTime() - Date.now();
+  if (delay > MAX_TIMEOUT) {
+    job.timer = setTimeout(() => scheduleNext(job), MAX_TIMEOUT);
+    return;
+  }
+
+  job.timer = setTimeout(async () => {
+    try {
+      await executeJob(job, { scheduledAt: nextRunAt });
+    } catch (error) {
+      console.error(`定时任务 ${job.name} 调度异常:`, error);
+    }
+    scheduleNext(job);
+  }, Math.max(delay, 0));
+}
+
+/**
+ * 启动所有已启用任务的调度
+ */
+function start() {
+  for (const job of jobs.values()) {
+    if (job.enabled && !job.timer) {
+      scheduleNext(job);
+    }
+  }
+  console.log(`⏰ 定时任务已启动: ${[...jobs.values()].filter(j => j.enabled).map(j => j.name).join(', ')}`);
+}
+
+/**
+ * 停止所有任务调度（不中断正在执行的任务）
+ */
+function stop() {
+  for (const job of jobs.values()) {
+    if (job.timer) {
+      clearTimeout(job.timer);
+      job.timer = null;
+    }
+    job.nextRunAt = null;
+  }
+}
+
+/**
+ * 手动触发任务
+ * @param {string} name - 任务名称
+ * @param {Object} [options]
+ * @param {number} [options.triggeredBy] - 触发的管理员ID
+ * @returns {Promise<Object>} 执行记录
+ */
+async function runJob(name, { triggeredBy = null } = {}) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new AppError('定时任务不存在', 404);
+  }
+  const run = await executeJob(job, { triggerType: 'manual', triggeredBy });
+  if (!run) {
+    throw new AppError('任务正在执行中或无法获取任务锁，请稍后重试', 409);
+  }
+  return run;
+}
+
+/**
+ * 获取任务列表及最近一次执行记录
+ * @returns {Promise<Array>}
+ */
+async function listJobs() {
+  return Promise.all([...jobs.values()].map(async (job) => {
+    const lastRun = await JobRun.findOne({
+      where: { job_name: job.name },
+      order: [['started_at', 'DESC']]
+    });
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      enabled: job.enabled,
+      next_run_at: job.nextRunAt,
+      last_run: lastRun
+    };
+  }));
+}
+
+/**
+ * 获取任务执行历史
+ * @param {string} name - 任务名称
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<{count: number, rows: Array}>}
+ */
+async function getJobRuns(name, { page = 1, limit = 20 } = {}) {
+  if (!jobs.has(name)) {
+    throw new AppError('定时任务不存在', 404);
+  }
+  return JobRun.findAndCountAll({
+    where: { job_name: name },
+    order: [['started_at', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+}
+
+module.exports = {
+  registerJob,
+  start,
+  stop,
+  runJob,
+  listJobs,
+  getJobRuns
+};
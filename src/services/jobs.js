@@ -0,0 +1,69 @@
+/**
+ * 定时任务注册
+ * 所有后台定时任务在此统一注册到调度器
+ */
+const { Op } = require('sequelize');
+const JobRunner = require('./jobRunner');
+const { JobRun } = require('../models');
+const { closeExpiredPrepayments } = require('./paymentTimeoutJob');
+const DispatchService = require('./dispatchService');
+const { autoConfirmOverdueReviews } = require('./reviewTimeoutJob');
+const { checkCertificationExpiry } = require('./certificationService');
+const { sweepOrphanUploads } = require('./uploadService');
+
+function registerJobs() {
+  // 预付款超时关闭：每分钟
+  JobRunner.registerJob({
+    name: 'prepay-timeout',
+    schedule: '* * * * *',
+    description: '关闭超过30分钟未支付预付款的工单',
+    handler: closeExpiredPrepayments
+  });
+
+  // 派单超时处理：每15秒
+  JobRunner.registerJob({
+    name: 'dispatch-timeout',
+    schedule: '*/15 * * * * *',
+    description: '处理超时未响应的派单并派给下一位电工',
+    lockTtl: 60 * 1000,
+    handler: async () => ({ processed: await DispatchService.expireOffers() })
+  });
+
+  // 评价超时自动确认：每10分钟
+  JobRunner.registerJob({
+    name: 'review-timeout',
+    schedule: '*/10 * * * *',
+    description: '自动确认超时未评价的工单并结算',
+    handler: autoConfirmOverdueReviews
+  });
+
+  // 电工证到期提醒与过期暂停接单：每天上午9点
+  JobRunner.registerJob({
+    name: 'cert-expiry',
+    schedule: '0 9 * * *',
+    description: '电工证到期前30/7/1天提醒，过期后暂停接单',
+    handler: checkCertificationExpiry
+  });
+
+  // 清理超过宽限期无引用的上传文件：每天凌晨4点半
+  JobRunner.registerJob({
+    name: 'upload-orphan-sweep',
+    schedule: '30 4 * * *',
+    description: '清理超过宽限期仍无业务引用的上传文件',
+    handler: sweepOrphanUploads
+  });
+
+  // 清理30天前的任务执行记录：每天凌晨3点
+  JobRunner.registerJob({
+    name: 'job-runs-cleanup',
+    schedule: '0 3 * * *',
+    description: '清理30天前的定时任务执行记录',
+    handler: async () => {
+      const cutoff = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+      const deleted = await JobRun.destroy({ where: { started_at: { [Op.lt]: cutoff } } });
+      return { deleted };
+    }
+  });
+}
+
+module.exports = { registerJobs };
@@ -0,0 +1,156 @@
+/**
+ * 工单会话服务
+ * - 电工接单后，用户与接单电工可在工单内收发文字、图片消息
+ * - 工单完成（completed_*）或取消后会话只读（纠纷处理期间除外）；管理员可随时查看并发言，用于纠纷处理
+ * - 未读数按参与者的已读位置计算，只统计他人发送的消息
+ */
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize, User, OrderChatMessage, OrderChatRead } = require('../models');
+const AppError = require('../utils/AppError');
+
+// 会话只读的工单状态
+const CLOSED_STATUSES = ['completed_settled', 'completed_settle_failed', 'completed_unsettle', 'cancelled', 'closed'];
+
+const DEFAULT_PAGE_SIZE = 30;
+
+/**
+ * 会话是否只读（纠纷处理期间双方仍可沟通、补充说明）
+ * @param {Object} order - 工单
+ * @returns {boolean}
+ */
+const isClosed = (order) => CLOSED_STATUSES.includes(order.status) && !order.in_dispute;
+
+/**
+ * 校验查看/发送权限：用户与接单电工为会话参与者，管理员可访问任意工单会话
+ * @param {Object} order - 工单
+ * @param {{role: string, id: number}} viewer - 访问者
+ */
+const assertAccess = (order, viewer) => {
+  if (viewer.role === 'admin') {
+    return;
+  }
+  if (!order.electrician_id) {
+    throw new AppError('工单尚未接单，暂无法发起会话', 400);
+  }
+  const participantId = viewer.role === 'user' ? order.user_id : order.electrician_id;
+  if (!['user', 'electrician'].includes(viewer.role) || participantId !== viewer.id) {
+    throw new AppError('无权访问此工单会话', 403);
+  }
+};
+
+/**
+ * 更新参与者已读位置（只前进不后退）
+ */
+const markRead = async (orderId, userId, messageId) => {
+  const [read] = await OrderChatRead.findOrCreate({
+    where: { order_id: orderId, user_id: userId },
+    defaults: { last_read_message_id: messageId }
+  });
+  if (read.last_read_message_id < messageId) {
+    await read.update({ last_read_message_id: messageId });
+  }
+};
+
+/**
+ * 获取会话消息（按ID倒序分页，向前翻页传 beforeId），参与者查看时更新已读位置
+ * @param {Object} order - 工单
+ * @param {{role: string, id: number}} viewer - 访问者
+ * @param {Object} [options]
+ * @param {number} [options.beforeId] - 仅返回ID小于该值的消息
+ * @param {number} [options.limit=30] - 条数
+ * @returns {Promise<Object>} 消息列表（按时间正序）、参与者、是否只读
+ */
+const getThread = async (order, viewer, { beforeId, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  assertAccess(order, viewer);
+
+  const where = { order_id: order.id };
+  if (beforeId) {
+    where.id = { [Op.lt]: beforeId };
+  }
+  const rows = await OrderChatMessage.findAll({
+    where,
+    order: [['id', 'DESC']],
+    limit: limit + 1
+  });
+  const hasMore = rows.length > limit;
+  const messages = rows.slice(0, limit).reverse();
+
+  if (viewer.role !== 'admin' && !beforeId && messages.length > 0) {
+    await markRead(order.id, viewer.id, messages[messages.length - 1].id);
+  }
+
+  const participants = await User.findAll({
+    where: { id: [order.user_id, order.electrician_id].filter(Boolean) },
+    attributes: ['id', 'nickname', 'avatar']
+  });
+  const byId = new Map(participants.map(p => [p.id, p]));
+
+  return {
+    messages,
+    has_more: hasMore,
+    closed: isClosed(order),
+    participants: {
+      user: byId.get(order.user_id) || null,
+      electrician: byId.get(order.electrician_id) || null
+    }
+  };
+};
+
+/**
+ * 发送会话消息
+ * @param {Object} order - 工单
+ * @param {{role: string, id: number}} sender - 发送者
+ * @param {Object} data
+ * @param {string} [data.contentType='text'] - text/image
+ * @param {string} data.content - 文字内容或图片地址
+ * @returns {Promise<Object>} 消息
+ */
+const send = async (order, sender, { contentType = 'text', content }) => {
+  assertAccess(order, sender);
+  if (sender.role !== 'admin' && isClosed(order)) {
+    throw new AppError('工单已结束，会话仅可查看', 400);
+  }
+
+  const message = await OrderChatMessage.create({
+    order_id: order.id,
+    sender_role: sender.role,
+    sender_id: sender.id,
+    content_type: contentType,
+    content
+  });
+
+  // 自己发送的消息视为已读
+  if (sender.role !== 'admin') {
+    await markRead(order.id, sender.id, message.id);
+  }
+  return message;
+};
+
+/**
+ * 统计用户所有工单会话中的未读消息数
+ * @param {number} userId - 用户ID
+ * @returns {Promise<number>}
+ */
+const getUnreadCount = async (userId) => {
+  const [row] = await sequelize.query(`
+    SELECT COUNT(*) AS count
+    FROM order_chat_messages m
+    JOIN orders o ON o.id = m.order_id
+    LEFT JOIN order_chat_reads r ON r.order_id = m.order_id AND r.user_id = :userId
+    WHERE (o.user_id = :userId OR o.electrician_id = :userId)
+      AND NOT (m.sender_role IN ('user', 'electrician') AND m.sender_id = :userId)
+      AND m.id > COALESCE(r.last_read_message_id, 0)
+  `, {
+    replacements: { userId },
+    type: QueryTypes.SELECT
+  });
+  return Number(row.count);
+};
+
+module.exports = {
+  CLOSED_STATUSES,
+  isClosed,
+  getThread,
+  send,
+  getUnreadCount
+};
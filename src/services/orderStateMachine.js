@@ -0,0 +1,756 @@
+/**
+ * 工单状态机
+ * 集中定义工单状态之间的合法流转：允许的操作角色、前置校验、附带字段与副作用（状态日志、消息通知）
+ * 所有修改工单 status 的地方都必须通过本模块，禁止在控制器或任务中直接 update status
+ */
+const { sequelize, Order, OrderStatusLog, OrderReschedule, Message, Payment } = require('../models');
+const AppError = require('../utils/AppError');
+const WalletService = require('./walletService');
+const ElectricianCalendarService = require('./electricianCalendarService');
+const CertificationService = require('./certificationService');
+
+// 操作人类型与 order_status_logs.operator_type 枚举保持一致
+const OPERATOR_TYPES = ['user', 'electrician', 'admin', 'system'];
+
+const OPERATOR_TEXT = {
+  user: '用户',
+  electrician: '电工',
+  admin: '管理员',
+  system: '系统'
+};
+
+/**
+ * 状态流转定义
+ * - from: 允许的起始状态
+ * - to: 目标状态
+ * - roles: 允许执行的操作人类型
+ * - claim: 为 true 时不校验工单归属（如电工抢单时工单尚无电工）
+ * - dispute: 为 true 时允许在纠纷处理期间执行，其余流转在工单有处理中的纠纷时一律拒绝
+ * - guard: 额外前置校验，不满足时抛出 AppError
+ * - changes: 随状态一起写入的字段
+ * - remark: 默认状态日志备注
+ * - notify: 需要发送的订单消息列表
+ * - effect: 与状态变更在同一事务中执行的附带操作（如钱包入账）
+ */
+const TRANSITIONS = {
+  // 用户支付预付款（微信回调、主动查询、测试支付）
+  pay_prepay: {
+    label: '确认预付款',
+    from: ['pending_payment'],
+    to: 'pending',
+    roles: ['user', 'system'],
+    changes: () => ({ prepaid_at: new Date() }),
+    remark: '预付款支付成功，进入待接单',
+    notify: (order) => [{
+      user_id: order.user_id,
+      title: '预付款支付成功',
+      content: `您的工单 ${order.order_no} 预付款已支付成功，现已进入待接单。`
+    }]
+  },
+
+  // 预付款超时未支付，系统或管理员关闭
+  close_unpaid: {
+    label: '关闭工单',
+    from: ['pending_payment'],
+    to: 'closed',
+    roles: ['system', 'admin'],
+    changes: (order, ctx) => ({
+      cancelled_at: new Date(),
+      cancel_reason: ctx.data.reason || '预付款超时未支付，系统自动关闭'
+    }),
+    remark: '预付款超时未支付，系统自动关闭',
+    notify: (order) => [{
+      user_id: order.user_id,
+      title: '工单已关闭',
+      content: `您的工单 ${order.order_no} 因30分钟内未支付预付款，已自动关闭。`
+    }]
+  },
+
+  // 用户取消未支付预付款的工单
+  cancel_unpaid: {
+    label: '取消',
+    from: ['pending_payment'],
+    to: 'cancelled',
+    roles: ['user'],
+    changes: (order, ctx) => ({
+      cancelled_at: new Date(),
+      cancel_reason: ctx.data.reason
+    }),
+    remark: (order, ctx) => `用户取消工单，原因: ${ctx.data.reason}`
+  },
+
+  // 用户取消待接单的工单（尚无电工，无需对方确认）
+  cancel_waiting: {
+    label: '取消',
+    from: ['pending'],
+    to: 'cancelled',
+    roles: ['user'],
+    changes: (order, ctx) => ({
+      cancelled_at: new Date(),
+      cancel_reason: ctx.data.reason
+    }),
+    remark: (order, ctx) => `用户取消了待接单状态的订单：${ctx.data.reason}`
+  },
+
+  // 电工抢单
+  take: {
+    label: '接单',
+    from: ['pending'],
+    to: 'accepted',
+    roles: ['electrician'],
+    claim: true,
+    guard: async (order, ctx, transaction) => {
+      if (order.electrician_id) {
+        throw new AppError('工单已被其他电工接单', 409);
+      }
+      if (order.dispatch_status === 'dispatching') {
+        throw new AppError('该工单正在派单中，暂不可抢单', 409);
+      }
+      await ElectricianCalendarService.lockElectrician(ctx.operatorId, transaction);
+      await CertificationService.assertCanTakeOrders(ctx.operatorId, transaction);
+      await ElectricianCalendarService.assertAvailable(ctx.operatorId, order.appointment_start, order.appointment_end, { transaction });
+    },
+    changes: (order, ctx) => ({
+      electrician_id: ctx.operatorId,
+      accepted_at: new Date()
+    }),
+    remark: '电工接单',
+    notify: (order) => [{
+      user_id: order.user_id,
+      title: '工单已被接单',
+      content: `您的工单 ${order.order_no} 已被电工接单，请及时确认`
+    }]
+  },
+
+  // 电工接受系统派单（派单记录的校验由派单服务在同一事务内完成）
+  accept_dispatch: {
+    label: '接受派单',
+    from: ['pending'],
+    to: 'accepted',
+    roles: ['electrician'],
+    claim: true,
+    guard: async (order, ctx, transaction) => {
+      if (order.electrician_id) {
+        throw new AppError('工单已被其他电工接单', 409);
+      }
+      await ElectricianCalendarService.lockElectrician(ctx.operatorId, transaction);
+      await CertificationService.assertCanTakeOrders(ctx.operatorId, transaction);
+      await ElectricianCalendarService.assertAvailable(ctx.operatorId, order.appointment_start, order.appointment_end, { transaction });
+    },
+    changes: (order, ctx) => ({
+      electrician_id: ctx.operatorId,
+      accepted_at: new Date(),
+      dispatch_status: 'assigned'
+    }),
+    remark: '电工接受系统派单',
+    notify: (order) => [{
+      user_id: order.user_id,
+      title: '工单已被接单',
+      content: `您的工单 ${order.order_no} 已由平台派单给电工，请及时确认`
+    }]
+  },
+
+  // 用户确认工单（旧流程：已接单直接进入维修中）
+  confirm: {
+    label: '确认',
+    from: ['accepted'],
+    to: 'in_progress',
+    roles: ['user'],
+    remark: '用户确认工单，开始服务'
+  },
+
+  // 用户确认电工提交的报价，按报价总额进入待支付维修费
+  approve_quote: {
+    label: '确认报价',
+    from: ['accepted', 'pending_repair_payment', 'in_progress'],
+    to: 'pending_repair_payment',
+    roles: ['user'],
+    changes: (order, ctx) => ({
+      final_amount: ctx.data.quote.total_amount,
+      needs_confirmation: false
+    }),
+    remark: (order, ctx) => `用户确认了第${ctx.data.quote.version}版报价（¥${ctx.data.quote.total_amount}），进入待支付维修费`,
+    notify: (order, ctx) => [{
+      user_id: order.electrician_id,
+      title: '用户已确认报价',
+      content: `工单 ${order.order_no} 用户已确认第${ctx.data.quote.version}版报价 ¥${ctx.data.quote.total_amount}，等待用户支付维修费。`
+    }]
+  },
+
+  // 用户支付维修费
+  pay_repair: {
+    label: '确认维修费',
+    from: ['pending_repair_payment'],
+    to: 'in_progress',
+    roles: ['user', 'system'],
+    remark: '维修费支付成功，订单进入维修中',
+    notify: (order) => [
+      {
+        user_id: order.user_id,
+        title: '维修费支付成功',
+        content: `您的工单 ${order.order_no} 维修费已支付成功，电工即将上门维修。`
+      },
+      {
+        user_id: order.electrician_id,
+        title: '用户已支付维修费',
+        content: `工单 ${order.order_no} 用户已支付维修费，请尽快安排维修。`
+      }
+    ]
+  },
+
+  // 电工开始维修（维修费已支付但状态未切换时）
+  start: {
+    label: '开始维修',
+    from: ['pending_repair_payment'],
+    to: 'in_progress',
+    roles: ['electrician'],
+    guard: async (order, ctx, transaction) => {
+      const repairPayment = await Payment.findOne({
+        where: { order_id: order.id, type: 'repair', status: 'success' },
+        transaction
+      });
+      if (!repairPayment) {
+        throw new AppError('维修费未支付，无法开始维修', 400);
+      }
+    },
+    remark: '电工开始维修',
+    notify: (order) => [{
+      user_id: order.user_id,
+      title: '订单开始维修',
+      content: `您的工单 ${order.order_no} 已开始维修。`
+    }]
+  },
+
+  // 电工完成服务
+  complete: {
+    label: '完成服务',
+    from: ['in_progress'],
+    to: 'pending_review',
+    roles: ['electrician'],
+    changes: () => ({ completed_at: new Date() }),
+    remark: '电工完成服务，待用户评价',
+    notify: (order) => [{
+      user_id: order.user_id,
+      title: '工单待评价',
+      content: `您的工单 ${order.order_no} 电工已完成服务，请前往评价。`
+    }]
+  },
+
+  // 五星好评（首次或二次），订单结算
+  review_settle: {
+    label: '评价',
+    from: ['pending_review', 'pending_second_review'],
+    to: 'completed_settled',
+    roles: ['user'],
+    changes: () => ({ reviewed_at: new Date(), completed_at: new Date() }),
+    remark: (order, ctx) => (ctx.fromStatus === 'pending_review'
+      ? '用户首次五星好评，订单已结算'
+      : '用户二次五星好评，订单已结算'),
+    notify: (order, ctx) => [{
+      user_id: order.electrician_id,
+      title: '订单已结算',
+      content: `工单 ${order.order_no} 用户${ctx.fromStatus === 'pending_review' ? '首次' : '二次'}五星好评，订单费用已结算，可前往钱包提现。`
+    }],
+    effect: (order, ctx, t) => WalletService.creditSettlement(order, t)
+  },
+
+  // 首次非五星评价，允许用户二次评价
+  review_retry: {
+    label: '评价',
+    from: ['pending_review'],
+    to: 'pending_second_review',
+    roles: ['user'],
+    changes: () => ({ reviewed_at: new Date() }),
+    remark: (order, ctx) => `用户首次评价为${ctx.data.rating}星，订单进入待二次评价状态`,
+    notify: (order, ctx) => [{
+      user_id: order.electrician_id,
+      title: '订单待处理',
+      content: `工单 ${order.order_no} 用户已完成首次评价（${ctx.data.rating}星），订单待处理，用户可再次评价。`
+    }]
+  },
+
+  // 二次非五星评价，订单完成但不结算
+  review_unsettle: {
+    label: '评价',
+    from: ['pending_second_review'],
+    to: 'completed_unsettle',
+    roles: ['user'],
+    changes: () => ({ reviewed_at: new Date(), completed_at: new Date() }),
+    remark: (order, ctx) => `用户二次评价为${ctx.data.rating}星，订单已完成但不结算`,
+    notify: (order, ctx) => [{
+      user_id: order.electrician_id,
+      title: '订单已完成',
+      content: `工单 ${order.order_no} 用户已完成二次评价（${ctx.data.rating}星），订单已关闭，不进行结算。如有异议可在工单中发起纠纷申诉。`
+    }]
+  },
+
+  // 用户超时未评价，系统自动确认并结算
+  auto_settle: {
+    label: '自动确认',
+    from: ['pending_review', 'pending_second_review'],
+    to: 'completed_settled',
+    roles: ['system'],
+    changes: (order) => ({ completed_at: order.completed_at || new Date() }),
+    remark: (order, ctx) => `用户${ctx.data.hours}小时内未${ctx.fromStatus === 'pending_review' ? '评价' : '二次评价'}，系统自动确认，订单已结算`,
+    notify: (order, ctx) => [
+      {
+        user_id: order.user_id,
+        title: '工单已自动确认',
+        content: `您的工单 ${order.order_no} 超过${ctx.data.hours}小时未评价，系统已自动确认完成。`
+      },
+      {
+        user_id: order.electrician_id,
+        title: '订单已结算',
+        content: `工单 ${order.order_no} 用户超时未评价，系统已自动确认并结算，可前往钱包提现。`
+      }
+    ],
+    effect: (order, ctx, t) => WalletService.creditSettlement(order, t)
+  },
+
+  // 用户首次评价非五星且超时未二次评价，系统自动完成但不结算
+  auto_unsettle: {
+    label: '自动确认',
+    from: ['pending_second_review'],
+    to: 'completed_unsettle',
+    roles: ['system'],
+    changes: (order) => ({ completed_at: order.completed_at || new Date() }),
+    remark: (order, ctx) => `用户${ctx.data.hours}小时内未二次评价，系统按首次评价自动完成，订单不结算`,
+    notify: (order, ctx) => [
+      {
+        user_id: order.user_id,
+        title: '工单已自动确认',
+        content: `您的工单 ${order.order_no} 超过${ctx.data.hours}小时未二次评价，系统已按首次评价自动完成。`
+      },
+      {
+        user_id: order.electrician_id,
+        title: '订单已完成',
+        content: `工单 ${order.order_no} 用户超时未二次评价，系统已按首次评价自动完成，不进行结算。如有异议可在工单中发起纠纷申诉。`
+      }
+    ]
+  },
+
+  // 已接单/维修中发起取消，需要对方确认
+  request_cancel: {
+    label: '发起取消',
+    from: ['accepted', 'in_progress'],
+    to: 'cancel_pending',
+    roles: ['user', 'electrician'],
+    changes: (order, ctx) => ({
+      cancel_initiator_id: ctx.operatorId,
+      cancel_reason: ctx.data.reason,
+      cancel_initiated_at: new Date(),
+      cancel_confirm_status: 'pending'
+    }),
+    remark: (order, ctx) => `${OPERATOR_TEXT[ctx.operatorType]}发起取消订单请求：${ctx.data.reason}`,
+    notify: (order, ctx) => [{
+      user_id: ctx.operatorType === 'user' ? order.electrician_id : order.user_id,
+      title: '收到取消订单请求',
+      content: `工单 ${order.order_no} ${OPERATOR_TEXT[ctx.operatorType]}发起了取消请求，原因：${ctx.data.reason}，请及时处理；如不同意取消可发起纠纷申诉。`
+    }]
+  },
+
+  // 对方确认取消
+  confirm_cancel: {
+    label: '确认取消',
+    from: ['cancel_pending'],
+    to: 'cancelled',
+    roles: ['user', 'electrician'],
+    guard: (order, ctx) => {
+      if (order.cancel_initiator_id === ctx.operatorId) {
+        throw new AppError('您是取消请求的发起方，无需再次确认', 400);
+      }
+    },
+    changes: (order, ctx) => ({
+      cancel_confirm_status: 'confirmed',
+      cancel_confirmed_at: new Date(),
+      cancel_confirmer_id: ctx.operatorId,
+      cancel_reason: ctx.data.reason || order.cancel_reason,
+      cancelled_at: new Date()
+    }),
+    remark: (order, ctx) => `${OPERATOR_TEXT[ctx.operatorType]}确认取消订单：${ctx.data.reason || order.cancel_reason}`,
+    notify: (order) => [{
+      user_id: order.cancel_initiator_id,
+      title: '工单已取消',
+      content: `工单 ${order.order_no} 的取消请求已被对方确认，订单已取消。`
+    }]
+  },
+
+  // 管理员取消工单
+  admin_cancel: {
+    label: '取消',
+    from: ['pending_payment', 'pending', 'accepted', 'pending_repair_payment', 'in_progress', 'cancel_pending'],
+    to: 'cancelled',
+    roles: ['admin'],
+    changes: (order, ctx) => ({
+      cancelled_at: new Date(),
+      cancel_reason: ctx.data.reason || order.cancel_reason
+    }),
+    remark: '管理员取消工单',
+    notify: (order) => [
+      {
+        user_id: order.user_id,
+        title: '工单已取消',
+        content: `您的工单 ${order.order_no} 已被平台取消，如有疑问请联系客服。`
+      },
+      {
+        user_id: order.electrician_id,
+        title: '工单已取消',
+        content: `工单 ${order.order_no} 已被平台取消。`
+      }
+    ]
+  },
+
+  // 工单款项已全部退款，系统关闭工单
+  refund_close: {
+    label: '退款关闭',
+    from: ['pending', 'accepted', 'pending_repair_payment', 'in_progress', 'cancel_pending', 'pending_review', 'pending_second_review', 'completed_unsettle'],
+    to: 'cancelled',
+    roles: ['system'],
+    dispute: true,
+    changes: (order) => ({
+      cancelled_at: new Date(),
+      cancel_reason: order.cancel_reason || '订单款项已全部退款'
+    }),
+    remark: '订单款项已全部退款，系统关闭工单',
+    notify: (order) => [
+      {
+        user_id: order.user_id,
+        title: '工单已取消',
+        content: `您的工单 ${order.order_no} 款项已全部退回，工单已取消。`
+      },
+      {
+        user_id: order.electrician_id,
+        title: '工单已取消',
+        content: `工单 ${order.order_no} 用户款项已全部退款，工单已取消。`
+      }
+    ]
+  },
+
+  // 管理员裁定结算
+  admin_settle: {
+    label: '结算',
+    from: ['pending_review', 'pending_second_review', 'completed_unsettle', 'completed_settle_failed'],
+    to: 'completed_settled',
+    roles: ['admin'],
+    changes: (order) => ({ completed_at: order.completed_at || new Date() }),
+    remark: '管理员裁定订单结算',
+    notify: (order) => [{
+      user_id: order.electrician_id,
+      title: '订单已结算',
+      content: `工单 ${order.order_no} 经平台处理已结算，可前往钱包提现。`
+    }],
+    effect: (order, ctx, t) => WalletService.creditSettlement(order, t)
+  },
+
+  // 管理员裁定不结算
+  admin_unsettle: {
+    label: '关闭结算',
+    from: ['pending_review', 'pending_second_review'],
+    to: 'completed_unsettle',
+    roles: ['admin'],
+    changes: () => ({ completed_at: new Date() }),
+    remark: '管理员裁定订单完成但不结算',
+    notify: (order) => [{
+      user_id: order.electrician_id,
+      title: '订单已完成',
+      content: `工单 ${order.order_no} 经平台处理已完成，不进行结算。`
+    }]
+  },
+
+  // 纠纷裁决结算（全额或部分），结算总额由裁决指定，其余款项由纠纷服务发起退款
+  dispute_settle: {
+    label: '裁决结算',
+    from: ['in_progress', 'cancel_pending', 'pending_review', 'pending_second_review', 'completed_unsettle'],
+    to: 'completed_settled',
+    roles: ['admin'],
+    dispute: true,
+    guard: (order, ctx) => {
+      if (!order.in_dispute || ctx.data.refundAmount === undefined) {
+        throw new AppError('仅可通过纠纷裁决执行此操作', 400);
+      }
+    },
+    changes: (order, ctx) => ({
+      completed_at: order.completed_at || new Date(),
+      ...(ctx.fromStatus === 'cancel_pending' && { cancel_confirm_status: 'rejected' })
+    }),
+    remark: (order, ctx) => `纠纷裁决${ctx.data.refundAmount > 0 ? '部分' : '全额'}结算 ¥${ctx.data.settleAmount}${ctx.data.refundAmount > 0 ? `，退还用户 ¥${ctx.data.refundAmount}` : ''}`,
+    notify: (order, ctx) => [
+      {
+        user_id: order.user_id,
+        title: '纠纷已裁决',
+        content: ctx.data.refundAmount > 0
+          ? `您的工单 ${order.order_no} 纠纷经平台裁决部分结算，¥${ctx.data.refundAmount} 将原路退回。`
+          : `您的工单 ${order.order_no} 纠纷经平台裁决，订单费用已结算给电工。`
+      },
+      {
+        user_id: order.electrician_id,
+        title: '纠纷已裁决',
+        content: `工单 ${order.order_no} 纠纷经平台裁决结算 ¥${ctx.data.settleAmount}，可前往钱包查看。`
+      }
+    ],
+    effect: (order, ctx, t) => WalletService.creditSettlement(order, t, { gross: ctx.data.settleAmount })
+  },
+
+  // 纠纷裁决全额退款，工单取消，款项由纠纷服务发起退款
+  dispute_refund: {
+    label: '裁决退款',
+    from: ['in_progress', 'cancel_pending', 'pending_review', 'pending_second_review', 'completed_unsettle'],
+    to: 'cancelled',
+    roles: ['admin'],
+    dispute: true,
+    guard: (order, ctx) => {
+      if (!order.in_dispute || ctx.data.refundAmount === undefined) {
+        throw new AppError('仅可通过纠纷裁决执行此操作', 400);
+      }
+    },
+    changes: (order, ctx) => ({
+      cancelled_at: new Date(),
+      cancel_reason: `纠纷裁决退款${ctx.data.note ? `：${ctx.data.note}` : ''}`
+    }),
+    remark: (order, ctx) => `纠纷裁决全额退款 ¥${ctx.data.refundAmount}，工单取消`,
+    notify: (order, ctx) => [
+      {
+        user_id: order.user_id,
+        title: '纠纷已裁决',
+        content: `您的工单 ${order.order_no} 纠纷经平台裁决全额退款，¥${ctx.data.refundAmount} 将原路退回。`
+      },
+      {
+        user_id: order.electrician_id,
+        title: '纠纷已裁决',
+        content: `工单 ${order.order_no} 纠纷经平台裁决全额退款给用户，工单已取消，不进行结算。`
+      }
+    ]
+  },
+
+  // 结算失败
+  settle_fail: {
+    label: '标记结算失败',
+    from: ['completed_settled'],
+    to: 'completed_settle_failed',
+    roles: ['admin', 'system'],
+    dispute: true,
+    remark: '订单结算失败',
+    effect: (order, ctx, t) => WalletService.reverseSettlement(order, t, `工单 ${order.order_no} 结算失败冲正`)
+  }
+};
+
+/**
+ * 获取流转定义
+ * @param {string} action - 流转名称
+ * @returns {Object} 流转定义
+ */
+function getTransition(action) {
+  const def = TRANSITIONS[action];
+  if (!def) {
+    throw new Error(`未定义的工单状态流转: ${action}`);
+  }
+  return def;
+}
+
+/**
+ * 根据起止状态和操作人类型查找流转名称
+ * @param {string} fromStatus - 当前状态
+ * @param {string} toStatus - 目标状态
+ * @param {string} operatorType - 操作人类型
+ * @returns {string|null} 流转名称，不存在时返回 null
+ */
+function findAction(fromStatus, toStatus, operatorType) {
+  return Object.keys(TRANSITIONS).find((name) => {
+    const def = TRANSITIONS[name];
+    return def.to === toStatus && def.from.includes(fromStatus) && def.roles.includes(operatorType);
+  }) || null;
+}
+
+/**
+ * 判断在当前状态下某操作人类型能否执行指定流转（不含归属与 guard 校验）
+ * @param {Object} order - 工单
+ * @param {string} action - 流转名称
+ * @param {string} operatorType - 操作人类型
+ * @returns {boolean}
+ */
+function canTransition(order, action, operatorType) {
+  const def = TRANSITIONS[action];
+  return !!def && def.from.includes(order.status) && def.roles.includes(operatorType);
+}
+
+/**
+ * 列出当前状态下某操作人类型可执行的流转
+ * @param {Object} order - 工单
+ * @param {string} operatorType - 操作人类型
+ * @returns {Array<{action: string, to: string}>}
+ */
+function getAvailableActions(order, operatorType) {
+  return Object.keys(TRANSITIONS)
+    .filter((name) => canTransition(order, name, operatorType))
+    .map((name) => ({ action: name, to: TRANSITIONS[name].to }));
+}
+
+/**
+ * 校验操作人角色与工单归属
+ */
+function assertActor(order, def, operatorType, operatorId) {
+  if (!OPERATOR_TYPES.includes(operatorType) || !def.roles.includes(operatorType)) {
+    throw new AppError(`${OPERATOR_TEXT[operatorType] || operatorType}无权${def.label}此工单`, 403);
+  }
+  if (def.claim) {
+    return;
+  }
+  if (operatorType === 'user' && order.user_id !== operatorId) {
+    throw new AppError('无权操作此工单', 403);
+  }
+  if (operatorType === 'electrician' && order.electrician_id !== operatorId) {
+    throw new AppError('无权操作此工单', 403);
+  }
+}
+
+/**
+ * 执行状态流转
+ * 依次进行角色/归属校验、状态校验，然后在事务内执行 guard 校验、以条件更新（防并发）写入新状态，
+ * 并在同一事务中写入状态日志和消息通知
+ * @param {Object} order - 工单实例
+ * @param {string} action - 流转名称
+ * @param {Object} options - 选项
+ * @param {string} options.operatorType - 操作人类型 user/electrician/admin/system
+ * @param {number} [options.operatorId] - 操作人ID
+ * @param {string} [options.remark] - 自定义日志备注，覆盖默认备注
+ * @param {Object} [options.data] - 传给 changes/remark/notify 的业务数据（如原因、评分）
+ * @param {Object} [options.changes] - 额外需要随状态一起写入的字段
+ * @param {Object} [options.transaction] - 外部事务，不传则自动开启
+ * @returns {Promise<Object>} 更新后的工单实例
+ */
+async function transition(order, action, options = {}) {
+  const def = getTransition(action);
+  const {
+    operatorType = 'system',
+    operatorId = null,
+    remark,
+    data = {},
+    transaction
+  } = options;
+
+  assertActor(order, def, operatorType, operatorId);
+
+  const fromStatus = order.status;
+  if (!def.from.includes(fromStatus)) {
+    throw new AppError(`工单当前状态为 ${fromStatus}，无法${def.label}`, 400);
+  }
+
+  if (order.in_dispute && !def.dispute) {
+    throw new AppError('工单存在处理中的纠纷，请等待平台裁决', 409);
+  }
+
+  const ctx = { operatorType, operatorId, data, fromStatus };
+
+  const run = async (t) => {
+    // guard 在事务内执行，其中的加锁与校验和状态写入原子生效
+    if (def.guard) {
+      await def.guard(order, ctx, t);
+    }
+
+    const changes = {
+      ...(def.changes ? def.changes(order, ctx) : {}),
+      ...(options.changes || {}),
+      status: def.to
+    };
+
+    // 条件更新防并发：仅当状态仍为起始状态（且期间未发起纠纷）时才写入
+    const [affected] = await Order.update(changes, {
+      where: { id: order.id, status: fromStatus, ...(!def.dispute && { in_dispute: false }) },
+      transaction: t
+    });
+    if (affected === 0) {
+      throw new AppError('工单状态已变更，请刷新后重试', 409);
+    }
+    order.set(changes);
+
+    // 离开接单后的服务状态（完成、取消等）时，撤销未处理的改约申请
+    const { BUSY_STATUSES } = ElectricianCalendarService;
+    if (BUSY_STATUSES.includes(fromStatus) && !BUSY_STATUSES.includes(def.to)) {
+      await OrderReschedule.update(
+        { status: 'cancelled' },
+        { where: { order_id: order.id, status: 'pending' }, transaction: t }
+      );
+    }
+
+    if (def.effect) {
+      await def.effect(order, ctx, t);
+    }
+
+    const defaultRemark = typeof def.remark === 'function' ? def.remark(order, ctx) : def.remark;
+    await OrderStatusLog.create({
+      order_id: order.id,
+      from_status: fromStatus,
+      to_status: def.to,
+      // operator_id 外键关联 users 表，管理员与系统操作不写入
+      operator_id: ['user', 'electrician'].includes(operatorType) ? operatorId : null,
+      operator_type: operatorType,
+      remark: remark || defaultRemark || null
+    }, { transaction: t });
+
+    const notices = def.notify ? def.notify(order, ctx) : [];
+    for (const notice of notices) {
+      if (!notice || !notice.user_id) continue;
+      await Message.create({
+        user_id: notice.user_id,
+        type: 'order',
+        title: notice.title,
+        content: notice.content,
+        related_id: order.id,
+        is_read: false
+      }, { transaction: t });
+    }
+
+    return order;
+  };
+
+  return transaction ? run(transaction) : sequelize.transaction(run);
+}
+
+/**
+ * 记录不改变状态的工单事件（如派单、拒单、派单超时），与状态流转共用状态日志
+ * @param {Object} order - 工单实例
+ * @param {Object} options - 选项
+ * @param {string} options.operatorType - 操作人类型
+ * @param {number} [options.operatorId] - 操作人ID
+ * @param {string} options.remark - 日志备注
+ * @param {Object} [options.transaction] - 事务
+ * @returns {Promise<Object>} 状态日志
+ */
+async function logEvent(order, options = {}) {
+  const { operatorType = 'system', operatorId = null, remark, transaction } = options;
+  return OrderStatusLog.create({
+    order_id: order.id,
+    from_status: order.status,
+    to_status: order.status,
+    operator_id: ['user', 'electrician'].includes(operatorType) ? operatorId : null,
+    operator_type: operatorType,
+    remark
+  }, { transaction });
+}
+
+/**
+ * 按目标状态执行流转（管理员手动改状态等场景）
+ * @param {Object} order - 工单实例
+ * @param {string} toStatus - 目标状态
+ * @param {Object} options - 同 transition
+ * @returns {Promise<Object>} 更新后的工单实例
+ */
+async function transitionTo(order, toStatus, options = {}) {
+  const operatorType = options.operatorType || 'system';
+  const action = findAction(order.status, toStatus, operatorType);
+  if (!action) {
+    throw new AppError(`不允许将工单从 ${order.status} 变更为 ${toStatus}`, 400);
+  }
+  return transition(order, action, options);
+}
+
+module.exports = {
+  TRANSITIONS,
+  OPERATOR_TYPES,
+  transition,
+  transitionTo,
+  logEvent,
+  findAction,
+  canTransition,
+  getAvailableActions
+};
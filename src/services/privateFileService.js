@@ -0,0 +1,245 @@
+/**
+ * 私有文件服务
+ * - 认证证件（身份证正反面、电工证）保存在存储的 private 命名空间，不经 /uploads 公开
+ * - 数据库保存文件标识 /private/<分类>/<文件名>，访问时生成限时签名地址，签名绑定查看人
+ * - 仅文件所属用户与管理员可获取签名地址；管理员每次查看都写入访问记录
+ * - 头像、故障照片等公开图片仍走 /uploads
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { ElectricianCertification, PrivateFileAccessLog, Admin, User } = require('../models');
+const AppError = require('../utils/AppError');
+
+const KEY_PREFIX = '/private/';
+const URL_PREFIX = '/api/files/private/';
+
+// 私有文件分类
+const CATEGORIES = ['certifications'];
+
+// 认证记录中保存证件图片的字段
+const CERTIFICATION_IMAGE_FIELDS = ['id_card_front', 'id_card_back', 'certificate_img'];
+
+// 签名地址有效期（秒）
+const URL_TTL = Number(process.env.PRIVATE_URL_TTL) || 600;
+
+const getSecret = () => process.env.PRIVATE_URL_SECRET || process.env.JWT_SECRET;
+
+const KEY_PATTERN = /^\/private\/([a-z_]+)\/([\w.-]+)$/;
+
+/**
+ * 是否为私有文件标识
+ * @param {string} value - 图片地址/文件标识
+ * @returns {boolean}
+ */
+const isPrivateKey = (value) => typeof value === 'string' && value.startsWith(KEY_PREFIX);
+
+/**
+ * 解析文件标识，格式无效或分类不存在时返回 null
+ * @param {string} key - 文件标识
+ * @returns {{category: string, filename: string}|null}
+ */
+const parseKey = (key) => {
+  const match = KEY_PATTERN.exec(String(key || ''));
+  if (!match || !CATEGORIES.includes(match[1])) {
+    return null;
+  }
+  return { category: match[1], filename: match[2] };
+};
+
+/**
+ * 生成文件标识
+ * @param {string} category - 分类
+ * @param {string} filename - 文件名
+ * @returns {string}
+ */
+const buildKey = (category, filename) => `${KEY_PREFIX}${category}/${filename}`;
+
+/**
+ * 文件标识对应的存储键
+ * @param {string} key - 文件标识
+ * @returns {string|null}
+ */
+const toStorageKey = (key) => (parseKey(key) ? key.slice(1) : null);
+
+/**
+ * 证件上传文件名：cert_<上传用户ID>_<随机串><扩展名>，文件名中的用户ID用于归属校验
+ * @param {number} userId - 上传用户ID
+ * @param {string} ext - 扩展名（含点）
+ * @returns {string}
+ */
+const buildCertificationFilename = (userId, ext) => `cert_${userId}_${crypto.randomBytes(16).toString('hex')}${ext}`;
+
+/**
+ * 获取文件所属用户：新文件从文件名解析，历史文件按引用它的认证记录查找
+ * @param {string} key - 文件标识
+ * @returns {Promise<number|null>}
+ */
+const getOwnerId = async (key) => {
+  const parsed = parseKey(key);
+  if (!parsed) {
+    return null;
+  }
+  const match = /^cert_(\d+)_/.exec(parsed.filename);
+  if (match) {
+    return Number(match[1]);
+  }
+  const certification = await ElectricianCertification.findOne({
+    where: { [Op.or]: CERTIFICATION_IMAGE_FIELDS.map(field => ({ [field]: key })) },
+    attributes: ['user_id']
+  });
+  return certification ? certification.user_id : null;
+};
+
+/**
+ * 校验提交的证件图片均为本人上传的私有文件
+ * @param {number} userId - 提交用户ID
+ * @param {string[]} values - 图片字段值（空值忽略）
+ */
+const assertOwnFiles = async (userId, values) => {
+  for (const value of values.filter(Boolean)) {
+    if (!parseKey(value)) {
+      throw new AppError('证件图片请通过证件上传接口上传', 400);
+    }
+    const ownerId = await getOwnerId(value);
+    if (ownerId !== userId) {
+      throw new AppError('证件图片无效，请重新上传', 400);
+    }
+  }
+};
+
+const computeSignature = (key, expires, viewer) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${key}|${expires}|${viewer}`)
+  .digest('hex');
+
+/**
+ * 生成限时签名地址（不做权限校验，调用方需确认查看人有权访问）
+ */
+const sign = (key, viewer) => {
+  const expires = Math.floor(Date.now() / 1000) + URL_TTL;
+  const viewerTag = `${viewer.role}:${viewer.id}`;
+  const sig = computeSignature(key, expires, viewerTag);
+  return `${URL_PREFIX}${key.slice(KEY_PREFIX.length)}?expires=${expires}&viewer=${encodeURIComponent(viewerTag)}&sig=${sig}`;
+};
+
+/**
+ * 获取文件访问地址：私有文件校验查看权限后返回签名地址，其他地址原样返回
+ * @param {string} value - 图片地址/文件标识
+ * @param {{role: string, id: number}} viewer - 查看人，role 为 admin 或 user
+ * @returns {Promise<string|null>} 无权查看时返回 null
+ */
+const getAccessUrl = async (value, viewer) => {
+  if (!value || !isPrivateKey(value)) {
+    return value || null;
+  }
+  if (!parseKey(value)) {
+    return null;
+  }
+  if (viewer.role !== 'admin') {
+    const ownerId = await getOwnerId(value);
+    if (ownerId !== viewer.id) {
+      return null;
+    }
+  }
+  return sign(value, viewer);
+};
+
+/**
+ * 将对象中的证件图片字段替换为签名地址
+ * @param {Object} data - 认证记录或提交快照（普通对象）
+ * @param {{role: string, id: number}} viewer - 查看人
+ * @returns {Promise<Object>} 新对象
+ */
+const signCertificationImages = async (data, viewer) => {
+  const result = { ...data };
+  for (const field of CERTIFICATION_IMAGE_FIELDS) {
+    if (field in result) {
+      result[field] = await getAccessUrl(result[field], viewer);
+    }
+  }
+  return result;
+};
+
+/**
+ * 校验签名地址，返回文件标识与查看人
+ * @param {string} key - 文件标识
+ * @param {Object} query - 地址参数 expires/viewer/sig
+ * @returns {{key: string, viewer: {role: string, id: number}}}
+ */
+const verify = (key, { expires, viewer, sig } = {}) => {
+  if (!parseKey(key) || !expires || !viewer || !sig) {
+    throw new AppError('文件地址无效', 403);
+  }
+  const expected = computeSignature(key, expires, viewer);
+  const given = Buffer.from(String(sig));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+    throw new AppError('文件地址无效', 403);
+  }
+  if (Number(expires) < Math.floor(Date.now() / 1000)) {
+    throw new AppError('文件地址已过期，请刷新页面后重试', 403);
+  }
+  const [role, id] = String(viewer).split(':');
+  return { key, viewer: { role, id: Number(id) } };
+};
+
+/**
+ * 记录管理员查看私有文件
+ * @param {string} key - 文件标识
+ * @param {number} adminId - 管理员ID
+ * @param {Object} [meta]
+ * @param {string} [meta.ip] - 访问IP
+ * @param {string} [meta.userAgent] - 访问客户端
+ * @returns {Promise<Object>}
+ */
+const logAdminView = async (key, adminId, { ip, userAgent } = {}) => PrivateFileAccessLog.create({
+  admin_id: adminId,
+  file_key: key,
+  owner_id: await getOwnerId(key),
+  ip: ip || null,
+  user_agent: userAgent ? String(userAgent).slice(0, 255) : null
+});
+
+/**
+ * 查询管理员查看记录（按时间倒序）
+ * @param {Object} [options]
+ * @param {number} [options.adminId] - 管理员ID
+ * @param {number} [options.ownerId] - 文件所属用户ID
+ * @param {number} [options.page=1] - 页码
+ * @param {number} [options.limit=20] - 每页数量
+ * @returns {Promise<{count: number, rows: Array}>}
+ */
+const listAccessLogs = ({ adminId, ownerId, page = 1, limit = 20 } = {}) => {
+  const where = {};
+  if (adminId) {
+    where.admin_id = adminId;
+  }
+  if (ownerId) {
+    where.owner_id = ownerId;
+  }
+  return PrivateFileAccessLog.findAndCountAll({
+    where,
+    include: [
+      { model: Admin, as: 'admin', attributes: ['id', 'username', 'real_name'] },
+      { model: User, as: 'owner', attributes: ['id', 'nickname', 'phone'] }
+    ],
+    order: [['id', 'DESC']],
+    offset: (page - 1) * limit,
+    limit
+  });
+};
+
+module.exports = {
+  CERTIFICATION_IMAGE_FIELDS,
+  isPrivateKey,
+  parseKey,
+  buildKey,
+  toStorageKey,
+  buildCertificationFilename,
+  getOwnerId,
+  assertOwnFiles,
+  getAccessUrl,
+  signCertificationImages,
+  verify,
+  logAdminView,
+  listAccessLogs
+};
@@ -0,0 +1,306 @@
+/**
+ * 维修报价服务
+ * - 电工按明细（人工费、材料费、上门费）提交报价，总额由服务端按 数量 × 单价 计算
+ * - 每次提交生成新版本，未确认的旧版本标记为已替代
+ * - 明细可从标准物料/工时目录选用，记录当时的参考单价，便于用户对比报价偏差
+ * - 用户确认后工单进入待支付维修费，维修费按最新确认的报价总额支付；拒绝后电工可重新报价
+ */
+const { Op } = require('sequelize');
+const { sequelize, Order, OrderQuote, OrderQuoteItem, CatalogItem, Payment, Message } = require('../models');
+const OrderStateMachine = require('./orderStateMachine');
+const AppError = require('../utils/AppError');
+
+// 可提交/确认报价的工单状态，与确认报价流转的起始状态一致
+const QUOTABLE_STATUSES = OrderStateMachine.TRANSITIONS.approve_quote.from;
+
+const ITEM_TYPE_TEXT = {
+  labor: '人工费',
+  material: '材料费',
+  call_out_fee: '上门费'
+};
+
+const toAmount = (value) => Number(Number(value || 0).toFixed(2));
+
+/**
+ * 填充从目录选用的明细：类型取目录项，名称、单位、单价未填写时取目录值，并记录参考单价
+ * @param {Array<Object>} items - 明细
+ * @param {Object} order - 工单（校验目录项适用的服务类型）
+ * @returns {Promise<Array<Object>>}
+ */
+const resolveCatalogItems = async (items, order) => {
+  const ids = [...new Set(items.filter(item => item.catalog_item_id).map(item => item.catalog_item_id))];
+  if (ids.length === 0) {
+    return items;
+  }
+
+  const catalogItems = await CatalogItem.findAll({
+    where: { id: { [Op.in]: ids }, is_active: true }
+  });
+  const byId = new Map(catalogItems.map(c => [c.id, c]));
+
+  return items.map((item) => {
+    if (!item.catalog_item_id) {
+      return item;
+    }
+    const catalog = byId.get(item.catalog_item_id);
+    if (!catalog) {
+      throw new AppError(`目录项 ${item.catalog_item_id} 不存在或已停用`, 400);
+    }
+    if (catalog.service_type_id && catalog.service_type_id !== order.service_type_id) {
+      throw new AppError(`目录项「${catalog.name}」不适用于该工单的服务类型`, 400);
+    }
+    const hasPrice = item.unit_price !== undefined && item.unit_price !== null;
+    return {
+      ...item,
+      item_type: catalog.item_type,
+      name: item.name || [catalog.name, catalog.spec].filter(Boolean).join(' '),
+      unit: item.unit || catalog.unit,
+      unit_price: hasPrice ? item.unit_price : catalog.reference_price,
+      reference_price: catalog.reference_price
+    };
+  });
+};
+
+/**
+ * 计算报价明细金额与总额
+ * @param {Array<Object>} items - 明细 {catalog_item_id, item_type, name, unit, quantity, unit_price, reference_price}
+ * @returns {{items: Array<Object>, total: number}}
+ */
+const calculate = (items) => {
+  const rows = items.map((item, index) => ({
+    catalog_item_id: item.catalog_item_id || null,
+    item_type: item.item_type,
+    name: item.name || ITEM_TYPE_TEXT[item.item_type],
+    unit: item.unit || null,
+    quantity: toAmount(item.quantity),
+    unit_price: toAmount(item.unit_price),
+    reference_price: item.reference_price !== undefined && item.reference_price !== null ? toAmount(item.reference_price) : null,
+    amount: toAmount(Number(item.quantity) * Number(item.unit_price)),
+    sort_order: index
+  }));
+  const total = toAmount(rows.reduce((sum, row) => sum + row.amount, 0));
+  return { items: rows, total };
+};
+
+/**
+ * 附加与目录参考价的偏差：明细 price_deviation（单价差）、deviation_rate（偏差百分比），
+ * 报价 deviation_amount（目录项金额合计与参考价合计之差）
+ * @param {Object} quote - 报价（含明细）
+ * @returns {Object} 普通对象
+ */
+const withDeviation = (quote) => {
+  const data = quote.get({ plain: true });
+  let deviationAmount = 0;
+  data.items = (data.items || []).map((item) => {
+    if (item.reference_price === null || item.reference_price === undefined) {
+      return { ...item, price_deviation: null, deviation_rate: null };
+    }
+    const reference = Number(item.reference_price);
+    const deviation = toAmount(Number(item.unit_price) - reference);
+    deviationAmount += Number(item.amount) - reference * Number(item.quantity);
+    return {
+      ...item,
+      price_deviation: deviation,
+      deviation_rate: reference > 0 ? toAmount(deviation / reference * 100) : null
+    };
+  });
+  data.deviation_amount = toAmount(deviationAmount);
+  return data;
+};
+
+/**
+ * 查询工单当前待确认的报价
+ */
+const findPending = (orderId, transaction) => OrderQuote.findOne({
+  where: { order_id: orderId, status: 'pending' },
+  order: [['version', 'DESC']],
+  transaction
+});
+
+/**
+ * 锁定工单行并校验可报价状态
+ */
+const lockOrder = async (orderId, transaction) => {
+  const order = await Order.findByPk(orderId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!order) {
+    throw new AppError('工单不存在', 404);
+  }
+  if (!QUOTABLE_STATUSES.includes(order.status)) {
+    throw new AppError(`工单当前状态为 ${order.status}，无法处理报价`, 400);
+  }
+  return order;
+};
+
+/**
+ * 电工提交报价（新版本）
+ * @param {Object} order - 工单
+ * @param {number} electricianId - 电工ID
+ * @param {Object} data
+ * @param {Array<Object>} data.items - 报价明细
+ * @param {string} [data.remark] - 报价说明
+ * @param {Object} [data.orderChanges] - 随报价一起更新的工单字段（标题、维修内容、维修图片等）
+ * @returns {Promise<Object>} 报价（含明细）
+ */
+const submit = async (order, electricianId, { items, remark, orderChanges = {} }) => {
+  const { items: rows, total } = calculate(await resolveCatalogItems(items, order));
+  if (total <= 0) {
+    throw new AppError('报价总额必须大于0', 400);
+  }
+
+  const quoteId = await sequelize.transaction(async (t) => {
+    const locked = await lockOrder(order.id, t);
+    if (locked.electrician_id !== electricianId) {
+      throw new AppError('您不是该工单的负责电工', 403);
+    }
+
+    // 维修费已支付后不允许再改价，避免重复收费
+    const paid = await Payment.count({
+      where: { order_id: locked.id, type: 'repair', status: 'success' },
+      transaction: t
+    });
+    if (paid > 0) {
+      throw new AppError('维修费已支付，无法修改报价', 400);
+    }
+
+    await OrderQuote.update({ status: 'superseded' }, {
+      where: { order_id: locked.id, status: 'pending' },
+      transaction: t
+    });
+
+    const version = (await OrderQuote.max('version', { where: { order_id: locked.id }, transaction: t }) || 0) + 1;
+    const quote = await OrderQuote.create({
+      order_id: locked.id,
+      electrician_id: electricianId,
+      version,
+      total_amount: total,
+      status: 'pending',
+      remark
+    }, { transaction: t });
+    await OrderQuoteItem.bulkCreate(rows.map(row => ({ ...row, quote_id: quote.id })), { transaction: t });
+
+    await locked.update({ ...orderChanges, needs_confirmation: true }, { transaction: t });
+
+    await OrderStateMachine.logEvent(locked, {
+      operatorType: 'electrician',
+      operatorId: electricianId,
+      remark: `电工提交第${version}版报价 ¥${total}，等待用户确认${remark ? `（${remark}）` : ''}`,
+      transaction: t
+    });
+
+    await Message.create({
+      user_id: locked.user_id,
+      type: 'order',
+      title: '电工已提交报价',
+      content: `您的工单 ${locked.order_no} 电工提交了维修报价 ¥${total}，请查看明细并确认。`,
+      related_id: locked.id,
+      is_read: false
+    }, { transaction: t });
+
+    order.set(locked.get());
+    return quote.id;
+  });
+
+  const quote = await OrderQuote.findByPk(quoteId, {
+    include: [{ model: OrderQuoteItem, as: 'items' }],
+    order: [[{ model: OrderQuoteItem, as: 'items' }, 'sort_order', 'ASC']]
+  });
+  return withDeviation(quote);
+};
+
+/**
+ * 用户确认或拒绝待确认的报价
+ * @param {Object} order - 工单
+ * @param {number} userId - 用户ID
+ * @param {Object} data
+ * @param {boolean} data.approved - 是否确认
+ * @param {number} [data.quoteId] - 报价ID，传入时校验是否为当前待确认版本
+ * @param {string} [data.reason] - 拒绝原因
+ * @returns {Promise<Object>} 报价
+ */
+const respond = async (order, userId, { approved, quoteId, reason }) => {
+  return sequelize.transaction(async (t) => {
+    const locked = await lockOrder(order.id, t);
+    if (locked.user_id !== userId) {
+      throw new AppError('无权操作此工单', 403);
+    }
+
+    const quote = await findPending(locked.id, t);
+    if (!quote) {
+      throw new AppError('当前订单没有待确认的报价', 400);
+    }
+    if (quoteId && Number(quoteId) !== quote.id) {
+      throw new AppError('报价已更新，请刷新后重新确认', 409);
+    }
+
+    if (approved) {
+      await quote.update({ status: 'approved', responded_at: new Date() }, { transaction: t });
+      await OrderStateMachine.transition(locked, 'approve_quote', {
+        operatorType: 'user',
+        operatorId: userId,
+        data: { quote },
+        transaction: t
+      });
+    } else {
+      await quote.update({
+        status: 'rejected',
+        reject_reason: reason || null,
+        responded_at: new Date()
+      }, { transaction: t });
+      await locked.update({ needs_confirmation: false }, { transaction: t });
+
+      await OrderStateMachine.logEvent(locked, {
+        operatorType: 'user',
+        operatorId: userId,
+        remark: `用户拒绝了第${quote.version}版报价${reason ? `：${reason}` : ''}`,
+        transaction: t
+      });
+
+      await Message.create({
+        user_id: locked.electrician_id,
+        type: 'order',
+        title: '用户拒绝了报价',
+        content: `工单 ${locked.order_no} 用户拒绝了第${quote.version}版报价${reason ? `，原因：${reason}` : ''}，请与用户沟通后重新报价。`,
+        related_id: locked.id,
+        is_read: false
+      }, { transaction: t });
+    }
+
+    order.set(locked.get());
+    return quote;
+  });
+};
+
+/**
+ * 获取工单维修费应付的报价（最新确认的版本）
+ * @param {number} orderId - 工单ID
+ * @returns {Promise<Object|null>}
+ */
+const getApproved = (orderId) => OrderQuote.findOne({
+  where: { order_id: orderId, status: 'approved' },
+  order: [['version', 'DESC']]
+});
+
+/**
+ * 获取工单全部报价版本（含明细及参考价偏差），按版本倒序
+ * @param {number} orderId - 工单ID
+ * @returns {Promise<Array>}
+ */
+const list = async (orderId) => {
+  const quotes = await OrderQuote.findAll({
+    where: { order_id: orderId },
+    include: [{ model: OrderQuoteItem, as: 'items' }],
+    order: [
+      ['version', 'DESC'],
+      [{ model: OrderQuoteItem, as: 'items' }, 'sort_order', 'ASC']
+    ]
+  });
+  return quotes.map(withDeviation);
+};
+
+module.exports = {
+  calculate,
+  submit,
+  respond,
+  getApproved,
+  list
+};
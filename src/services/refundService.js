@@ -0,0 +1,328 @@
+/**
+ * 退款服务
+ * - 一笔支付可多次部分退款，每次退款生成独立的退款记录与退款单号（out_refund_no）
+ * - 退款结果（同步返回或微信退款结果通知）统一通过 applyResult 落库
+ * - 工单所有款项均已退回时关闭工单；已结算工单改为结算失败并冲正电工入账
+ * - 已结算工单不接受部分退款（纠纷裁决退款除外），避免电工入账与实收金额不一致
+ */
+const { Op } = require('sequelize');
+const { sequelize, Payment, Order, Refund, Message } = require('../models');
+const WechatPayV3Service = require('../utils/WechatPayV3Service');
+const OrderStateMachine = require('./orderStateMachine');
+const AppError = require('../utils/AppError');
+
+// 占用可退金额的退款状态
+const ACTIVE_STATUSES = ['pending', 'processing', 'success'];
+
+// 微信退款状态 -> 退款记录状态
+const WECHAT_STATUS_MAP = {
+  SUCCESS: 'success',
+  CLOSED: 'closed',
+  ABNORMAL: 'abnormal',
+  PROCESSING: 'processing'
+};
+
+const toAmount = (value) => Number(Number(value || 0).toFixed(2));
+
+/**
+ * 获取支付剩余可退金额
+ * @param {Object} payment - 支付记录
+ * @param {Object} [transaction] - 事务
+ * @returns {Promise<number>}
+ */
+const getRefundableAmount = async (payment, transaction) => {
+  const occupied = await Refund.sum('amount', {
+    where: { payment_id: payment.id, status: { [Op.in]: ACTIVE_STATUSES } },
+    transaction
+  });
+  return toAmount(Number(payment.amount) - Number(occupied || 0));
+};
+
+/**
+ * 创建退款记录
+ * @param {Object} payment - 支付记录
+ * @param {Object} options
+ * @param {number} [options.amount] - 退款金额，不传则退剩余全部可退金额
+ * @param {string} [options.reason] - 退款原因
+ * @param {string} [options.initiatorType='user'] - 发起方 user/admin
+ * @param {boolean} [options.fromDispute=false] - 纠纷裁决退款（裁决时已按结算金额处理电工入账）
+ * @returns {Promise<Object>} 退款记录
+ */
+const createRefund = async (payment, { amount, reason, initiatorType = 'user', fromDispute = false } = {}) => {
+  return sequelize.transaction(async (t) => {
+    // 锁定支付行，防止并发申请超额退款
+    const locked = await Payment.findByPk(payment.id, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!locked || locked.status !== 'success') {
+      throw new AppError('只有已支付成功的订单才能退款', 400);
+    }
+
+    const refundable = await getRefundableAmount(locked, t);
+    const refundAmount = amount !== undefined && amount !== null ? toAmount(amount) : refundable;
+    if (refundable <= 0) {
+      throw new AppError('该支付已无可退金额', 400);
+    }
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw new AppError(`退款金额需大于0且不超过可退金额¥${refundable}`, 400);
+    }
+
+    // 已结算工单只有全部款项退回才会冲正电工入账，部分退款须通过纠纷裁决重新确定结算金额
+    if (!fromDispute) {
+      const order = await Order.findByPk(locked.order_id, { attributes: ['id', 'status'], transaction: t });
+      if (order && order.status === 'completed_settled') {
+        const otherPaid = await Payment.count({
+          where: { order_id: order.id, status: 'success', id: { [Op.ne]: locked.id } },
+          transaction: t
+        });
+        if (refundAmount < refundable || otherPaid > 0) {
+          throw new AppError('工单已结算，只能全额退款；部分退款请通过纠纷处理', 400);
+        }
+      }
+    }
+
+    const seq = await Refund.count({ where: { payment_id: locked.id }, transaction: t }) + 1;
+    const refund = await Refund.create({
+      refund_no: `RF${locked.out_trade_no}-${seq}`,
+      payment_id: locked.id,
+      order_id: locked.order_id,
+      user_id: locked.user_id,
+      amount: refundAmount,
+      status: 'pending',
+      reason,
+      initiator_type: initiatorType
+    }, { transaction: t });
+
+    await locked.update({
+      refund_status: 'processing',
+      refund_reason: reason,
+      refund_requested_at: new Date()
+    }, { transaction: t });
+
+    return refund;
+  });
+};
+
+/**
+ * 同步支付上的退款汇总字段，全部退回时支付状态改为 refunded
+ * @returns {Promise<boolean>} 支付是否已全额退款
+ */
+const syncPayment = async (payment, transaction) => {
+  const refunds = await Refund.findAll({
+    where: { payment_id: payment.id },
+    order: [['id', 'DESC']],
+    transaction
+  });
+  const refunded = toAmount(refunds
+    .filter(r => r.status === 'success')
+    .reduce((sum, r) => sum + Number(r.amount), 0));
+  const fullyRefunded = refunded >= toAmount(payment.amount);
+
+  // 有退款进行中时为 processing，否则有成功退款为 success，再否则取最近一笔退款的终态
+  let refundStatus = null;
+  if (refunds.some(r => ['pending', 'processing'].includes(r.status))) {
+    refundStatus = 'processing';
+  } else if (refunded > 0) {
+    refundStatus = 'success';
+  } else if (refunds.length > 0) {
+    refundStatus = refunds[0].status;
+  }
+
+  const latestSuccess = refunds.find(r => r.status === 'success');
+  await Payment.update({
+    refund_status: refundStatus,
+    ...(latestSuccess && {
+      refund_id: latestSuccess.wechat_refund_id,
+      refund_completed_at: latestSuccess.completed_at
+    }),
+    ...(fullyRefunded && { status: 'refunded' })
+  }, {
+    where: { id: payment.id },
+    transaction
+  });
+
+  return fullyRefunded;
+};
+
+/**
+ * 工单款项全部退回后更新工单状态
+ */
+const closeOrderIfFullyRefunded = async (order, transaction) => {
+  const payments = await Payment.findAll({
+    where: { order_id: order.id, status: { [Op.in]: ['success', 'refunded'] } },
+    attributes: ['status'],
+    transaction
+  });
+  if (payments.length === 0 || payments.some(p => p.status !== 'refunded')) {
+    return;
+  }
+
+  if (OrderStateMachine.canTransition(order, 'refund_close', 'system')) {
+    await OrderStateMachine.transition(order, 'refund_close', { operatorType: 'system', transaction });
+  } else if (order.status === 'completed_settled') {
+    await OrderStateMachine.transition(order, 'settle_fail', {
+      operatorType: 'system',
+      remark: '订单款项已全部退款，结算撤销',
+      transaction
+    });
+  }
+};
+
+/**
+ * 落库退款结果（同步返回或异步通知）
+ * @param {Object} refund - 退款记录
+ * @param {string} wechatStatus - 微信退款状态 SUCCESS/CLOSED/ABNORMAL/PROCESSING
+ * @param {Object} [data]
+ * @param {string} [data.wechatRefundId] - 微信退款单号
+ * @param {string|Date} [data.successTime] - 退款成功时间
+ * @returns {Promise<boolean>} 是否由本次调用完成状态变更（重复通知返回 false）
+ */
+const applyResult = async (refund, wechatStatus, { wechatRefundId, successTime } = {}) => {
+  const status = WECHAT_STATUS_MAP[wechatStatus];
+  if (!status) {
+    throw new Error(`未知的退款状态: ${wechatStatus}`);
+  }
+
+  return sequelize.transaction(async (t) => {
+    const fields = {
+      status,
+      ...(wechatRefundId && { wechat_refund_id: wechatRefundId }),
+      ...(status !== 'processing' && { completed_at: successTime ? new Date(successTime) : new Date() })
+    };
+    // 退款异常经商户处理后，微信会再次通知最终结果
+    const fromStatuses = ['pending', 'processing'];
+    if (['success', 'closed'].includes(status)) {
+      fromStatuses.push('abnormal');
+    }
+    const [affected] = await Refund.update(fields, {
+      where: { id: refund.id, status: { [Op.in]: fromStatuses } },
+      transaction: t
+    });
+    if (affected === 0 || status === 'processing') {
+      return affected > 0;
+    }
+    refund.set(fields);
+
+    const payment = await Payment.findByPk(refund.payment_id, { transaction: t, lock: t.LOCK.UPDATE });
+    const fullyRefunded = await syncPayment(payment, t);
+
+    const order = await Order.findByPk(refund.order_id, { transaction: t });
+    if (!order) {
+      return true;
+    }
+
+    if (status === 'success') {
+      await OrderStateMachine.logEvent(order, {
+        operatorType: 'system',
+        remark: `退款成功 ¥${toAmount(refund.amount)}（退款单号 ${refund.refund_no}）`,
+        transaction: t
+      });
+      await Message.create({
+        user_id: refund.user_id,
+        type: 'order',
+        title: '退款成功',
+        content: `您的工单 ${order.order_no} 退款 ¥${toAmount(refund.amount)} 已原路退回。`,
+        related_id: order.id,
+        is_read: false
+      }, { transaction: t });
+
+      if (fullyRefunded) {
+        await closeOrderIfFullyRefunded(order, t);
+      }
+    } else {
+      await OrderStateMachine.logEvent(order, {
+        operatorType: 'system',
+        remark: `退款${status === 'closed' ? '关闭' : '异常'} ¥${toAmount(refund.amount)}（退款单号 ${refund.refund_no}）`,
+        transaction: t
+      });
+    }
+    return true;
+  });
+};
+
+/**
+ * 执行退款：微信支付调用退款接口，测试支付直接退款成功
+ * 微信退款为异步处理，接口返回 PROCESSING 时等待退款结果通知
+ * @param {Object} refund - 待审核的退款记录
+ * @param {Object} [options]
+ * @param {string} [options.adminNotes] - 管理员备注
+ * @returns {Promise<Object>} 退款记录
+ */
+const execute = async (refund, { adminNotes = '' } = {}) => {
+  const [affected] = await Refund.update({
+    status: 'processing',
+    admin_notes: adminNotes,
+    processed_at: new Date()
+  }, {
+    where: { id: refund.id, status: 'pending' }
+  });
+  if (affected === 0) {
+    throw new AppError('退款状态已变更，请刷新后重试', 409);
+  }
+
+  const payment = await Payment.findByPk(refund.payment_id);
+  if (payment.payment_method !== 'wechat') {
+    await applyResult(refund, 'SUCCESS', { wechatRefundId: `test_refund_${Date.now()}` });
+    return refund.reload();
+  }
+
+  let result;
+  try {
+    const wxPayService = new WechatPayV3Service();
+    result = await wxPayService.createRefund({
+      out_trade_no: payment.out_trade_no,
+      out_refund_no: refund.refund_no,
+      amount: {
+        refund: Number(refund.amount),
+        total: Number(payment.amount)
+      },
+      reason: refund.reason || adminNotes || '用户申请退款'
+    });
+  } catch (error) {
+    // 退款单未受理，恢复待审核以便重试（相同 out_refund_no 重复提交微信侧幂等）
+    await Refund.update({ status: 'pending' }, { where: { id: refund.id, status: 'processing' } });
+    throw new AppError(`退款执行失败：${error.message}`, 502);
+  }
+
+  // 测试环境模拟退款不返回状态，视为成功
+  await applyResult(refund, result.status || 'SUCCESS', {
+    wechatRefundId: result.refund_id,
+    successTime: result.success_time
+  });
+  return refund.reload();
+};
+
+/**
+ * 拒绝退款申请
+ * @param {Object} refund - 待审核的退款记录
+ * @param {Object} [options]
+ * @param {string} [options.adminNotes] - 管理员备注
+ * @param {Object} [options.transaction] - 外部事务，不传时单独开启事务
+ * @returns {Promise<Object>} 退款记录
+ */
+const reject = async (refund, { adminNotes = '', transaction } = {}) => {
+  const run = async (t) => {
+    const [affected] = await Refund.update({
+      status: 'rejected',
+      admin_notes: adminNotes,
+      processed_at: new Date()
+    }, {
+      where: { id: refund.id, status: 'pending' },
+      transaction: t
+    });
+    if (affected === 0) {
+      throw new AppError('退款状态已变更，请刷新后重试', 409);
+    }
+
+    const payment = await Payment.findByPk(refund.payment_id, { transaction: t, lock: t.LOCK.UPDATE });
+    await syncPayment(payment, t);
+    return refund.reload({ transaction: t });
+  };
+  return transaction ? run(transaction) : sequelize.transaction(run);
+};
+
+module.exports = {
+  getRefundableAmount,
+  createRefund,
+  applyResult,
+  execute,
+  reject
+};
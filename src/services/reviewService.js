@@ -0,0 +1,243 @@
+/**
+ * 评价回复与举报审核服务
+ * - 电工可对收到的每条评价公开回复一次
+ * - 电工可举报辱骂、与服务无关的评价，进入管理员审核队列
+ * - 管理员审核通过后隐藏评价：不再公开展示、不计入电工评分；该评价导致订单待二次评价或完成未结算的，
+ *   按无评价处理，订单改为结算（纠纷处理中的订单由纠纷裁决决定）
+ */
+const { sequelize, Order, Review, ReviewReport, User, Message } = require('../models');
+const OrderStateMachine = require('./orderStateMachine');
+const AppError = require('../utils/AppError');
+
+// 由非五星评价导致未结算的工单状态，评价隐藏后改为结算
+const REVIEW_UNSETTLED_STATUSES = ['pending_second_review', 'completed_unsettle'];
+
+const REASON_TEXT = {
+  abusive: '辱骂/人身攻击',
+  unrelated: '与服务无关'
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * 查找电工收到的评价，不存在或非本人时抛出异常
+ */
+const findOwnReview = async (reviewId, electricianId, transaction) => {
+  const review = await Review.findByPk(reviewId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!review) {
+    throw new AppError('评价不存在', 404);
+  }
+  if (review.electrician_id !== electricianId) {
+    throw new AppError('无权操作此评价', 403);
+  }
+  return review;
+};
+
+/**
+ * 分页获取电工收到的评价（含已隐藏的评价及最近一次举报状态）
+ * @param {number} electricianId - 电工ID
+ * @param {Object} [options]
+ * @param {number} [options.page=1] - 页码
+ * @param {number} [options.pageSize=20] - 每页数量
+ * @returns {Promise<{count: number, rows: Array}>}
+ */
+const listForElectrician = async (electricianId, { page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) => {
+  const { count, rows } = await Review.findAndCountAll({
+    where: { electrician_id: electricianId },
+    include: [
+      { model: Order, as: 'order', attributes: ['id', 'order_no', 'title'] },
+      { model: ReviewReport, as: 'reports', attributes: ['id', 'reason_type', 'status', 'admin_note', 'created_at'] }
+    ],
+    order: [
+      ['created_at', 'DESC'],
+      [{ model: ReviewReport, as: 'reports' }, 'id', 'DESC']
+    ],
+    offset: (page - 1) * pageSize,
+    limit: pageSize,
+    distinct: true
+  });
+
+  return {
+    count,
+    rows: rows.map((review) => {
+      const { reports, ...data } = review.get({ plain: true });
+      return { ...data, latest_report: reports[0] || null };
+    })
+  };
+};
+
+/**
+ * 电工回复评价（每条评价仅可回复一次）
+ * @param {number} reviewId - 评价ID
+ * @param {number} electricianId - 电工ID
+ * @param {string} content - 回复内容
+ * @returns {Promise<Object>} 评价
+ */
+const reply = async (reviewId, electricianId, content) => {
+  return sequelize.transaction(async (t) => {
+    const review = await findOwnReview(reviewId, electricianId, t);
+    if (review.reply) {
+      throw new AppError('该评价已回复，不能重复回复', 400);
+    }
+
+    await review.update({ reply: content, replied_at: new Date() }, { transaction: t });
+
+    await Message.create({
+      user_id: review.user_id,
+      type: 'order',
+      title: '电工回复了您的评价',
+      content: `电工回复了您的评价：${content}`,
+      related_id: review.order_id,
+      is_read: false
+    }, { transaction: t });
+
+    return review;
+  });
+};
+
+/**
+ * 电工举报评价
+ * @param {number} reviewId - 评价ID
+ * @param {number} electricianId - 电工ID
+ * @param {Object} data
+ * @param {string} data.reasonType - 举报类型 abusive/unrelated
+ * @param {string} [data.description] - 举报说明
+ * @returns {Promise<Object>} 举报记录
+ */
+const report = async (reviewId, electricianId, { reasonType, description }) => {
+  return sequelize.transaction(async (t) => {
+    const review = await findOwnReview(reviewId, electricianId, t);
+    if (review.is_hidden) {
+      throw new AppError('该评价已被隐藏', 400);
+    }
+
+    const pending = await ReviewReport.count({
+      where: { review_id: review.id, status: 'pending' },
+      transaction: t
+    });
+    if (pending > 0) {
+      throw new AppError('该评价已在审核中，请耐心等待', 409);
+    }
+
+    return ReviewReport.create({
+      review_id: review.id,
+      electrician_id: electricianId,
+      reason_type: reasonType,
+      description: description || null,
+      status: 'pending'
+    }, { transaction: t });
+  });
+};
+
+/**
+ * 管理员审核队列，待审核的举报按提交时间先后排列
+ * @param {Object} [options]
+ * @param {string} [options.status] - 举报状态
+ * @param {number} [options.page=1] - 页码
+ * @param {number} [options.limit=20] - 每页数量
+ * @returns {Promise<{count: number, rows: Array}>}
+ */
+const listReports = ({ status, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const where = {};
+  if (status) {
+    where.status = status;
+  }
+  return ReviewReport.findAndCountAll({
+    where,
+    include: [
+      {
+        model: Review,
+        as: 'review',
+        include: [
+          { model: User, as: 'user', attributes: ['id', 'nickname'] },
+          { model: Order, as: 'order', attributes: ['id', 'order_no', 'status'] }
+        ]
+      },
+      { model: User, as: 'electrician', attributes: ['id', 'nickname'] }
+    ],
+    order: status === 'pending' ? [['created_at', 'ASC']] : [['created_at', 'DESC']],
+    offset: (page - 1) * limit,
+    limit
+  });
+};
+
+/**
+ * 评价隐藏后按无评价处理订单结算
+ */
+const settleIfUnsettledByReview = async (review, adminId, transaction) => {
+  const order = await Order.findByPk(review.order_id, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!order || !REVIEW_UNSETTLED_STATUSES.includes(order.status) || order.in_dispute) {
+    return false;
+  }
+  await OrderStateMachine.transition(order, 'admin_settle', {
+    operatorType: 'admin',
+    operatorId: adminId,
+    remark: '用户评价经审核已隐藏，不计入结算规则，订单结算',
+    transaction
+  });
+  return true;
+};
+
+/**
+ * 管理员审核举报：隐藏评价或驳回举报
+ * @param {number} reportId - 举报ID
+ * @param {number} adminId - 管理员ID
+ * @param {Object} data
+ * @param {string} data.action - hide 隐藏评价 / dismiss 驳回
+ * @param {string} [data.note] - 审核备注
+ * @returns {Promise<{report: Object, settled: boolean}>} 举报记录、是否因隐藏评价改为结算
+ */
+const handleReport = async (reportId, adminId, { action, note }) => {
+  if (!['hide', 'dismiss'].includes(action)) {
+    throw new AppError('审核操作无效', 400);
+  }
+
+  return sequelize.transaction(async (t) => {
+    const reportRow = await ReviewReport.findByPk(reportId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!reportRow) {
+      throw new AppError('举报不存在', 404);
+    }
+    if (reportRow.status !== 'pending') {
+      throw new AppError('该举报已审核', 400);
+    }
+    const review = await Review.findByPk(reportRow.review_id, { transaction: t, lock: t.LOCK.UPDATE });
+
+    await reportRow.update({
+      status: action === 'hide' ? 'upheld' : 'dismissed',
+      admin_id: adminId,
+      admin_note: note || null,
+      handled_at: new Date()
+    }, { transaction: t });
+
+    let settled = false;
+    if (action === 'hide') {
+      await review.update({
+        is_hidden: true,
+        hidden_reason: note || REASON_TEXT[reportRow.reason_type],
+        hidden_at: new Date()
+      }, { transaction: t });
+      settled = await settleIfUnsettledByReview(review, adminId, t);
+    }
+
+    await Message.create({
+      user_id: reportRow.electrician_id,
+      type: 'order',
+      title: action === 'hide' ? '评价举报已通过' : '评价举报未通过',
+      content: action === 'hide'
+        ? `您举报的评价（${REASON_TEXT[reportRow.reason_type]}）经审核已隐藏，不再计入评分${settled ? '，相关工单已改为结算' : ''}。`
+        : `您举报的评价（${REASON_TEXT[reportRow.reason_type]}）经审核未予隐藏${note ? `，原因：${note}` : ''}。`,
+      related_id: review.order_id,
+      is_read: false
+    }, { transaction: t });
+
+    return { report: reportRow, settled };
+  });
+};
+
+module.exports = {
+  listForElectrician,
+  reply,
+  report,
+  listReports,
+  handleReport
+};
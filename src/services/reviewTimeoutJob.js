@@ -0,0 +1,67 @@
+/**
+ * 评价超时自动确认任务
+ * 工单完成后用户长期不评价时，资金会一直停留在待评价状态无法结算，
+ * 超过配置的时长后由系统按默认结果关闭待评价、待二次评价的工单（由定时任务调度器执行）
+ */
+const { Op } = require('sequelize');
+const { Order, SystemConfig } = require('../models');
+const OrderStateMachine = require('./orderStateMachine');
+
+// 默认自动确认时长（小时），可通过 system_configs.review_auto_confirm_hours 配置
+const DEFAULT_AUTO_CONFIRM_HOURS = 168;
+
+// 待二次评价超时的默认结果：settle 结算 / unsettle 不结算，可通过 system_configs.review_auto_confirm_outcome 配置
+// 二次评价非五星时工单不结算，默认不结算，用户不评价时资金不会自动放给电工
+const DEFAULT_SECOND_REVIEW_OUTCOME = 'unsettle';
+
+/**
+ * 自动确认超时未评价的工单
+ * - 待评价：以电工完成服务时间起算，超时后自动结算
+ * - 待二次评价：以首次评价时间起算，超时后默认不结算，配置为 settle 时结算
+ * @returns {Promise<{settled: number, unsettled: number, skipped: number}>} 结算数、不结算数、跳过数（并发已被处理）
+ */
+async function autoConfirmOverdueReviews() {
+  const configuredHours = await SystemConfig.getNumber('review_auto_confirm_hours', DEFAULT_AUTO_CONFIRM_HOURS);
+  // 配置异常（小于1小时）时使用默认时长，避免立即确认所有待评价工单
+  const hours = configuredHours >= 1 ? configuredHours : DEFAULT_AUTO_CONFIRM_HOURS;
+  const secondOutcome = await SystemConfig.getValue('review_auto_confirm_outcome', DEFAULT_SECOND_REVIEW_OUTCOME);
+  const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const overdueOrders = await Order.findAll({
+    where: {
+      // 纠纷处理中的工单等待平台裁决
+      in_dispute: false,
+      [Op.or]: [
+        { status: 'pending_review', completed_at: { [Op.lte]: cutoff } },
+        { status: 'pending_second_review', reviewed_at: { [Op.lte]: cutoff } }
+      ]
+    },
+    limit: 100
+  });
+
+  const result = { settled: 0, unsettled: 0, skipped: 0 };
+  for (const order of overdueOrders) {
+    const action = order.status === 'pending_second_review' && secondOutcome !== 'settle'
+      ? 'auto_unsettle'
+      : 'auto_settle';
+
+    try {
+      await OrderStateMachine.transition(order, action, {
+        operatorType: 'system',
+        data: { hours }
+      });
+      result[action === 'auto_settle' ? 'settled' : 'unsettled']++;
+    } catch (error) {
+      // 用户恰好在此期间完成评价，状态已变更
+      if (error.statusCode === 409) {
+        result.skipped++;
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  return result;
+}
+
+module.exports = { autoConfirmOverdueReviews };
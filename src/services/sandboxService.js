@@ -0,0 +1,224 @@
+/**
+ * 测试账号服务
+ * - 管理员指定测试手机号与固定验证码（仅保存 bcrypt 哈希），测试账号登录时校验固定验证码，不发送短信
+ * - 固定验证码与短信验证码共用输错次数限制，达到上限后清除固定验证码并停用账号，需管理员重新设置
+ * - 测试支付（payment_method=test）及手动确认仅限测试账号，且仅在非生产环境可用
+ * - 测试账号创建的工单标记 is_sandbox，不计入平台统计与电工完成单数
+ */
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const { SandboxAccount, User, Admin } = require('../models');
+const AppError = require('../utils/AppError');
+const SmsService = require('../utils/smsService');
+
+const PHONE_PATTERN = /^1[3-9]\d{9}$/;
+// 与登录接口验证码格式一致
+const LOGIN_CODE_PATTERN = /^\d{6}$/;
+
+const BCRYPT_ROUNDS = 10;
+
+// 输错次数计数类型与计数有效期（秒）
+const ATTEMPT_TYPE = 'sandbox_login';
+const ATTEMPT_TTL = 24 * 60 * 60;
+
+/**
+ * 是否为生产环境（生产环境禁用测试支付）
+ * @returns {boolean}
+ */
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+/**
+ * 按手机号查找启用中的测试账号
+ * @param {string} phone - 手机号
+ * @returns {Promise<Object|null>}
+ */
+const findActiveByPhone = (phone) => SandboxAccount.findOne({ where: { phone, status: 'active' } });
+
+/**
+ * 校验测试账号固定验证码，输错达到上限后清除固定验证码并停用账号
+ * @param {Object} account - 启用中的测试账号
+ * @param {string} code - 登录提交的验证码
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+const verifyLoginCode = async (account, code) => {
+  if (!account.login_code_hash) {
+    return { success: false, message: '测试账号未设置固定验证码，请联系管理员' };
+  }
+  if (await bcrypt.compare(String(code), account.login_code_hash)) {
+    await SmsService.clearWrongAttempts(account.phone, ATTEMPT_TYPE);
+    return { success: true, message: '验证码验证成功' };
+  }
+
+  const { remaining, exhausted } = await SmsService.recordWrongAttempt(account.phone, ATTEMPT_TYPE, ATTEMPT_TTL);
+  if (exhausted) {
+    await account.update({ login_code_hash: null, status: 'disabled' });
+    return { success: false, message: '验证码错误次数过多，测试账号已停用，请联系管理员重新设置' };
+  }
+  return { success: false, message: `验证码错误，还可尝试${remaining}次` };
+};
+
+/**
+ * 返回给后台的测试账号信息（不含验证码哈希）
+ */
+const toPublic = (account) => {
+  const { login_code_hash: loginCodeHash, ...data } = account.get({ plain: true });
+  return { ...data, has_login_code: Boolean(loginCodeHash) };
+};
+
+/**
+ * 用户是否为测试账号
+ * @param {number} userId - 用户ID
+ * @param {Object} [transaction] - 事务
+ * @returns {Promise<boolean>}
+ */
+const isSandboxUser = async (userId, transaction) => {
+  const user = await User.findByPk(userId, { attributes: ['phone'], transaction });
+  if (!user) {
+    return false;
+  }
+  const account = await SandboxAccount.findOne({
+    where: { phone: user.phone, status: 'active' },
+    attributes: ['id'],
+    transaction
+  });
+  return Boolean(account);
+};
+
+/**
+ * 用户是否可使用测试支付：非生产环境的测试账号
+ * @param {number} userId - 用户ID
+ * @returns {Promise<boolean>}
+ */
+const canUseTestPayment = async (userId) => !isProduction() && isSandboxUser(userId);
+
+const validateFields = ({ phone, login_code: loginCode, status }) => {
+  if (phone !== undefined && !PHONE_PATTERN.test(String(phone))) {
+    throw new AppError('手机号格式不正确', 400);
+  }
+  if (loginCode !== undefined && !LOGIN_CODE_PATTERN.test(String(loginCode))) {
+    throw new AppError('固定验证码须为6位数字', 400);
+  }
+  if (status !== undefined && !['active', 'disabled'].includes(status)) {
+    throw new AppError('状态不正确', 400);
+  }
+};
+
+/**
+ * 查询测试账号（附带已注册用户信息）
+ * @param {Object} [options]
+ * @param {string} [options.status] - 状态
+ * @param {string} [options.keyword] - 手机号/备注关键字
+ * @param {number} [options.page=1] - 页码
+ * @param {number} [options.limit=20] - 每页数量
+ * @returns {Promise<{count: number, rows: Array}>}
+ */
+const list = async ({ status, keyword, page = 1, limit = 20 } = {}) => {
+  const where = {};
+  if (status) {
+    where.status = status;
+  }
+  if (keyword) {
+    where[Op.or] = [
+      { phone: { [Op.like]: `%${keyword}%` } },
+      { remark: { [Op.like]: `%${keyword}%` } }
+    ];
+  }
+  const { count, rows } = await SandboxAccount.findAndCountAll({
+    where,
+    include: [{ model: Admin, as: 'creator', attributes: ['id', 'username', 'real_name'] }],
+    order: [['id', 'DESC']],
+    offset: (page - 1) * limit,
+    limit
+  });
+
+  const users = await User.findAll({
+    where: { phone: rows.map(row => row.phone) },
+    attributes: ['id', 'phone', 'nickname', 'current_role', 'status']
+  });
+  const userByPhone = new Map(users.map(user => [user.phone, user]));
+
+  return {
+    count,
+    rows: rows.map(row => ({ ...toPublic(row), user: userByPhone.get(row.phone) || null }))
+  };
+};
+
+/**
+ * 指定测试账号（手机号可尚未注册）
+ * @param {number} adminId - 管理员ID
+ * @param {Object} data
+ * @param {string} data.phone - 手机号
+ * @param {string} data.login_code - 固定验证码
+ * @param {string} [data.remark] - 备注
+ * @returns {Promise<Object>}
+ */
+const create = async (adminId, { phone, login_code: loginCode, remark = null }) => {
+  if (!phone || !loginCode) {
+    throw new AppError('手机号和固定验证码不能为空', 400);
+  }
+  validateFields({ phone, login_code: loginCode });
+  if (await SandboxAccount.findOne({ where: { phone } })) {
+    throw new AppError('该手机号已是测试账号', 409);
+  }
+  const account = await SandboxAccount.create({
+    phone,
+    login_code_hash: await bcrypt.hash(String(loginCode), BCRYPT_ROUNDS),
+    remark,
+    created_by: adminId
+  });
+  return toPublic(account);
+};
+
+/**
+ * 更新测试账号（固定验证码、备注、启用/停用）
+ * @param {number} id - 测试账号ID
+ * @param {Object} changes - login_code / remark / status
+ * @returns {Promise<Object>}
+ */
+const update = async (id, changes) => {
+  const account = await SandboxAccount.findByPk(id);
+  if (!account) {
+    throw new AppError('测试账号不存在', 404);
+  }
+  const data = {};
+  ['remark', 'status'].forEach((field) => {
+    if (changes[field] !== undefined) {
+      data[field] = changes[field];
+    }
+  });
+  validateFields({ ...data, login_code: changes.login_code });
+  if (changes.login_code !== undefined) {
+    data.login_code_hash = await bcrypt.hash(String(changes.login_code), BCRYPT_ROUNDS);
+    await SmsService.clearWrongAttempts(account.phone, ATTEMPT_TYPE);
+  }
+  // 未设置固定验证码的账号不能启用
+  if ((data.status || account.status) === 'active' && !(data.login_code_hash || account.login_code_hash)) {
+    throw new AppError('请先设置固定验证码再启用测试账号', 400);
+  }
+  await account.update(data);
+  return toPublic(account);
+};
+
+/**
+ * 取消测试账号（已创建的工单保留测试标记）
+ * @param {number} id - 测试账号ID
+ */
+const remove = async (id) => {
+  const account = await SandboxAccount.findByPk(id);
+  if (!account) {
+    throw new AppError('测试账号不存在', 404);
+  }
+  await account.destroy();
+};
+
+module.exports = {
+  isProduction,
+  findActiveByPhone,
+  verifyLoginCode,
+  isSandboxUser,
+  canUseTestPayment,
+  list,
+  create,
+  update,
+  remove
+};
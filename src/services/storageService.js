@@ -0,0 +1,272 @@
+/**
+ * 文件存储服务
+ * - 上传文件通过存储驱动读写，STORAGE_DRIVER 选择驱动：local 本地磁盘（默认）、s3 S3 兼容对象存储（AWS S3 / MinIO / 阿里云 OSS）
+ * - 数据库保存的地址不随驱动变化：公开文件 /uploads/...，私有文件 /private/...；
+ *   去掉开头的 / 即为存储键（uploads/avatars/xxx.jpg、private/certifications/xxx.jpg）
+ * - 公开文件由 /uploads 统一解析：本地驱动直接返回文件，对象存储重定向到公开地址或预签名地址
+ *
+ * 本地驱动：UPLOAD_DIR（公开目录，默认 uploads）、PRIVATE_UPLOAD_DIR（私有目录，默认 private_uploads）
+ * 对象存储：S3_ENDPOINT、S3_BUCKET、S3_ACCESS_KEY_ID、S3_SECRET_ACCESS_KEY、S3_REGION、
+ *   S3_FORCE_PATH_STYLE（MinIO 设为 true）、S3_PUBLIC_URL（公开文件访问域名，可选，不配置时使用预签名地址）
+ * 本地测试可用 MinIO：S3_ENDPOINT=http://127.0.0.1:9000 S3_FORCE_PATH_STYLE=true
+ */
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const S3Client = require('../utils/s3Client');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+
+// 存储键的顶层命名空间：uploads 公开、private 私有
+const NAMESPACES = ['uploads', 'private'];
+
+// 对象存储预签名地址有效期（秒）
+const PRESIGN_TTL = 600;
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+/**
+ * 按扩展名推断 MIME 类型
+ * @param {string} key - 存储键或文件名
+ * @returns {string}
+ */
+const guessContentType = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+/**
+ * 数据库中保存的地址转为存储键，非本平台文件（如外部 URL）返回 null
+ * @param {string} url - /uploads/... 或 /private/...
+ * @returns {string|null}
+ */
+const toKey = (url) => {
+  const key = String(url || '').replace(/^\//, '');
+  const [namespace, ...rest] = key.split('/');
+  if (!NAMESPACES.includes(namespace) || rest.length === 0 || rest.some(part => !part || part === '..' || part === '.')) {
+    return null;
+  }
+  return key;
+};
+
+/**
+ * 存储键转为数据库中保存的地址
+ * @param {string} key - 存储键
+ * @returns {string}
+ */
+const toUrl = (key) => `/${key}`;
+
+/**
+ * 本地磁盘驱动
+ */
+const createLocalDriver = ({
+  publicDir = process.env.UPLOAD_DIR || path.join(ROOT_DIR, 'uploads'),
+  privateDir = process.env.PRIVATE_UPLOAD_DIR || path.join(ROOT_DIR, 'private_uploads')
+} = {}) => {
+  const roots = {
+    uploads: path.resolve(publicDir),
+    private: path.resolve(privateDir)
+  };
+
+  const resolve = (key) => {
+    const [namespace, ...rest] = key.split('/');
+    return path.join(roots[namespace], ...rest);
+  };
+
+  const walk = async (dir, prefix) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const keys = [];
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const childKey = `${prefix}/${entry.name}`;
+      if (entry.isDirectory()) {
+        keys.push(...await walk(path.join(dir, entry.name), childKey));
+      } else if (entry.isFile()) {
+        keys.push(childKey);
+      }
+    }
+    return keys;
+  };
+
+  return {
+    name: 'local',
+    async put(key, body) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+    async get(key) {
+      try {
+        return await fs.promises.readFile(resolve(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async exists(key) {
+      try {
+        const stat = await fs.promises.stat(resolve(key));
+        return stat.isFile();
+      } catch (error) {
+        return false;
+      }
+    },
+    async delete(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+    async list(namespace) {
+      return walk(roots[namespace], namespace);
+    },
+    // 本地文件直接由 express 返回
+    async send(res, key) {
+      res.sendFile(resolve(key));
+    },
+    publicUrl(key) {
+      return toUrl(key);
+    },
+    roots
+  };
+};
+
+/**
+ * S3 兼容对象存储驱动
+ */
+const createS3Driver = ({
+  endpoint = process.env.S3_ENDPOINT,
+  bucket = process.env.S3_BUCKET,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  region = process.env.S3_REGION || 'us-east-1',
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  publicBaseUrl = process.env.S3_PUBLIC_URL
+} = {}) => {
+  const client = new S3Client({ endpoint, bucket, accessKeyId, secretAccessKey, region, forcePathStyle });
+
+  return {
+    name: 's3',
+    put(key, body, contentType) {
+      return client.putObject(key, body, contentType || guessContentType(key));
+    },
+    get(key) {
+      return client.getObject(key);
+    },
+    exists(key) {
+      return client.headObject(key);
+    },
+    delete(key) {
+      return client.deleteObject(key);
+    },
+    list(namespace) {
+      return client.listKeys(`${namespace}/`);
+    },
+    // 对象存储文件重定向到限时地址，不经应用服务器中转
+    async send(res, key) {
+      res.redirect(302, client.presignGetUrl(key, PRESIGN_TTL));
+    },
+    publicUrl(key) {
+      return publicBaseUrl ? `${publicBaseUrl.replace(/\/$/, '')}/${key}` : client.presignGetUrl(key, PRESIGN_TTL);
+    },
+    client
+  };
+};
+
+const DRIVERS = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+const driverCache = {};
+
+/**
+ * 获取存储驱动（按名称缓存）
+ * @param {string} [name=STORAGE_DRIVER] - local / s3
+ * @returns {Object}
+ */
+const getDriver = (name = process.env.STORAGE_DRIVER || 'local') => {
+  if (!DRIVERS[name]) {
+    throw new Error(`未知的存储驱动: ${name}`);
+  }
+  if (!driverCache[name]) {
+    driverCache[name] = DRIVERS[name]();
+  }
+  return driverCache[name];
+};
+
+/**
+ * 保存文件
+ * @param {string} key - 存储键
+ * @param {Buffer} body - 内容
+ * @param {string} [contentType] - MIME 类型
+ */
+const save = (key, body, contentType) => getDriver().put(key, body, contentType);
+
+/**
+ * 读取文件，不存在时返回 null
+ * @param {string} key - 存储键
+ * @returns {Promise<Buffer|null>}
+ */
+const read = (key) => getDriver().get(key);
+
+/**
+ * 文件是否存在
+ * @param {string} key - 存储键
+ * @returns {Promise<boolean>}
+ */
+const exists = (key) => getDriver().exists(key);
+
+/**
+ * 删除文件
+ * @param {string} key - 存储键
+ */
+const remove = (key) => getDriver().delete(key);
+
+/**
+ * 返回文件内容（本地驱动直接发送，对象存储重定向）
+ * @param {Object} res - express 响应
+ * @param {string} key - 存储键
+ */
+const send = (res, key) => getDriver().send(res, key);
+
+/**
+ * /uploads 公开文件中间件：本地驱动走静态文件服务，对象存储重定向
+ * @returns {Function} express 中间件
+ */
+const publicFileHandler = () => {
+  const driver = getDriver();
+  if (driver.name === 'local') {
+    return express.static(driver.roots.uploads);
+  }
+  return (req, res, next) => {
+    const key = toKey(`/uploads${decodeURIComponent(req.path)}`);
+    if (!key || !['GET', 'HEAD'].includes(req.method)) {
+      return next();
+    }
+    res.redirect(302, driver.publicUrl(key));
+  };
+};
+
+module.exports = {
+  NAMESPACES,
+  guessContentType,
+  toKey,
+  toUrl,
+  getDriver,
+  save,
+  read,
+  exists,
+  remove,
+  send,
+  publicFileHandler
+};
@@ -0,0 +1,244 @@
+/**
+ * 上传文件服务
+ * - 按文件头识别真实类型，不信任客户端上报的 mimetype；扩展名以识别结果为准
+ * - 同一用户同一用途上传相同内容（SHA-256）时复用已有文件，不重复存储
+ * - 每个文件登记上传人与用途；定时任务清理超过宽限期仍无任何业务引用的文件
+ */
+const crypto = require('crypto');
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize, UploadedFile, SystemConfig } = require('../models');
+const StorageService = require('./storageService');
+const FileType = require('../utils/fileType');
+const AppError = require('../utils/AppError');
+
+const DEFAULT_GRACE_HOURS = 72;
+const SWEEP_BATCH_SIZE = 200;
+
+const TYPE_NAMES = {
+  'image/jpeg': 'JPG',
+  'image/png': 'PNG',
+  'image/gif': 'GIF',
+  'image/webp': 'WEBP',
+  'application/pdf': 'PDF',
+  'application/msword': 'DOC',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'DOCX'
+};
+
+// 可能引用上传文件的字段（JSON 字段按文本匹配，兼容完整 URL 与相对路径）
+const REFERENCES = [
+  { table: 'orders', columns: ['images', 'repair_images'], json: true },
+  { table: 'users', columns: ['avatar'] },
+  { table: 'electrician_certifications', columns: ['id_card_front', 'id_card_back', 'certificate_img'] },
+  { table: 'certification_submissions', columns: ['snapshot'], json: true },
+  { table: 'reviews', columns: ['images'], json: true },
+  { table: 'order_disputes', columns: ['evidence_images'], json: true },
+  { table: 'order_dispute_events', columns: ['images'], json: true },
+  { table: 'order_chat_messages', columns: ['content'] }
+];
+
+const resolveOption = (option, req, file) => (typeof option === 'function' ? option(req, file) : option);
+
+/**
+ * 查找可复用的同内容文件，复用时重新计算清理宽限期，避免刚返回给客户端的文件被清理
+ */
+const findDuplicate = async (ownerId, purpose, contentHash) => {
+  const existing = await UploadedFile.findOne({
+    where: { owner_id: ownerId, purpose, content_hash: contentHash, status: 'active' }
+  });
+  if (!existing || !(await StorageService.exists(existing.storage_key))) {
+    return null;
+  }
+  // 清理任务只处理 checked_at 为空或早于宽限期的文件，刷新后重新计时
+  const [affected] = await UploadedFile.update(
+    { checked_at: new Date() },
+    { where: { id: existing.id, status: 'active' } }
+  );
+  // 刷新前已被清理任务删除时按新文件保存
+  return affected > 0 ? existing : null;
+};
+
+/**
+ * 校验、去重并保存上传文件
+ * @param {Buffer} body - 文件内容
+ * @param {Object} options
+ * @param {string} options.dir - 存储目录（存储键前缀）
+ * @param {string} options.purpose - 用途
+ * @param {number} [options.ownerId] - 上传用户ID
+ * @param {string[]} options.allowedTypes - 允许的文件类型（MIME）
+ * @param {Function} options.filename - ({ mime, ext }) => 文件名
+ * @returns {Promise<{key: string, url: string, mimetype: string, deduplicated: boolean}>}
+ */
+const store = async (body, { dir, purpose, ownerId, allowedTypes, filename }) => {
+  const type = FileType.detect(body);
+  if (!type || !allowedTypes.includes(type.mime)) {
+    const names = [...new Set(allowedTypes.map(mime => TYPE_NAMES[mime] || mime))].join('、');
+    throw new AppError(`文件内容与格式不符，仅支持 ${names}`, 400);
+  }
+
+  const contentHash = crypto.createHash('sha256').update(body).digest('hex');
+  const duplicate = await findDuplicate(ownerId || null, purpose, contentHash);
+  if (duplicate) {
+    return {
+      key: duplicate.storage_key,
+      url: StorageService.toUrl(duplicate.storage_key),
+      mimetype: duplicate.mime_type,
+      deduplicated: true
+    };
+  }
+
+  const key = `${dir}/${filename(type)}`;
+  await StorageService.save(key, body, type.mime);
+  await UploadedFile.create({
+    storage_key: key,
+    content_hash: contentHash,
+    size: body.length,
+    mime_type: type.mime,
+    owner_id: ownerId || null,
+    purpose
+  });
+  return { key, url: StorageService.toUrl(key), mimetype: type.mime, deduplicated: false };
+};
+
+/**
+ * multer 存储引擎：校验文件头、去重后写入当前存储驱动并登记
+ * req.file 增加 key（存储键）、url（保存到数据库的地址），mimetype 替换为识别结果
+ * @param {Object} options
+ * @param {string|Function} options.dir - 存储目录，如 uploads/avatars；也可为 (req, file) => 目录
+ * @param {string|Function} options.purpose - 用途；也可为 (req, file) => 用途
+ * @param {string[]} [options.allowedTypes] - 允许的文件类型，默认图片
+ * @param {Function} options.filename - (req, file, { mime, ext }) => 文件名
+ * @returns {Object}
+ */
+const multerStorage = ({ dir, purpose, allowedTypes = FileType.IMAGE_TYPES, filename }) => ({
+  _handleFile(req, file, cb) {
+    const chunks = [];
+    let size = 0;
+    file.stream.on('data', (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+    });
+    file.stream.on('error', cb);
+    file.stream.on('end', async () => {
+      // 超过大小限制时 multer 会中止上传，不写入存储
+      if (file.stream.truncated) {
+        return cb(null, { size });
+      }
+      try {
+        const result = await store(Buffer.concat(chunks), {
+          dir: resolveOption(dir, req, file),
+          purpose: resolveOption(purpose, req, file),
+          ownerId: req.user && req.user.id,
+          allowedTypes,
+          filename: type => filename(req, file, type)
+        });
+        cb(null, {
+          filename: result.key.split('/').pop(),
+          key: result.key,
+          url: result.url,
+          mimetype: result.mimetype,
+          deduplicated: result.deduplicated,
+          size
+        });
+      } catch (error) {
+        cb(error);
+      }
+    });
+  },
+  _removeFile(req, file, cb) {
+    // 复用的已有文件不删除
+    if (!file.key || file.deduplicated) {
+      return cb(null);
+    }
+    Promise.all([
+      StorageService.remove(file.key),
+      UploadedFile.destroy({ where: { storage_key: file.key } })
+    ]).then(() => cb(null), cb);
+  }
+});
+
+/**
+ * 生成随机文件名
+ * @param {string} prefix - 前缀
+ * @param {string} ext - 扩展名（含点）
+ * @returns {string}
+ */
+const randomFilename = (prefix, ext) => `${prefix}_${crypto.randomBytes(16).toString('hex')}${ext}`;
+
+/**
+ * 文件是否仍被业务数据引用
+ * @param {string} url - 保存到数据库的地址
+ * @returns {Promise<boolean>}
+ */
+const isReferenced = async (url) => {
+  const pattern = `%${url.replace(/[\\%_]/g, '\\$&')}%`;
+  for (const { table, columns, json } of REFERENCES) {
+    const conditions = columns
+      .map(column => `${json ? `CAST(${column} AS CHAR)` : column} LIKE :pattern`)
+      .join(' OR ');
+    const rows = await sequelize.query(`SELECT 1 FROM ${table} WHERE ${conditions} LIMIT 1`, {
+      replacements: { pattern },
+      type: QueryTypes.SELECT
+    });
+    if (rows.length > 0) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * 清理无引用的上传文件：上传或上次检查超过宽限期的文件逐个检查引用，仍被引用的记录检查时间，无引用的删除
+ * @returns {Promise<{checked: number, deleted: number}>}
+ */
+async function sweepOrphanUploads() {
+  const graceHours = await SystemConfig.getNumber('upload_orphan_grace_hours', DEFAULT_GRACE_HOURS);
+  const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+
+  const candidates = await UploadedFile.findAll({
+    where: {
+      status: 'active',
+      created_at: { [Op.lt]: cutoff },
+      [Op.or]: [
+        { checked_at: null },
+        { checked_at: { [Op.lt]: cutoff } }
+      ]
+    },
+    order: [['checked_at', 'ASC'], ['id', 'ASC']],
+    limit: SWEEP_BATCH_SIZE
+  });
+
+  const result = { checked: 0, deleted: 0 };
+  for (const file of candidates) {
+    result.checked++;
+    if (await isReferenced(StorageService.toUrl(file.storage_key))) {
+      await file.update({ checked_at: new Date() });
+      continue;
+    }
+    // 先按宽限期条件标记删除，期间被去重复用（checked_at 已刷新）的文件不删除
+    const now = new Date();
+    const [claimed] = await UploadedFile.update({ status: 'deleted', checked_at: now, deleted_at: now }, {
+      where: {
+        id: file.id,
+        status: 'active',
+        [Op.or]: [
+          { checked_at: null },
+          { checked_at: { [Op.lt]: cutoff } }
+        ]
+      }
+    });
+    if (claimed === 0) {
+      continue;
+    }
+    await StorageService.remove(file.storage_key);
+    result.deleted++;
+  }
+  return result;
+}
+
+module.exports = {
+  store,
+  multerStorage,
+  randomFilename,
+  isReferenced,
+  sweepOrphanUploads
+};
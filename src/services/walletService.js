@@ -0,0 +1,379 @@
+/**
+ * 电工钱包服务
+ * 所有余额变动都通过本模块写入钱包流水（wallet_transactions），余额由流水汇总得出：
+ * - 订单结算入账、扣除平台佣金 / 结算冲正
+ * - 提现申请冻结、提现成功扣除、提现失败或取消解冻
+ * - 管理员人工调整
+ * 记账时锁定电工用户行，保证同一电工的流水串行写入
+ */
+const { Op } = require('sequelize');
+const { sequelize, User, Order, Payment, Refund, Withdrawal, WalletTransaction } = require('../models');
+const AppError = require('../utils/AppError');
+const CommissionService = require('./commissionService');
+
+// 提现进行中的状态（已冻结金额）
+const WITHDRAW_ACTIVE_STATUSES = ['pending', 'processing'];
+
+const toAmount = (value) => Number(Number(value || 0).toFixed(2));
+
+/**
+ * 汇总电工当前余额
+ * @param {number} electricianId - 电工ID
+ * @param {Object} [transaction] - 事务
+ * @returns {Promise<{available: number, locked: number}>}
+ */
+const sumBalance = async (electricianId, transaction) => {
+  const [row] = await WalletTransaction.findAll({
+    where: { electrician_id: electricianId },
+    attributes: [
+      [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('amount')), 0), 'available'],
+      [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('locked_amount')), 0), 'locked']
+    ],
+    raw: true,
+    transaction
+  });
+  return { available: toAmount(row.available), locked: toAmount(row.locked) };
+};
+
+/**
+ * 写入一条钱包流水
+ * @param {number} electricianId - 电工ID
+ * @param {Object} entry - 流水内容（type、amount、locked_amount、order_id、withdrawal_id、operator_id、remark）
+ * @param {Object} transaction - 事务
+ * @param {Object} [options]
+ * @param {boolean} [options.allowNegative=false] - 是否允许可用余额为负（结算冲正时电工可能已提现）
+ * @returns {Promise<Object>} 流水记录
+ */
+const post = async (electricianId, entry, transaction, { allowNegative = false } = {}) => {
+  // 锁定电工行，串行化同一电工的记账
+  await User.findByPk(electricianId, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+
+  const current = await sumBalance(electricianId, transaction);
+  const amount = toAmount(entry.amount);
+  const lockedAmount = toAmount(entry.locked_amount);
+  const balanceAfter = toAmount(current.available + amount);
+  const lockedAfter = toAmount(current.locked + lockedAmount);
+
+  if (!allowNegative && amount < 0 && balanceAfter < 0) {
+    throw new AppError(`余额不足，可用余额：¥${current.available}`, 400);
+  }
+  if (lockedAfter < 0) {
+    throw new Error(`电工(ID:${electricianId})冻结金额不足，无法记账`);
+  }
+
+  return WalletTransaction.create({
+    ...entry,
+    electrician_id: electricianId,
+    amount,
+    locked_amount: lockedAmount,
+    balance_after: balanceAfter,
+    locked_after: lockedAfter
+  }, { transaction });
+};
+
+const withTransaction = (transaction, fn) => (transaction ? fn(transaction) : sequelize.transaction(fn));
+
+/**
+ * 获取电工余额
+ * @param {number} electricianId - 电工ID
+ * @param {Object} [transaction] - 事务
+ * @returns {Promise<{totalIncome: number, withdrawnAmount: number, lockedAmount: number, availableBalance: number}>}
+ *   总收入（结算入账 - 佣金 - 冲正 + 期初 + 调整）、已提现、冻结中、可用余额
+ */
+const getBalance = async (electricianId, transaction = null) => {
+  const rows = await WalletTransaction.findAll({
+    where: { electrician_id: electricianId },
+    attributes: [
+      'type',
+      [sequelize.fn('SUM', sequelize.col('amount')), 'amount'],
+      [sequelize.fn('SUM', sequelize.col('locked_amount')), 'locked_amount']
+    ],
+    group: ['type'],
+    raw: true,
+    transaction
+  });
+
+  let available = 0;
+  let locked = 0;
+  let withdrawn = 0;
+  for (const row of rows) {
+    available += Number(row.amount);
+    locked += Number(row.locked_amount);
+    if (row.type === 'withdraw_success') {
+      withdrawn -= Number(row.locked_amount);
+    }
+  }
+
+  return {
+    totalIncome: toAmount(available + locked + withdrawn),
+    withdrawnAmount: toAmount(withdrawn),
+    lockedAmount: toAmount(locked),
+    availableBalance: toAmount(available)
+  };
+};
+
+/**
+ * 汇总电工已结算工单的结算总额、平台佣金与实得金额
+ * @param {number} electricianId - 电工ID
+ * @returns {Promise<{grossIncome: number, commissionAmount: number, netIncome: number}>}
+ */
+const getSettlementSummary = async (electricianId) => {
+  const row = await Order.findOne({
+    where: { electrician_id: electricianId, status: 'completed_settled' },
+    attributes: [
+      [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('settle_gross_amount')), 0), 'gross'],
+      [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('commission_amount')), 0), 'commission'],
+      [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('settle_net_amount')), 0), 'net']
+    ],
+    raw: true
+  });
+  return {
+    grossIncome: toAmount(row.gross),
+    commissionAmount: toAmount(row.commission),
+    netIncome: toAmount(row.net)
+  };
+};
+
+/**
+ * 订单已入账净额（结算入账 - 佣金 - 冲正）
+ */
+const getOrderSettledAmount = async (orderId, transaction) => {
+  const total = await WalletTransaction.sum('amount', {
+    where: { order_id: orderId, type: { [Op.in]: ['settlement', 'commission', 'settlement_reversal'] } },
+    transaction
+  });
+  return toAmount(total);
+};
+
+/**
+ * 订单是否已入账且未冲正
+ */
+const isOrderSettled = async (orderId, transaction) => {
+  const entries = await WalletTransaction.findAll({
+    where: { order_id: orderId, type: { [Op.in]: ['settlement', 'settlement_reversal'] } },
+    attributes: ['type'],
+    transaction
+  });
+  const settled = entries.filter(e => e.type === 'settlement').length;
+  const reversed = entries.filter(e => e.type === 'settlement_reversal').length;
+  return settled > reversed;
+};
+
+/**
+ * 订单结算入账（工单进入 completed_settled 时调用，重复调用不会重复入账）
+ * 结算总额为该工单成功支付的预付款与维修款之和（扣除已退款金额），按佣金规则扣除平台佣金后计入电工余额，
+ * 结算总额、佣金、实得金额同时记录在工单上
+ * @param {Object} order - 工单实例
+ * @param {Object} [transaction] - 事务
+ * @param {Object} [options]
+ * @param {number} [options.gross] - 指定结算总额（纠纷裁决部分结算），不传则按支付与退款计算
+ * @returns {Promise<Object|null>} 结算入账流水，无需入账时返回 null
+ */
+const creditSettlement = async (order, transaction, { gross: fixedGross } = {}) => withTransaction(transaction, async (t) => {
+  if (!order.electrician_id || await isOrderSettled(order.id, t)) {
+    return null;
+  }
+
+  let gross;
+  if (fixedGross !== undefined && fixedGross !== null) {
+    gross = toAmount(fixedGross);
+  } else {
+    // 部分退款的金额不参与结算，全额退款的支付状态已为 refunded
+    const payments = await Payment.findAll({
+      where: {
+        order_id: order.id,
+        status: 'success',
+        type: { [Op.in]: ['prepay', 'repair'] }
+      },
+      attributes: ['id', 'amount'],
+      transaction: t
+    });
+    const paid = payments.reduce((sum, p) => sum + Number(p.amount), 0);
+    const refunded = payments.length > 0
+      ? await Refund.sum('amount', {
+        where: { payment_id: { [Op.in]: payments.map(p => p.id) }, status: 'success' },
+        transaction: t
+      })
+      : 0;
+    gross = toAmount(paid - Number(refunded || 0));
+  }
+  const { commission, net, rule } = await CommissionService.calculateForOrder(order, gross, t);
+
+  const settlement = {
+    settle_gross_amount: gross,
+    commission_amount: commission,
+    settle_net_amount: net,
+    settled_at: new Date()
+  };
+  await Order.update(settlement, { where: { id: order.id }, transaction: t });
+  order.set(settlement);
+
+  if (gross <= 0) {
+    return null;
+  }
+
+  const entry = await post(order.electrician_id, {
+    type: 'settlement',
+    amount: gross,
+    order_id: order.id,
+    remark: `工单 ${order.order_no} 结算入账`
+  }, t);
+
+  if (commission > 0) {
+    const ruleText = rule.commission_type === 'fixed'
+      ? `固定${rule.commission_value}元`
+      : `${rule.commission_value}%`;
+    await post(order.electrician_id, {
+      type: 'commission',
+      amount: -commission,
+      order_id: order.id,
+      remark: `工单 ${order.order_no} 平台佣金（${ruleText}）`
+    }, t, { allowNegative: true });
+  }
+
+  return entry;
+});
+
+/**
+ * 冲正订单结算入账（结算失败等场景）
+ * @param {Object} order - 工单实例
+ * @param {Object} [transaction] - 事务
+ * @param {string} [remark] - 备注
+ * @returns {Promise<Object|null>} 流水记录，未入账时返回 null
+ */
+const reverseSettlement = async (order, transaction, remark) => withTransaction(transaction, async (t) => {
+  if (!await isOrderSettled(order.id, t)) {
+    return null;
+  }
+  const settled = await getOrderSettledAmount(order.id, t);
+
+  return post(order.electrician_id, {
+    type: 'settlement_reversal',
+    amount: -settled,
+    order_id: order.id,
+    remark: remark || `工单 ${order.order_no} 结算冲正`
+  }, t, { allowNegative: true });
+});
+
+/**
+ * 提现申请冻结金额
+ * @param {Object} withdrawal - 提现记录
+ * @param {Object} transaction - 事务
+ * @returns {Promise<Object>} 流水记录
+ */
+const lockForWithdrawal = async (withdrawal, transaction) => {
+  const amount = toAmount(withdrawal.amount);
+  return post(withdrawal.electrician_id, {
+    type: 'withdraw_lock',
+    amount: -amount,
+    locked_amount: amount,
+    withdrawal_id: withdrawal.id,
+    remark: `提现申请 ${withdrawal.out_batch_no}`
+  }, transaction);
+};
+
+/**
+ * 提现进入终态：更新提现记录并扣除或解冻冻结金额
+ * 以条件更新保证同一笔提现只记账一次（回调与主动查询可能同时到达）
+ * @param {Object} withdrawal - 提现记录
+ * @param {string} status - 终态 success/failed/cancelled
+ * @param {Object} [fields] - 随状态一起更新的字段（fail_reason、completed_at 等）
+ * @returns {Promise<boolean>} 是否由本次调用完成状态变更
+ */
+const finalizeWithdrawal = async (withdrawal, status, fields = {}) => {
+  if (!['success', 'failed', 'cancelled'].includes(status)) {
+    throw new Error(`无效的提现终态: ${status}`);
+  }
+
+  return sequelize.transaction(async (t) => {
+    const [affected] = await Withdrawal.update({ ...fields, status }, {
+      where: { id: withdrawal.id, status: { [Op.in]: WITHDRAW_ACTIVE_STATUSES } },
+      transaction: t
+    });
+    if (affected === 0) {
+      return false;
+    }
+
+    const amount = toAmount(withdrawal.amount);
+    if (status === 'success') {
+      await post(withdrawal.electrician_id, {
+        type: 'withdraw_success',
+        locked_amount: -amount,
+        withdrawal_id: withdrawal.id,
+        remark: `提现成功 ${withdrawal.out_batch_no}`
+      }, t);
+    } else {
+      await post(withdrawal.electrician_id, {
+        type: 'withdraw_unlock',
+        amount,
+        locked_amount: -amount,
+        withdrawal_id: withdrawal.id,
+        remark: `提现${status === 'cancelled' ? '取消' : '失败'}，金额解冻 ${withdrawal.out_batch_no}`
+      }, t);
+    }
+    return true;
+  });
+};
+
+/**
+ * 管理员人工调整余额
+ * @param {number} electricianId - 电工ID
+ * @param {number} amount - 调整金额（正数增加、负数扣减）
+ * @param {Object} options
+ * @param {string} options.reason - 调整原因
+ * @param {number} options.operatorId - 管理员ID
+ * @returns {Promise<Object>} 流水记录
+ */
+const adjust = async (electricianId, amount, { reason, operatorId }) => {
+  if (!reason) {
+    throw new AppError('请填写调整原因', 400);
+  }
+  if (!toAmount(amount)) {
+    throw new AppError('调整金额不能为0', 400);
+  }
+
+  return sequelize.transaction(async (t) => post(electricianId, {
+    type: 'adjustment',
+    amount,
+    operator_id: operatorId,
+    remark: reason
+  }, t));
+};
+
+/**
+ * 分页获取电工钱包流水
+ * @param {number} electricianId - 电工ID
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @param {string} [options.type] - 流水类型
+ * @returns {Promise<{count: number, rows: Array}>}
+ */
+const getTransactions = async (electricianId, { page = 1, limit = 20, type } = {}) => {
+  const where = { electrician_id: electricianId };
+  if (type) {
+    where.type = type;
+  }
+  return WalletTransaction.findAndCountAll({
+    where,
+    attributes: { exclude: ['operator_id'] },
+    include: [
+      { model: Order, as: 'order', attributes: ['id', 'order_no', 'title'], required: false },
+      { model: Withdrawal, as: 'withdrawal', attributes: ['id', 'out_batch_no', 'status'], required: false }
+    ],
+    order: [['id', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+};
+
+module.exports = {
+  getBalance,
+  getSettlementSummary,
+  creditSettlement,
+  reverseSettlement,
+  lockForWithdrawal,
+  finalizeWithdrawal,
+  adjust,
+  getTransactions
+};
@@ -47,6 +47,9 @@ class WechatPayV3Service {
     // 基础URL
     this.baseUrl = 'https://api.mch.weixin.qq.com';
     this.notifyUrl = process.env.WECHAT_NOTIFY_URL;
+    // 未单独配置时沿用支付回调地址同目录下的 /refund-notify
+    this.refundNotifyUrl = process.env.WECHAT_REFUND_NOTIFY_URL
+      || (this.notifyUrl && this.notifyUrl.replace(/\/notify$/, '/refund-notify'));
     this.isSandbox = process.env.WECHAT_SANDBOX === 'true';
 
     // 调试日志
@@ -166,45 +169,7 @@ class WechatPayV3Service {
       console.log('📥 处理微信支付回调(公钥验签模式)');
       console.log('='.repeat(80));
 
-      if (!this.wechatPublicKey) {
-        throw new Error('微信支付公钥未加载，无法验签');
-      }
-
-      const signature = headers['wechatpay-signature'];
-      const serial = headers['wechatpay-serial'];
-      const nonce = headers['wechatpay-nonce'];
-      const timestamp = headers['wechatpay-timestamp'];
-
-      console.log('📋 回调签名信息:');
-      console.log('  - Serial:', serial);
-      console.log('  - Timestamp:', timestamp);
-      console.log('  - Nonce:', nonce);
-      console.log('  - Signature:', signature ? signature.substring(0, 50) + '...' : '无');
-
-      if (!signature || !serial || !nonce || !timestamp) {
-        throw new Error('缺少必要的签名参数');
-      }
-
-      const bodyString = JSON.stringify(body);
-      const verifyString = `${timestamp}\n${nonce}\n${bodyString}\n`;
-
-      console.log('-'.repeat(80));
-      console.log('🔐 验签字符串:');
-      console.log(verifyString.split('\n').map((line, i) =>
-        `  ${i + 1}. ${line || '(空行)'}`
-      ).join('\n'));
-      console.log('-'.repeat(80));
-
-      const verifier = crypto.createVerify('RSA-SHA256');
-      verifier.update(verifyString);
-      const isValid = verifier.verify(this.wechatPublicKey, signature, 'base64');
-
-      if (!isValid) {
-        console.error('❌ 签名验证失败');
-        throw new Error('支付通知签名验证失败');
-      }
-
-      console.log('✅ 签名验证通过');
+      this.verifyNotifySignature(headers, body);
 
       const { resource } = body;
       if (!resource) {
@@ -246,6 +211,93 @@ class WechatPayV3Service {
     }
   }
 
+  /**
+   * 验证微信回调通知签名（支付通知、退款通知通用），验签失败时抛出异常
+   */
+  verifyNotifySignature(headers, body) {
+    if (!this.wechatPublicKey) {
+      throw new Error('微信支付公钥未加载，无法验签');
+    }
+
+    const signature = headers['wechatpay-signature'];
+    const serial = headers['wechatpay-serial'];
+    const nonce = headers['wechatpay-nonce'];
+    const timestamp = headers['wechatpay-timestamp'];
+
+    console.log('📋 回调签名信息:');
+    console.log('  - Serial:', serial);
+    console.log('  - Timestamp:', timestamp);
+    console.log('  - Nonce:', nonce);
+    console.log('  - Signature:', signature ? signature.substring(0, 50) + '...' : '无');
+
+    if (!signature || !serial || !nonce || !timestamp) {
+      throw new Error('缺少必要的签名参数');
+    }
+
+    const bodyString = JSON.stringify(body);
+    const verifyString = `${timestamp}\n${nonce}\n${bodyString}\n`;
+
+    console.log('-'.repeat(80));
+    console.log('🔐 验签字符串:');
+    console.log(verifyString.split('\n').map((line, i) =>
+      `  ${i + 1}. ${line || '(空行)'}`
+    ).join('\n'));
+    console.log('-'.repeat(80));
+
+    const verifier = crypto.createVerify('RSA-SHA256');
+    verifier.update(verifyString);
+    const isValid = verifier.verify(this.wechatPublicKey, signature, 'base64');
+
+    if (!isValid) {
+      console.error('❌ 签名验证失败');
+      throw new Error('通知签名验证失败');
+    }
+
+    console.log('✅ 签名验证通过');
+  }
+
+  /**
+   * 处理退款结果通知：验签并解密，返回退款单号与退款状态（SUCCESS/CLOSED/ABNORMAL）
+   */
+  async handleRefundNotify(headers, body) {
+    try {
+      this.verifyNotifySignature(headers, body);
+
+      const { resource } = body;
+      if (!resource) {
+        throw new Error('回调数据缺少resource字段');
+      }
+
+      const refundData = JSON.parse(this.decryptAES256GCM(
+        resource.ciphertext,
+        resource.associated_data,
+        resource.nonce
+      ));
+
+      console.log('✅ 微信退款通知解密成功:', {
+        out_trade_no: refundData.out_trade_no,
+        out_refund_no: refundData.out_refund_no,
+        refund_status: refundData.refund_status
+      });
+
+      return {
+        success: true,
+        out_trade_no: refundData.out_trade_no,
+        out_refund_no: refundData.out_refund_no,
+        refund_id: refundData.refund_id,
+        refund_status: refundData.refund_status,
+        success_time: refundData.success_time,
+        decrypted_data: refundData
+      };
+    } catch (error) {
+      console.error('❌ 退款通知处理失败:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * 创建模拟订单(测试环境)
    */
@@ -292,6 +344,25 @@ class WechatPayV3Service {
     }
   }
 
+  /**
+   * 关闭订单（金额变更需重新下单时关闭原订单，防止用户按旧金额支付）
+   */
+  async closeOrder(outTradeNo) {
+    if (this.isSandbox) {
+      return { success: true, mock: true };
+    }
+
+    try {
+      const url = `/v3/pay/transactions/out-trade-no/${outTradeNo}/close`;
+      await this.request('POST', url, { mchid: this.mchId });
+
+      return { success: true };
+    } catch (error) {
+      console.error('关闭订单失败:', error);
+      throw new Error(`关闭订单失败: ${error.message}`);
+    }
+  }
+
   /**
    * 发起退款
    */
@@ -317,6 +388,7 @@ class WechatPayV3Service {
         out_trade_no,
         out_refund_no,
         reason,
+        ...(this.refundNotifyUrl && { notify_url: this.refundNotifyUrl }),
         amount: {
           refund: Math.round(amount.refund * 100),
           total: Math.round(amount.total * 100),
@@ -0,0 +1,133 @@
+/**
+ * Cron 表达式工具
+ * 支持 5 段（分 时 日 月 周）或 6 段（秒 分 时 日 月 周）表达式，
+ * 每段支持 *、数字、范围 a-b、列表 a,b、步长 *\/n 与 a-b/n
+ */
+
+// 各字段取值范围（按 6 段顺序）
+const FIELD_RANGES = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 6 }
+];
+
+// 最多向后搜索的步数，防止非法组合（如 2月31日）死循环
+const MAX_SEARCH_STEPS = 100000;
+
+/**
+ * 解析单个字段
+ * @returns {{values: Set<number>, any: boolean}}
+ */
+function parseField(field, { name, min, max }) {
+  // 周日既可写 0 也可写 7：显式取值允许到 7，展开后再把 7 归为 0
+  const isDayOfWeek = name === 'dayOfWeek';
+  const upper = isDayOfWeek ? 7 : max;
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart !== undefined ? Number(stepPart) : 1;
+    if (!Number.isInteger(step) || step <= 0) {
+      throw new Error(`cron 字段 ${name} 步长无效: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = min;
+      end = max;
+    } else if (rangePart.includes('-')) {
+      [start, end] = rangePart.split('-').map(Number);
+    } else {
+      start = Number(rangePart);
+      end = stepPart !== undefined ? max : start;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > upper || start > end) {
+      throw new Error(`cron 字段 ${name} 取值无效: ${part}`);
+    }
+    for (let v = start; v <= end; v += step) {
+      values.add(isDayOfWeek && v === 7 ? 0 : v);
+    }
+  }
+  return { values, any: field === '*' };
+}
+
+/**
+ * 解析 cron 表达式
+ * @param {string} expression - cron 表达式
+ * @returns {Object} 解析结果，按字段名索引
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length === 5) {
+    parts.unshift('0');
+  }
+  if (parts.length !== 6) {
+    throw new Error(`cron 表达式格式错误: ${expression}`);
+  }
+
+  const parsed = {};
+  FIELD_RANGES.forEach((range, i) => {
+    parsed[range.name] = parseField(parts[i], range);
+  });
+  return parsed;
+}
+
+/**
+ * 判断日期是否匹配（日与周同时限定时按标准 cron 语义取并集）
+ */
+function matchesDay(parsed, date) {
+  const domMatch = parsed.dayOfMonth.values.has(date.getDate());
+  const dowMatch = parsed.dayOfWeek.values.has(date.getDay());
+  if (!parsed.dayOfMonth.any && !parsed.dayOfWeek.any) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * 计算下一次执行时间（严格晚于 from）
+ * @param {string|Object} expression - cron 表达式或 parseCron 结果
+ * @param {Date} [from=new Date()] - 起始时间
+ * @returns {Date|null} 下一次执行时间，找不到时返回 null
+ */
+function getNextRunTime(expression, from = new Date()) {
+  const parsed = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(from.getTime());
+  date.setMilliseconds(0);
+  date.setSeconds(date.getSeconds() + 1);
+
+  for (let i = 0; i < MAX_SEARCH_STEPS; i++) {
+    if (!parsed.month.values.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0);
+      continue;
+    }
+    if (!parsed.hour.values.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0);
+      continue;
+    }
+    if (!parsed.minute.values.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0);
+      continue;
+    }
+    if (parsed.second.values.has(date.getSeconds())) {
+      return date;
+    }
+    date.setSeconds(date.getSeconds() + 1);
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  getNextRunTime
+};
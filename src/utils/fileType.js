@@ -0,0 +1,42 @@
+/**
+ * 按文件头（magic bytes）识别文件类型，不信任客户端上报的 mimetype 与扩展名
+ */
+
+const startsWith = (buffer, bytes, offset = 0) => buffer.length >= offset + bytes.length
+  && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (text) => Array.from(text, c => c.charCodeAt(0));
+
+// 按顺序匹配的文件签名
+const SIGNATURES = [
+  { mime: 'image/jpeg', ext: '.jpg', match: b => startsWith(b, [0xFF, 0xD8, 0xFF]) },
+  { mime: 'image/png', ext: '.png', match: b => startsWith(b, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  { mime: 'image/gif', ext: '.gif', match: b => startsWith(b, ascii('GIF87a')) || startsWith(b, ascii('GIF89a')) },
+  { mime: 'image/webp', ext: '.webp', match: b => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('WEBP'), 8) },
+  { mime: 'application/pdf', ext: '.pdf', match: b => startsWith(b, ascii('%PDF-')) },
+  // doc（OLE2 复合文档）
+  { mime: 'application/msword', ext: '.doc', match: b => startsWith(b, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]) },
+  // docx（ZIP 容器，包含 word/ 目录）
+  {
+    mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    ext: '.docx',
+    match: b => startsWith(b, [0x50, 0x4B, 0x03, 0x04]) && b.includes('word/')
+  }
+];
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+/**
+ * 识别文件类型
+ * @param {Buffer} buffer - 文件内容
+ * @returns {{mime: string, ext: string}|null} 无法识别时返回 null
+ */
+const detect = (buffer) => {
+  const signature = SIGNATURES.find(item => item.match(buffer));
+  return signature ? { mime: signature.mime, ext: signature.ext } : null;
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  detect
+};
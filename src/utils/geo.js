@@ -0,0 +1,84 @@
+/**
+ * 地理位置工具
+ * 提供球面距离计算、范围矩形计算和行政区划编码处理
+ */
+
+// 地球平均半径（米）
+const EARTH_RADIUS = 6371000;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * 计算两点之间的球面距离（Haversine 公式）
+ * @param {number} lat1 - 纬度1
+ * @param {number} lng1 - 经度1
+ * @param {number} lat2 - 纬度2
+ * @param {number} lng2 - 经度2
+ * @returns {number} 距离（米）
+ */
+const haversineDistance = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * 计算以某点为中心、指定半径的外接矩形，用于 SQL 预筛选（可走经纬度索引）
+ * @param {number} latitude - 中心纬度
+ * @param {number} longitude - 中心经度
+ * @param {number} distance - 半径（米）
+ * @returns {{minLat: number, maxLat: number, minLng: number, maxLng: number}}
+ */
+const getBoundingBox = (latitude, longitude, distance) => {
+  const latDelta = (distance / EARTH_RADIUS) * (180 / Math.PI);
+  // 高纬度地区经度跨度急剧变大，cos 取下限避免除零
+  const lngDelta = latDelta / Math.max(Math.cos(toRadians(latitude)), 0.01);
+  return {
+    minLat: latitude - latDelta,
+    maxLat: latitude + latDelta,
+    minLng: longitude - lngDelta,
+    maxLng: longitude + lngDelta
+  };
+};
+
+/**
+ * 生成 MySQL 中计算球面距离（米）的 SQL 表达式
+ * 未传中心点时使用命名参数 :lat / :lng，传入时直接内联数值（用于 sequelize.literal）
+ * @param {string} latColumn - 纬度列
+ * @param {string} lngColumn - 经度列
+ * @param {{latitude: number, longitude: number}} [center] - 中心点
+ * @returns {string} SQL 表达式
+ */
+const distanceSql = (latColumn, lngColumn, center) => {
+  const lat = center ? Number(center.latitude) : ':lat';
+  const lng = center ? Number(center.longitude) : ':lng';
+  return `(${EARTH_RADIUS} * 2 * ASIN(SQRT(
+  POWER(SIN(RADIANS(${latColumn} - ${lat}) / 2), 2)
+  + COS(RADIANS(${lat})) * COS(RADIANS(${latColumn})) * POWER(SIN(RADIANS(${lngColumn} - ${lng}) / 2), 2)
+)))`;
+};
+
+/**
+ * 获取行政区划编码及其上级编码（区县 -> 城市 -> 省份）
+ * 编码为 6 位国标编码，如 440305 -> ['440305', '440300', '440000']
+ * @param {string} code - 地区编码
+ * @returns {string[]} 编码列表
+ */
+const getRegionCodeChain = (code) => {
+  if (!code || !/^\d{6}$/.test(String(code))) {
+    return [];
+  }
+  const str = String(code);
+  const chain = [str, `${str.slice(0, 4)}00`, `${str.slice(0, 2)}0000`];
+  return [...new Set(chain)];
+};
+
+module.exports = {
+  EARTH_RADIUS,
+  haversineDistance,
+  getBoundingBox,
+  distanceSql,
+  getRegionCodeChain
+};
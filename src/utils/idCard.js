@@ -0,0 +1,107 @@
+/**
+ * 居民身份证号工具
+ * 18 位身份证号：6 位地区码 + 8 位出生日期 + 3 位顺序码 + 1 位校验码（GB 11643-1999）
+ */
+
+// 前 17 位加权因子
+const WEIGHTS = [7, 9, 10, 5, 8, 4, 2, 1, 6, 3, 7, 9, 10, 5, 8, 4, 2];
+// 加权和对 11 取模后对应的校验码
+const CHECK_CODES = ['1', '0', 'X', '9', '8', '7', '6', '5', '4', '3', '2'];
+
+const FORMAT = /^[1-9]\d{16}[\dX]$/;
+
+/**
+ * 规范化身份证号：去空格，末位 x 转大写
+ * @param {string} idCard - 身份证号
+ * @returns {string}
+ */
+const normalize = (idCard) => String(idCard || '').trim().toUpperCase();
+
+/**
+ * 计算校验码
+ * @param {string} first17 - 前 17 位
+ * @returns {string}
+ */
+const getCheckCode = (first17) => {
+  const sum = WEIGHTS.reduce((acc, weight, i) => acc + weight * Number(first17[i]), 0);
+  return CHECK_CODES[sum % 11];
+};
+
+/**
+ * 解析出生日期，日期不存在（如 0230）或晚于今天时返回 null
+ * @param {string} idCard - 规范化后的身份证号
+ * @returns {string|null} 'YYYY-MM-DD'
+ */
+const parseBirthDate = (idCard) => {
+  const year = Number(idCard.slice(6, 10));
+  const month = Number(idCard.slice(10, 12));
+  const day = Number(idCard.slice(12, 14));
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  if (year < 1900 || date.getTime() > Date.now()) {
+    return null;
+  }
+  return `${idCard.slice(6, 10)}-${idCard.slice(10, 12)}-${idCard.slice(12, 14)}`;
+};
+
+/**
+ * 按出生日期计算周岁
+ * @param {string} birthDate - 'YYYY-MM-DD'
+ * @param {Date} [now=new Date()] - 计算基准时间
+ * @returns {number}
+ */
+const getAge = (birthDate, now = new Date()) => {
+  const [year, month, day] = birthDate.split('-').map(Number);
+  let age = now.getFullYear() - year;
+  if (now.getMonth() + 1 < month || (now.getMonth() + 1 === month && now.getDate() < day)) {
+    age--;
+  }
+  return age;
+};
+
+/**
+ * 校验身份证号格式、出生日期与校验码（不含地区码是否存在，需查 regions 表）
+ * @param {string} idCard - 身份证号
+ * @returns {{valid: boolean, message?: string, idCard?: string, regionCode?: string, birthDate?: string, age?: number, gender?: string}}
+ */
+const parse = (idCard) => {
+  const value = normalize(idCard);
+  if (!FORMAT.test(value)) {
+    return { valid: false, message: '身份证号应为18位，末位可为数字或X' };
+  }
+  const birthDate = parseBirthDate(value);
+  if (!birthDate) {
+    return { valid: false, message: '身份证号中的出生日期无效' };
+  }
+  if (getCheckCode(value.slice(0, 17)) !== value[17]) {
+    return { valid: false, message: '身份证号校验位不正确，请核对后重新输入' };
+  }
+  return {
+    valid: true,
+    idCard: value,
+    regionCode: value.slice(0, 6),
+    birthDate,
+    age: getAge(birthDate),
+    gender: Number(value[16]) % 2 === 1 ? 'male' : 'female'
+  };
+};
+
+/**
+ * 身份证号脱敏，保留前 6 位和后 4 位
+ * @param {string} idCard - 身份证号
+ * @returns {string}
+ */
+const mask = (idCard) => {
+  const value = normalize(idCard);
+  return value.length > 10 ? `${value.slice(0, 6)}${'*'.repeat(value.length - 10)}${value.slice(-4)}` : value;
+};
+
+module.exports = {
+  normalize,
+  getCheckCode,
+  parse,
+  getAge,
+  mask
+};
@@ -0,0 +1,209 @@
+/**
+ * S3 兼容对象存储客户端（AWS Signature V4）
+ * 适用于 AWS S3、MinIO、阿里云 OSS（S3 兼容接口）等，只实现上传文件所需的基本操作
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 编码（encodeURIComponent 不编码 !'()*）
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encodeRfc3986).join('/');
+
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+const buildQueryString = (query) => Object.keys(query)
+  .sort()
+  .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+  .join('&');
+
+class S3Client {
+  /**
+   * @param {Object} config
+   * @param {string} config.endpoint - 服务地址，如 http://127.0.0.1:9000、https://oss-cn-hangzhou.aliyuncs.com
+   * @param {string} config.bucket - 存储桶
+   * @param {string} config.accessKeyId - AccessKey ID
+   * @param {string} config.secretAccessKey - AccessKey Secret
+   * @param {string} [config.region='us-east-1'] - 区域
+   * @param {boolean} [config.forcePathStyle=false] - 使用路径风格（MinIO 需开启；OSS 需关闭）
+   */
+  constructor({ endpoint, bucket, accessKeyId, secretAccessKey, region = 'us-east-1', forcePathStyle = false }) {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('对象存储配置不完整：需要 endpoint、bucket、accessKeyId、secretAccessKey');
+    }
+    this.endpoint = new URL(endpoint);
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.region = region;
+    this.forcePathStyle = forcePathStyle;
+  }
+
+  // 对象所在的 host 与路径
+  locate(key = '') {
+    const encodedKey = encodeKey(key);
+    if (this.forcePathStyle) {
+      return { host: this.endpoint.host, path: `/${this.bucket}/${encodedKey}` };
+    }
+    return { host: `${this.bucket}.${this.endpoint.host}`, path: `/${encodedKey}` };
+  }
+
+  signingKey(dateStamp) {
+    const kDate = hmac(`AWS4${this.secretAccessKey}`, dateStamp);
+    const kRegion = hmac(kDate, this.region);
+    const kService = hmac(kRegion, 's3');
+    return hmac(kService, 'aws4_request');
+  }
+
+  signature(method, path, query, headers, payloadHash, amzDate) {
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const headerNames = Object.keys(headers).map(h => h.toLowerCase()).sort();
+    const lowerHeaders = {};
+    Object.keys(headers).forEach((h) => { lowerHeaders[h.toLowerCase()] = String(headers[h]).trim(); });
+
+    const canonicalRequest = [
+      method,
+      path,
+      buildQueryString(query),
+      headerNames.map(h => `${h}:${lowerHeaders[h]}\n`).join(''),
+      headerNames.join(';'),
+      payloadHash
+    ].join('\n');
+    const stringToSign = [ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    return {
+      scope,
+      signedHeaders: headerNames.join(';'),
+      signature: crypto.createHmac('sha256', this.signingKey(dateStamp)).update(stringToSign).digest('hex')
+    };
+  }
+
+  async request(method, key, { query = {}, body, headers = {}, responseType } = {}) {
+    const { host, path } = this.locate(key);
+    const amzDate = toAmzDate(new Date());
+    const payloadHash = body ? sha256(body) : sha256('');
+    const signHeaders = {
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...headers
+    };
+    const { scope, signedHeaders, signature } = this.signature(method, path, query, signHeaders, payloadHash, amzDate);
+
+    const { host: _host, ...sendHeaders } = signHeaders;
+    const queryString = buildQueryString(query);
+    return axios({
+      method,
+      url: `${this.endpoint.protocol}//${host}${path}${queryString ? `?${queryString}` : ''}`,
+      data: body,
+      headers: {
+        ...sendHeaders,
+        Authorization: `${ALGORITHM} Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+      },
+      responseType,
+      maxBodyLength: Infinity,
+      validateStatus: status => status < 300 || status === 404
+    });
+  }
+
+  /**
+   * 上传对象
+   * @param {string} key - 对象键
+   * @param {Buffer} body - 内容
+   * @param {string} [contentType] - MIME 类型
+   */
+  async putObject(key, body, contentType = 'application/octet-stream') {
+    await this.request('PUT', key, { body, headers: { 'content-type': contentType } });
+  }
+
+  /**
+   * 下载对象，不存在时返回 null
+   * @param {string} key - 对象键
+   * @returns {Promise<Buffer|null>}
+   */
+  async getObject(key) {
+    const response = await this.request('GET', key, { responseType: 'arraybuffer' });
+    return response.status === 404 ? null : Buffer.from(response.data);
+  }
+
+  /**
+   * 对象是否存在
+   * @param {string} key - 对象键
+   * @returns {Promise<boolean>}
+   */
+  async headObject(key) {
+    const response = await this.request('HEAD', key);
+    return response.status !== 404;
+  }
+
+  /**
+   * 删除对象
+   * @param {string} key - 对象键
+   */
+  async deleteObject(key) {
+    await this.request('DELETE', key);
+  }
+
+  /**
+   * 列出前缀下的全部对象键（ListObjectsV2，自动翻页）
+   * @param {string} prefix - 前缀
+   * @returns {Promise<string[]>}
+   */
+  async listKeys(prefix) {
+    const keys = [];
+    let continuationToken;
+    do {
+      const query = { 'list-type': 2, prefix };
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+      const response = await this.request('GET', '', { query, responseType: 'text' });
+      const xml = String(response.data);
+      for (const match of xml.matchAll(/<Key>([^<]*)<\/Key>/g)) {
+        keys.push(decodeXml(match[1]));
+      }
+      const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+      const token = /<NextContinuationToken>([^<]*)<\/NextContinuationToken>/.exec(xml);
+      continuationToken = truncated && token ? decodeXml(token[1]) : null;
+    } while (continuationToken);
+    return keys;
+  }
+
+  /**
+   * 生成限时下载地址（预签名 URL）
+   * @param {string} key - 对象键
+   * @param {number} [expiresIn=600] - 有效期（秒）
+   * @returns {string}
+   */
+  presignGetUrl(key, expiresIn = 600) {
+    const { host, path } = this.locate(key);
+    const amzDate = toAmzDate(new Date());
+    const scope = `${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`;
+    const query = {
+      'X-Amz-Algorithm': ALGORITHM,
+      'X-Amz-Credential': `${this.accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': expiresIn,
+      'X-Amz-SignedHeaders': 'host'
+    };
+    const { signature } = this.signature('GET', path, query, { host }, UNSIGNED_PAYLOAD, amzDate);
+    return `${this.endpoint.protocol}//${host}${path}?${buildQueryString({ ...query, 'X-Amz-Signature': signature })}`;
+  }
+}
+
+const decodeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+module.exports = S3Client;
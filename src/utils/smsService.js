@@ -1,124 +1,310 @@
 /**
  * 短信服务工具类
  * 处理短信验证码发送和验证
+ * - 验证码、发送间隔与次数限制存储在 Redis，多实例部署与重启后仍有效
+ * - 限制：同一手机号 60 秒内一次、每天 SMS_PHONE_DAILY_LIMIT 次；同一 IP 每天 SMS_IP_DAILY_LIMIT 次；
+ *   同一验证码最多输错 SMS_MAX_ATTEMPTS 次，超过后验证码作废
+ * - REDIS_ENABLED=false 时使用进程内存存储（仅单实例开发环境）
  */
 
 
 const Core = require('@alicloud/pop-core');
+const { client, redisOperations } = require('../config/redis');
+const AppError = require('./AppError');
+
+// 验证码有效期（秒）
+const CODE_TTL = Number(process.env.SMS_CODE_TTL) || 300;
+// 同一手机号发送间隔（秒）
+const SEND_INTERVAL = 60;
+// 同一手机号每天最多发送次数
+const PHONE_DAILY_LIMIT = Number(process.env.SMS_PHONE_DAILY_LIMIT) || 10;
+// 同一 IP 每天最多发送次数
+const IP_DAILY_LIMIT = Number(process.env.SMS_IP_DAILY_LIMIT) || 30;
+// 同一验证码最多输错次数
+const MAX_ATTEMPTS = Number(process.env.SMS_MAX_ATTEMPTS) || 5;
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// 等待 Redis 连接就绪的最长时间（毫秒）
+const REDIS_READY_TIMEOUT = 3000;
+
+// 计数加一，首次计数时设置过期时间
+const INCR_SCRIPT = `
+local count = redis.call('incr', KEYS[1])
+if count == 1 then
+  redis.call('expire', KEYS[1], ARGV[1])
+end
+return count
+`;
 
-// 内存存储（开发环境使用）
-const memoryStore = new Map();
+/**
+ * Redis 存储
+ */
+const redisStore = {
+  // Redis 不可用时连接会持续重试，等待超时后直接报错，不阻塞请求
+  async ready() {
+    if (client.isReady) {
+      return;
+    }
+    await Promise.race([
+      redisOperations.ensureConnection(),
+      new Promise(resolve => setTimeout(resolve, REDIS_READY_TIMEOUT).unref())
+    ]);
+    if (!client.isReady) {
+      throw new AppError('短信服务暂不可用，请稍后再试', 503);
+    }
+  },
+  async get(key) {
+    await this.ready();
+    return client.get(key);
+  },
+  async set(key, value, ttl) {
+    await this.ready();
+    await client.set(key, value, { EX: ttl });
+  },
+  // 键不存在时写入，返回是否写入成功
+  async setIfAbsent(key, value, ttl) {
+    await this.ready();
+    return (await client.set(key, value, { NX: true, EX: ttl })) === 'OK';
+  },
+  // 删除键，返回是否删除了已存在的键
+  async del(key) {
+    await this.ready();
+    return (await client.del(key)) > 0;
+  },
+  async incr(key, ttl) {
+    await this.ready();
+    return Number(await client.eval(INCR_SCRIPT, { keys: [key], arguments: [String(ttl)] }));
+  },
+  // 剩余有效秒数，不存在时返回 0
+  async ttl(key) {
+    await this.ready();
+    return Math.max(await client.ttl(key), 0);
+  }
+};
+
+/**
+ * 内存存储（REDIS_ENABLED=false 时使用）
+ */
+const memoryEntries = new Map();
+
+const memoryStore = {
+  read(key) {
+    const entry = memoryEntries.get(key);
+    if (entry && entry.expiry <= Date.now()) {
+      memoryEntries.delete(key);
+      return null;
+    }
+    return entry || null;
+  },
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? entry.value : null;
+  },
+  async set(key, value, ttl) {
+    memoryEntries.set(key, { value, expiry: Date.now() + ttl * 1000 });
+  },
+  async setIfAbsent(key, value, ttl) {
+    if (this.read(key)) {
+      return false;
+    }
+    await this.set(key, value, ttl);
+    return true;
+  },
+  async del(key) {
+    return memoryEntries.delete(key);
+  },
+  async incr(key, ttl) {
+    const entry = this.read(key);
+    if (entry) {
+      entry.value = String(Number(entry.value) + 1);
+      return Number(entry.value);
+    }
+    await this.set(key, '1', ttl);
+    return 1;
+  },
+  async ttl(key) {
+    const entry = this.read(key);
+    return entry ? Math.ceil((entry.expiry - Date.now()) / 1000) : 0;
+  },
+  cleanup() {
+    for (const [key, entry] of memoryEntries) {
+      if (entry.expiry <= Date.now()) {
+        memoryEntries.delete(key);
+      }
+    }
+  }
+};
+
+const getStore = () => (process.env.REDIS_ENABLED === 'false' ? memoryStore : redisStore);
+
+const codeKey = (phone, type) => `sms:code:${phone}:${type}`;
+const attemptsKey = (phone, type) => `sms:attempts:${phone}:${type}`;
+const lastSendKey = (phone) => `sms:last_send:${phone}`;
+
+// 按本地日期计数，次日自动重新计数
+const dailyKey = (scope, value) => {
+  const now = new Date();
+  const date = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+  return `sms:daily:${scope}:${value}:${date}`;
+};
 
 class SmsService {
   /**
    * 发送验证码
+   * @param {string} phone - 手机号
+   * @param {string} [type='login'] - 验证码类型
+   * @param {Object} [options]
+   * @param {string} [options.ip] - 请求IP，用于按IP限制发送次数
    */
-  static async sendVerificationCode(phone, type = 'login') {
+  static async sendVerificationCode(phone, type = 'login', { ip } = {}) {
+    const store = getStore();
     try {
       // 检查发送频率限制（60秒内只能发送一次）
-      const lastSendKey = `sms:last_send:${phone}`;
-      const lastSendData = memoryStore.get(lastSendKey);
-
-      if (lastSendData && lastSendData.expiry > Date.now()) {
-        const timeDiff = Date.now() - lastSendData.timestamp;
-        if (timeDiff < 60000) { // 60秒
-          const remainingTime = Math.ceil((60000 - timeDiff) / 1000);
-          throw new Error(`请等待${remainingTime}秒后再试`);
-        }
+      const sendKey = lastSendKey(phone);
+      if (!(await store.setIfAbsent(sendKey, String(Date.now()), SEND_INTERVAL))) {
+        const remainingTime = (await store.ttl(sendKey)) || 1;
+        throw new AppError(`请等待${remainingTime}秒后再试`, 429);
       }
 
-      // 生成6位验证码
-      const code = this.generateCode();
-      /** 测试模式，优先读取 .env 中的配置 */
-      const isTestEnv = process.env.SMS_TEST_MODE === 'true'; // 优先读取 .env 中的配置
-
-      console.log('--- 短信SMS Debug Info ---');
-      console.log('process.env.SMS_TEST_MODE:', process.env.SMS_TEST_MODE, 'Type:', typeof process.env.SMS_TEST_MODE);
-      console.log('isTestEnv:', isTestEnv);
-      console.log('----------------------');
-
-      // 如果明确开启了测试模式，直接返回
-      if (isTestEnv) {
-        console.log(`📱 [测试模式] 短信验证码: ${phone} -> ${code}`);
-
-        // 存储验证码到内存
-        const codeKey = `sms:code:${phone}:${type}`;
-        memoryStore.set(codeKey, {
-          code: code,
-          expiry: Date.now() + 300000 // 5分钟过期
-        });
-
-        // 记录发送时间
-        memoryStore.set(lastSendKey, {
-          timestamp: Date.now(),
-          expiry: Date.now() + 60000
-        });
-
-        return {
-          success: true,
-          message: '验证码发送成功（测试环境）',
-          code: code
+      try {
+        // 每日发送次数限制（按手机号、按IP）：先检查两项，验证码发出后才计数
+        const phoneDailyKey = dailyKey('phone', phone);
+        const ipDailyKey = ip ? dailyKey('ip', ip) : null;
+        if (Number(await store.get(phoneDailyKey)) >= PHONE_DAILY_LIMIT) {
+          throw new AppError('该手机号今日验证码发送次数已达上限，请明天再试', 429);
+        }
+        if (ipDailyKey && Number(await store.get(ipDailyKey)) >= IP_DAILY_LIMIT) {
+          throw new AppError('今日验证码发送次数已达上限，请明天再试', 429);
+        }
+        const countSent = async () => {
+          await store.incr(phoneDailyKey, DAY_SECONDS);
+          if (ipDailyKey) {
+            await store.incr(ipDailyKey, DAY_SECONDS);
+          }
         };
-      }
 
-      // 生产环境（或 SMS_TEST_MODE=false）调用真实短信服务
-      // 存储验证码到内存（先存储，不论发送成功与否，防止并发？不，应该发送成功后再存？或者先存但如果发送失败再删？
-      // 通常先存，但为了不仅防止攻击，还是先发送成功再存比较好？
-      // 但这里为了逻辑简单，先发送，如果成功再存。
-
-      const smsResult = await this.sendSms(phone, code, type);
-
-      if (smsResult.success) {
-        // 发送成功后才存储
-        const codeKey = `sms:code:${phone}:${type}`;
-        memoryStore.set(codeKey, {
-          code: code,
-          expiry: Date.now() + 300000
-        });
+        // 生成6位验证码
+        const code = this.generateCode();
+        /** 测试模式，优先读取 .env 中的配置 */
+        const isTestEnv = process.env.SMS_TEST_MODE === 'true'; // 优先读取 .env 中的配置
+
+        console.log('--- 短信SMS Debug Info ---');
+        console.log('process.env.SMS_TEST_MODE:', process.env.SMS_TEST_MODE, 'Type:', typeof process.env.SMS_TEST_MODE);
+        console.log('isTestEnv:', isTestEnv);
+        console.log('----------------------');
+
+        // 如果明确开启了测试模式，不调用短信服务
+        if (isTestEnv) {
+          console.log(`📱 [测试模式] 短信验证码: ${phone} -> ${code}`);
+          await this.saveCode(phone, type, code);
+          await countSent();
+
+          return {
+            success: true,
+            message: '验证码发送成功（测试环境）',
+            code: code
+          };
+        }
 
-        memoryStore.set(lastSendKey, {
-          timestamp: Date.now(),
-          expiry: Date.now() + 60000
-        });
+        // 生产环境（或 SMS_TEST_MODE=false）调用真实短信服务，发送成功后才存储验证码
+        const smsResult = await this.sendSms(phone, code, type);
+        if (!smsResult.success) {
+          throw new AppError(smsResult.message || '短信发送失败', 400);
+        }
+        await this.saveCode(phone, type, code);
+        await countSent();
 
         return {
           success: true,
           message: '验证码发送成功'
         };
-      } else {
-        throw new Error(smsResult.message || '短信发送失败');
+      } catch (error) {
+        // 未发出验证码时不占用发送间隔
+        await store.del(sendKey);
+        throw error;
       }
-
     } catch (error) {
       console.error('发送验证码失败:', error);
       throw error;
     }
   }
 
+  /**
+   * 存储验证码，并重置输错次数
+   */
+  static async saveCode(phone, type, code) {
+    const store = getStore();
+    await store.set(codeKey(phone, type), code, CODE_TTL);
+    await store.del(attemptsKey(phone, type));
+  }
+
+  /**
+   * 记录一次验证码输错，达到上限时重置计数（由调用方作废验证码）
+   * @param {string} phone - 手机号
+   * @param {string} type - 验证码类型
+   * @param {number} [ttl=CODE_TTL] - 计数有效期（秒）
+   * @returns {Promise<{attempts: number, remaining: number, exhausted: boolean}>}
+   */
+  static async recordWrongAttempt(phone, type, ttl = CODE_TTL) {
+    const store = getStore();
+    const attempts = await store.incr(attemptsKey(phone, type), ttl);
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    if (exhausted) {
+      await store.del(attemptsKey(phone, type));
+    }
+    return { attempts, remaining: Math.max(MAX_ATTEMPTS - attempts, 0), exhausted };
+  }
+
+  /**
+   * 清除输错次数
+   * @param {string} phone - 手机号
+   * @param {string} type - 验证码类型
+   */
+  static async clearWrongAttempts(phone, type) {
+    await getStore().del(attemptsKey(phone, type));
+  }
+
   /**
    * 验证验证码
    */
   static async verifyCode(phone, code, type = 'login') {
+    const store = getStore();
     try {
-      const codeKey = `sms:code:${phone}:${type}`;
-      const storedData = memoryStore.get(codeKey);
+      const key = codeKey(phone, type);
+      const storedCode = await store.get(key);
 
-      if (!storedData || storedData.expiry < Date.now()) {
+      if (!storedCode) {
         return {
           success: false,
           message: '验证码已过期或不存在'
         };
       }
 
-      if (storedData.code !== code) {
+      if (storedCode !== String(code)) {
+        // 输错次数达到上限后验证码作废
+        const { attempts, exhausted } = await this.recordWrongAttempt(phone, type);
+        if (exhausted) {
+          await store.del(key);
+          return {
+            success: false,
+            message: '验证码错误次数过多，请重新获取'
+          };
+        }
         return {
           success: false,
-          message: '验证码错误'
+          message: `验证码错误，还可尝试${MAX_ATTEMPTS - attempts}次`
         };
       }
 
-      // 验证成功后删除验证码
-      memoryStore.delete(codeKey);
+      // 验证成功后删除验证码（并发请求只有一个能删除成功）
+      if (!(await store.del(key))) {
+        return {
+          success: false,
+          message: '验证码已过期或不存在'
+        };
+      }
+      await store.del(attemptsKey(phone, type));
 
       return {
         success: true,
@@ -129,7 +315,7 @@ class SmsService {
       console.error('验证码验证失败:', error);
       return {
         success: false,
-        message: '验证码验证失败'
+        message: error.isOperational ? error.message : '验证码验证失败'
       };
     }
   }
@@ -210,15 +396,8 @@ class SmsService {
    */
   static async getCodeTTL(phone, type = 'login') {
     try {
-      const codeKey = `sms:code:${phone}:${type}`;
-      const storedData = memoryStore.get(codeKey);
-
-      if (!storedData || storedData.expiry < Date.now()) {
-        return 0;
-      }
-
       // 返回剩余秒数
-      return Math.floor((storedData.expiry - Date.now()) / 1000);
+      return await getStore().ttl(codeKey(phone, type));
     } catch (error) {
       console.error('获取验证码TTL失败:', error);
       return 0;
@@ -230,7 +409,10 @@ class SmsService {
    */
   static async cleanupExpiredCodes() {
     try {
-      // Redis会自动清理过期的key，这里可以添加额外的清理逻辑
+      // Redis会自动清理过期的key，内存存储需手动清理
+      if (getStore() === memoryStore) {
+        memoryStore.cleanup();
+      }
       console.log('清理过期验证码记录');
     } catch (error) {
       console.error('清理过期验证码失败:', error);
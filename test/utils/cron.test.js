@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, getNextRunTime } = require('../../src/utils/cron');
+
+const dayOfWeek = (expression) => [...parseCron(expression).dayOfWeek.values].sort((a, b) => a - b);
+
+test('5 段表达式补秒字段为 0', () => {
+  const parsed = parseCron('30 9 * * *');
+  assert.deepEqual([...parsed.second.values], [0]);
+  assert.deepEqual([...parsed.minute.values], [30]);
+  assert.deepEqual([...parsed.hour.values], [9]);
+  assert.equal(parsed.dayOfMonth.any, true);
+});
+
+test('支持列表、范围与步长', () => {
+  const parsed = parseCron('*/15 1-3,5 * * *');
+  assert.deepEqual([...parsed.minute.values], [0, 15, 30, 45]);
+  assert.deepEqual([...parsed.hour.values], [1, 2, 3, 5]);
+  assert.deepEqual([...parseCron('0 0 10-20/5 * *').dayOfMonth.values], [10, 15, 20]);
+});
+
+test('周日写 7 只匹配周日', () => {
+  assert.deepEqual(dayOfWeek('0 9 * * 7'), [0]);
+  assert.deepEqual(dayOfWeek('0 9 * * 0'), [0]);
+});
+
+test('周字段 0,7 去重为周日', () => {
+  assert.deepEqual(dayOfWeek('0 9 * * 0,7'), [0]);
+});
+
+test('周字段范围包含 7 时保留周日', () => {
+  assert.deepEqual(dayOfWeek('0 9 * * 1-7'), [0, 1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(dayOfWeek('0 9 * * 5-7'), [0, 5, 6]);
+});
+
+test('非法取值抛出异常', () => {
+  assert.throws(() => parseCron('0 9 * * 8'));
+  assert.throws(() => parseCron('60 * * * *'));
+  assert.throws(() => parseCron('0 9 * *'));
+  assert.throws(() => parseCron('*/0 * * * *'));
+  assert.throws(() => parseCron('0 9 * 13 *'));
+});
+
+test('计算下一次执行时间', () => {
+  // 2024-01-01 为周一
+  const from = new Date(2024, 0, 1, 10, 0, 0);
+  assert.deepEqual(getNextRunTime('0 9 * * *', from), new Date(2024, 0, 2, 9, 0, 0));
+  assert.deepEqual(getNextRunTime('*/5 * * * *', from), new Date(2024, 0, 1, 10, 5, 0));
+  assert.deepEqual(getNextRunTime('0 9 * * 7', from), new Date(2024, 0, 7, 9, 0, 0));
+  assert.deepEqual(getNextRunTime('0 3 1 * *', from), new Date(2024, 1, 1, 3, 0, 0));
+});
+
+test('日与周同时限定时取并集', () => {
+  // 每月 15 日或每周一
+  const from = new Date(2024, 0, 2, 0, 0, 0);
+  assert.deepEqual(getNextRunTime('0 0 15 * 1', from), new Date(2024, 0, 8, 0, 0, 0));
+});
+
+test('不存在的日期返回 null', () => {
+  assert.equal(getNextRunTime('0 0 31 2 *', new Date(2024, 0, 1)), null);
+});
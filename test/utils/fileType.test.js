@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FileType = require('../../src/utils/fileType');
+
+const bytes = (...values) => Buffer.from(values);
+
+test('按文件头识别图片类型', () => {
+  assert.deepEqual(FileType.detect(bytes(0xFF, 0xD8, 0xFF, 0xE0, 0x00)), { mime: 'image/jpeg', ext: '.jpg' });
+  assert.deepEqual(
+    FileType.detect(bytes(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00)),
+    { mime: 'image/png', ext: '.png' }
+  );
+  assert.equal(FileType.detect(Buffer.from('GIF89a...')).mime, 'image/gif');
+  assert.equal(FileType.detect(Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ')).mime, 'image/webp');
+});
+
+test('识别文档类型', () => {
+  assert.equal(FileType.detect(Buffer.from('%PDF-1.7\n')).mime, 'application/pdf');
+  assert.equal(FileType.detect(bytes(0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1)).ext, '.doc');
+  const docx = Buffer.concat([bytes(0x50, 0x4B, 0x03, 0x04), Buffer.from('....word/document.xml')]);
+  assert.equal(FileType.detect(docx).ext, '.docx');
+});
+
+test('普通 zip 与无法识别的内容返回 null', () => {
+  assert.equal(FileType.detect(Buffer.concat([bytes(0x50, 0x4B, 0x03, 0x04), Buffer.from('data.txt')])), null);
+  assert.equal(FileType.detect(Buffer.from('<?php echo 1; ?>')), null);
+  assert.equal(FileType.detect(Buffer.alloc(0)), null);
+  // 扩展名伪装：仅有部分 JPEG 文件头
+  assert.equal(FileType.detect(bytes(0xFF, 0xD8)), null);
+});
+
+test('图片类型列表', () => {
+  assert.deepEqual(FileType.IMAGE_TYPES, ['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+});
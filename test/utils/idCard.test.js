@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const IdCard = require('../../src/utils/idCard');
+
+// GB 11643-1999 标准示例号码
+const SAMPLE = '11010519491231002X';
+
+test('规范化去空格并将末位 x 转大写', () => {
+  assert.equal(IdCard.normalize(' 11010519491231002x '), SAMPLE);
+  assert.equal(IdCard.normalize(null), '');
+});
+
+test('计算校验码', () => {
+  assert.equal(IdCard.getCheckCode(SAMPLE.slice(0, 17)), 'X');
+  assert.equal(IdCard.getCheckCode('44052418800101001'), '4');
+});
+
+test('解析有效身份证号', () => {
+  const result = IdCard.parse('11010519491231002x');
+  assert.equal(result.valid, true);
+  assert.equal(result.idCard, SAMPLE);
+  assert.equal(result.regionCode, '110105');
+  assert.equal(result.birthDate, '1949-12-31');
+  assert.equal(result.gender, 'female');
+  assert.equal(result.age, IdCard.getAge('1949-12-31'));
+});
+
+test('格式、出生日期或校验位错误时无效', () => {
+  assert.equal(IdCard.parse('1101051949123100').valid, false);
+  assert.equal(IdCard.parse('110105194902300021').valid, false);
+  assert.equal(IdCard.parse('110105194912310021').valid, false);
+  assert.match(IdCard.parse('110105194912310021').message, /校验位/);
+  assert.equal(IdCard.parse('').valid, false);
+});
+
+test('按周岁计算年龄', () => {
+  assert.equal(IdCard.getAge('2000-06-15', new Date(2024, 5, 14)), 23);
+  assert.equal(IdCard.getAge('2000-06-15', new Date(2024, 5, 15)), 24);
+});
+
+test('脱敏保留前 6 位和后 4 位', () => {
+  assert.equal(IdCard.mask(SAMPLE), '110105********002X');
+});